@@ -1,97 +1,277 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
-const axios = require('axios');
-const jwt = require('jsonwebtoken');
+const { createMetrics } = require('../shared/metrics');
+const { initTracing } = require('../shared/tracing');
+const { logger, initLogging } = require('../shared/logger');
+const { createLifecycle } = require('../shared/lifecycle');
+const { closeRedisClients } = require('../shared/redis');
+const { bearerToken, createAuthenticateToken } = require('../shared/auth');
+const { createDenylist } = require('../shared/tokenDenylist');
+const { createJwksClient } = require('../shared/jwks');
+const { createRouteAuthorizer } = require('../shared/authorize');
+const { STATES, CircuitOpenError, createUpstream, isTimeout } = require('../shared/resilience');
+const { ALGORITHMS, createRateLimiter } = require('../shared/rateLimit');
+const { createHealth, redisCheck, upstreamCheck } = require('../shared/health');
+const { CONTENT_TYPE, isProblem, sendProblem, problemHandler, notFound } = require('../shared/problem');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const metrics = createMetrics('api_gateway');
+const tracing = initTracing({ serviceName: 'api-gateway' });
+const logging = initLogging({ service: 'api-gateway' });
+
+// On SIGTERM/SIGINT: drain requests, stop workers, close what is registered
+const lifecycle = createLifecycle();
+lifecycle.resource('redis', closeRedisClients);
+lifecycle.resource('tracing', tracing.shutdown);
+
+// Honour X-Forwarded-For from nginx when told how many proxies to trust,
+// otherwise every client would share the proxy's IP for rate limiting.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
 // Middleware
+app.use(tracing.middleware);
+app.use(logging.middleware);
 app.use(helmet());
 app.use(cors());
-app.use(morgan('combined'));
+app.use(metrics.middleware);
 app.use(express.json());
 
 // Service URLs
 const SERVICES = {
   user: process.env.USER_SERVICE_URL || 'http://localhost:3001',
   product: process.env.PRODUCT_SERVICE_URL || 'http://localhost:3002',
-  order: process.env.ORDER_SERVICE_URL || 'http://localhost:3003'
+  order: process.env.ORDER_SERVICE_URL || 'http://localhost:3003',
+  payment: process.env.PAYMENT_SERVICE_URL || 'http://localhost:3004',
+  cart: process.env.CART_SERVICE_URL || 'http://localhost:3005'
 };
 
-// JWT Middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Per-upstream resilience settings, e.g. ORDER_SERVICE_TIMEOUT_MS, with
+// UPSTREAM_* as the gateway-wide default.
+const upstreamSetting = (name, key, fallback) => {
+  const value = process.env[`${name.toUpperCase()}_SERVICE_${key}`] || process.env[`UPSTREAM_${key}`];
+  return value !== undefined ? Number(value) : fallback;
+};
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
+const circuitState = metrics.gauge('upstream_circuit_state', 'Circuit breaker state per upstream (1 for the current state)', {
+  labelNames: ['service', 'state']
+});
+const upstreamDuration = metrics.histogram('upstream_request_duration_seconds', 'Upstream request duration in seconds', {
+  labelNames: ['service', 'status']
+});
 
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
-    }
-    req.user = user;
-    next();
+const setCircuitState = (name, current) => {
+  Object.values(STATES).forEach((state) => {
+    circuitState.set({ service: name, state }, state === current ? 1 : 0);
   });
 };
 
-// Health Check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    services: Object.keys(SERVICES)
+const upstreams = {};
+Object.entries(SERVICES).forEach(([name, url]) => {
+  upstreams[name] = createUpstream(name, url, {
+    timeout: upstreamSetting(name, 'TIMEOUT_MS', 5000),
+    retries: upstreamSetting(name, 'RETRIES', 2),
+    failureThreshold: upstreamSetting(name, 'FAILURE_THRESHOLD', 5),
+    resetTimeout: upstreamSetting(name, 'RESET_TIMEOUT_MS', 30000),
+    onStateChange: (state, previous) => {
+      logger.warn('Circuit state changed', { upstream: name, from: previous, to: state });
+      setCircuitState(name, state);
+    }
   });
+  setCircuitState(name, STATES.CLOSED);
 });
 
-// Metrics endpoint for Prometheus
-app.get('/metrics', (req, res) => {
-  res.set('Content-Type', 'text/plain');
-  res.send(`
-# HELP api_gateway_requests_total Total number of requests
-# TYPE api_gateway_requests_total counter
-api_gateway_requests_total{method="GET"} ${Math.floor(Math.random() * 1000)}
-api_gateway_requests_total{method="POST"} ${Math.floor(Math.random() * 500)}
-
-# HELP api_gateway_request_duration_seconds Request duration in seconds
-# TYPE api_gateway_request_duration_seconds histogram
-api_gateway_request_duration_seconds_bucket{le="0.1"} ${Math.floor(Math.random() * 100)}
-api_gateway_request_duration_seconds_bucket{le="0.5"} ${Math.floor(Math.random() * 200)}
-api_gateway_request_duration_seconds_bucket{le="1.0"} ${Math.floor(Math.random() * 300)}
-api_gateway_request_duration_seconds_bucket{le="+Inf"} ${Math.floor(Math.random() * 400)}
-  `);
+// JWT Middleware
+const jwks = createJwksClient({
+  url: process.env.JWKS_URL || `${SERVICES.user}/.well-known/jwks.json`
+});
+const authenticateToken = createAuthenticateToken({ getKey: jwks.getKey, denylist: createDenylist() });
+
+// Rate limiting. Rules are matched by longest route prefix and can be
+// replaced wholesale with a JSON array in RATE_LIMIT_RULES. Rules keyed by
+// apiKey count per key only for the keys listed in RATE_LIMIT_API_KEYS
+// (comma separated); other callers are counted per IP.
+const DEFAULT_RATE_LIMIT_RULES = [
+  { prefix: '/api/auth', algorithm: ALGORITHMS.SLIDING_WINDOW, limit: 20, windowMs: 60000, keyBy: 'ip' },
+  { prefix: '/api/orders', algorithm: ALGORITHMS.TOKEN_BUCKET, capacity: 30, refillPerSecond: 0.5, keyBy: 'user' },
+  { prefix: '/api/payments', algorithm: ALGORITHMS.TOKEN_BUCKET, capacity: 10, refillPerSecond: 0.2, keyBy: 'user' },
+  { prefix: '/api', algorithm: ALGORITHMS.SLIDING_WINDOW, limit: 100, windowMs: 60000, keyBy: 'apiKey' }
+];
+
+const rateLimitedTotal = metrics.counter('rate_limited_total', 'Requests rejected by the rate limiter', {
+  labelNames: ['prefix']
+});
+
+// Rate limiting runs before authentication, so the user id is taken from a
+// token only if it verifies; anything else is keyed by IP.
+const identifyUser = async (req) => {
+  const token = bearerToken(req);
+  if (!token) return null;
+
+  try {
+    return (await authenticateToken.verifyToken(token)).userId;
+  } catch (error) {
+    return null;
+  }
+};
+
+app.use(createRateLimiter({
+  rules: process.env.RATE_LIMIT_RULES ? JSON.parse(process.env.RATE_LIMIT_RULES) : DEFAULT_RATE_LIMIT_RULES,
+  identifyUser,
+  onLimited: (req, rule) => rateLimitedTotal.inc({ prefix: rule.prefix })
+}));
+
+// Route permissions, checked here before proxying and again by the owning
+// service. The first matching rule wins.
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const ROUTE_PERMISSIONS = [
+  { methods: ['GET'], path: /^\/api\/users\/?$/, permission: 'users:read' },
+  { methods: ['PATCH'], path: /^\/api\/users\/[^/]+\/role\/?$/, permission: 'users:manage-roles' },
+  { methods: ['POST'], path: /^\/api\/products\/seed\/?$/, permission: 'products:seed' },
+  { methods: ['GET'], path: /^\/api\/products\/export\/?$/, permission: 'products:write' },
+  { methods: WRITE_METHODS, path: /^\/api\/products(\/|$)/, permission: 'products:write' },
+  { methods: ['PATCH'], path: /^\/api\/orders\/[^/]+\/status\/?$/, permission: 'orders:update-status' },
+  { methods: ['POST'], path: /^\/api\/payments\/[^/]+\/capture\/?$/, permission: 'payments:capture' },
+  { methods: ['POST'], path: /^\/api\/payments\/[^/]+\/refund\/?$/, permission: 'payments:refund' }
+];
+
+app.use(createRouteAuthorizer({ rules: ROUTE_PERMISSIONS, authenticateToken }));
+
+// Health checks. Readiness includes every service's own readiness report,
+// so it is the aggregated view of the system. A service being down only
+// degrades the gateway, which still serves the others.
+const health = createHealth({
+  service: 'api-gateway',
+  isShuttingDown: lifecycle.isShuttingDown,
+  checks: [
+    ...(process.env.REDIS_URL ? [redisCheck()] : []),
+    ...Object.entries(SERVICES).map(([name, url]) => upstreamCheck(name, url, { details: true }))
+  ],
+  info: () => {
+    const circuits = {};
+    Object.values(upstreams).forEach((upstream) => {
+      circuits[upstream.name] = upstream.breaker.toJSON();
+    });
+    return { circuits };
+  }
 });
 
+app.get('/health/live', health.live);
+app.get('/health/ready', health.ready);
+app.get('/health', health.ready);
+
+// Metrics endpoint for Prometheus
+app.get('/metrics', metrics.handler);
+
 // Proxy requests to microservices
-const proxyRequest = async (req, res, serviceUrl, path) => {
+// Headers passed through to and back from upstreams besides the defaults
+const FORWARDED_REQUEST_HEADERS = ['if-match', 'if-none-match', 'idempotency-key', 'x-cart-id'];
+const FORWARDED_RESPONSE_HEADERS = ['cache-control', 'etag', 'location', 'retry-after', 'idempotent-replayed', 'x-cart-id'];
+
+const pickHeaders = (headers, names) => names.reduce((picked, name) => {
+  if (headers[name] !== undefined) {
+    picked[name] = headers[name];
+  }
+  return picked;
+}, {});
+
+// Streamed routes pass bodies through untouched, both ways
+const STREAM_TIMEOUT_MS = Number(process.env.UPSTREAM_STREAM_TIMEOUT_MS || 300000);
+const STREAMED_RESPONSE_HEADERS = [
+  ...FORWARDED_RESPONSE_HEADERS,
+  'content-type',
+  'content-disposition',
+  'last-modified'
+];
+
+const streamRequestConfig = (req) => ({
+  data: ['GET', 'HEAD'].includes(req.method) ? undefined : req,
+  headers: {
+    'Content-Type': req.headers['content-type'],
+    'Authorization': req.headers.authorization,
+    'X-Request-Id': req.id,
+    // No Idempotency-Key: a consumed request stream cannot be retried
+    ...pickHeaders(req.headers, FORWARDED_REQUEST_HEADERS.filter((name) => name !== 'idempotency-key'))
+  },
+  responseType: 'stream',
+  maxBodyLength: Infinity,
+  timeout: STREAM_TIMEOUT_MS
+});
+
+const sendStream = (res, response) => {
+  res.set(pickHeaders(response.headers, STREAMED_RESPONSE_HEADERS));
+  res.status(response.status);
+  response.data.pipe(res);
+};
+
+// Problems from the services are passed through as they are
+const sendJson = (res, response) => {
+  res.set(pickHeaders(response.headers, FORWARDED_RESPONSE_HEADERS));
+  if (isProblem(response.headers['content-type'])) {
+    res.type(CONTENT_TYPE);
+  }
+  res.status(response.status).json(response.data);
+};
+
+const proxyRequest = async (req, res, upstream, path, { stream = false } = {}) => {
+  const stopTimer = upstreamDuration.startTimer({ service: upstream.name });
+  // Records the upstream's answer and latency, also for the access log
+  const finishUpstream = (status) => {
+    const seconds = stopTimer({ status });
+    res.locals.accessLog = {
+      upstream: upstream.name,
+      upstreamStatus: status,
+      upstreamDurationMs: Math.round(seconds * 10000) / 10
+    };
+  };
+
   try {
-    const response = await axios({
+    const response = await upstream.request({
       method: req.method,
-      url: `${serviceUrl}${path}`,
-      data: req.body,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': req.headers.authorization
-      }
+      url: path,
+      params: req.query,
+      ...(stream ? streamRequestConfig(req) : {
+        data: req.body,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': req.headers.authorization,
+          'X-Request-Id': req.id,
+          ...pickHeaders(req.headers, FORWARDED_REQUEST_HEADERS)
+        }
+      })
     });
-    
-    res.status(response.status).json(response.data);
+
+    finishUpstream(response.status);
+    if (stream) {
+      return sendStream(res, response);
+    }
+    sendJson(res, response);
   } catch (error) {
-    console.error(`Proxy error for ${serviceUrl}${path}:`, error.message);
-    
+    logger.error('Proxy error', { upstream: upstream.name, url: `${upstream.baseURL}${path}`, error });
+
+    if (error instanceof CircuitOpenError) {
+      finishUpstream('circuit_open');
+      res.set('Retry-After', String(Math.max(1, Math.ceil(error.retryAfterMs / 1000))));
+      return sendProblem(res, 503, 'Service unavailable', { service: upstream.name, reason: 'circuit_open' });
+    }
+
     if (error.response) {
-      res.status(error.response.status).json(error.response.data);
+      finishUpstream(error.response.status);
+      if (stream) {
+        return sendStream(res, error.response);
+      }
+      sendJson(res, error.response);
+    } else if (isTimeout(error)) {
+      finishUpstream('timeout');
+      sendProblem(res, 504, 'Service timeout', { service: upstream.name });
     } else {
-      res.status(503).json({ 
-        error: 'Service unavailable',
-        service: serviceUrl,
-        timestamp: new Date().toISOString()
-      });
+      finishUpstream('error');
+      sendProblem(res, 503, 'Service unavailable', { service: upstream.name });
     }
   }
 };
@@ -99,73 +279,60 @@ const proxyRequest = async (req, res, serviceUrl, path) => {
 // User Service Routes
 app.all('/api/users*', (req, res) => {
   const path = req.path.replace('/api/users', '');
-  proxyRequest(req, res, SERVICES.user, `/users${path}`);
+  proxyRequest(req, res, upstreams.user, `/users${path}`);
 });
 
 app.all('/api/auth*', (req, res) => {
   const path = req.path.replace('/api/auth', '');
-  proxyRequest(req, res, SERVICES.user, `/auth${path}`);
+  proxyRequest(req, res, upstreams.user, `/auth${path}`);
+});
+
+// Product Service Routes. Bulk import and export, image uploads and image
+// files are streamed.
+app.post('/api/products/import', (req, res) => {
+  proxyRequest(req, res, upstreams.product, '/products/import', { stream: true });
+});
+
+app.post('/api/products/:id/images', (req, res) => {
+  proxyRequest(req, res, upstreams.product, `/products/${encodeURIComponent(req.params.id)}/images`, { stream: true });
+});
+
+app.get('/api/products/media/*', (req, res) => {
+  proxyRequest(req, res, upstreams.product, req.path.replace('/api/products', '/products'), { stream: true });
+});
+
+app.get('/api/products/export', (req, res) => {
+  proxyRequest(req, res, upstreams.product, '/products/export', { stream: true });
 });
 
-// Product Service Routes
 app.all('/api/products*', (req, res) => {
   const path = req.path.replace('/api/products', '');
-  proxyRequest(req, res, SERVICES.product, `/products${path}`);
+  proxyRequest(req, res, upstreams.product, `/products${path}`);
 });
 
 // Order Service Routes
 app.all('/api/orders*', authenticateToken, (req, res) => {
   const path = req.path.replace('/api/orders', '');
-  proxyRequest(req, res, SERVICES.order, `/orders${path}`);
-});
-
-// Rate limiting middleware
-const rateLimit = {};
-const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const RATE_LIMIT_MAX_REQUESTS = 100;
-
-app.use((req, res, next) => {
-  const clientIP = req.ip || req.connection.remoteAddress;
-  const now = Date.now();
-  
-  if (!rateLimit[clientIP]) {
-    rateLimit[clientIP] = { count: 1, resetTime: now + RATE_LIMIT_WINDOW };
-  } else if (now > rateLimit[clientIP].resetTime) {
-    rateLimit[clientIP] = { count: 1, resetTime: now + RATE_LIMIT_WINDOW };
-  } else {
-    rateLimit[clientIP].count++;
-  }
-  
-  if (rateLimit[clientIP].count > RATE_LIMIT_MAX_REQUESTS) {
-    return res.status(429).json({
-      error: 'Too many requests',
-      retryAfter: Math.ceil((rateLimit[clientIP].resetTime - now) / 1000)
-    });
-  }
-  
-  next();
+  proxyRequest(req, res, upstreams.order, `/orders${path}`);
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('API Gateway Error:', error);
-  res.status(500).json({
-    error: 'Internal server error',
-    timestamp: new Date().toISOString()
-  });
+// Cart Service Routes. Guests may use carts, so authentication is left to
+// the cart service.
+app.all('/api/cart*', (req, res) => {
+  const path = req.path.replace('/api/cart', '');
+  proxyRequest(req, res, upstreams.cart, `/cart${path}`);
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Route not found',
-    path: req.path,
-    method: req.method
-  });
+// Payment Service Routes. Provider webhooks are not proxied; they go to the
+// payment service directly so their signed bodies arrive byte for byte.
+app.all('/api/payments*', authenticateToken, (req, res) => {
+  const path = req.path.replace('/api/payments', '');
+  proxyRequest(req, res, upstreams.payment, `/payments${path}`);
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 API Gateway running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`📈 Metrics: http://localhost:${PORT}/metrics`);
+app.use(notFound);
+app.use(problemHandler);
+
+lifecycle.listen(app, PORT, () => {
+  logger.info('API Gateway running', { port: Number(PORT) });
 });
\ No newline at end of file
@@ -0,0 +1,68 @@
+const { OrderQueryError, listOrders } = require('../orderQueries');
+const { createFakePool } = require('../../../shared/testing/fakePg');
+
+const order = (id, createdAt) => ({ id, user_id: 7, status: 'pending', cursor_created_at: createdAt });
+
+// Pages of three orders a second apart, newest first; only what listOrders
+// reads from the rows is there
+const createOrdersDb = () => createFakePool({
+  routes: [
+    ['SELECT *, created_at::text AS cursor_created_at FROM orders', () => [
+      order(3, '2024-05-01 12:00:03.250000'),
+      order(2, '2024-05-01 12:00:02.5'),
+      order(1, '2024-05-01 12:00:01')
+    ]],
+    ['SELECT COUNT(*)::int AS total FROM orders', () => [{ total: 3 }]],
+    ['SELECT * FROM order_items', () => []]
+  ]
+});
+
+const decode = (cursor) => JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+const encode = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+describe('order listing cursors', () => {
+  let db;
+  let cursor;
+
+  beforeEach(async () => {
+    db = createOrdersDb();
+    ({ pagination: { nextCursor: cursor } } = await listOrders(db, 7, { limit: '2' }));
+  });
+
+  const nextPage = (value) => listOrders(db, 7, { limit: '2', cursor: value });
+
+  it('continues after the last order of the page', async () => {
+    expect(decode(cursor)).toMatchObject({ t: '2024-05-01 12:00:02.5', id: 2 });
+
+    await nextPage(cursor);
+    const { params } = db.queries.find(({ text }) => text.includes('::timestamp'));
+    expect(params).toEqual([7, '2024-05-01 12:00:02.5', 2, 3]);
+  });
+
+  it.each([
+    ['a timestamp that is not one', { t: 'yesterday' }],
+    ['a date that does not exist', { t: '2024-02-30 12:00:00' }],
+    ['an hour out of range', { t: '2024-05-01 25:00:00' }],
+    ['trailing SQL', { t: '2024-05-01 12:00:00\'; --' }],
+    ['a timestamp that is not a string', { t: 1714564800 }],
+    ['an id that is not an integer', { id: '2' }],
+    ['an id out of range', { id: 2 ** 40 }],
+    ['a negative id', { id: -1 }]
+  ])('rejects a cursor with %s before querying', async (name, change) => {
+    const tampered = encode({ ...decode(cursor), ...change });
+    const queries = db.queries.length;
+
+    await expect(nextPage(tampered)).rejects.toThrow(new OrderQueryError('Invalid cursor'));
+    await expect(nextPage(tampered)).rejects.toMatchObject({ status: 400 });
+    expect(db.queries).toHaveLength(queries);
+  });
+
+  it('rejects a cursor that is not base64 JSON', async () => {
+    await expect(nextPage('not-a-cursor')).rejects.toMatchObject({ status: 400, message: 'Invalid cursor' });
+  });
+
+  it('rejects a cursor issued for other filters', async () => {
+    await expect(listOrders(db, 7, { limit: '2', status: 'cancelled', cursor }))
+      .rejects.toMatchObject({ status: 400, message: expect.stringMatching(/does not match these filters/) });
+  });
+});
@@ -0,0 +1,153 @@
+const {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  CUSTOMER_CANCELLABLE,
+  OrderStatusError,
+  SYSTEM_ACTOR,
+  actorFromUser,
+  etagFor,
+  createOrderStatusService
+} = require('../orderStatus');
+const { createFakePool } = require('../../../shared/testing/fakePg');
+
+// One order row, with the queries transition() makes against it
+const createFakeDb = (order) => {
+  const orders = new Map(order ? [[order.id, order]] : []);
+  const history = [];
+
+  return createFakePool({
+    tables: { orders, history },
+    routes: [
+      ['SELECT * FROM orders WHERE id = $1', ([id, userId]) => {
+        const row = orders.get(id);
+        return row && (userId === undefined || row.user_id === userId) ? [row] : [];
+      }],
+      ['UPDATE orders SET status = $2', ([id, status]) => {
+        const row = orders.get(id);
+        Object.assign(row, { status, version: row.version + 1 });
+        return [row];
+      }],
+      ['INSERT INTO order_status_history', ([orderId, from, to, actorType, actorId, actorRole, reason]) => {
+        history.push({ orderId, from, to, actor: { type: actorType, id: actorId, role: actorRole }, reason });
+        return [];
+      }]
+    ]
+  });
+};
+
+describe('order status transitions', () => {
+  let outbox;
+  let orderStatus;
+
+  beforeEach(() => {
+    outbox = { add: jest.fn().mockResolvedValue() };
+    orderStatus = createOrderStatusService({ outbox });
+  });
+
+  const orderIn = (status, fields = {}) => ({ id: 42, user_id: 7, status, version: 3, ...fields });
+
+  const attempt = (db, options) => orderStatus.transition(db, { orderId: 42, actor: SYSTEM_ACTOR, ...options });
+
+  const pairs = ORDER_STATUSES.flatMap((from) => ORDER_STATUSES.map((to) => [from, to]));
+
+  it.each(pairs)('%s -> %s follows the transition graph', async (from, to) => {
+    const db = createFakeDb(orderIn(from));
+    const result = attempt(db, { to });
+
+    if (TRANSITIONS[from].includes(to)) {
+      await expect(result).resolves.toMatchObject({ order: { status: to, version: 4 }, previousStatus: from });
+    } else {
+      await expect(result).rejects.toMatchObject({
+        status: 409,
+        message: `Cannot change order status from ${from} to ${to}`,
+        details: { status: from, allowed: TRANSITIONS[from] }
+      });
+      expect(db.history).toHaveLength(0);
+      expect(outbox.add).not.toHaveBeenCalled();
+    }
+  });
+
+  it('ends in delivered or cancelled with no way out', () => {
+    expect(TRANSITIONS.delivered).toEqual([]);
+    expect(TRANSITIONS.cancelled).toEqual([]);
+  });
+
+  it('records history and an OrderStatusChanged event', async () => {
+    const db = createFakeDb(orderIn('confirmed'));
+    const actor = actorFromUser({ userId: 1, role: 'staff' });
+
+    await attempt(db, { to: 'processing', actor, reason: 'Picked' });
+
+    expect(db.history).toEqual([{
+      orderId: 42,
+      from: 'confirmed',
+      to: 'processing',
+      actor: { type: 'user', id: 1, role: 'staff' },
+      reason: 'Picked'
+    }]);
+    expect(outbox.add).toHaveBeenCalledWith(db, 'OrderStatusChanged', {
+      orderId: 42,
+      userId: 7,
+      previousStatus: 'confirmed',
+      status: 'processing',
+      version: 4,
+      actor: { type: 'user', id: 1 },
+      reason: 'Picked'
+    }, { aggregateId: 42 });
+  });
+
+  it('locks the order row it reads', async () => {
+    const db = createFakeDb(orderIn('pending'));
+    await attempt(db, { to: 'confirmed' });
+    expect(db.queries[0].text).toMatch(/FOR UPDATE$/);
+  });
+
+  it('rejects unknown statuses', async () => {
+    await expect(attempt(createFakeDb(orderIn('pending')), { to: 'lost' }))
+      .rejects.toMatchObject({ status: 400, details: { allowed: ORDER_STATUSES } });
+  });
+
+  it('answers 404 for a missing order or another user\'s', async () => {
+    await expect(attempt(createFakeDb(null), { to: 'confirmed' })).rejects.toMatchObject({ status: 404 });
+    await expect(attempt(createFakeDb(orderIn('pending')), { to: 'cancelled', userId: 8 }))
+      .rejects.toMatchObject({ status: 404 });
+  });
+
+  it('limits customers to the cancellable states', async () => {
+    expect(CUSTOMER_CANCELLABLE).toEqual(['pending', 'confirmed']);
+
+    await expect(attempt(createFakeDb(orderIn('confirmed')), { to: 'cancelled', userId: 7, allowedFrom: CUSTOMER_CANCELLABLE }))
+      .resolves.toMatchObject({ order: { status: 'cancelled' } });
+    await expect(attempt(createFakeDb(orderIn('processing')), { to: 'cancelled', userId: 7, allowedFrom: CUSTOMER_CANCELLABLE }))
+      .rejects.toMatchObject({ status: 409, details: { status: 'processing', allowed: [] } });
+  });
+
+  describe('concurrency', () => {
+    it('answers 412 when If-Match names an older version', async () => {
+      const order = orderIn('pending');
+      const stale = etagFor({ id: 42, version: 2 });
+
+      await expect(attempt(createFakeDb(order), { to: 'confirmed', ifMatch: stale }))
+        .rejects.toMatchObject({ status: 412, details: { version: 3 } });
+    });
+
+    it('accepts the current ETag or *', async () => {
+      await expect(attempt(createFakeDb(orderIn('pending')), { to: 'confirmed', ifMatch: '"42-3"' })).resolves.toBeDefined();
+      await expect(attempt(createFakeDb(orderIn('pending')), { to: 'confirmed', ifMatch: '*' })).resolves.toBeDefined();
+    });
+
+    it('answers 409 when the body names an older version', async () => {
+      const result = attempt(createFakeDb(orderIn('pending')), { to: 'confirmed', version: 2 });
+      await expect(result).rejects.toThrow(OrderStatusError);
+      await expect(result).rejects.toMatchObject({ status: 409, message: 'Order has been modified' });
+    });
+
+    it('bumps the version on every change', async () => {
+      const db = createFakeDb(orderIn('pending'));
+      await attempt(db, { to: 'confirmed', version: 3 });
+      const { order } = await attempt(db, { to: 'processing', version: 4 });
+      expect(order.version).toBe(5);
+      expect(etagFor(order)).toBe('"42-5"');
+    });
+  });
+});
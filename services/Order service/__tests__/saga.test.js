@@ -0,0 +1,392 @@
+const { logger } = require('../../../shared/logger');
+const { createFakePool, assignments } = require('../../../shared/testing/fakePg');
+const { SAGA_STATUS, SagaStepError, createSagaEngine } = require('../saga');
+const { CREATE_ORDER, defineOrderSagas } = require('../orderSagas');
+const { createOrderStatusService } = require('../orderStatus');
+
+// sagas, saga_steps and the order tables the create_order saga writes, with
+// a clock for the leases
+const createSagaPool = () => {
+  const clock = { now: Date.UTC(2024, 4, 1) };
+  const sagas = new Map();
+  const sagaSteps = [];
+  const orders = new Map();
+  const orderItems = [];
+  const history = [];
+  const failures = {};
+
+  const lease = (text) => new Date(clock.now + Number(/make_interval\(secs => ([\d.]+)\)/.exec(text)[1]) * 1000);
+  const leaseExpired = (saga) => saga.locked_until === null || saga.locked_until < new Date(clock.now);
+  const touch = (saga, fields) => Object.assign(saga, fields, { updated_at: new Date(clock.now) });
+
+  const pool = createFakePool({
+    tables: { sagas, sagaSteps, orders, orderItems, history },
+    routes: [
+      ['INSERT INTO sagas', ([id, type, status, payload], text) => {
+        const saga = {
+          id,
+          type,
+          status,
+          payload,
+          context: {},
+          current_step: 0,
+          order_id: null,
+          error: null,
+          compensation_attempts: 0,
+          locked_until: lease(text),
+          updated_at: new Date(clock.now)
+        };
+        sagas.set(id, saga);
+        return [saga];
+      }],
+      ['SELECT id FROM sagas', ([running, compensating, limit]) => [...sagas.values()]
+        .filter((saga) => [running, compensating].includes(saga.status) && leaseExpired(saga))
+        .sort((a, b) => a.updated_at - b.updated_at)
+        .slice(0, limit)],
+      ['UPDATE sagas SET locked_until', ([id, running, compensating], text) => {
+        const saga = sagas.get(id);
+        if (!saga || ![running, compensating].includes(saga.status) || !leaseExpired(saga)) return [];
+        return [touch(saga, { locked_until: lease(text) })];
+      }],
+      [/^UPDATE sagas SET status = \$2, locked_until = NULL/, ([id, status]) => [touch(sagas.get(id), { status, locked_until: null })]],
+      ['UPDATE sagas SET order_id = $1', ([orderId, id]) => {
+        sagas.get(id).order_id = orderId;
+        return [];
+      }],
+      ['UPDATE sagas SET', (params, text) => {
+        const { id, ...fields } = assignments(text, params);
+        return [touch(sagas.get(id), { ...fields, locked_until: lease(text) })];
+      }],
+      ['INSERT INTO saga_steps', ([sagaId, step, action, status, error]) => {
+        sagaSteps.push({ sagaId, step, action, status, error });
+        return [];
+      }],
+      ['SELECT id FROM orders WHERE saga_id = $1', ([sagaId]) => [...orders.values()].filter((order) => order.saga_id === sagaId)],
+      ['SELECT id, status FROM orders WHERE saga_id = $1', ([sagaId]) => [...orders.values()].filter((order) => order.saga_id === sagaId)],
+      ['INSERT INTO orders', ([userId, totalAmount, currency, shippingAddress, reservationId, sagaId]) => {
+        if (failures.insertOrder) throw failures.insertOrder;
+        const order = {
+          id: orders.size + 1,
+          user_id: userId,
+          total_amount: totalAmount,
+          currency,
+          reservation_id: reservationId,
+          saga_id: sagaId,
+          status: 'pending',
+          version: 1
+        };
+        orders.set(order.id, order);
+        return [order];
+      }],
+      ['INSERT INTO order_items', ([orderId, productId, sku, productName, attributes, quantity, price]) => {
+        orderItems.push({ orderId, productId, sku, quantity, price });
+        return [];
+      }],
+      ['SELECT * FROM orders WHERE id = $1', ([id]) => (orders.has(id) ? [orders.get(id)] : [])],
+      ['UPDATE orders SET status = $2', ([id, status]) => {
+        const order = orders.get(id);
+        return [Object.assign(order, { status, version: order.version + 1 })];
+      }],
+      ['INSERT INTO order_status_history', ([orderId, from, to]) => {
+        history.push({ orderId, from, to });
+        return [];
+      }]
+    ]
+  });
+
+  return Object.assign(pool, { clock, failures });
+};
+
+// Step names with their action, in the order they were logged
+const stepLog = (pool, status) => pool.sagaSteps
+  .filter((entry) => entry.status === status)
+  .map(({ step, action }) => `${action} ${step}`);
+
+describe('saga engine', () => {
+  let pool;
+  let engine;
+  let calls;
+
+  beforeEach(() => {
+    pool = createSagaPool();
+    engine = createSagaEngine({ pool, leaseMs: 30000, maxCompensationAttempts: 3 });
+    calls = [];
+  });
+
+  const step = (name, { fail, failCompensation } = {}) => ({
+    name,
+    execute: async (saga) => {
+      calls.push(`execute ${name}`);
+      if (fail) throw fail;
+      return { [name]: Object.keys(saga.context).length + 1 };
+    },
+    compensate: async () => {
+      calls.push(`compensate ${name}`);
+      if (failCompensation && failCompensation()) throw new Error(`${name} compensation failed`);
+    }
+  });
+
+  const expireLeases = () => {
+    pool.clock.now += 30001;
+  };
+
+  it('runs every step in order and completes', async () => {
+    engine.define('test', [step('a'), step('b'), step('c')]);
+
+    const saga = await engine.start('test', { orderRef: 1 });
+
+    expect(saga).toMatchObject({ status: SAGA_STATUS.COMPLETED, current_step: 3, locked_until: null });
+    // Each step sees what the steps before it returned
+    expect(saga.context).toEqual({ a: 1, b: 2, c: 3 });
+    expect(calls).toEqual(['execute a', 'execute b', 'execute c']);
+    expect(stepLog(pool, 'succeeded')).toEqual(['execute a', 'execute b', 'execute c']);
+  });
+
+  it('undoes the failed step and those before it, newest first', async () => {
+    engine.define('test', [
+      step('a'),
+      step('b'),
+      step('c', { fail: new SagaStepError('Out of stock', { status: 409, details: { sku: 'MUG' } }) }),
+      step('d')
+    ]);
+
+    const saga = await engine.start('test', {});
+
+    expect(calls).toEqual(['execute a', 'execute b', 'execute c', 'compensate c', 'compensate b', 'compensate a']);
+    expect(saga).toMatchObject({
+      status: SAGA_STATUS.COMPENSATED,
+      current_step: 0,
+      error: { step: 'c', message: 'Out of stock', status: 409, details: { sku: 'MUG' } }
+    });
+    expect(stepLog(pool, 'failed')).toEqual(['execute c']);
+  });
+
+  it('reports unexpected step errors as 500', async () => {
+    engine.define('test', [step('a', { fail: new Error('connection reset') })]);
+
+    const saga = await engine.start('test', {});
+    expect(saga.error).toMatchObject({ step: 'a', message: 'connection reset', status: 500 });
+  });
+
+  describe('compensation failures', () => {
+    it('leaves the saga to recovery, which carries on where compensation stopped', async () => {
+      let failing = true;
+      engine.define('test', [step('a'), step('b', { failCompensation: () => failing }), step('c', { fail: new Error('boom') })]);
+
+      const saga = await engine.start('test', {});
+      expect(saga).toMatchObject({ status: SAGA_STATUS.COMPENSATING, current_step: 2, compensation_attempts: 1 });
+      expect(saga.locked_until).not.toBeNull();
+
+      // Nothing to recover while the lease is held
+      expect(await engine.recover()).toBe(0);
+
+      failing = false;
+      expireLeases();
+      expect(await engine.recover()).toBe(1);
+
+      expect(pool.sagas.get(saga.id).status).toBe(SAGA_STATUS.COMPENSATED);
+      expect(calls).toEqual(['execute a', 'execute b', 'execute c', 'compensate c', 'compensate b', 'compensate b', 'compensate a']);
+    });
+
+    it('gives up after the last attempt', async () => {
+      engine.define('test', [step('a', { failCompensation: () => true }), step('b', { fail: new Error('boom') })]);
+
+      const saga = await engine.start('test', {});
+      expireLeases();
+      await engine.recover();
+      expireLeases();
+      await engine.recover();
+
+      expect(pool.sagas.get(saga.id)).toMatchObject({ status: SAGA_STATUS.FAILED, compensation_attempts: 3, locked_until: null });
+      expireLeases();
+      expect(await engine.recover()).toBe(0);
+    });
+  });
+
+  describe('recovery', () => {
+    // A saga whose owner crashed after finishing `currentStep` steps
+    const crashed = async (currentStep, status = SAGA_STATUS.RUNNING) => {
+      const saga = await engine.start('setup', {});
+      Object.assign(pool.sagas.get(saga.id), {
+        type: 'test',
+        status,
+        current_step: currentStep,
+        context: { a: 1 },
+        locked_until: new Date(pool.clock.now + 30000)
+      });
+      return saga.id;
+    };
+
+    beforeEach(() => {
+      engine.define('setup', []);
+    });
+
+    it('resumes a crashed saga from its next step once the lease runs out', async () => {
+      engine.define('test', [step('a'), step('b'), step('c')]);
+      const id = await crashed(1);
+
+      expect(await engine.recover()).toBe(0);
+      expireLeases();
+      expect(await engine.recover()).toBe(1);
+
+      expect(calls).toEqual(['execute b', 'execute c']);
+      expect(pool.sagas.get(id)).toMatchObject({ status: SAGA_STATUS.COMPLETED, context: { a: 1, b: 2, c: 3 } });
+    });
+
+    it('unwinds instead when the saga type asks for it, including the interrupted step', async () => {
+      engine.define('test', [step('a'), step('b'), step('c')], { onRecover: 'compensate' });
+      const id = await crashed(1);
+
+      expireLeases();
+      await engine.recover();
+
+      expect(calls).toEqual(['compensate b', 'compensate a']);
+      expect(pool.sagas.get(id)).toMatchObject({ status: SAGA_STATUS.COMPENSATED, error: { message: 'Interrupted', status: 503 } });
+    });
+
+    it('lets only one replica take over a saga', async () => {
+      engine.define('test', [step('a'), step('b'), step('c')]);
+      const other = createSagaEngine({ pool, leaseMs: 30000 });
+      other.define('test', [step('a'), step('b'), step('c')]);
+      await crashed(1);
+
+      expireLeases();
+      const recovered = await Promise.all([engine.recover(), other.recover()]);
+
+      expect(recovered.sort()).toEqual([0, 1]);
+      expect(calls).toEqual(['execute b', 'execute c']);
+    });
+
+    it('keeps going when one saga cannot be recovered', async () => {
+      engine.define('test', [step('a'), step('b')]);
+      const broken = await crashed(1);
+      pool.sagas.get(broken).type = 'no_longer_defined';
+      const healthy = await crashed(1);
+
+      expireLeases();
+      const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+      expect(await engine.recover()).toBe(1);
+      logError.mockRestore();
+
+      expect(pool.sagas.get(healthy).status).toBe(SAGA_STATUS.COMPLETED);
+    });
+  });
+});
+
+describe('create_order saga', () => {
+  let pool;
+  let engine;
+  let outbox;
+  let productService;
+  let requests;
+
+  const respond = (data) => ({ data });
+  const problem = (status, detail) => Object.assign(new Error(`HTTP ${status}`), {
+    response: { status, data: { title: detail, detail } }
+  });
+
+  beforeEach(() => {
+    pool = createSagaPool();
+    engine = createSagaEngine({ pool });
+    outbox = { add: jest.fn().mockResolvedValue() };
+    requests = [];
+
+    const handlers = {
+      'GET /products/skus/MUG': () => respond({
+        product: { _id: 'p1', name: 'Mug' },
+        variant: { sku: 'MUG', attributes: {}, prices: [{ currency: 'USD', amount: 1250 }] }
+      }),
+      'POST /inventory/reservations': () => respond({ reservation: { _id: 'r1', status: 'reserved' } }),
+      'POST /inventory/reservations/r1/commit': () => respond({}),
+      'POST /inventory/reservations/r1/release': () => respond({})
+    };
+    productService = {
+      request: jest.fn(async ({ method, url }) => {
+        requests.push(`${method} ${url}`);
+        return handlers[`${method} ${url}`]();
+      }),
+      handlers
+    };
+
+    defineOrderSagas({ engine, pool, productService, outbox, orderStatus: createOrderStatusService({ outbox }) });
+  });
+
+  const order = { userId: 7, currency: 'USD', shippingAddress: { city: 'Oslo' }, items: [{ sku: 'MUG', quantity: 2 }] };
+
+  it('reserves, writes the order and commits the reservation', async () => {
+    const saga = await engine.start(CREATE_ORDER, order);
+
+    expect(saga.status).toBe(SAGA_STATUS.COMPLETED);
+    expect(requests).toEqual([
+      'GET /products/skus/MUG',
+      'POST /inventory/reservations',
+      'POST /inventory/reservations/r1/commit'
+    ]);
+    expect([...pool.orders.values()]).toEqual([expect.objectContaining({ total_amount: 2500, reservation_id: 'r1', status: 'pending' })]);
+    expect(pool.sagas.get(saga.id).order_id).toBe(1);
+  });
+
+  it('releases the reservation when the order cannot be written', async () => {
+    pool.failures.insertOrder = new Error('deadlock detected');
+
+    const saga = await engine.start(CREATE_ORDER, order);
+
+    expect(saga).toMatchObject({ status: SAGA_STATUS.COMPENSATED, error: { step: 'create_order', status: 500 } });
+    expect(requests.slice(-1)).toEqual(['POST /inventory/reservations/r1/release']);
+    expect(pool.orders.size).toBe(0);
+    expect(pool.orderItems).toHaveLength(0);
+    expect(stepLog(pool, 'succeeded').filter((entry) => entry.startsWith('compensate')))
+      .toEqual(['compensate create_order', 'compensate reserve_stock']);
+  });
+
+  it('cancels the order, then releases the stock, when confirming fails', async () => {
+    productService.handlers['POST /inventory/reservations/r1/commit'] = () => {
+      throw problem(409, 'Reservation cannot be committed from status expired');
+    };
+
+    const saga = await engine.start(CREATE_ORDER, order);
+
+    expect(saga).toMatchObject({
+      status: SAGA_STATUS.COMPENSATED,
+      error: { step: 'confirm', status: 409, message: 'Reservation cannot be committed from status expired' }
+    });
+    expect(stepLog(pool, 'succeeded').filter((entry) => entry.startsWith('compensate')))
+      .toEqual(['compensate create_order', 'compensate reserve_stock']);
+    expect(pool.orders.get(1).status).toBe('cancelled');
+    expect(pool.history.map(({ from, to }) => [from, to])).toEqual([[null, 'pending'], ['pending', 'cancelled']]);
+    expect(outbox.add.mock.calls.map(([, type]) => type)).toEqual(['OrderCreated', 'OrderStatusChanged']);
+    expect(requests[requests.length - 1]).toBe('POST /inventory/reservations/r1/release');
+  });
+
+  it('does not write the order twice when another replica recovers a saga that crashed before recording it', async () => {
+    // The process dies once the order is written, before the saga records
+    // the step: that save never returns
+    const { query } = pool;
+    let crashed = false;
+    pool.query = (sql, params) => {
+      if (!crashed && /^\s*UPDATE sagas SET context/.test(sql) && params[2] === 3) {
+        crashed = true;
+        return new Promise(() => {});
+      }
+      return query(sql, params);
+    };
+
+    engine.start(CREATE_ORDER, order);
+    while (!crashed) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    const [saga] = pool.sagas.values();
+    expect(saga).toMatchObject({ status: SAGA_STATUS.RUNNING, current_step: 2 });
+    expect(pool.orders.size).toBe(1);
+
+    const replica = createSagaEngine({ pool });
+    defineOrderSagas({ engine: replica, pool, productService, outbox, orderStatus: createOrderStatusService({ outbox }) });
+    pool.clock.now += 30001;
+    expect(await replica.recover()).toBe(1);
+
+    expect(pool.sagas.get(saga.id).status).toBe(SAGA_STATUS.COMPLETED);
+    expect(pool.orders.size).toBe(1);
+    expect(outbox.add.mock.calls.map(([, type]) => type)).toEqual(['OrderCreated']);
+  });
+});
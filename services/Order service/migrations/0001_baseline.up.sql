@@ -0,0 +1,109 @@
+-- Schema as created by initDB() before migrations existed. Every statement
+-- is idempotent, so this applies cleanly to those databases too.
+
+CREATE TABLE IF NOT EXISTS orders (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  status VARCHAR(50) DEFAULT 'pending',
+  total_amount INTEGER NOT NULL,
+  shipping_address JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS order_items (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER REFERENCES orders(id),
+  product_id VARCHAR(255) NOT NULL,
+  product_name VARCHAR(255) NOT NULL,
+  quantity INTEGER NOT NULL,
+  price INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Stock reservation held in product-service for the order
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS reservation_id VARCHAR(64);
+
+-- Saga that created the order
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS saga_id UUID;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_saga_id ON orders(saga_id);
+
+CREATE TABLE IF NOT EXISTS sagas (
+  id UUID PRIMARY KEY,
+  type VARCHAR(50) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  payload JSONB NOT NULL,
+  context JSONB NOT NULL DEFAULT '{}',
+  current_step INTEGER NOT NULL DEFAULT 0,
+  order_id INTEGER REFERENCES orders(id),
+  error JSONB,
+  compensation_attempts INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS saga_steps (
+  id SERIAL PRIMARY KEY,
+  saga_id UUID NOT NULL REFERENCES sagas(id),
+  step VARCHAR(50) NOT NULL,
+  action VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sagas_status_locked_until ON sagas(status, locked_until);
+CREATE INDEX IF NOT EXISTS idx_sagas_order_id ON sagas(order_id);
+CREATE INDEX IF NOT EXISTS idx_saga_steps_saga_id ON saga_steps(saga_id);
+
+-- Optimistic concurrency for status changes
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id),
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+  actor_type VARCHAR(20) NOT NULL,
+  actor_id INTEGER,
+  actor_role VARCHAR(20),
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id);
+
+-- Domain events awaiting publication, written with the change they describe
+CREATE TABLE IF NOT EXISTS outbox (
+  id BIGSERIAL PRIMARY KEY,
+  event_id UUID UNIQUE NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  aggregate_id VARCHAR(100),
+  payload JSONB NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  published_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_unpublished ON outbox(id) WHERE published_at IS NULL;
+
+-- Money is integer minor units of the order's currency. Amounts written
+-- before were DECIMAL US dollars.
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'orders' AND column_name = 'total_amount' AND data_type = 'numeric'
+  ) THEN
+    ALTER TABLE orders ALTER COLUMN total_amount TYPE INTEGER USING ROUND(total_amount * 100);
+    ALTER TABLE order_items ALTER COLUMN price TYPE INTEGER USING ROUND(price * 100);
+  END IF;
+END $$;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'USD';
+
+-- Variant ordered, by SKU, and its attributes at the time
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS sku VARCHAR(100);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS attributes JSONB;
@@ -0,0 +1,4 @@
+-- Order listings page through a user's orders newest first; items are
+-- loaded by order
+CREATE INDEX IF NOT EXISTS idx_orders_user_id_created_at ON orders(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
@@ -0,0 +1,243 @@
+// Order reads for order-service.
+//
+// Orders are loaded with their items in two queries however many orders
+// there are: one for the orders, one for all of their items. Listings page
+// with opaque keyset cursors on (created_at, id), newest first, bound to
+// the filters they were issued for, and report the total number of
+// matching orders.
+
+const crypto = require('crypto');
+const { ORDER_STATUSES } = require('./orderStatus');
+const { isCurrency } = require('../../shared/money');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+class OrderQueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OrderQueryError';
+    this.status = status;
+  }
+}
+
+const MAX_ORDER_ID = 2147483647;
+
+// Order IDs are SERIAL; anything else cannot match and is not sent to pg
+const isOrderId = (value) => /^\d{1,10}$/.test(String(value)) && Number(value) <= MAX_ORDER_ID;
+
+// Items of the given orders, grouped by order ID
+const loadItems = async (db, orderIds) => {
+  const items = new Map(orderIds.map((id) => [id, []]));
+  if (orderIds.length === 0) return items;
+
+  const result = await db.query(
+    'SELECT * FROM order_items WHERE order_id = ANY($1::int[]) ORDER BY order_id, id',
+    [orderIds]
+  );
+  result.rows.forEach((item) => items.get(item.order_id).push(item));
+  return items;
+};
+
+const withItems = async (db, orders) => {
+  const items = await loadItems(db, orders.map((order) => order.id));
+  return orders.map((order) => ({ ...order, items: items.get(order.id) }));
+};
+
+// The order with its items, or null. With `userId`, only that user's.
+const getOrderById = async (db, orderId, userId = null) => {
+  if (!isOrderId(orderId)) return null;
+
+  let query = 'SELECT * FROM orders WHERE id = $1';
+  const params = [orderId];
+  if (userId) {
+    query += ' AND user_id = $2';
+    params.push(userId);
+  }
+
+  const result = await db.query(query, params);
+  if (result.rows.length === 0) return null;
+
+  const [order] = await withItems(db, result.rows);
+  return order;
+};
+
+const parseList = (value) => (value === undefined ? [] : [].concat(value)
+  .flatMap((item) => String(item).split(','))
+  .map((item) => item.trim())
+  .filter(Boolean));
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) {
+    throw new OrderQueryError(`${name} must be an ISO 8601 date or date-time`);
+  }
+  return date;
+};
+
+const parseAmount = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isSafeInteger(number) || number < 0) {
+    throw new OrderQueryError(`${name} must be a non-negative integer in minor units`);
+  }
+  return number;
+};
+
+// Normalizes query-string input into validated listing parameters:
+//   status             one or more statuses, comma separated
+//   from, to           created_at range, from inclusive, to exclusive
+//   minTotal, maxTotal total_amount range, minor units
+//   currency           only orders in this currency
+//   limit, cursor      page size and position
+const parseOrderQuery = (query) => {
+  const statuses = parseList(query.status);
+  const unknown = statuses.filter((status) => !ORDER_STATUSES.includes(status));
+  if (unknown.length > 0) {
+    throw new OrderQueryError(`Unknown status: ${unknown.join(', ')}. Use one of ${ORDER_STATUSES.join(', ')}`);
+  }
+
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from && to && from >= to) {
+    throw new OrderQueryError('from must be earlier than to');
+  }
+
+  const minTotal = parseAmount(query.minTotal, 'minTotal');
+  const maxTotal = parseAmount(query.maxTotal, 'maxTotal');
+  if (minTotal !== undefined && maxTotal !== undefined && minTotal > maxTotal) {
+    throw new OrderQueryError('minTotal cannot be greater than maxTotal');
+  }
+
+  const currency = query.currency === undefined || query.currency === '' ? undefined : String(query.currency).toUpperCase();
+  if (currency !== undefined && !isCurrency(currency)) {
+    throw new OrderQueryError(`Unsupported currency: ${query.currency}`);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new OrderQueryError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  if (query.page !== undefined && Number(query.page) !== 1) {
+    throw new OrderQueryError('Page numbers are no longer supported; pass pagination.nextCursor as cursor');
+  }
+
+  return { statuses, from, to, minTotal, maxTotal, currency, limit, cursor: query.cursor };
+};
+
+// Identifies the result set a cursor belongs to
+const filterDigest = (params) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([
+    [...new Set(params.statuses)].sort(),
+    params.from,
+    params.to,
+    params.minTotal,
+    params.maxTotal,
+    params.currency
+  ]))
+  .digest('base64url')
+  .slice(0, 12);
+
+// created_at travels as Postgres text, which keeps its microseconds
+const encodeCursor = (params, order) => Buffer.from(JSON.stringify({
+  f: filterDigest(params),
+  t: order.cursor_created_at,
+  id: order.id
+})).toString('base64url');
+
+// A timestamp as Postgres prints it (2024-05-01 12:30:45.123456), and one
+// that exists; anything else would fail the ::timestamp cast
+const isCursorTimestamp = (value) => {
+  const match = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}:\d{2})(\.\d{1,6})?$/.exec(value);
+  if (!match) return false;
+  const date = new Date(`${match[1]}T${match[2]}Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 19) === `${match[1]}T${match[2]}`;
+};
+
+const decodeCursor = (params) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(params.cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new OrderQueryError('Invalid cursor');
+  }
+
+  if (!cursor || typeof cursor.t !== 'string' || !isCursorTimestamp(cursor.t)
+    || !Number.isInteger(cursor.id) || !isOrderId(cursor.id)) {
+    throw new OrderQueryError('Invalid cursor');
+  }
+  if (cursor.f !== filterDigest(params)) {
+    throw new OrderQueryError('Cursor does not match these filters; start again without a cursor');
+  }
+  return cursor;
+};
+
+// WHERE clause for the filters, as SQL and parameters
+const buildWhere = (userId, params) => {
+  const conditions = ['user_id = $1'];
+  const values = [userId];
+  const add = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (params.statuses.length > 0) add('status = ANY(?::text[])', params.statuses);
+  if (params.from) add('created_at >= ?', params.from);
+  if (params.to) add('created_at < ?', params.to);
+  if (params.minTotal !== undefined) add('total_amount >= ?', params.minTotal);
+  if (params.maxTotal !== undefined) add('total_amount <= ?', params.maxTotal);
+  if (params.currency) add('currency = ?', params.currency);
+
+  return { conditions, values };
+};
+
+// Returns { orders, pagination: { limit, total, hasMore, nextCursor } }
+const listOrders = async (db, userId, query) => {
+  const params = parseOrderQuery(query);
+  const { conditions, values } = buildWhere(userId, params);
+  const where = conditions.join(' AND ');
+
+  const pageConditions = [...conditions];
+  const pageValues = [...values];
+  if (params.cursor) {
+    const cursor = decodeCursor(params);
+    pageValues.push(cursor.t, cursor.id);
+    pageConditions.push(`(created_at, id) < ($${pageValues.length - 1}::timestamp, $${pageValues.length})`);
+  }
+  pageValues.push(params.limit + 1);
+
+  const [page, count] = await Promise.all([
+    db.query(
+      `SELECT *, created_at::text AS cursor_created_at FROM orders
+       WHERE ${pageConditions.join(' AND ')}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${pageValues.length}`,
+      pageValues
+    ),
+    db.query(`SELECT COUNT(*)::int AS total FROM orders WHERE ${where}`, values)
+  ]);
+
+  // One extra row tells us whether there is a next page
+  const hasMore = page.rows.length > params.limit;
+  const rows = page.rows.slice(0, params.limit);
+  const nextCursor = hasMore ? encodeCursor(params, rows[rows.length - 1]) : null;
+  const orders = await withItems(db, rows.map(({ cursor_created_at: cursorCreatedAt, ...order }) => order));
+
+  return {
+    orders,
+    pagination: {
+      limit: params.limit,
+      total: count.rows[0].total,
+      hasMore,
+      nextCursor
+    }
+  };
+};
+
+module.exports = {
+  OrderQueryError,
+  getOrderById,
+  listOrders
+};
@@ -0,0 +1,213 @@
+// Saga definitions for order-service. See saga.js for the engine.
+
+const { SagaStepError } = require('./saga');
+const { multiply, sum } = require('../../shared/money');
+const { parseProblem } = require('../../shared/problem');
+const { SYSTEM_ACTOR, actorFromUser } = require('./orderStatus');
+
+const CREATE_ORDER = 'create_order';
+
+const defineOrderSagas = ({ engine, pool, productService, outbox, orderStatus }) => {
+  // Reservation lookups go by reference (the saga id) so that a reserve
+  // request whose response was lost can still be found and undone.
+  const findReservationId = async (saga) => {
+    if (saga.context.reservationId) {
+      return saga.context.reservationId;
+    }
+    try {
+      const response = await productService.request({
+        method: 'GET',
+        url: '/inventory/reservations',
+        params: { reference: saga.id }
+      });
+      return response.data._id;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  engine.define(CREATE_ORDER, [
+    {
+      name: 'validate_products',
+      // Prices are integer minor units in the order's currency
+      execute: async ({ payload }) => {
+        const { currency } = payload;
+        const items = [];
+
+        for (const item of payload.items) {
+          let product;
+          let variant;
+          try {
+            // Call product service to validate the variant and get its current price
+            const productResponse = await productService.request({
+              method: 'GET',
+              url: `/products/skus/${encodeURIComponent(item.sku)}`
+            });
+            ({ product, variant } = productResponse.data);
+          } catch (error) {
+            if (error.response) {
+              throw new SagaStepError(`Invalid product: ${item.sku}`, { status: 400 });
+            }
+            throw new SagaStepError('Product service unavailable', { status: 503 });
+          }
+
+          const price = variant.prices.find((entry) => entry.currency === currency);
+          if (!price) {
+            throw new SagaStepError(`Product ${item.sku} is not sold in ${currency}`, { status: 400 });
+          }
+
+          items.push({
+            productId: product._id,
+            sku: variant.sku,
+            productName: product.name,
+            attributes: variant.attributes,
+            quantity: item.quantity,
+            price: price.amount
+          });
+        }
+
+        const totalAmount = sum(items.map((item) => multiply(item.price, item.quantity)));
+        return { items, totalAmount, currency };
+      }
+    },
+    {
+      name: 'reserve_stock',
+      execute: async ({ id, context }) => {
+        try {
+          const response = await productService.request({
+            method: 'POST',
+            url: '/inventory/reservations',
+            data: {
+              reference: id,
+              items: context.items.map(item => ({ productId: item.productId, sku: item.sku, quantity: item.quantity }))
+            }
+          });
+
+          const { reservation } = response.data;
+          if (!['reserved', 'committed'].includes(reservation.status)) {
+            throw new SagaStepError(`Stock reservation is ${reservation.status}`, { status: 409 });
+          }
+          return { reservationId: reservation._id };
+        } catch (error) {
+          if (error.response && [404, 409].includes(error.response.status)) {
+            const { message, details } = parseProblem(error.response.data);
+            throw new SagaStepError(message, { status: 409, details });
+          }
+          if (error instanceof SagaStepError) {
+            throw error;
+          }
+          throw new SagaStepError('Inventory unavailable, please retry', { status: 503 });
+        }
+      },
+      compensate: async (saga) => {
+        const reservationId = await findReservationId(saga);
+        if (reservationId) {
+          await productService.request({ method: 'POST', url: `/inventory/reservations/${reservationId}/release` });
+        }
+      }
+    },
+    {
+      name: 'create_order',
+      execute: async ({ id, payload, context }) => {
+        const client = await pool.connect();
+
+        try {
+          await client.query('BEGIN');
+
+          // Re-running after a crash finds the order written the first time
+          const existing = await client.query('SELECT id FROM orders WHERE saga_id = $1', [id]);
+          if (existing.rows.length > 0) {
+            await client.query('COMMIT');
+            return { orderId: existing.rows[0].id };
+          }
+
+          const orderResult = await client.query(
+            `INSERT INTO orders (user_id, total_amount, currency, shipping_address, reservation_id, saga_id)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, status`,
+            [payload.userId, context.totalAmount, context.currency, JSON.stringify(payload.shippingAddress), context.reservationId, id]
+          );
+          const orderId = orderResult.rows[0].id;
+          await orderStatus.recordCreated(client, orderResult.rows[0], actorFromUser({ userId: payload.userId }));
+
+          for (const item of context.items) {
+            await client.query(
+              `INSERT INTO order_items (order_id, product_id, sku, product_name, attributes, quantity, price)
+               VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+              [orderId, item.productId, item.sku, item.productName, JSON.stringify(item.attributes || {}), item.quantity, item.price]
+            );
+          }
+
+          await outbox.add(client, 'OrderCreated', {
+            orderId,
+            userId: payload.userId,
+            status: 'pending',
+            totalAmount: context.totalAmount,
+            currency: context.currency,
+            items: context.items
+          }, { aggregateId: orderId });
+
+          await client.query('UPDATE sagas SET order_id = $1 WHERE id = $2', [orderId, id]);
+          await client.query('COMMIT');
+          return { orderId };
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        } finally {
+          client.release();
+        }
+      },
+      // The order is kept, cancelled, so the failed saga stays inspectable
+      // through GET /orders/:id/saga.
+      compensate: async ({ id, error: failure }) => {
+        const client = await pool.connect();
+
+        try {
+          await client.query('BEGIN');
+
+          const result = await client.query('SELECT id, status FROM orders WHERE saga_id = $1', [id]);
+          if (result.rows.length > 0 && result.rows[0].status !== 'cancelled') {
+            await orderStatus.transition(client, {
+              orderId: result.rows[0].id,
+              to: 'cancelled',
+              actor: SYSTEM_ACTOR,
+              reason: `Order creation failed: ${(failure && failure.message) || 'unknown error'}`
+            });
+          }
+
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        } finally {
+          client.release();
+        }
+      }
+    },
+    {
+      name: 'confirm',
+      execute: async ({ context }) => {
+        try {
+          await productService.request({
+            method: 'POST',
+            url: `/inventory/reservations/${context.reservationId}/commit`
+          });
+        } catch (error) {
+          if (error.response && error.response.status === 409) {
+            // Typically the reservation expired before we got here
+            throw new SagaStepError(parseProblem(error.response.data).message, { status: 409 });
+          }
+          throw error;
+        }
+        return { confirmed: true };
+      }
+    }
+  ]);
+};
+
+module.exports = {
+  CREATE_ORDER,
+  defineOrderSagas
+};
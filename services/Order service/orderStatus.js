@@ -0,0 +1,141 @@
+// Order status lifecycle for order-service.
+//
+// Every status change goes through `transition`, which enforces the graph
+// below, bumps the order's `version` and writes an `order_status_history`
+// row and an OrderStatusChanged event, all inside the caller's transaction.
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// States a customer may still cancel their own order from
+const CUSTOMER_CANCELLABLE = ['pending', 'confirmed'];
+
+class OrderStatusError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'OrderStatusError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Strong ETag for an order at a given version
+const etagFor = (order) => `"${order.id}-${order.version}"`;
+
+const SYSTEM_ACTOR = { type: 'system', id: null, role: null };
+
+const actorFromUser = (user) => ({ type: 'user', id: user.userId, role: user.role || null });
+
+const createOrderStatusService = ({ outbox }) => {
+  const recordHistory = (db, { orderId, from, to, actor, reason }) => db.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, actor_type, actor_id, actor_role, reason)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [orderId, from, to, actor.type, actor.id, actor.role, reason || null]
+  );
+
+  // Initial history row for an order that was just inserted.
+  const recordCreated = (db, order, actor = SYSTEM_ACTOR) => recordHistory(db, {
+    orderId: order.id,
+    from: null,
+    to: order.status,
+    actor,
+    reason: 'Order created'
+  });
+
+  // Moves an order to `to`. Options:
+  //   userId       only match orders belonging to this user
+  //   allowedFrom  further restricts the states the move may start from
+  //   ifMatch      ETag the client last saw (412 when stale)
+  //   version      version the client last saw (409 when stale)
+  // Returns { order, previousStatus }. `db` must hold an open transaction.
+  const transition = async (db, { orderId, to, actor, reason, userId = null, allowedFrom = null, ifMatch, version }) => {
+    if (!ORDER_STATUSES.includes(to)) {
+      throw new OrderStatusError('Invalid status', 400, { allowed: ORDER_STATUSES });
+    }
+
+    const params = [orderId];
+    let query = 'SELECT * FROM orders WHERE id = $1';
+    if (userId) {
+      query += ' AND user_id = $2';
+      params.push(userId);
+    }
+
+    const current = await db.query(`${query} FOR UPDATE`, params);
+    if (current.rows.length === 0) {
+      throw new OrderStatusError('Order not found', 404);
+    }
+
+    const order = current.rows[0];
+    if (ifMatch && ifMatch !== '*' && ifMatch !== etagFor(order)) {
+      throw new OrderStatusError('Order has been modified', 412, { version: order.version });
+    }
+    if (version !== undefined && Number(version) !== order.version) {
+      throw new OrderStatusError('Order has been modified', 409, { version: order.version });
+    }
+
+    const from = order.status;
+    const allowed = !allowedFrom || allowedFrom.includes(from) ? TRANSITIONS[from] || [] : [];
+    if (!allowed.includes(to)) {
+      throw new OrderStatusError(`Cannot change order status from ${from} to ${to}`, 409, { status: from, allowed });
+    }
+
+    const updated = await db.query(
+      `UPDATE orders SET status = $2, version = version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [order.id, to]
+    );
+
+    await recordHistory(db, { orderId: order.id, from, to, actor, reason });
+    await outbox.add(db, 'OrderStatusChanged', {
+      orderId: order.id,
+      userId: order.user_id,
+      previousStatus: from,
+      status: to,
+      version: updated.rows[0].version,
+      actor: { type: actor.type, id: actor.id },
+      reason: reason || null
+    }, { aggregateId: order.id });
+
+    return { order: updated.rows[0], previousStatus: from };
+  };
+
+  const history = async (db, orderId) => {
+    const result = await db.query(
+      `SELECT from_status, to_status, actor_type, actor_id, actor_role, reason, created_at
+       FROM order_status_history WHERE order_id = $1 ORDER BY id`,
+      [orderId]
+    );
+    return result.rows.map((row) => ({
+      from: row.from_status,
+      to: row.to_status,
+      actor: { type: row.actor_type, id: row.actor_id, role: row.actor_role },
+      reason: row.reason,
+      at: row.created_at
+    }));
+  };
+
+  return {
+    recordCreated,
+    transition,
+    history
+  };
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  CUSTOMER_CANCELLABLE,
+  OrderStatusError,
+  SYSTEM_ACTOR,
+  actorFromUser,
+  etagFor,
+  createOrderStatusService
+};
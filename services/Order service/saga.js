@@ -0,0 +1,264 @@
+// Persisted saga orchestration for order-service.
+//
+// A saga is an ordered list of steps, each with an `execute` and an optional
+// `compensate`. Progress is written to the `sagas` table after every step
+// and every step attempt is logged to `saga_steps`, so a saga interrupted by
+// a crash can be resumed (or unwound) by whichever replica picks it up next.
+// Steps must therefore be idempotent: a step may run again after a crash
+// between doing its work and recording it.
+//
+// `current_step` is the index of the next step to execute while running, and
+// the number of steps that may still need undoing while compensating.
+
+const crypto = require('crypto');
+const { logger } = require('../../shared/logger');
+
+const SAGA_STATUS = {
+  RUNNING: 'running',
+  COMPENSATING: 'compensating',
+  COMPLETED: 'completed',
+  COMPENSATED: 'compensated',
+  FAILED: 'failed'
+};
+
+// Business failure raised by a step, carrying the HTTP status the caller
+// should see. Anything else is treated as an internal error.
+class SagaStepError extends Error {
+  constructor(message, { status = 500, details } = {}) {
+    super(message);
+    this.name = 'SagaStepError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const serializeError = (error, step) => ({
+  step,
+  message: error.message,
+  status: error instanceof SagaStepError ? error.status : 500,
+  details: error instanceof SagaStepError ? error.details : undefined
+});
+
+const createSagaEngine = ({
+  pool,
+  leaseMs = 30000,
+  maxCompensationAttempts = 10,
+  onFinished = () => {}
+}) => {
+  const definitions = new Map();
+
+  // `onRecover` decides what happens to a saga found running after a
+  // restart: 'resume' carries on forward, 'compensate' unwinds it.
+  const define = (type, steps, { onRecover = 'resume' } = {}) => {
+    definitions.set(type, { steps, onRecover });
+  };
+
+  const logStep = (sagaId, step, action, status, error) => pool.query(
+    `INSERT INTO saga_steps (saga_id, step, action, status, error)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [sagaId, step, action, status, error ? error.message : null]
+  );
+
+  const save = async (saga, fields) => {
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+    const result = await pool.query(
+      `UPDATE sagas SET ${assignments.join(', ')},
+         locked_until = CURRENT_TIMESTAMP + make_interval(secs => ${leaseMs / 1000}),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [saga.id, ...columns.map((column) => fields[column])]
+    );
+    return result.rows[0];
+  };
+
+  const finish = async (saga, status) => {
+    const result = await pool.query(
+      `UPDATE sagas SET status = $2, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [saga.id, status]
+    );
+    const finished = result.rows[0];
+    onFinished(finished);
+    return finished;
+  };
+
+  const executeForward = async (saga, steps) => {
+    for (let index = saga.current_step; index < steps.length; index++) {
+      const step = steps[index];
+      await logStep(saga.id, step.name, 'execute', 'started');
+
+      try {
+        const result = await step.execute(saga);
+        saga = await save(saga, {
+          context: { ...saga.context, ...result },
+          current_step: index + 1
+        });
+        await logStep(saga.id, step.name, 'execute', 'succeeded');
+      } catch (error) {
+        await logStep(saga.id, step.name, 'execute', 'failed', error);
+        // The failed step is included: it may have partly applied.
+        return save(saga, {
+          status: SAGA_STATUS.COMPENSATING,
+          current_step: index + 1,
+          error: serializeError(error, step.name)
+        });
+      }
+    }
+    return finish(saga, SAGA_STATUS.COMPLETED);
+  };
+
+  const compensate = async (saga, steps) => {
+    for (let index = saga.current_step - 1; index >= 0; index--) {
+      const step = steps[index];
+      if (step.compensate) {
+        await logStep(saga.id, step.name, 'compensate', 'started');
+        try {
+          await step.compensate(saga);
+          await logStep(saga.id, step.name, 'compensate', 'succeeded');
+        } catch (error) {
+          await logStep(saga.id, step.name, 'compensate', 'failed', error);
+          const attempts = saga.compensation_attempts + 1;
+          if (attempts >= maxCompensationAttempts) {
+            await save(saga, { compensation_attempts: attempts });
+            return finish(saga, SAGA_STATUS.FAILED);
+          }
+          // Leave it to the recovery loop once the lease runs out
+          return save(saga, { compensation_attempts: attempts });
+        }
+      }
+      saga = await save(saga, { current_step: index });
+    }
+    return finish(saga, SAGA_STATUS.COMPENSATED);
+  };
+
+  const run = async (saga) => {
+    const definition = definitions.get(saga.type);
+    if (!definition) {
+      throw new Error(`Unknown saga type: ${saga.type}`);
+    }
+
+    if (saga.status === SAGA_STATUS.RUNNING) {
+      saga = await executeForward(saga, definition.steps);
+    }
+    if (saga.status === SAGA_STATUS.COMPENSATING) {
+      saga = await compensate(saga, definition.steps);
+    }
+    return saga;
+  };
+
+  const start = async (type, payload) => {
+    if (!definitions.has(type)) {
+      throw new Error(`Unknown saga type: ${type}`);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO sagas (id, type, status, payload, context, current_step, locked_until)
+       VALUES ($1, $2, $3, $4, '{}', 0, CURRENT_TIMESTAMP + make_interval(secs => ${leaseMs / 1000}))
+       RETURNING *`,
+      [crypto.randomUUID(), type, SAGA_STATUS.RUNNING, payload]
+    );
+    return run(result.rows[0]);
+  };
+
+  // Takes over sagas whose owner stopped renewing its lease. The claim is a
+  // conditional update, so two replicas never run the same saga.
+  const recover = async (limit = 20) => {
+    const stale = await pool.query(
+      `SELECT id FROM sagas
+       WHERE status IN ($1, $2) AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+       ORDER BY updated_at LIMIT $3`,
+      [SAGA_STATUS.RUNNING, SAGA_STATUS.COMPENSATING, limit]
+    );
+
+    let recovered = 0;
+    for (const { id } of stale.rows) {
+      const claimed = await pool.query(
+        `UPDATE sagas SET locked_until = CURRENT_TIMESTAMP + make_interval(secs => ${leaseMs / 1000}),
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ($2, $3) AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+         RETURNING *`,
+        [id, SAGA_STATUS.RUNNING, SAGA_STATUS.COMPENSATING]
+      );
+      if (claimed.rows.length === 0) continue;
+
+      let saga = claimed.rows[0];
+      const definition = definitions.get(saga.type);
+      try {
+        if (saga.status === SAGA_STATUS.RUNNING && definition && definition.onRecover === 'compensate') {
+          saga = await save(saga, {
+            status: SAGA_STATUS.COMPENSATING,
+            current_step: Math.min(saga.current_step + 1, definition.steps.length),
+            error: { message: 'Interrupted', status: 503 }
+          });
+        }
+        await run(saga);
+        recovered++;
+      } catch (error) {
+        logger.error('Saga recovery error', { sagaId: id, error });
+      }
+    }
+    return recovered;
+  };
+
+  // Returns { stop }, which waits for a recovery pass in progress
+  const startRecovery = (interval = Number(process.env.SAGA_RECOVERY_INTERVAL_MS || 15000)) => {
+    let running = null;
+
+    const tick = async () => {
+      try {
+        const recovered = await recover();
+        if (recovered > 0) {
+          logger.info('Recovered sagas', { count: recovered });
+        }
+      } catch (error) {
+        logger.error('Saga recovery error', { error });
+      } finally {
+        running = null;
+      }
+    };
+
+    running = tick();
+    const timer = setInterval(() => {
+      running = running || tick();
+    }, interval);
+    timer.unref();
+    return {
+      stop: async () => {
+        clearInterval(timer);
+        await running;
+      }
+    };
+  };
+
+  const findByOrderId = async (orderId) => {
+    const sagaResult = await pool.query(
+      'SELECT * FROM sagas WHERE order_id = $1 ORDER BY created_at DESC LIMIT 1',
+      [orderId]
+    );
+    if (sagaResult.rows.length === 0) {
+      return null;
+    }
+
+    const saga = sagaResult.rows[0];
+    const stepsResult = await pool.query(
+      'SELECT step, action, status, error, created_at FROM saga_steps WHERE saga_id = $1 ORDER BY id',
+      [saga.id]
+    );
+    return { ...saga, steps: stepsResult.rows };
+  };
+
+  return {
+    define,
+    start,
+    recover,
+    startRecovery,
+    findByOrderId
+  };
+};
+
+module.exports = {
+  SAGA_STATUS,
+  SagaStepError,
+  createSagaEngine
+};
@@ -0,0 +1,89 @@
+// Request schemas for order-service routes; see shared/validation.js.
+// Listing filters are checked further in orderQueries.js.
+
+const { schemas: { id, positiveInteger, amount, currency, nonEmptyString } } = require('../../shared/validation');
+const { ORDER_STATUSES } = require('./orderStatus');
+
+const orderParams = {
+  type: 'object',
+  properties: { id },
+  required: ['id']
+};
+
+const reason = { type: 'string', maxLength: 500 };
+
+const createOrder = {
+  body: {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 100,
+        items: {
+          type: 'object',
+          properties: {
+            sku: nonEmptyString(64),
+            quantity: positiveInteger
+          },
+          required: ['sku', 'quantity'],
+          additionalProperties: false
+        }
+      },
+      currency,
+      shippingAddress: { type: 'object', maxProperties: 20 }
+    },
+    required: ['items'],
+    additionalProperties: false
+  }
+};
+
+const listOrders = {
+  query: {
+    type: 'object',
+    properties: {
+      status: { type: 'array', items: { type: 'string', maxLength: 200 }, maxItems: 20 },
+      from: { type: 'string', maxLength: 40 },
+      to: { type: 'string', maxLength: 40 },
+      minTotal: amount,
+      maxTotal: amount,
+      currency,
+      limit: { type: 'integer', minimum: 1, maximum: 100 },
+      cursor: { type: 'string', maxLength: 500 },
+      page: positiveInteger
+    }
+  }
+};
+
+const getOrder = { params: orderParams };
+
+const updateStatus = {
+  params: orderParams,
+  body: {
+    type: 'object',
+    properties: {
+      status: { enum: ORDER_STATUSES },
+      reason,
+      version: positiveInteger
+    },
+    required: ['status'],
+    additionalProperties: false
+  }
+};
+
+const cancelOrder = {
+  params: orderParams,
+  body: {
+    type: 'object',
+    properties: { reason },
+    additionalProperties: false
+  }
+};
+
+module.exports = {
+  createOrder,
+  listOrders,
+  getOrder,
+  updateStatus,
+  cancelOrder
+};
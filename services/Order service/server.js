@@ -1,12 +1,53 @@
+const path = require('path');
 const express = require('express');
 const { Pool } = require('pg');
-const jwt = require('jsonwebtoken');
-const axios = require('axios');
+const { createMetrics } = require('../../shared/metrics');
+const { initTracing } = require('../../shared/tracing');
+const { logger, initLogging } = require('../../shared/logger');
+const { createLifecycle } = require('../../shared/lifecycle');
+const { closeRedisClients } = require('../../shared/redis');
+const { createAuthenticateToken } = require('../../shared/auth');
+const { serviceHeaders } = require('../../shared/serviceAuth');
+const { createDenylist } = require('../../shared/tokenDenylist');
+const { createJwksClient } = require('../../shared/jwks');
+const { hasPermission, requirePermission } = require('../../shared/authorize');
+const { createUpstream } = require('../../shared/resilience');
+const { createIdempotency } = require('../../shared/idempotency');
+const { createSagaEngine } = require('./saga');
+const { CREATE_ORDER, defineOrderSagas } = require('./orderSagas');
+const { createBroker, subscribe } = require('../../shared/events');
+const { createPgOutbox } = require('../../shared/outbox');
+const { createMigrator } = require('../../shared/migrations');
+const { createHealth, postgresCheck, redisCheck, upstreamCheck } = require('../../shared/health');
+const { sendProblem, problemHandler, notFound } = require('../../shared/problem');
+const { validate } = require('../../shared/validation');
+const schemas = require('./schemas');
+const { DEFAULT_CURRENCY, isCurrency } = require('../../shared/money');
+const {
+  CUSTOMER_CANCELLABLE,
+  OrderStatusError,
+  SYSTEM_ACTOR,
+  actorFromUser,
+  etagFor,
+  createOrderStatusService
+} = require('./orderStatus');
+const { OrderQueryError, getOrderById: loadOrder, listOrders } = require('./orderQueries');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3003;
-
+const metrics = createMetrics('order_service');
+const tracing = initTracing({ serviceName: 'order-service' });
+const logging = initLogging({ service: 'order-service' });
+
+// On SIGTERM/SIGINT: drain requests, stop workers, close what is registered
+const lifecycle = createLifecycle();
+lifecycle.resource('redis', closeRedisClients);
+lifecycle.resource('tracing', tracing.shutdown);
+
+app.use(tracing.middleware);
+app.use(logging.middleware);
+app.use(metrics.middleware);
 app.use(express.json());
 
 // PostgreSQL connection
@@ -15,312 +56,355 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-// Initialize database
-const initDB = async () => {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS orders (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER NOT NULL,
-        status VARCHAR(50) DEFAULT 'pending',
-        total_amount DECIMAL(10,2) NOT NULL,
-        shipping_address JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS order_items (
-        id SERIAL PRIMARY KEY,
-        order_id INTEGER REFERENCES orders(id),
-        product_id VARCHAR(255) NOT NULL,
-        product_name VARCHAR(255) NOT NULL,
-        quantity INTEGER NOT NULL,
-        price DECIMAL(10,2) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    console.log('✅ Order database initialized');
-  } catch (error) {
-    console.error('❌ Database initialization error:', error);
-  }
-};
+metrics.trackPgPool(pool);
+tracing.tracePgPool(pool);
+lifecycle.resource('postgres', () => pool.end());
 
-initDB();
+const ordersTotal = metrics.counter('orders_total', 'Total orders processed');
 
-// JWT Middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+const PRODUCT_SERVICE_URL = process.env.PRODUCT_SERVICE_URL || 'http://localhost:3002';
+// Stock reservations are an internal API that needs service credentials
+const productService = createUpstream('product', PRODUCT_SERVICE_URL, { headers: serviceHeaders() });
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
+const sagasTotal = metrics.counter('sagas_total', 'Finished sagas by type and outcome', {
+  labelNames: ['type', 'status']
+});
+
+const sagaEngine = createSagaEngine({
+  pool,
+  onFinished: (saga) => sagasTotal.inc({ type: saga.type, status: saga.status })
+});
+const broker = createBroker();
+lifecycle.resource('event broker', () => broker.close());
+const outbox = createPgOutbox({ pool, broker, source: 'order-service' });
+const orderStatus = createOrderStatusService({ outbox });
+defineOrderSagas({ engine: sagaEngine, pool, productService, outbox, orderStatus });
+
+// Schema migrations live in migrations/; see shared/migrations.js
+const migrator = createMigrator({ pool, directory: path.join(__dirname, 'migrations') });
+
+// A captured payment confirms a pending order. Orders that moved on in the
+// meantime (typically cancelled, which refunds the payment) are left alone.
+//
+// A cancelled order gives its stock back. This runs off the cancellation's
+// own OrderStatusChanged event, so it happens only once the cancellation
+// has committed and is retried until product-service takes it; releasing a
+// reservation twice is harmless.
+const startConsumers = () => subscribe(broker, {
+  group: 'order-service',
+  handlers: {
+    OrderStatusChanged: async ({ data }) => {
+      if (data.status !== 'cancelled') return;
+
+      const result = await pool.query('SELECT reservation_id FROM orders WHERE id = $1', [data.orderId]);
+      const reservationId = result.rows.length > 0 && result.rows[0].reservation_id;
+      if (reservationId) {
+        await productService.request({ method: 'POST', url: `/inventory/reservations/${reservationId}/release` });
+      }
+    },
+    PaymentCaptured: async ({ data }) => {
+      const client = await pool.connect();
 
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
+      try {
+        await client.query('BEGIN');
+        await orderStatus.transition(client, {
+          orderId: data.orderId,
+          to: 'confirmed',
+          actor: SYSTEM_ACTOR,
+          reason: `Payment ${data.paymentId} captured`,
+          allowedFrom: ['pending']
+        });
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        if (error instanceof OrderStatusError && [404, 409].includes(error.status)) {
+          logger.warn('Captured payment not applied to order', { paymentId: data.paymentId, orderId: data.orderId, error });
+          return;
+        }
+        throw error;
+      } finally {
+        client.release();
+      }
     }
-    req.user = user;
-    next();
-  });
-};
+  }
+});
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    service: 'order-service',
-    status: 'healthy',
-    timestamp: new Date().toISOString()
-  });
+// JWT Middleware
+const jwks = createJwksClient();
+const authenticateToken = createAuthenticateToken({ getKey: jwks.getKey, denylist: createDenylist() });
+
+// Honours Idempotency-Key on mutating routes; mounted after authentication
+const idempotent = createIdempotency();
+
+// Without product-service orders cannot be placed, but they can still be
+// read and updated, so it only degrades readiness
+const health = createHealth({
+  service: 'order-service',
+  isShuttingDown: lifecycle.isShuttingDown,
+  checks: [
+    postgresCheck(pool),
+    ...(process.env.REDIS_URL ? [redisCheck()] : []),
+    upstreamCheck('product-service', PRODUCT_SERVICE_URL)
+  ]
 });
 
+// Health checks: liveness, and readiness with dependency checks.
+// /health is kept for older probes and reports readiness.
+app.get('/health/live', health.live);
+app.get('/health/ready', health.ready);
+app.get('/health', health.ready);
+
 // Metrics
-app.get('/metrics', (req, res) => {
-  res.set('Content-Type', 'text/plain');
-  res.send(`
-# HELP order_service_requests_total Total requests to order service
-# TYPE order_service_requests_total counter
-order_service_requests_total ${Math.floor(Math.random() * 300)}
-
-# HELP order_service_orders_total Total orders processed
-# TYPE order_service_orders_total counter
-order_service_orders_total ${Math.floor(Math.random() * 150)}
-  `);
-});
+app.get('/metrics', metrics.handler);
 
 // Create order
-app.post('/orders', authenticateToken, async (req, res) => {
-  const client = await pool.connect();
-  
+app.post('/orders', authenticateToken, validate(schemas.createOrder), idempotent, async (req, res) => {
   try {
-    await client.query('BEGIN');
-
     const { items, shippingAddress } = req.body;
     const userId = req.user.userId;
 
-    if (!items || items.length === 0) {
-      return res.status(400).json({ error: 'Order items are required' });
+    if (req.body.currency !== undefined && !isCurrency(req.body.currency)) {
+      return sendProblem(res, 400, `Unsupported currency: ${req.body.currency}`);
     }
 
-    // Validate products and calculate total
-    let totalAmount = 0;
-    const validatedItems = [];
+    const saga = await sagaEngine.start(CREATE_ORDER, {
+      userId,
+      items: items.map(({ sku, quantity }) => ({ sku, quantity })),
+      currency: req.body.currency || DEFAULT_CURRENCY,
+      shippingAddress
+    });
 
-    for (const item of items) {
-      try {
-        // Call product service to validate product and get current price
-        const productResponse = await axios.get(
-          `${process.env.PRODUCT_SERVICE_URL || 'http://localhost:3002'}/products/${item.productId}`
-        );
-        
-        const product = productResponse.data;
-        const itemTotal = product.price * item.quantity;
-        totalAmount += itemTotal;
-
-        validatedItems.push({
-          productId: item.productId,
-          productName: product.name,
-          quantity: item.quantity,
-          price: product.price
-        });
-      } catch (error) {
-        return res.status(400).json({ 
-          error: `Invalid product: ${item.productId}` 
-        });
+    if (saga.status !== 'completed') {
+      const failure = saga.error || {};
+      if (!failure.status || failure.status >= 500) {
+        const status = failure.status === 503 ? 503 : 500;
+        return sendProblem(res, status, status === 503 ? failure.message : 'Internal server error', { sagaId: saga.id });
       }
+      return sendProblem(res, failure.status, failure.message, { ...failure.details, sagaId: saga.id });
     }
 
-    // Create order
-    const orderResult = await client.query(
-      'INSERT INTO orders (user_id, total_amount, shipping_address) VALUES ($1, $2, $3) RETURNING *',
-      [userId, totalAmount, JSON.stringify(shippingAddress)]
-    );
-
-    const order = orderResult.rows[0];
-
-    // Create order items
-    for (const item of validatedItems) {
-      await client.query(
-        'INSERT INTO order_items (order_id, product_id, product_name, quantity, price) VALUES ($1, $2, $3, $4, $5)',
-        [order.id, item.productId, item.productName, item.quantity, item.price]
-      );
-    }
-
-    await client.query('COMMIT');
+    ordersTotal.inc();
 
     // Get complete order with items
-    const completeOrder = await getOrderById(order.id);
+    const completeOrder = await getOrderById(saga.context.orderId);
 
     res.status(201).json({
       message: 'Order created successfully',
       order: completeOrder
     });
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Create order error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  } finally {
-    client.release();
+    logger.error('Create order error', { error });
+    sendProblem(res, 500, 'Internal server error');
   }
 });
 
-// Get user orders
-app.get('/orders', authenticateToken, async (req, res) => {
+// Get user orders, newest first. See orderQueries.js for filters and
+// cursor pagination.
+app.get('/orders', authenticateToken, validate(schemas.listOrders), async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const { page = 1, limit = 10, status } = req.query;
-
-    let query = 'SELECT * FROM orders WHERE user_id = $1';
-    const params = [userId];
-
-    if (status) {
-      query += ' AND status = $2';
-      params.push(status);
-    }
-
-    query += ' ORDER BY created_at DESC LIMIT $' + (params.length + 1) + ' OFFSET $' + (params.length + 2);
-    params.push(parseInt(limit), (page - 1) * limit);
-
-    const result = await pool.query(query, params);
-
-    // Get order items for each order
-    const orders = await Promise.all(
-      result.rows.map(async (order) => {
-        const itemsResult = await pool.query(
-          'SELECT * FROM order_items WHERE order_id = $1',
-          [order.id]
-        );
-        
-        return {
-          ...order,
-          shipping_address: order.shipping_address,
-          items: itemsResult.rows
-        };
-      })
-    );
-
-    res.json({
-      orders,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: result.rows.length
-      }
-    });
+    res.json(await listOrders(pool, req.user.userId, req.query));
   } catch (error) {
-    console.error('Get orders error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    if (error instanceof OrderQueryError) {
+      return sendProblem(res, error.status, error.message);
+    }
+    logger.error('Get orders error', { error });
+    sendProblem(res, 500, 'Internal server error');
   }
 });
 
 // Get order by ID
-app.get('/orders/:id', authenticateToken, async (req, res) => {
+app.get('/orders/:id', authenticateToken, validate(schemas.getOrder), async (req, res) => {
   try {
     const orderId = req.params.id;
-    const userId = req.user.userId;
+    const userId = hasPermission(req.user, 'orders:read-any') ? null : req.user.userId;
 
     const order = await getOrderById(orderId, userId);
 
     if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+      return sendProblem(res, 404, 'Order not found');
     }
 
+    res.set('ETag', etagFor(order));
     res.json(order);
   } catch (error) {
-    console.error('Get order error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error('Get order error', { error });
+    sendProblem(res, 500, 'Internal server error');
   }
 });
 
-// Update order status
-app.patch('/orders/:id/status', authenticateToken, async (req, res) => {
+// Get the saga that created an order
+app.get('/orders/:id/saga', authenticateToken, validate(schemas.getOrder), async (req, res) => {
   try {
     const orderId = req.params.id;
-    const { status } = req.body;
-    const userId = req.user.userId;
+    const userId = hasPermission(req.user, 'orders:read-any') ? null : req.user.userId;
 
-    const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-    
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    const order = await getOrderById(orderId, userId);
+    if (!order) {
+      return sendProblem(res, 404, 'Order not found');
     }
 
-    const result = await pool.query(
-      'UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3 RETURNING *',
-      [status, orderId, userId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Order not found' });
+    const saga = await sagaEngine.findByOrderId(order.id);
+    if (!saga) {
+      return sendProblem(res, 404, 'No saga recorded for this order');
     }
 
-    const order = await getOrderById(orderId, userId);
-
     res.json({
-      message: 'Order status updated successfully',
-      order
+      id: saga.id,
+      type: saga.type,
+      status: saga.status,
+      currentStep: saga.current_step,
+      context: saga.context,
+      error: saga.error,
+      compensationAttempts: saga.compensation_attempts,
+      createdAt: saga.created_at,
+      updatedAt: saga.updated_at,
+      steps: saga.steps
     });
   } catch (error) {
-    console.error('Update order status error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error('Get order saga error', { error });
+    sendProblem(res, 500, 'Internal server error');
   }
 });
 
-// Cancel order
-app.delete('/orders/:id', authenticateToken, async (req, res) => {
+// Get the status history of an order
+app.get('/orders/:id/history', authenticateToken, validate(schemas.getOrder), async (req, res) => {
   try {
     const orderId = req.params.id;
-    const userId = req.user.userId;
-
-    const result = await pool.query(
-      'UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3 AND status IN ($4, $5) RETURNING *',
-      ['cancelled', orderId, userId, 'pending', 'confirmed']
-    );
+    const userId = hasPermission(req.user, 'orders:read-any') ? null : req.user.userId;
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Order not found or cannot be cancelled' });
+    const order = await getOrderById(orderId, userId);
+    if (!order) {
+      return sendProblem(res, 404, 'Order not found');
     }
 
-    res.json({ message: 'Order cancelled successfully' });
+    res.json({
+      orderId: order.id,
+      status: order.status,
+      version: order.version,
+      history: await orderStatus.history(pool, order.id)
+    });
   } catch (error) {
-    console.error('Cancel order error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error('Get order history error', { error });
+    sendProblem(res, 500, 'Internal server error');
   }
 });
 
-// Helper function to get complete order
-async function getOrderById(orderId, userId = null) {
-  let query = 'SELECT * FROM orders WHERE id = $1';
-  const params = [orderId];
-
-  if (userId) {
-    query += ' AND user_id = $2';
-    params.push(userId);
+const handleOrderStatusError = (res, error) => {
+  if (error instanceof OrderStatusError) {
+    sendProblem(res, error.status, error.message, error.details);
+    return true;
   }
+  return false;
+};
+
+// Update order status. Accepts If-Match (or `version` in the body) to
+// guard against overwriting a change the caller has not seen.
+app.patch('/orders/:id/status', authenticateToken, requirePermission('orders:update-status'), validate(schemas.updateStatus), idempotent, async (req, res) => {
+  const orderId = req.params.id;
+  const { status, reason, version } = req.body;
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
 
-  const orderResult = await pool.query(query, params);
+    // A cancellation's stock is released once it has committed; see
+    // startConsumers
+    await orderStatus.transition(client, {
+      orderId,
+      to: status,
+      actor: actorFromUser(req.user),
+      reason,
+      ifMatch: req.get('If-Match'),
+      version
+    });
+
+    await client.query('COMMIT');
 
-  if (orderResult.rows.length === 0) {
-    return null;
+    const updatedOrder = await getOrderById(orderId);
+
+    res.set('ETag', etagFor(updatedOrder));
+    res.json({
+      message: 'Order status updated successfully',
+      order: updatedOrder
+    });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    if (handleOrderStatusError(res, error)) return;
+    logger.error('Update order status error', { error });
+    sendProblem(res, 500, 'Internal server error');
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
+});
 
-  const order = orderResult.rows[0];
+// Cancel order
+app.delete('/orders/:id', authenticateToken, validate(schemas.cancelOrder), idempotent, async (req, res) => {
+  const orderId = req.params.id;
+  const userId = req.user.userId;
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // The stock is released once the cancellation has committed; see
+    // startConsumers
+    await orderStatus.transition(client, {
+      orderId,
+      to: 'cancelled',
+      actor: actorFromUser(req.user),
+      reason: req.body.reason || 'Cancelled by customer',
+      userId,
+      allowedFrom: CUSTOMER_CANCELLABLE,
+      ifMatch: req.get('If-Match')
+    });
 
-  const itemsResult = await pool.query(
-    'SELECT * FROM order_items WHERE order_id = $1',
-    [orderId]
-  );
+    await client.query('COMMIT');
 
-  return {
-    ...order,
-    shipping_address: order.shipping_address,
-    items: itemsResult.rows
-  };
-}
+    res.json({ message: 'Order cancelled successfully' });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    if (error instanceof OrderStatusError && error.status === 409) {
+      return sendProblem(res, 409, 'Order cannot be cancelled', error.details);
+    }
+    if (handleOrderStatusError(res, error)) return;
+    logger.error('Cancel order error', { error });
+    sendProblem(res, 500, 'Internal server error');
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
 
-app.listen(PORT, () => {
-  console.log(`📦 Order Service running on port ${PORT}`);
-});
\ No newline at end of file
+// Helper function to get complete order
+const getOrderById = (orderId, userId = null) => loadOrder(pool, orderId, userId);
+
+app.use(notFound);
+app.use(problemHandler);
+
+// Refuses to start on a database schema that is behind. MIGRATE_ON_START
+// applies pending migrations first; otherwise run "npm run migrate -- up".
+migrator.ensureCurrent({
+  migrate: process.env.MIGRATE_ON_START === 'true',
+  log: (message) => logger.info(message)
+})
+  .then(async () => {
+    lifecycle.worker('saga recovery', sagaEngine.startRecovery().stop);
+    lifecycle.worker('outbox relay', outbox.startRelay().stop);
+    lifecycle.worker('event consumers', startConsumers().stop);
+    lifecycle.listen(app, PORT, () => {
+      logger.info('Order Service running', { port: Number(PORT) });
+    });
+  })
+  .catch((error) => {
+    logger.error('Database migration error', { error });
+    process.exit(1);
+  });
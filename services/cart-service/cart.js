@@ -0,0 +1,304 @@
+// Shopping carts for cart-service.
+//
+// Lines are product variants, keyed by SKU, and keep the price seen when
+// they were added, in integer minor units of the catalog currency
+// (DEFAULT_CURRENCY). Checkout re-prices every line against product-service
+// first; if anything moved (price, stock, availability) the cart is updated
+// and the changes are returned to the client instead of an order, so nobody
+// is charged a price they did not see.
+
+const crypto = require('crypto');
+const { DEFAULT_CURRENCY, multiply, sum } = require('../../shared/money');
+const { parseProblem } = require('../../shared/problem');
+
+const MAX_LINES = 100;
+const MAX_QUANTITY = 99;
+const GUEST_TTL_SECONDS = Number(process.env.CART_GUEST_TTL_SECONDS || 7 * 24 * 60 * 60);
+const USER_TTL_SECONDS = Number(process.env.CART_USER_TTL_SECONDS || 30 * 24 * 60 * 60);
+
+class CartError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'CartError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const availableStock = (variant) => Math.max(0, variant.stock - (variant.reserved || 0));
+
+const priceOf = (variant) => {
+  const entry = variant.prices.find((price) => price.currency === DEFAULT_CURRENCY);
+  return entry ? entry.amount : undefined;
+};
+
+// Lines added before variants have no SKU and a decimal price; they cannot
+// be ordered and are left out, and dropped on the cart's next write.
+const withoutLegacyLines = (cart) => cart && { ...cart, items: cart.items.filter((line) => line.sku) };
+
+const view = (cart) => {
+  const items = (cart ? cart.items : []).map((line) => ({
+    ...line,
+    lineTotal: multiply(line.price, line.quantity)
+  }));
+
+  return {
+    id: cart ? cart.id : null,
+    items,
+    currency: DEFAULT_CURRENCY,
+    itemCount: items.reduce((count, line) => count + line.quantity, 0),
+    subtotal: sum(items.map((line) => line.lineTotal)),
+    updatedAt: cart ? cart.updatedAt : null
+  };
+};
+
+const createCartService = ({ store, productService, orderService }) => {
+  const ttlFor = (owner) => (owner.startsWith('user:') ? USER_TTL_SECONDS : GUEST_TTL_SECONDS);
+
+  const read = async (owner) => withoutLegacyLines(await store.get(owner));
+  const write = (owner, modify) => store.update(owner, (cart) => modify(withoutLegacyLines(cart)), ttlFor(owner));
+
+  // { product, variant, price }, or null when the variant does not exist,
+  // is no longer sold or has no price in the catalog currency
+  const fetchVariant = async (sku) => {
+    if (!sku) return null;
+    try {
+      const response = await productService.request({
+        method: 'GET',
+        url: `/products/skus/${encodeURIComponent(sku)}`
+      });
+      const { product, variant } = response.data;
+      const price = priceOf(variant);
+      return price === undefined ? null : { product, variant, price };
+    } catch (error) {
+      if (error.response && [400, 404].includes(error.response.status)) {
+        return null;
+      }
+      throw new CartError('Product service unavailable', 503);
+    }
+  };
+
+  const requireVariant = async (sku, quantity) => {
+    const found = await fetchVariant(sku);
+    if (!found) {
+      throw new CartError(`Product not found: ${sku}`, 404, { sku });
+    }
+    if (availableStock(found.variant) < quantity) {
+      throw new CartError(`Insufficient stock for product: ${sku}`, 409, {
+        sku,
+        requested: quantity,
+        available: availableStock(found.variant)
+      });
+    }
+    return found;
+  };
+
+  const lineFields = ({ product, variant, price }) => ({
+    productId: String(product._id),
+    sku: variant.sku,
+    name: product.name,
+    attributes: variant.attributes || {},
+    price
+  });
+
+  const get = async (owner) => view(await read(owner));
+
+  // The route schemas bound each quantity; the total with a line already in
+  // the cart is checked here
+  const addItem = async (owner, { sku, quantity }) => {
+    const current = await read(owner);
+    const existing = current && current.items.find((line) => line.sku === sku);
+    const total = (existing ? existing.quantity : 0) + quantity;
+    if (total > MAX_QUANTITY) {
+      throw new CartError(`Quantity must be an integer between 1 and ${MAX_QUANTITY}`, 400);
+    }
+
+    const found = await requireVariant(sku, total);
+
+    return view(await write(owner, (cart) => {
+      const line = cart.items.find((item) => item.sku === sku);
+      if (line) {
+        Object.assign(line, lineFields(found), { quantity: Math.min(line.quantity + quantity, MAX_QUANTITY) });
+      } else {
+        if (cart.items.length >= MAX_LINES) {
+          throw new CartError(`A cart holds at most ${MAX_LINES} lines`, 400);
+        }
+        cart.items.push({
+          ...lineFields(found),
+          quantity,
+          addedAt: new Date().toISOString()
+        });
+      }
+      return cart;
+    }));
+  };
+
+  const setQuantity = async (owner, sku, quantity) => {
+    if (quantity === 0) {
+      return removeItem(owner, sku);
+    }
+
+    const current = await read(owner);
+    if (!current || !current.items.some((line) => line.sku === sku)) {
+      throw new CartError('Item not in cart', 404);
+    }
+
+    const found = await requireVariant(sku, quantity);
+
+    return view(await write(owner, (cart) => {
+      const line = cart.items.find((item) => item.sku === sku);
+      if (!line) {
+        throw new CartError('Item not in cart', 404);
+      }
+      Object.assign(line, lineFields(found), { quantity });
+      return cart;
+    }));
+  };
+
+  const removeItem = async (owner, sku) => view(await write(owner, (cart) => {
+    const index = cart.items.findIndex((line) => line.sku === sku);
+    if (index === -1) {
+      throw new CartError('Item not in cart', 404);
+    }
+    cart.items.splice(index, 1);
+    return cart;
+  }));
+
+  const clear = (owner) => store.remove(owner);
+
+  // Folds a guest cart into the user's cart after login and drops the
+  // guest cart. Quantities for the same variant are added up.
+  const merge = async (guestOwner, userOwner) => {
+    const guest = await read(guestOwner);
+    if (!guest || guest.items.length === 0) {
+      return false;
+    }
+
+    await write(userOwner, (cart) => {
+      for (const guestLine of guest.items) {
+        const line = cart.items.find((item) => item.sku === guestLine.sku);
+        if (line) {
+          line.quantity = Math.min(line.quantity + guestLine.quantity, MAX_QUANTITY);
+        } else if (cart.items.length < MAX_LINES) {
+          cart.items.push(guestLine);
+        }
+      }
+      return cart;
+    });
+
+    await store.remove(guestOwner);
+    return true;
+  };
+
+  // Compares every line with the live product. New prices are written back
+  // to the cart so that a second checkout goes through.
+  const reprice = async (owner) => {
+    const cart = await read(owner);
+    if (!cart || cart.items.length === 0) {
+      throw new CartError('Cart is empty', 400);
+    }
+
+    const changes = [];
+    const prices = new Map();
+    for (const line of cart.items) {
+      const found = await fetchVariant(line.sku);
+      if (!found) {
+        changes.push({ type: 'unavailable', productId: line.productId, sku: line.sku, name: line.name });
+        continue;
+      }
+      const { product, variant, price } = found;
+      if (price !== line.price) {
+        changes.push({
+          type: 'price_changed',
+          productId: line.productId,
+          sku: line.sku,
+          name: product.name,
+          previousPrice: line.price,
+          price
+        });
+        prices.set(line.sku, price);
+      }
+      if (availableStock(variant) < line.quantity) {
+        changes.push({
+          type: 'insufficient_stock',
+          productId: line.productId,
+          sku: line.sku,
+          name: product.name,
+          requested: line.quantity,
+          available: availableStock(variant)
+        });
+      }
+    }
+
+    if (prices.size === 0) {
+      return { cart, changes };
+    }
+
+    const updated = await write(owner, (latest) => {
+      latest.items.forEach((line) => {
+        if (prices.has(line.sku)) {
+          line.price = prices.get(line.sku);
+        }
+      });
+      return latest;
+    });
+    return { cart: updated, changes };
+  };
+
+  // Re-prices, then creates the order as the calling user. The idempotency
+  // key covers this cart's exact contents, so a retried checkout cannot
+  // produce a second order.
+  const checkout = async (owner, { shippingAddress, authorization }) => {
+    const { cart, changes } = await reprice(owner);
+    if (changes.length > 0) {
+      throw new CartError('Cart changed since it was last seen; review and check out again', 409, {
+        changes,
+        cart: view(cart)
+      });
+    }
+
+    const items = cart.items.map((line) => ({ sku: line.sku, quantity: line.quantity }));
+    const fingerprint = crypto.createHash('sha256').update(JSON.stringify(items)).digest('hex').slice(0, 16);
+
+    let order;
+    try {
+      const response = await orderService.request({
+        method: 'POST',
+        url: '/orders',
+        data: { items, currency: DEFAULT_CURRENCY, shippingAddress },
+        headers: {
+          Authorization: authorization,
+          'Idempotency-Key': `cart-${cart.id}-${fingerprint}`
+        }
+      });
+      order = response.data.order;
+    } catch (error) {
+      if (error.response && error.response.status < 500) {
+        const { message, details } = parseProblem(error.response.data);
+        throw new CartError(message || 'Order could not be created', error.response.status, details);
+      }
+      throw new CartError('Order service unavailable', 503);
+    }
+
+    await clear(owner);
+    return { order, cart: view(cart) };
+  };
+
+  return {
+    get,
+    addItem,
+    setQuantity,
+    removeItem,
+    clear,
+    merge,
+    reprice,
+    checkout
+  };
+};
+
+module.exports = {
+  MAX_LINES,
+  MAX_QUANTITY,
+  CartError,
+  createCartService
+};
@@ -0,0 +1,128 @@
+// Cart storage for cart-service.
+//
+// A cart is one document, { id, items, createdAt, updatedAt }, stored under
+// its owner's key ("user:<id>" or "guest:<cart id>") with a TTL that is
+// renewed on every write. `update` is an atomic read-modify-write, so
+// concurrent requests against the same cart cannot lose each other's lines.
+
+const crypto = require('crypto');
+const { WatchError } = require('redis');
+const { getRedisClient } = require('../../shared/redis');
+
+const newCart = () => {
+  const now = new Date().toISOString();
+  return { id: crypto.randomUUID(), items: [], createdAt: now, updatedAt: now };
+};
+
+class MemoryStore {
+  constructor({ sweepInterval = 60000 } = {}) {
+    this.entries = new Map();
+    this.timer = setInterval(() => this.sweep(), sweepInterval);
+    this.timer.unref();
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    return entry && entry.expiresAt > Date.now() ? structuredClone(entry.cart) : null;
+  }
+
+  // `modify` receives a copy of the cart (a new one if none exists) and
+  // returns the cart to store, or null to delete it.
+  async update(key, modify, ttlSeconds) {
+    const cart = modify((await this.get(key)) || newCart());
+    if (cart) {
+      cart.updatedAt = new Date().toISOString();
+      this.entries.set(key, { cart: structuredClone(cart), expiresAt: Date.now() + ttlSeconds * 1000 });
+    } else {
+      this.entries.delete(key);
+    }
+    return cart;
+  }
+
+  async remove(key) {
+    this.entries.delete(key);
+  }
+}
+
+class RedisStore {
+  constructor({ url, prefix = 'cart:', maxRetries = 10 } = {}) {
+    this.url = url;
+    this.prefix = prefix;
+    this.maxRetries = maxRetries;
+  }
+
+  async get(key) {
+    const client = await getRedisClient(this.url);
+    const value = await client.get(this.prefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  // Optimistic WATCH/MULTI; retried when another writer got in first.
+  async update(key, modify, ttlSeconds) {
+    const client = await getRedisClient(this.url);
+    const redisKey = this.prefix + key;
+
+    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+      const result = await client.executeIsolated(async (isolated) => {
+        await isolated.watch(redisKey);
+
+        let cart;
+        try {
+          const value = await isolated.get(redisKey);
+          cart = modify(value ? JSON.parse(value) : newCart());
+        } catch (error) {
+          await isolated.unwatch();
+          throw error;
+        }
+
+        const transaction = isolated.multi();
+        if (cart) {
+          cart.updatedAt = new Date().toISOString();
+          transaction.set(redisKey, JSON.stringify(cart), { EX: ttlSeconds });
+        } else {
+          transaction.del(redisKey);
+        }
+
+        try {
+          await transaction.exec();
+          return { cart };
+        } catch (error) {
+          if (error instanceof WatchError) return null;
+          throw error;
+        }
+      });
+
+      if (result) return result.cart;
+    }
+    throw new Error(`Cart ${key} is being modified concurrently`);
+  }
+
+  async remove(key) {
+    const client = await getRedisClient(this.url);
+    await client.del(this.prefix + key);
+  }
+}
+
+const createStore = (type = process.env.CART_STORE || (process.env.REDIS_URL ? 'redis' : 'memory')) => {
+  if (type === 'redis') {
+    return new RedisStore({ url: process.env.REDIS_URL });
+  }
+  if (type === 'memory') {
+    return new MemoryStore();
+  }
+  throw new Error(`Unknown cart store: ${type}`);
+};
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  createStore
+};
@@ -0,0 +1,56 @@
+// Request schemas for cart-service routes; see shared/validation.js
+
+const { schemas: { positiveInteger, nonEmptyString } } = require('../../shared/validation');
+const { MAX_QUANTITY } = require('./cart');
+
+const sku = nonEmptyString(64);
+
+const lineParams = {
+  type: 'object',
+  properties: { sku },
+  required: ['sku']
+};
+
+const addItem = {
+  body: {
+    type: 'object',
+    properties: {
+      sku,
+      quantity: { ...positiveInteger, maximum: MAX_QUANTITY, default: 1 }
+    },
+    required: ['sku'],
+    additionalProperties: false
+  }
+};
+
+// 0 removes the line
+const updateItem = {
+  params: lineParams,
+  body: {
+    type: 'object',
+    properties: {
+      quantity: { type: 'integer', minimum: 0, maximum: MAX_QUANTITY }
+    },
+    required: ['quantity'],
+    additionalProperties: false
+  }
+};
+
+const removeItem = { params: lineParams };
+
+const checkout = {
+  body: {
+    type: 'object',
+    properties: {
+      shippingAddress: { type: 'object', maxProperties: 20 }
+    },
+    additionalProperties: false
+  }
+};
+
+module.exports = {
+  addItem,
+  updateItem,
+  removeItem,
+  checkout
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const express = require('express');
+const { createMetrics } = require('../../shared/metrics');
+const { initTracing } = require('../../shared/tracing');
+const { logger, initLogging } = require('../../shared/logger');
+const { createLifecycle } = require('../../shared/lifecycle');
+const { closeRedisClients } = require('../../shared/redis');
+const { bearerToken, createAuthenticateToken } = require('../../shared/auth');
+const { createDenylist } = require('../../shared/tokenDenylist');
+const { createJwksClient } = require('../../shared/jwks');
+const { createUpstream } = require('../../shared/resilience');
+const { createHealth, redisCheck, upstreamCheck } = require('../../shared/health');
+const { sendProblem, problemHandler, notFound } = require('../../shared/problem');
+const { validate } = require('../../shared/validation');
+const { createStore } = require('./cartStore');
+const { CartError, createCartService } = require('./cart');
+const schemas = require('./schemas');
+require('dotenv').config();
+
+const app = express();
+const PORT = process.env.PORT || 3005;
+const metrics = createMetrics('cart_service');
+const tracing = initTracing({ serviceName: 'cart-service' });
+const logging = initLogging({ service: 'cart-service' });
+
+// On SIGTERM/SIGINT: drain requests, stop workers, close what is registered
+const lifecycle = createLifecycle();
+lifecycle.resource('redis', closeRedisClients);
+lifecycle.resource('tracing', tracing.shutdown);
+
+app.use(tracing.middleware);
+app.use(logging.middleware);
+app.use(metrics.middleware);
+app.use(express.json());
+
+const checkoutsTotal = metrics.counter('checkouts_total', 'Checkout attempts by result', {
+  labelNames: ['result']
+});
+const cartMergesTotal = metrics.counter('cart_merges_total', 'Guest carts merged into user carts');
+
+const PRODUCT_SERVICE_URL = process.env.PRODUCT_SERVICE_URL || 'http://localhost:3002';
+const ORDER_SERVICE_URL = process.env.ORDER_SERVICE_URL || 'http://localhost:3003';
+
+const cartService = createCartService({
+  store: createStore(),
+  productService: createUpstream('product', PRODUCT_SERVICE_URL),
+  orderService: createUpstream('order', ORDER_SERVICE_URL, {
+    // Order creation runs a saga against product-service
+    timeout: Number(process.env.ORDER_SERVICE_TIMEOUT_MS || 15000)
+  })
+});
+
+// JWT Middleware
+const jwks = createJwksClient();
+const authenticateToken = createAuthenticateToken({ getKey: jwks.getKey, denylist: createDenylist() });
+
+// Guests may use a cart too, so a token is only checked when one is sent.
+const optionalAuthenticate = (req, res, next) => (
+  bearerToken(req) ? authenticateToken(req, res, next) : next()
+);
+
+const handleCartError = (res, error, label) => {
+  if (error instanceof CartError) {
+    return sendProblem(res, error.status, error.message, error.details);
+  }
+  logger.error(`${label} error`, { error });
+  sendProblem(res, 500, 'Internal server error');
+};
+
+const GUEST_CART_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Picks the cart a request works on. Guests are identified by X-Cart-Id,
+// issued on their first request; once the same client sends a token, the
+// guest cart is merged into the user's and the guest id is retired.
+const resolveCart = async (req, res, next) => {
+  const guestId = req.get('X-Cart-Id');
+  if (guestId && !GUEST_CART_ID.test(guestId)) {
+    return sendProblem(res, 400, 'Invalid X-Cart-Id');
+  }
+
+  try {
+    if (req.user) {
+      req.cartOwner = `user:${req.user.userId}`;
+      if (guestId && await cartService.merge(`guest:${guestId}`, req.cartOwner)) {
+        cartMergesTotal.inc();
+      }
+    } else {
+      const id = guestId || crypto.randomUUID();
+      req.cartOwner = `guest:${id}`;
+      res.set('X-Cart-Id', id);
+    }
+    next();
+  } catch (error) {
+    handleCartError(res, error, 'Resolve cart');
+  }
+};
+
+// Redis holds the carts themselves when configured; the upstreams are only
+// needed for adding items and checking out
+const health = createHealth({
+  service: 'cart-service',
+  isShuttingDown: lifecycle.isShuttingDown,
+  checks: [
+    ...(process.env.REDIS_URL ? [redisCheck()] : []),
+    upstreamCheck('product-service', PRODUCT_SERVICE_URL),
+    upstreamCheck('order-service', ORDER_SERVICE_URL)
+  ]
+});
+
+// Health checks: liveness, and readiness with dependency checks.
+// /health is kept for older probes and reports readiness.
+app.get('/health/live', health.live);
+app.get('/health/ready', health.ready);
+app.get('/health', health.ready);
+
+// Metrics
+app.get('/metrics', metrics.handler);
+
+app.use('/cart', optionalAuthenticate, resolveCart);
+
+// Get cart
+app.get('/cart', async (req, res) => {
+  try {
+    res.json(await cartService.get(req.cartOwner));
+  } catch (error) {
+    handleCartError(res, error, 'Get cart');
+  }
+});
+
+// Add a line, or more of a variant already in the cart
+app.post('/cart/items', validate(schemas.addItem), async (req, res) => {
+  try {
+    const { sku, quantity } = req.body;
+    res.status(201).json(await cartService.addItem(req.cartOwner, { sku, quantity }));
+  } catch (error) {
+    handleCartError(res, error, 'Add cart item');
+  }
+});
+
+// Change a line's quantity; 0 removes it
+app.patch('/cart/items/:sku', validate(schemas.updateItem), async (req, res) => {
+  try {
+    res.json(await cartService.setQuantity(req.cartOwner, req.params.sku, req.body.quantity));
+  } catch (error) {
+    handleCartError(res, error, 'Update cart item');
+  }
+});
+
+// Remove a line
+app.delete('/cart/items/:sku', validate(schemas.removeItem), async (req, res) => {
+  try {
+    res.json(await cartService.removeItem(req.cartOwner, req.params.sku));
+  } catch (error) {
+    handleCartError(res, error, 'Remove cart item');
+  }
+});
+
+// Empty the cart
+app.delete('/cart', async (req, res) => {
+  try {
+    await cartService.clear(req.cartOwner);
+    res.json({ message: 'Cart cleared successfully' });
+  } catch (error) {
+    handleCartError(res, error, 'Clear cart');
+  }
+});
+
+// Turn the cart into an order. Answers 409 with the list of changes when
+// prices or stock moved since the client last looked.
+app.post('/cart/checkout', validate(schemas.checkout), async (req, res) => {
+  if (!req.user) {
+    return sendProblem(res, 401, 'Login required to check out');
+  }
+
+  try {
+    const result = await cartService.checkout(req.cartOwner, {
+      shippingAddress: req.body.shippingAddress,
+      authorization: req.headers.authorization
+    });
+    checkoutsTotal.inc({ result: 'success' });
+
+    res.status(201).json({
+      message: 'Order created successfully',
+      order: result.order
+    });
+  } catch (error) {
+    checkoutsTotal.inc({ result: error instanceof CartError && error.status === 409 ? 'changed' : 'failure' });
+    handleCartError(res, error, 'Checkout');
+  }
+});
+
+app.use(notFound);
+app.use(problemHandler);
+
+lifecycle.listen(app, PORT, () => {
+  logger.info('Cart Service running', { port: Number(PORT) });
+});
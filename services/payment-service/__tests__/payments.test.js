@@ -0,0 +1,305 @@
+const { logger } = require('../../../shared/logger');
+const { createFakePool, assignments } = require('../../../shared/testing/fakePg');
+const { createFakeProvider } = require('../providers');
+const { PAYMENT_STATUS, ACTIVE_STATUSES, PaymentError, createPaymentService } = require('../payments');
+
+// Just enough of pg for payments.js: the payments, payment_transactions and
+// webhook_events tables in memory
+const createPaymentsPool = () => {
+  const payments = new Map();
+  const transactions = [];
+  const webhookEvents = [];
+  let nextId = 1;
+
+  return createFakePool({
+    tables: { payments, transactions, webhookEvents },
+    routes: [
+      ['INSERT INTO payments ', ([orderId, userId, amount, currency, status, provider, paymentMethod]) => {
+        // idx_payments_active_order_id
+        if ([...payments.values()].some((row) => row.order_id === orderId && ACTIVE_STATUSES.includes(row.status))) {
+          throw Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' });
+        }
+        const row = {
+          id: `00000000-0000-4000-8000-${String(nextId++).padStart(12, '0')}`,
+          order_id: orderId,
+          user_id: userId,
+          amount,
+          currency,
+          status,
+          provider,
+          payment_method: paymentMethod,
+          provider_payment_id: null,
+          captured_amount: 0,
+          refunded_amount: 0,
+          failure_reason: null
+        };
+        payments.set(row.id, row);
+        return [row];
+      }],
+      ['SELECT * FROM payments WHERE order_id = $1 AND status = $2', ([orderId, status]) => (
+        [...payments.values()].filter((row) => row.order_id === orderId && row.status === status)
+      )],
+      ['SELECT * FROM payments WHERE id = $1', ([id]) => (payments.has(id) ? [payments.get(id)] : [])],
+      ['SELECT * FROM payments WHERE provider = $1 AND provider_payment_id = $2', ([provider, providerPaymentId]) => (
+        [...payments.values()].filter((row) => row.provider === provider && row.provider_payment_id === providerPaymentId)
+      )],
+      ['INSERT INTO webhook_events', ([provider, eventId, type]) => {
+        if (webhookEvents.some((row) => row.provider === provider && row.event_id === eventId)) {
+          return [];
+        }
+        const row = { id: webhookEvents.length + 1, provider, event_id: eventId, type, applied: null, rejection_reason: null };
+        webhookEvents.push(row);
+        return [{ id: row.id }];
+      }],
+      ['UPDATE webhook_events SET', ([id, applied, rejectionReason]) => {
+        Object.assign(webhookEvents.find((row) => row.id === id), { applied, rejection_reason: rejectionReason });
+        return [];
+      }],
+      ['UPDATE payments SET', (params, text) => {
+        const row = payments.get(params[0]);
+        Object.assign(row, assignments(text, params));
+        return [row];
+      }],
+      ['INSERT INTO payment_transactions', ([paymentId, type, status, amount, providerReference, failureReason]) => {
+        transactions.push({ paymentId, type, status, amount, providerReference, failureReason });
+        return [];
+      }]
+    ]
+  });
+};
+
+describe('payment service with the fake provider', () => {
+  let pool;
+  let outbox;
+  let paymentService;
+
+  beforeEach(() => {
+    pool = createPaymentsPool();
+    outbox = { add: jest.fn().mockResolvedValue() };
+    const fake = createFakeProvider({ secret: 'test-secret', webhookUrl: '' });
+    paymentService = createPaymentService({
+      pool,
+      outbox,
+      providers: { default: fake, get: (name) => (name === fake.name ? fake : undefined) }
+    });
+  });
+
+  const authorized = async (paymentMethod = 'fake_card_ok', amount = 5000) => {
+    const payment = await paymentService.create({ orderId: 1, userId: 7, amount, currency: 'USD', paymentMethod });
+    return (await paymentService.authorize(payment.id)).payment;
+  };
+
+  const captured = async (paymentMethod, amount) => {
+    const payment = await authorized(paymentMethod, amount);
+    return (await paymentService.capture(payment.id)).payment;
+  };
+
+  const eventTypes = () => outbox.add.mock.calls.map(([, type]) => type);
+
+  describe('capture', () => {
+    it('authorizes and captures the full amount', async () => {
+      const payment = await authorized();
+      expect(payment).toMatchObject({ status: PAYMENT_STATUS.AUTHORIZED, provider_payment_id: `fake_pay_${payment.id}` });
+
+      const { payment: result, failureReason } = await paymentService.capture(payment.id);
+
+      expect(failureReason).toBeUndefined();
+      expect(result).toMatchObject({ status: PAYMENT_STATUS.CAPTURED, captured_amount: 5000 });
+      expect(pool.transactions.map(({ type, status }) => [type, status])).toEqual([
+        ['authorize', 'succeeded'],
+        ['capture', 'succeeded']
+      ]);
+      expect(eventTypes()).toEqual(['PaymentAuthorized', 'PaymentCaptured']);
+    });
+
+    it('captures part of the authorized amount', async () => {
+      const payment = await authorized();
+      const { payment: result } = await paymentService.capture(payment.id, { amount: 3000 });
+      expect(result).toMatchObject({ status: PAYMENT_STATUS.CAPTURED, captured_amount: 3000 });
+    });
+
+    it('rejects capturing more than was authorized', async () => {
+      const payment = await authorized();
+      await expect(paymentService.capture(payment.id, { amount: 5001 })).rejects.toMatchObject({ status: 400 });
+      expect(pool.payments.get(payment.id).status).toBe(PAYMENT_STATUS.AUTHORIZED);
+    });
+
+    it('fails the payment when the provider declines the capture', async () => {
+      const payment = await authorized('fake_card_capture_fails');
+      const { payment: result, failureReason } = await paymentService.capture(payment.id);
+
+      expect(failureReason).toBe('capture_declined');
+      expect(result).toMatchObject({ status: PAYMENT_STATUS.FAILED, failure_reason: 'capture_declined' });
+      expect(eventTypes()).toEqual(['PaymentAuthorized', 'PaymentFailed']);
+    });
+
+    it('fails the payment when authorization is declined', async () => {
+      const payment = await authorized('fake_card_declined');
+      expect(payment).toMatchObject({ status: PAYMENT_STATUS.FAILED, failure_reason: 'card_declined' });
+
+      await expect(paymentService.capture(payment.id)).rejects.toThrow(PaymentError);
+    });
+
+    it('answers a repeated capture with the captured payment', async () => {
+      const payment = await captured();
+      const { payment: again } = await paymentService.capture(payment.id);
+
+      expect(again.status).toBe(PAYMENT_STATUS.CAPTURED);
+      expect(pool.transactions.filter(({ type }) => type === 'capture')).toHaveLength(1);
+    });
+
+    it('answers 404 for an unknown payment', async () => {
+      await expect(paymentService.capture('00000000-0000-4000-8000-999999999999')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('authorize', () => {
+    const unreachable = () => {
+      const fake = createFakeProvider({ secret: 'test-secret', webhookUrl: '' });
+      return createPaymentService({
+        pool,
+        outbox,
+        providers: { default: fake, get: () => ({ ...fake, authorize: async () => { throw new Error('ETIMEDOUT'); } }) }
+      });
+    };
+
+    const order = { orderId: 1, userId: 7, amount: 5000, currency: 'USD', paymentMethod: 'fake_card_ok' };
+
+    it('authorizes a payment left pending by a provider outage when the order is paid again', async () => {
+      const payment = await paymentService.create(order);
+
+      const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+      await expect(unreachable().authorize(payment.id)).rejects.toMatchObject({ status: 502 });
+      logError.mockRestore();
+      expect(pool.payments.get(payment.id).status).toBe(PAYMENT_STATUS.PENDING);
+
+      const retry = await paymentService.create(order);
+      expect(retry.id).toBe(payment.id);
+
+      const { payment: result } = await paymentService.authorize(retry.id);
+      expect(result).toMatchObject({ status: PAYMENT_STATUS.AUTHORIZED, provider_payment_id: `fake_pay_${payment.id}` });
+      expect(pool.payments.size).toBe(1);
+    });
+
+    it('still refuses a second payment for an order that has one', async () => {
+      await authorized();
+      await expect(paymentService.create(order)).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('does not hand a pending payment to a different attempt', async () => {
+      await paymentService.create(order);
+      await expect(paymentService.create({ ...order, paymentMethod: 'fake_card_other' })).rejects.toMatchObject({ status: 409 });
+      await expect(paymentService.create({ ...order, userId: 8 })).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('lets a new payment start after a declined one', async () => {
+      const declined = await authorized('fake_card_declined');
+      const retry = await paymentService.create(order);
+      expect(retry.id).not.toBe(declined.id);
+    });
+  });
+
+  describe('refund', () => {
+    it('refunds in parts, then in full', async () => {
+      const payment = await captured();
+
+      const partial = await paymentService.refund(payment.id, { amount: 2000, reason: 'Damaged' });
+      expect(partial.payment).toMatchObject({ status: PAYMENT_STATUS.PARTIALLY_REFUNDED, refunded_amount: 2000 });
+
+      const rest = await paymentService.refund(payment.id);
+      expect(rest.payment).toMatchObject({ status: PAYMENT_STATUS.REFUNDED, refunded_amount: 5000 });
+
+      const refunds = pool.transactions.filter(({ type }) => type === 'refund');
+      expect(refunds.map(({ amount }) => amount)).toEqual([2000, 3000]);
+      expect(refunds[0].providerReference).not.toBe(refunds[1].providerReference);
+      expect(outbox.add).toHaveBeenCalledWith(expect.anything(), 'PaymentRefunded', expect.objectContaining({
+        refundAmount: 2000,
+        refundedAmount: 2000,
+        reason: 'Damaged'
+      }), expect.anything());
+    });
+
+    it('rejects refunding more than remains', async () => {
+      const payment = await captured();
+      await paymentService.refund(payment.id, { amount: 4000 });
+
+      await expect(paymentService.refund(payment.id, { amount: 1001 }))
+        .rejects.toMatchObject({ status: 400, details: { remaining: 1000 } });
+    });
+
+    it('leaves the payment as it was when the provider declines the refund', async () => {
+      const payment = await captured('fake_card_refund_fails');
+      const { payment: result, failureReason } = await paymentService.refund(payment.id);
+
+      expect(failureReason).toBe('refund_declined');
+      expect(result).toMatchObject({ status: PAYMENT_STATUS.CAPTURED, refunded_amount: 0 });
+      expect(pool.transactions[pool.transactions.length - 1]).toMatchObject({ type: 'refund', status: 'failed' });
+    });
+
+    it('refuses to refund a payment that was never captured', async () => {
+      const payment = await authorized();
+      await expect(paymentService.refund(payment.id)).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('rolls back when the provider cannot be reached', async () => {
+      const payment = await captured();
+      const fake = createFakeProvider({ secret: 'test-secret', webhookUrl: '' });
+      const failing = createPaymentService({
+        pool,
+        outbox,
+        providers: { default: fake, get: () => ({ ...fake, refund: async () => { throw new Error('ECONNRESET'); } }) }
+      });
+
+      const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+      await expect(failing.refund(payment.id)).rejects.toMatchObject({ status: 502 });
+      logError.mockRestore();
+
+      expect(pool.payments.get(payment.id)).toMatchObject({ status: PAYMENT_STATUS.CAPTURED, refunded_amount: 0 });
+    });
+  });
+
+  describe('capture webhooks', () => {
+    const captureEvent = (payment, data = {}) => paymentService.applyWebhook('fake', {
+      id: 'evt_capture',
+      type: 'payment.captured',
+      data: { providerPaymentId: payment.provider_payment_id, ...data }
+    });
+
+    it('captures the payment amount when the event has none', async () => {
+      const payment = await authorized();
+      await expect(captureEvent(payment)).resolves.toEqual({ duplicate: false, applied: true, rejected: false });
+      expect(pool.payments.get(payment.id)).toMatchObject({ status: PAYMENT_STATUS.CAPTURED, captured_amount: 5000 });
+    });
+
+    it('captures part of the payment', async () => {
+      const payment = await authorized();
+      await captureEvent(payment, { amount: 1200 });
+      expect(pool.payments.get(payment.id)).toMatchObject({ status: PAYMENT_STATUS.CAPTURED, captured_amount: 1200 });
+      expect(outbox.add).toHaveBeenLastCalledWith(expect.anything(), 'PaymentCaptured', expect.objectContaining({
+        capturedAmount: 1200
+      }), expect.anything());
+    });
+
+    it.each([5001, 0, -100, 12.5, '5000'])('rejects a capture of %p', async (amount) => {
+      const payment = await authorized();
+      const logWarn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+      await expect(captureEvent(payment, { amount })).resolves.toEqual({ duplicate: false, applied: false, rejected: true });
+      logWarn.mockRestore();
+
+      expect(pool.payments.get(payment.id)).toMatchObject({ status: PAYMENT_STATUS.AUTHORIZED, captured_amount: 0 });
+      expect(pool.webhookEvents[0]).toMatchObject({ applied: false, rejection_reason: expect.stringMatching(/Capture amount/) });
+      expect(eventTypes()).toEqual(['PaymentAuthorized']);
+    });
+  });
+});
+
+describe('fake provider', () => {
+  it('needs a webhook secret', () => {
+    expect(() => createFakeProvider({ secret: '', environment: 'development' })).toThrow(/FAKE_PROVIDER_WEBHOOK_SECRET/);
+  });
+
+  it('is never enabled in production', () => {
+    expect(() => createFakeProvider({ secret: 'test-secret', environment: 'production' })).toThrow(/production/);
+  });
+});
@@ -0,0 +1,28 @@
+const http = require('http');
+
+const options = {
+  hostname: 'localhost',
+  port: 3004,
+  path: '/health/ready',
+  method: 'GET',
+  timeout: 2000
+};
+
+const req = http.request(options, (res) => {
+  if (res.statusCode === 200) {
+    process.exit(0);
+  } else {
+    process.exit(1);
+  }
+});
+
+req.on('error', () => {
+  process.exit(1);
+});
+
+req.on('timeout', () => {
+  req.destroy();
+  process.exit(1);
+});
+
+req.end();
\ No newline at end of file
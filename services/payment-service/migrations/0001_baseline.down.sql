@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS outbox;
+DROP TABLE IF EXISTS webhook_events;
+DROP TABLE IF EXISTS payment_transactions;
+DROP TABLE IF EXISTS payments;
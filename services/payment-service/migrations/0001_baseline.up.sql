@@ -0,0 +1,66 @@
+-- Schema as created by initDB() before migrations existed. Every statement
+-- is idempotent, so this applies cleanly to those databases too.
+
+-- Amounts are integers in minor units (cents)
+CREATE TABLE IF NOT EXISTS payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  currency CHAR(3) NOT NULL DEFAULT 'USD',
+  status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'authorized', 'captured', 'partially_refunded', 'refunded', 'voided', 'failed')),
+  provider VARCHAR(50) NOT NULL,
+  provider_payment_id VARCHAR(255),
+  payment_method VARCHAR(100),
+  captured_amount INTEGER NOT NULL DEFAULT 0,
+  refunded_amount INTEGER NOT NULL DEFAULT 0,
+  failure_reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One live payment per order; failed and voided attempts may be retried
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_active_order_id ON payments(order_id)
+  WHERE status IN ('pending', 'authorized', 'captured', 'partially_refunded');
+CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id);
+CREATE INDEX IF NOT EXISTS idx_payments_provider_payment_id ON payments(provider, provider_payment_id);
+
+CREATE TABLE IF NOT EXISTS payment_transactions (
+  id SERIAL PRIMARY KEY,
+  payment_id UUID NOT NULL REFERENCES payments(id),
+  type VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  amount INTEGER NOT NULL,
+  provider_reference VARCHAR(255),
+  failure_reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_payment_id ON payment_transactions(payment_id);
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id SERIAL PRIMARY KEY,
+  provider VARCHAR(50) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  type VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  applied BOOLEAN,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  processed_at TIMESTAMP,
+  UNIQUE (provider, event_id)
+);
+
+-- Domain events awaiting publication, written with the change they describe
+CREATE TABLE IF NOT EXISTS outbox (
+  id BIGSERIAL PRIMARY KEY,
+  event_id UUID UNIQUE NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  aggregate_id VARCHAR(100),
+  payload JSONB NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  published_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_unpublished ON outbox(id) WHERE published_at IS NULL;
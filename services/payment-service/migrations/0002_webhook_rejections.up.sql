@@ -0,0 +1,3 @@
+-- Why a provider event was not applied, for events whose amounts the
+-- payment cannot have
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
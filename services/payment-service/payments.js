@@ -0,0 +1,438 @@
+// Payment lifecycle for payment-service.
+//
+//   pending -> authorized -> captured -> partially_refunded -> refunded
+//          \-> failed      \-> voided  \-> refunded
+//                          \-> failed
+//
+// Every operation locks the payment row, calls the provider and records the
+// outcome in one transaction, so an operation racing a cancellation or a
+// webhook always sees the state the other one left behind. Each attempt is
+// kept in `payment_transactions` and each change is published through the
+// outbox.
+
+const { logger } = require('../../shared/logger');
+
+const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded',
+  VOIDED: 'voided',
+  FAILED: 'failed'
+};
+
+// Payments that still hold or have taken the customer's money
+const ACTIVE_STATUSES = [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.AUTHORIZED, PAYMENT_STATUS.CAPTURED, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+const REFUNDABLE_STATUSES = [PAYMENT_STATUS.CAPTURED, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+class PaymentError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Amounts are integers in minor units
+const isAmount = (value) => Number.isInteger(value) && value > 0;
+
+const serializePayment = (payment) => ({
+  id: payment.id,
+  orderId: payment.order_id,
+  userId: payment.user_id,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  provider: payment.provider,
+  providerPaymentId: payment.provider_payment_id,
+  capturedAmount: payment.captured_amount,
+  refundedAmount: payment.refunded_amount,
+  failureReason: payment.failure_reason,
+  createdAt: payment.created_at,
+  updatedAt: payment.updated_at
+});
+
+const createPaymentService = ({ pool, providers, outbox }) => {
+  const withPayment = async (id, operation) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query('SELECT * FROM payments WHERE id = $1 FOR UPDATE', [id]);
+      if (result.rows.length === 0) {
+        throw new PaymentError('Payment not found', 404);
+      }
+
+      const outcome = await operation(client, result.rows[0]);
+      await client.query('COMMIT');
+      return outcome;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  const update = async (db, payment, fields) => {
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+    const result = await db.query(
+      `UPDATE payments SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+      [payment.id, ...columns.map((column) => fields[column])]
+    );
+    return result.rows[0];
+  };
+
+  const recordTransaction = (db, payment, { type, status, amount, providerReference, failureReason }) => db.query(
+    `INSERT INTO payment_transactions (payment_id, type, status, amount, provider_reference, failure_reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [payment.id, type, status, amount, providerReference || null, failureReason || null]
+  );
+
+  const emit = (db, type, payment, extra = {}) => outbox.add(db, type, {
+    paymentId: payment.id,
+    orderId: payment.order_id,
+    userId: payment.user_id,
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    provider: payment.provider,
+    ...extra
+  }, { aggregateId: payment.id });
+
+  const providerFor = (payment) => {
+    const provider = providers.get(payment.provider);
+    if (!provider) {
+      throw new PaymentError(`Payment provider ${payment.provider} is not enabled`, 500);
+    }
+    return provider;
+  };
+
+  // Thrown provider errors are outages, not declines; the transaction rolls
+  // back and the operation can be retried.
+  const callProvider = async (call) => {
+    try {
+      return await call();
+    } catch (error) {
+      logger.error('Payment provider error', { error });
+      throw new PaymentError('Payment provider unavailable', 502);
+    }
+  };
+
+  const fail = async (db, payment, type, amount, failureReason, fields = {}) => {
+    await recordTransaction(db, payment, { type, status: 'failed', amount, failureReason });
+    const failed = await update(db, payment, { ...fields, status: PAYMENT_STATUS.FAILED, failure_reason: failureReason });
+    await emit(db, 'PaymentFailed', failed, { operation: type, failureReason });
+    return { payment: failed, failureReason };
+  };
+
+  // A payment left pending because the provider could not be reached is
+  // handed out again to the next attempt to pay for the same order, which
+  // authorizes it under the same idempotency key; otherwise the order could
+  // never be paid.
+  const create = async ({ orderId, userId, amount, currency = 'USD', paymentMethod }) => {
+    try {
+      const result = await pool.query(
+        `INSERT INTO payments (order_id, user_id, amount, currency, status, provider, payment_method)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [orderId, userId, amount, currency, PAYMENT_STATUS.PENDING, providers.default.name, paymentMethod]
+      );
+      return result.rows[0];
+    } catch (error) {
+      if (error.code !== '23505') {
+        throw error;
+      }
+
+      const result = await pool.query(
+        'SELECT * FROM payments WHERE order_id = $1 AND status = $2',
+        [orderId, PAYMENT_STATUS.PENDING]
+      );
+      const pending = result.rows[0];
+      if (pending && pending.user_id === userId && pending.amount === amount
+        && pending.currency === currency && pending.payment_method === paymentMethod) {
+        return pending;
+      }
+      throw new PaymentError('Order already has an active payment', 409);
+    }
+  };
+
+  const authorize = (id) => withPayment(id, async (db, payment) => {
+    if (payment.status !== PAYMENT_STATUS.PENDING) {
+      return { payment };
+    }
+
+    const result = await callProvider(() => providerFor(payment).authorize(payment, { idempotencyKey: `${payment.id}:authorize` }));
+    if (result.status !== 'authorized') {
+      return fail(db, payment, 'authorize', payment.amount, result.failureReason, {
+        provider_payment_id: result.providerPaymentId
+      });
+    }
+
+    await recordTransaction(db, payment, {
+      type: 'authorize',
+      status: 'succeeded',
+      amount: payment.amount,
+      providerReference: result.providerPaymentId
+    });
+    const authorized = await update(db, payment, {
+      status: PAYMENT_STATUS.AUTHORIZED,
+      provider_payment_id: result.providerPaymentId
+    });
+    await emit(db, 'PaymentAuthorized', authorized);
+    return { payment: authorized };
+  });
+
+  const capture = (id, { amount } = {}) => withPayment(id, async (db, payment) => {
+    if (REFUNDABLE_STATUSES.includes(payment.status) || payment.status === PAYMENT_STATUS.REFUNDED) {
+      return { payment };
+    }
+    if (payment.status !== PAYMENT_STATUS.AUTHORIZED) {
+      throw new PaymentError(`Cannot capture a ${payment.status} payment`, 409);
+    }
+
+    const captureAmount = amount === undefined ? payment.amount : Number(amount);
+    if (!Number.isInteger(captureAmount) || captureAmount <= 0 || captureAmount > payment.amount) {
+      throw new PaymentError('Capture amount must be a positive integer no larger than the authorized amount', 400);
+    }
+
+    const result = await callProvider(() => providerFor(payment).capture(payment, {
+      amount: captureAmount,
+      idempotencyKey: `${payment.id}:capture`
+    }));
+    if (result.status !== 'captured') {
+      return fail(db, payment, 'capture', captureAmount, result.failureReason);
+    }
+
+    await recordTransaction(db, payment, { type: 'capture', status: 'succeeded', amount: captureAmount });
+    const captured = await update(db, payment, { status: PAYMENT_STATUS.CAPTURED, captured_amount: captureAmount });
+    await emit(db, 'PaymentCaptured', captured, { capturedAmount: captureAmount });
+    return { payment: captured };
+  });
+
+  const refundLocked = async (db, payment, { amount, reason, idempotencyKey }) => {
+    const remaining = payment.captured_amount - payment.refunded_amount;
+    const refundAmount = amount === undefined ? remaining : Number(amount);
+    if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > remaining) {
+      throw new PaymentError('Refund amount must be a positive integer no larger than the remaining captured amount', 400, { remaining });
+    }
+
+    const result = await callProvider(() => providerFor(payment).refund(payment, { amount: refundAmount, idempotencyKey }));
+    if (result.status !== 'refunded') {
+      // A declined refund leaves the payment as it was
+      await recordTransaction(db, payment, { type: 'refund', status: 'failed', amount: refundAmount, failureReason: result.failureReason });
+      return { payment, failureReason: result.failureReason };
+    }
+
+    await recordTransaction(db, payment, {
+      type: 'refund',
+      status: 'succeeded',
+      amount: refundAmount,
+      providerReference: result.providerRefundId
+    });
+    const refundedAmount = payment.refunded_amount + refundAmount;
+    const refunded = await update(db, payment, {
+      status: refundedAmount === payment.captured_amount ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED,
+      refunded_amount: refundedAmount
+    });
+    await emit(db, 'PaymentRefunded', refunded, { refundAmount, refundedAmount, reason: reason || null });
+    return { payment: refunded };
+  };
+
+  const refund = (id, { amount, reason, idempotencyKey } = {}) => withPayment(id, async (db, payment) => {
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      throw new PaymentError(`Cannot refund a ${payment.status} payment`, 409);
+    }
+    return refundLocked(db, payment, {
+      amount,
+      reason,
+      idempotencyKey: idempotencyKey || `${payment.id}:refund:${payment.refunded_amount}`
+    });
+  });
+
+  const voidLocked = async (db, payment) => {
+    const result = await callProvider(() => providerFor(payment).void(payment, { idempotencyKey: `${payment.id}:void` }));
+    if (result.status !== 'voided') {
+      await recordTransaction(db, payment, { type: 'void', status: 'failed', amount: payment.amount, failureReason: result.failureReason });
+      return { payment, failureReason: result.failureReason };
+    }
+
+    await recordTransaction(db, payment, { type: 'void', status: 'succeeded', amount: payment.amount });
+    const voided = await update(db, payment, { status: PAYMENT_STATUS.VOIDED });
+    await emit(db, 'PaymentVoided', voided);
+    return { payment: voided };
+  };
+
+  // Gives the money back for a cancelled order: authorizations are voided,
+  // captures refunded in full. Pending payments are waited for by the row
+  // lock, so an authorization in flight is settled first.
+  const cancelForOrder = async (orderId, reason) => {
+    const result = await pool.query(
+      'SELECT id FROM payments WHERE order_id = $1 AND status = ANY($2)',
+      [orderId, ACTIVE_STATUSES]
+    );
+
+    const outcomes = [];
+    for (const { id } of result.rows) {
+      outcomes.push(await withPayment(id, async (db, payment) => {
+        if (payment.status === PAYMENT_STATUS.AUTHORIZED) {
+          return voidLocked(db, payment);
+        }
+        if (REFUNDABLE_STATUSES.includes(payment.status)) {
+          return refundLocked(db, payment, { reason, idempotencyKey: `${payment.id}:cancel` });
+        }
+        return { payment };
+      }));
+    }
+    return outcomes;
+  };
+
+  // Applies a verified provider event. Each event id is stored with the
+  // change it caused, so redelivered webhooks are no-ops; events that do not
+  // fit the payment's current state are recorded and otherwise ignored, and
+  // so are events with amounts the payment cannot have (reported as rejected).
+  const applyWebhook = async (providerName, event) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const inserted = await client.query(
+        `INSERT INTO webhook_events (provider, event_id, type, payload) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (provider, event_id) DO NOTHING RETURNING id`,
+        [providerName, event.id, event.type, event]
+      );
+      if (inserted.rows.length === 0) {
+        await client.query('COMMIT');
+        return { duplicate: true };
+      }
+
+      const result = await client.query(
+        'SELECT * FROM payments WHERE provider = $1 AND provider_payment_id = $2 FOR UPDATE',
+        [providerName, event.data && event.data.providerPaymentId]
+      );
+      const payment = result.rows[0];
+      let applied = false;
+      let rejectionReason = null;
+
+      const reject = (reason) => {
+        logger.warn('Rejected provider event', { provider: providerName, eventId: event.id, type: event.type, reason });
+        rejectionReason = reason;
+      };
+
+      if (payment) {
+        const { status } = payment;
+        if (event.type === 'payment.captured' && status === PAYMENT_STATUS.AUTHORIZED) {
+          const amount = event.data.amount === undefined ? payment.amount : event.data.amount;
+          if (!isAmount(amount) || amount > payment.amount) {
+            reject('Capture amount must be a positive integer no larger than the payment amount');
+          } else {
+            await recordTransaction(client, payment, { type: 'capture', status: 'succeeded', amount, providerReference: event.id });
+            const captured = await update(client, payment, { status: PAYMENT_STATUS.CAPTURED, captured_amount: amount });
+            await emit(client, 'PaymentCaptured', captured, { capturedAmount: amount });
+            applied = true;
+          }
+        } else if (event.type === 'payment.voided' && status === PAYMENT_STATUS.AUTHORIZED) {
+          await recordTransaction(client, payment, { type: 'void', status: 'succeeded', amount: payment.amount, providerReference: event.id });
+          await emit(client, 'PaymentVoided', await update(client, payment, { status: PAYMENT_STATUS.VOIDED }));
+          applied = true;
+        } else if (event.type === 'payment.failed' && [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.AUTHORIZED].includes(status)) {
+          await fail(client, payment, event.data.operation || 'authorize', payment.amount, event.data.failureReason);
+          applied = true;
+        } else if (event.type === 'payment.refunded' && REFUNDABLE_STATUSES.includes(status)) {
+          // Our own refunds are reported back too; only apply unseen ones
+          const known = await client.query(
+            'SELECT 1 FROM payment_transactions WHERE payment_id = $1 AND provider_reference = $2',
+            [payment.id, event.data.refundId]
+          );
+          const amount = Math.min(event.data.amount, payment.captured_amount - payment.refunded_amount);
+          if (!isAmount(event.data.amount)) {
+            reject('Refund amount must be a positive integer');
+          } else if (known.rows.length === 0 && amount > 0) {
+            await recordTransaction(client, payment, { type: 'refund', status: 'succeeded', amount, providerReference: event.data.refundId });
+            const refundedAmount = payment.refunded_amount + amount;
+            const refunded = await update(client, payment, {
+              status: refundedAmount === payment.captured_amount ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED,
+              refunded_amount: refundedAmount
+            });
+            await emit(client, 'PaymentRefunded', refunded, { refundAmount: amount, refundedAmount, reason: 'Refunded by provider' });
+            applied = true;
+          }
+        }
+      }
+
+      await client.query(
+        'UPDATE webhook_events SET processed_at = CURRENT_TIMESTAMP, applied = $2, rejection_reason = $3 WHERE id = $1',
+        [inserted.rows[0].id, applied, rejectionReason]
+      );
+      await client.query('COMMIT');
+      return { duplicate: false, applied, rejected: rejectionReason !== null };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  const findById = async (id) => {
+    const result = await pool.query('SELECT * FROM payments WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  };
+
+  const list = async ({ userId, orderId }) => {
+    const conditions = [];
+    const params = [];
+    if (userId) {
+      params.push(userId);
+      conditions.push(`user_id = $${params.length}`);
+    }
+    if (orderId) {
+      params.push(orderId);
+      conditions.push(`order_id = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await pool.query(`SELECT * FROM payments ${where} ORDER BY created_at DESC LIMIT 100`, params);
+    return result.rows;
+  };
+
+  const transactions = async (paymentId) => {
+    const result = await pool.query(
+      `SELECT type, status, amount, provider_reference, failure_reason, created_at
+       FROM payment_transactions WHERE payment_id = $1 ORDER BY id`,
+      [paymentId]
+    );
+    return result.rows.map((row) => ({
+      type: row.type,
+      status: row.status,
+      amount: row.amount,
+      providerReference: row.provider_reference,
+      failureReason: row.failure_reason,
+      createdAt: row.created_at
+    }));
+  };
+
+  return {
+    create,
+    authorize,
+    capture,
+    refund,
+    cancelForOrder,
+    applyWebhook,
+    findById,
+    list,
+    transactions
+  };
+};
+
+module.exports = {
+  PAYMENT_STATUS,
+  ACTIVE_STATUSES,
+  PaymentError,
+  serializePayment,
+  createPaymentService
+};
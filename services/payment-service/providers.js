@@ -0,0 +1,168 @@
+// Payment providers for payment-service.
+//
+// A provider implements:
+//   authorize(payment, { idempotencyKey }) -> { status: 'authorized' | 'failed', providerPaymentId, failureReason }
+//   capture(payment, { amount, idempotencyKey }) -> { status: 'captured' | 'failed', failureReason }
+//   refund(payment, { amount, idempotencyKey }) -> { status: 'refunded' | 'failed', providerRefundId, failureReason }
+//   void(payment, { idempotencyKey }) -> { status: 'voided' | 'failed', failureReason }
+//   parseWebhook(rawBody, headers) -> { id, type, data }, throwing WebhookSignatureError
+//
+// Declines come back as { status: 'failed' }; thrown errors mean the
+// provider could not be reached and the operation may be retried with the
+// same idempotency key. Amounts are integers in minor units.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { logger } = require('../../shared/logger');
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+class WebhookSignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookSignatureError';
+  }
+}
+
+// Signatures look like `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">`.
+const signPayload = (secret, payload, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+const verifySignature = (secret, payload, header, { tolerance = SIGNATURE_TOLERANCE_SECONDS } = {}) => {
+  if (!header) {
+    throw new WebhookSignatureError('Missing signature');
+  }
+
+  const parts = Object.fromEntries(header.split(',').map((part) => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    throw new WebhookSignatureError('Malformed signature');
+  }
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) {
+    throw new WebhookSignatureError('Signature timestamp outside tolerance');
+  }
+
+  const expected = Buffer.from(signPayload(secret, payload, timestamp).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new WebhookSignatureError('Signature mismatch');
+  }
+};
+
+// Deterministic provider for local development and tests. The outcome
+// depends only on the payment method token:
+//   fake_card_ok (or anything unlisted)  everything succeeds
+//   fake_card_declined                   authorization declined
+//   fake_card_insufficient_funds         authorization declined
+//   fake_card_capture_fails              authorizes, capture declined
+//   fake_card_refund_fails               refunds declined
+// When `webhookUrl` is set, each successful operation is also reported as
+// a signed webhook, the way a real provider would. Its webhooks can confirm
+// orders, so it needs its own secret and is never enabled in production.
+const createFakeProvider = ({
+  secret = process.env.FAKE_PROVIDER_WEBHOOK_SECRET,
+  webhookUrl = process.env.FAKE_PROVIDER_WEBHOOK_URL,
+  environment = process.env.NODE_ENV
+} = {}) => {
+  if (environment === 'production') {
+    throw new Error('The fake payment provider cannot be enabled in production');
+  }
+  if (!secret) {
+    throw new Error('No fake provider webhook secret configured: set FAKE_PROVIDER_WEBHOOK_SECRET');
+  }
+
+  const name = 'fake';
+  const DECLINES = {
+    fake_card_declined: { authorize: 'card_declined' },
+    fake_card_insufficient_funds: { authorize: 'insufficient_funds' },
+    fake_card_capture_fails: { capture: 'capture_declined' },
+    fake_card_refund_fails: { refund: 'refund_declined' }
+  };
+
+  const declineFor = (payment, operation) => (DECLINES[payment.payment_method] || {})[operation];
+
+  const providerPaymentId = (payment) => `fake_pay_${payment.id}`;
+
+  const notify = (type, data, idempotencyKey) => {
+    if (!webhookUrl) return;
+
+    const body = JSON.stringify({
+      id: `evt_${crypto.createHash('sha256').update(`${idempotencyKey}:${type}`).digest('hex').slice(0, 24)}`,
+      type,
+      data
+    });
+
+    // Delivered after the caller has had a chance to commit
+    setTimeout(() => {
+      axios.post(webhookUrl, body, {
+        headers: { 'Content-Type': 'application/json', 'Fake-Signature': signPayload(secret, body) },
+        timeout: 5000
+      }).catch((error) => logger.error('Fake provider webhook error', { error }));
+    }, 100).unref();
+  };
+
+  const outcome = (payment, operation, success, { idempotencyKey, amount }, data = {}) => {
+    const failureReason = declineFor(payment, operation);
+    if (failureReason) {
+      notify('payment.failed', { providerPaymentId: providerPaymentId(payment), operation, failureReason }, idempotencyKey);
+      return { status: 'failed', failureReason };
+    }
+    notify(`payment.${success}`, { providerPaymentId: providerPaymentId(payment), amount, ...data }, idempotencyKey);
+    return { status: success, ...data };
+  };
+
+  return {
+    name,
+    authorize: async (payment, options) => ({
+      ...outcome(payment, 'authorize', 'authorized', { ...options, amount: payment.amount }),
+      providerPaymentId: providerPaymentId(payment)
+    }),
+    capture: async (payment, options) => outcome(payment, 'capture', 'captured', options),
+    refund: async (payment, options) => {
+      const refundId = `fake_ref_${crypto.createHash('sha256').update(options.idempotencyKey).digest('hex').slice(0, 16)}`;
+      const { refundId: providerRefundId, ...result } = outcome(payment, 'refund', 'refunded', options, { refundId });
+      return { ...result, providerRefundId };
+    },
+    void: async (payment, options) => outcome(payment, 'void', 'voided', options),
+    parseWebhook: (rawBody, headers) => {
+      verifySignature(secret, rawBody, headers['fake-signature']);
+      return JSON.parse(rawBody);
+    }
+  };
+};
+
+const PROVIDER_FACTORIES = {
+  fake: createFakeProvider
+};
+
+// Providers enabled through PAYMENT_PROVIDERS (comma separated); the first
+// one is used for new payments.
+const createProviders = (names = (process.env.PAYMENT_PROVIDERS || 'fake').split(',')) => {
+  const providers = new Map();
+  for (const name of names.map((value) => value.trim()).filter(Boolean)) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    providers.set(name, factory());
+  }
+
+  if (providers.size === 0) {
+    throw new Error('No payment provider configured');
+  }
+
+  return {
+    default: providers.values().next().value,
+    get: (name) => providers.get(name)
+  };
+};
+
+module.exports = {
+  WebhookSignatureError,
+  signPayload,
+  verifySignature,
+  createFakeProvider,
+  createProviders
+};
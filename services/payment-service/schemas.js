@@ -0,0 +1,75 @@
+// Request schemas for payment-service routes; see shared/validation.js
+
+const { schemas: { id, positiveInteger, nonEmptyString } } = require('../../shared/validation');
+
+const paymentParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid' }
+  },
+  required: ['id']
+};
+
+// Webhook bodies are left raw for their signatures; see providers.js
+const webhook = {
+  params: {
+    type: 'object',
+    properties: {
+      provider: { type: 'string', pattern: '^[a-z0-9_-]{1,50}$' }
+    },
+    required: ['provider']
+  }
+};
+
+const createPayment = {
+  body: {
+    type: 'object',
+    properties: {
+      orderId: id,
+      paymentMethod: nonEmptyString(100),
+      capture: { type: 'boolean', default: true }
+    },
+    required: ['orderId'],
+    additionalProperties: false
+  }
+};
+
+const listPayments = {
+  query: {
+    type: 'object',
+    properties: { orderId: id }
+  }
+};
+
+const getPayment = { params: paymentParams };
+
+// Partial captures and refunds name an amount in minor units
+const capturePayment = {
+  params: paymentParams,
+  body: {
+    type: 'object',
+    properties: { amount: positiveInteger },
+    additionalProperties: false
+  }
+};
+
+const refundPayment = {
+  params: paymentParams,
+  body: {
+    type: 'object',
+    properties: {
+      amount: positiveInteger,
+      reason: { type: 'string', maxLength: 500 }
+    },
+    additionalProperties: false
+  }
+};
+
+module.exports = {
+  webhook,
+  createPayment,
+  listPayments,
+  getPayment,
+  capturePayment,
+  refundPayment
+};
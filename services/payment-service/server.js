@@ -0,0 +1,290 @@
+const path = require('path');
+const express = require('express');
+const { Pool } = require('pg');
+const { createMetrics } = require('../../shared/metrics');
+const { initTracing } = require('../../shared/tracing');
+const { logger, initLogging } = require('../../shared/logger');
+const { createLifecycle } = require('../../shared/lifecycle');
+const { closeRedisClients } = require('../../shared/redis');
+const { createAuthenticateToken } = require('../../shared/auth');
+const { createDenylist } = require('../../shared/tokenDenylist');
+const { createJwksClient } = require('../../shared/jwks');
+const { hasPermission, requirePermission } = require('../../shared/authorize');
+const { createUpstream } = require('../../shared/resilience');
+const { createIdempotency } = require('../../shared/idempotency');
+const { createBroker, subscribe } = require('../../shared/events');
+const { createPgOutbox } = require('../../shared/outbox');
+const { createMigrator } = require('../../shared/migrations');
+const { createHealth, postgresCheck, redisCheck, upstreamCheck } = require('../../shared/health');
+const { sendProblem, problemHandler, notFound } = require('../../shared/problem');
+const { validate } = require('../../shared/validation');
+const { WebhookSignatureError, createProviders } = require('./providers');
+const { PaymentError, serializePayment, createPaymentService } = require('./payments');
+const schemas = require('./schemas');
+require('dotenv').config();
+
+const app = express();
+const PORT = process.env.PORT || 3004;
+const metrics = createMetrics('payment_service');
+const tracing = initTracing({ serviceName: 'payment-service' });
+const logging = initLogging({ service: 'payment-service' });
+
+// On SIGTERM/SIGINT: drain requests, stop workers, close what is registered
+const lifecycle = createLifecycle();
+lifecycle.resource('redis', closeRedisClients);
+lifecycle.resource('tracing', tracing.shutdown);
+
+app.use(tracing.middleware);
+app.use(logging.middleware);
+app.use(metrics.middleware);
+
+// PostgreSQL connection
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || 'postgresql://localhost:5432/paymentdb',
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+metrics.trackPgPool(pool);
+tracing.tracePgPool(pool);
+lifecycle.resource('postgres', () => pool.end());
+
+const paymentsTotal = metrics.counter('payments_total', 'Payments processed by resulting status', {
+  labelNames: ['status']
+});
+const webhooksTotal = metrics.counter('payment_webhooks_total', 'Provider webhooks received by outcome', {
+  labelNames: ['provider', 'result']
+});
+
+const broker = createBroker();
+lifecycle.resource('event broker', () => broker.close());
+const outbox = createPgOutbox({ pool, broker, source: 'payment-service' });
+const providers = createProviders();
+const paymentService = createPaymentService({ pool, providers, outbox });
+
+const ORDER_SERVICE_URL = process.env.ORDER_SERVICE_URL || 'http://localhost:3003';
+const orderService = createUpstream('order', ORDER_SERVICE_URL);
+
+// Schema migrations live in migrations/; see shared/migrations.js
+const migrator = createMigrator({ pool, directory: path.join(__dirname, 'migrations') });
+
+// Cancelled orders get their money back: authorizations are voided and
+// captures refunded.
+const startConsumers = () => subscribe(broker, {
+  group: 'payment-service',
+  handlers: {
+    OrderStatusChanged: async ({ data }) => {
+      if (data.status !== 'cancelled') return;
+
+      const outcomes = await paymentService.cancelForOrder(data.orderId, data.reason || 'Order cancelled');
+      outcomes
+        .filter((outcome) => outcome.failureReason)
+        .forEach(({ payment, failureReason }) => {
+          logger.error('Refund for cancelled order declined', { orderId: data.orderId, paymentId: payment.id, reason: failureReason });
+        });
+    }
+  }
+});
+
+// JWT Middleware
+const jwks = createJwksClient();
+const authenticateToken = createAuthenticateToken({ getKey: jwks.getKey, denylist: createDenylist() });
+
+// Honours Idempotency-Key on mutating routes; mounted after authentication
+const idempotent = createIdempotency();
+
+const handlePaymentError = (res, error, label) => {
+  if (error instanceof PaymentError) {
+    return sendProblem(res, error.status, error.message, error.details);
+  }
+  logger.error(`${label} error`, { error });
+  sendProblem(res, 500, 'Internal server error');
+};
+
+// Answers a payment operation; declines are 402 with the payment attached.
+const sendOutcome = (res, { payment, failureReason }, status, message) => {
+  paymentsTotal.inc({ status: payment.status });
+  if (failureReason) {
+    return sendProblem(res, 402, 'Payment declined', { reason: failureReason, payment: serializePayment(payment) });
+  }
+  res.status(status).json({ message, payment: serializePayment(payment) });
+};
+
+// Provider webhooks. Signatures cover the exact bytes sent, so the body is
+// read raw here rather than by the JSON parser. Providers should reach this
+// route directly: the gateway re-encodes bodies, which breaks signatures.
+app.post('/webhooks/:provider', validate(schemas.webhook), express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+  const provider = providers.get(req.params.provider);
+  if (!provider) {
+    return sendProblem(res, 404, 'Unknown payment provider');
+  }
+
+  let event;
+  try {
+    event = provider.parseWebhook(Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '', req.headers);
+  } catch (error) {
+    webhooksTotal.inc({ provider: provider.name, result: 'rejected' });
+    if (error instanceof WebhookSignatureError) {
+      return sendProblem(res, 400, 'Invalid webhook signature');
+    }
+    return sendProblem(res, 400, 'Invalid webhook payload');
+  }
+
+  if (!event || !event.id || !event.type) {
+    webhooksTotal.inc({ provider: provider.name, result: 'rejected' });
+    return sendProblem(res, 400, 'Invalid webhook payload');
+  }
+
+  try {
+    const result = await paymentService.applyWebhook(provider.name, event);
+    const outcome = result.duplicate ? 'duplicate' : result.applied ? 'applied' : result.rejected ? 'rejected' : 'ignored';
+    webhooksTotal.inc({ provider: provider.name, result: outcome });
+    res.json({ received: true, result: outcome });
+  } catch (error) {
+    // Non-2xx makes the provider deliver it again
+    logger.error('Webhook error', { error });
+    sendProblem(res, 500, 'Internal server error');
+  }
+});
+
+app.use(express.json());
+
+// Without order-service new payments cannot start, but webhooks, captures
+// and refunds still work, so it only degrades readiness
+const health = createHealth({
+  service: 'payment-service',
+  isShuttingDown: lifecycle.isShuttingDown,
+  checks: [
+    postgresCheck(pool),
+    ...(process.env.REDIS_URL ? [redisCheck()] : []),
+    upstreamCheck('order-service', ORDER_SERVICE_URL)
+  ]
+});
+
+// Health checks: liveness, and readiness with dependency checks.
+// /health is kept for older probes and reports readiness.
+app.get('/health/live', health.live);
+app.get('/health/ready', health.ready);
+app.get('/health', health.ready);
+
+// Metrics
+app.get('/metrics', metrics.handler);
+
+// Pay for an order. The amount and owner come from order-service, never
+// from the client. Captures immediately unless `capture` is false.
+app.post('/payments', authenticateToken, validate(schemas.createPayment), idempotent, async (req, res) => {
+  try {
+    const { orderId, paymentMethod, capture } = req.body;
+
+    let order;
+    try {
+      const response = await orderService.request({
+        method: 'GET',
+        url: `/orders/${encodeURIComponent(orderId)}`,
+        headers: { Authorization: req.headers.authorization }
+      });
+      order = response.data;
+    } catch (error) {
+      if (error.response && [400, 404].includes(error.response.status)) {
+        return sendProblem(res, 404, 'Order not found');
+      }
+      logger.error('Order lookup error', { error });
+      return sendProblem(res, 503, 'Order service unavailable');
+    }
+
+    if (order.status !== 'pending') {
+      return sendProblem(res, 409, `Order is ${order.status}, not awaiting payment`);
+    }
+
+    const payment = await paymentService.create({
+      orderId: order.id,
+      userId: order.user_id,
+      amount: order.total_amount,
+      currency: order.currency,
+      paymentMethod
+    });
+
+    let outcome = await paymentService.authorize(payment.id);
+    if (!outcome.failureReason && capture) {
+      outcome = await paymentService.capture(payment.id);
+    }
+
+    sendOutcome(res, outcome, 201, 'Payment processed successfully');
+  } catch (error) {
+    handlePaymentError(res, error, 'Create payment');
+  }
+});
+
+// List payments, optionally for one order
+app.get('/payments', authenticateToken, validate(schemas.listPayments), async (req, res) => {
+  try {
+    const userId = hasPermission(req.user, 'payments:read-any') ? null : req.user.userId;
+    const payments = await paymentService.list({ userId, orderId: req.query.orderId });
+    res.json({ payments: payments.map(serializePayment) });
+  } catch (error) {
+    handlePaymentError(res, error, 'Get payments');
+  }
+});
+
+// Get payment by ID, with its provider transactions
+app.get('/payments/:id', authenticateToken, validate(schemas.getPayment), async (req, res) => {
+  try {
+    const payment = await paymentService.findById(req.params.id);
+    if (!payment || (payment.user_id !== req.user.userId && !hasPermission(req.user, 'payments:read-any'))) {
+      return sendProblem(res, 404, 'Payment not found');
+    }
+
+    res.json({
+      ...serializePayment(payment),
+      transactions: await paymentService.transactions(payment.id)
+    });
+  } catch (error) {
+    handlePaymentError(res, error, 'Get payment');
+  }
+});
+
+// Capture an authorized payment
+app.post('/payments/:id/capture', authenticateToken, requirePermission('payments:capture'), validate(schemas.capturePayment), idempotent, async (req, res) => {
+  try {
+    const outcome = await paymentService.capture(req.params.id, { amount: req.body.amount });
+    sendOutcome(res, outcome, 200, 'Payment captured successfully');
+  } catch (error) {
+    handlePaymentError(res, error, 'Capture payment');
+  }
+});
+
+// Refund a captured payment, in full unless `amount` is given
+app.post('/payments/:id/refund', authenticateToken, requirePermission('payments:refund'), validate(schemas.refundPayment), idempotent, async (req, res) => {
+  try {
+    const key = req.get('Idempotency-Key');
+    const outcome = await paymentService.refund(req.params.id, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      idempotencyKey: key ? `${req.params.id}:refund:${key}` : undefined
+    });
+    sendOutcome(res, outcome, 200, 'Payment refunded successfully');
+  } catch (error) {
+    handlePaymentError(res, error, 'Refund payment');
+  }
+});
+
+app.use(notFound);
+app.use(problemHandler);
+
+// Refuses to start on a database schema that is behind. MIGRATE_ON_START
+// applies pending migrations first; otherwise run "npm run migrate -- up".
+migrator.ensureCurrent({
+  migrate: process.env.MIGRATE_ON_START === 'true',
+  log: (message) => logger.info(message)
+})
+  .then(async () => {
+    lifecycle.worker('outbox relay', outbox.startRelay().stop);
+    lifecycle.worker('event consumers', startConsumers().stop);
+    lifecycle.listen(app, PORT, () => {
+      logger.info('Payment Service running', { port: Number(PORT) });
+    });
+  })
+  .catch((error) => {
+    logger.error('Database migration error', { error });
+    process.exit(1);
+  });
+
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const { InventoryError, Reservation, createInventory } = require('../inventory');
+
+// Evaluates the aggregation expressions inventory.js puts in $expr
+const evaluate = (expr, vars) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) {
+    const [name, ...path] = expr.startsWith('$$') ? expr.slice(2).split('.') : ['ROOT', ...expr.slice(1).split('.')];
+    return path.reduce((value, key) => (value == null ? value : value[key]), vars[name]);
+  }
+  if (expr === null || typeof expr !== 'object' || Array.isArray(expr)) {
+    return expr;
+  }
+
+  const [[operator, args]] = Object.entries(expr);
+  const values = () => args.map((arg) => evaluate(arg, vars));
+  switch (operator) {
+    case '$anyElementTrue': return evaluate(args[0], vars).some(Boolean);
+    case '$map': return evaluate(args.input, vars).map((value) => evaluate(args.in, { ...vars, [args.as]: value }));
+    case '$and': return values().every(Boolean);
+    case '$eq': return values()[0] === values()[1];
+    case '$ne': return values()[0] !== values()[1];
+    case '$gte': return values()[0] >= values()[1];
+    case '$subtract': return values()[0] - values()[1];
+    case '$ifNull': return values()[0] == null ? values()[1] : values()[0];
+    default: throw new Error(`Unexpected operator ${operator}`);
+  }
+};
+
+// Products with variants, updated the way inventory.js updates them
+const createProducts = () => {
+  const products = new Map();
+
+  const Product = {
+    updateOne: async ({ _id, isActive, $expr }, { $inc }, { arrayFilters }) => {
+      const product = products.get(String(_id));
+      if (!product || (isActive !== undefined && product.isActive !== isActive)
+          || ($expr && !evaluate($expr, { ROOT: product }))) {
+        return { modifiedCount: 0 };
+      }
+      const variant = product.variants.find((candidate) => candidate.sku === arrayFilters[0]['v.sku']);
+      Object.entries($inc).forEach(([path, amount]) => {
+        const field = path.replace('variants.$[v].', '');
+        variant[field] = (variant[field] || 0) + amount;
+      });
+      return { modifiedCount: 1 };
+    },
+    findById: (id) => ({
+      select: async () => {
+        const product = products.get(String(id));
+        return product ? JSON.parse(JSON.stringify(product)) : null;
+      }
+    })
+  };
+
+  const add = (sku, stock, fields = {}) => {
+    const _id = new mongoose.Types.ObjectId();
+    products.set(String(_id), { _id, isActive: true, variants: [{ sku, stock, reserved: 0, isActive: true }], ...fields });
+    return { productId: String(_id), sku };
+  };
+
+  const variant = ({ productId, sku }) => products.get(productId).variants.find((candidate) => candidate.sku === sku);
+
+  return { Product, add, variant };
+};
+
+// Reservation documents in memory, behind the model methods inventory.js uses
+const fakeReservations = () => {
+  const documents = new Map();
+  const copy = (doc) => (doc ? { ...doc, items: doc.items.map((item) => ({ ...item })) } : null);
+
+  const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '_id') return String(doc._id) === String(condition);
+    if (key === 'status') return condition.$in ? condition.$in.includes(doc.status) : doc.status === condition;
+    if (key === 'expiresAt') return doc.expiresAt <= condition.$lte;
+    if (key === 'reference') return doc.reference === condition;
+    const item = /^items\.(\d+)\.applied$/.exec(key);
+    if (item) return doc.items[Number(item[1])].applied === condition;
+    throw new Error(`Unexpected filter on ${key}`);
+  });
+
+  const find = (filter) => [...documents.values()].filter((doc) => matches(doc, filter));
+
+  jest.spyOn(Reservation, 'create').mockImplementation(async ({ reference, items, expiresAt }) => {
+    if (reference && find({ reference }).length > 0) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      reference,
+      items: items.map((item) => ({ ...item, applied: false })),
+      status: 'pending',
+      expiresAt
+    };
+    documents.set(String(doc._id), doc);
+    return copy(doc);
+  });
+  jest.spyOn(Reservation, 'findOne').mockImplementation(async (filter) => copy(find(filter)[0]));
+  jest.spyOn(Reservation, 'findById').mockImplementation(async (id) => copy(documents.get(String(id))));
+  jest.spyOn(Reservation, 'find').mockImplementation((filter) => ({
+    limit: async (limit) => find(filter).slice(0, limit).map(copy)
+  }));
+  jest.spyOn(Reservation, 'findOneAndUpdate').mockImplementation(async (filter, { status }) => {
+    const [doc] = find(filter);
+    if (!doc) return null;
+    doc.status = status;
+    return copy(doc);
+  });
+  jest.spyOn(Reservation, 'updateOne').mockImplementation(async (filter, { $set }) => {
+    const [doc] = find(filter);
+    if (!doc) return { modifiedCount: 0 };
+    Object.entries($set).forEach(([path, value]) => {
+      const [, index, field] = /^items\.(\d+)\.(\w+)$/.exec(path);
+      doc.items[Number(index)][field] = value;
+    });
+    return { modifiedCount: 1 };
+  });
+
+  return { get: (id) => documents.get(String(id)) };
+};
+
+describe('inventory reservations', () => {
+  let products;
+  let reservations;
+  let onStockChange;
+  let inventory;
+
+  beforeEach(() => {
+    products = createProducts();
+    reservations = fakeReservations();
+    onStockChange = jest.fn().mockResolvedValue();
+    inventory = createInventory({ Product: products.Product, onStockChange });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const line = (item, quantity) => ({ ...item, quantity });
+
+  describe('reserve', () => {
+    it('holds stock for every line', async () => {
+      const mug = products.add('MUG', 5);
+      const cap = products.add('CAP', 2);
+
+      const reservation = await inventory.reserve({ items: [line(mug, 3), line(cap, 2)] });
+
+      expect(reservation.status).toBe('reserved');
+      expect(products.variant(mug)).toMatchObject({ stock: 5, reserved: 3 });
+      expect(products.variant(cap)).toMatchObject({ stock: 2, reserved: 2 });
+      expect(reservations.get(reservation._id).items.map(({ applied }) => applied)).toEqual([true, true]);
+      expect(onStockChange).toHaveBeenCalledWith([mug.productId, cap.productId]);
+    });
+
+    it('gives back the lines already held when a later one is short', async () => {
+      const mug = products.add('MUG', 5);
+      const cap = products.add('CAP', 1);
+
+      const attempt = inventory.reserve({ items: [line(mug, 3), line(cap, 2)] });
+
+      await expect(attempt).rejects.toThrow(InventoryError);
+      await expect(attempt).rejects.toMatchObject({
+        status: 409,
+        details: { sku: 'CAP', requested: 2, available: 1 }
+      });
+      expect(products.variant(mug).reserved).toBe(0);
+      expect(products.variant(cap).reserved).toBe(0);
+
+      const [created] = Reservation.create.mock.results;
+      const stored = reservations.get((await created.value)._id);
+      expect(stored.status).toBe('released');
+      expect(stored.items.map(({ applied }) => applied)).toEqual([false, false]);
+    });
+
+    it('answers 404 for a variant that is not on sale, after giving back the rest', async () => {
+      const mug = products.add('MUG', 5);
+      const gone = products.add('OLD', 5, { isActive: false });
+
+      await expect(inventory.reserve({ items: [line(mug, 1), line(gone, 1)] })).rejects.toMatchObject({ status: 404 });
+      expect(products.variant(mug).reserved).toBe(0);
+    });
+
+    it('returns the original reservation for a repeated reference', async () => {
+      const mug = products.add('MUG', 5);
+
+      const first = await inventory.reserve({ items: [line(mug, 2)], reference: 'order-1' });
+      const again = await inventory.reserve({ items: [line(mug, 2)], reference: 'order-1' });
+
+      expect(String(again._id)).toBe(String(first._id));
+      expect(products.variant(mug).reserved).toBe(2);
+    });
+
+    it('undoes every line exactly once when the sweeper expires the reservation mid-way', async () => {
+      const mug = products.add('MUG', 5);
+      const cap = products.add('CAP', 5);
+      const hat = products.add('HAT', 5);
+
+      // The sweeper runs while the second line is being held
+      const { updateOne } = products.Product;
+      products.Product.updateOne = async (filter, update, options) => {
+        const result = await updateOne(filter, update, options);
+        if (options.arrayFilters[0]['v.sku'] === 'CAP' && update.$inc['variants.$[v].reserved'] > 0) {
+          const [{ value }] = Reservation.create.mock.results;
+          reservations.get((await value)._id).expiresAt = new Date(0);
+          expect(await inventory.expireReservations()).toBe(1);
+        }
+        return result;
+      };
+
+      await expect(inventory.reserve({ items: [line(mug, 1), line(cap, 2), line(hat, 3)] }))
+        .rejects.toMatchObject({ status: 409, message: 'Reservation expired' });
+
+      expect([mug, cap, hat].map((item) => products.variant(item).reserved)).toEqual([0, 0, 0]);
+      const [{ value }] = Reservation.create.mock.results;
+      expect(reservations.get((await value)._id).status).toBe('expired');
+    });
+  });
+
+  describe('commit and release', () => {
+    let mug;
+    let reservation;
+
+    beforeEach(async () => {
+      mug = products.add('MUG', 5);
+      reservation = await inventory.reserve({ items: [line(mug, 2)] });
+    });
+
+    it('turns held stock into sold stock once, however often it is committed', async () => {
+      await inventory.commit(reservation._id);
+      const again = await inventory.commit(reservation._id);
+
+      expect(again.status).toBe('committed');
+      expect(products.variant(mug)).toMatchObject({ stock: 3, reserved: 0 });
+    });
+
+    it('gives back held stock once, however often it is released', async () => {
+      await inventory.release(reservation._id);
+      const again = await inventory.release(reservation._id);
+
+      expect(again.status).toBe('released');
+      expect(products.variant(mug)).toMatchObject({ stock: 5, reserved: 0 });
+    });
+
+    it('returns sold stock when a committed reservation is released, once', async () => {
+      await inventory.commit(reservation._id);
+      await inventory.release(reservation._id);
+      await inventory.release(reservation._id);
+
+      expect(products.variant(mug)).toMatchObject({ stock: 5, reserved: 0 });
+    });
+
+    it('refuses to commit a released reservation', async () => {
+      await inventory.release(reservation._id);
+
+      await expect(inventory.commit(reservation._id)).rejects.toMatchObject({ status: 409 });
+      expect(products.variant(mug)).toMatchObject({ stock: 5, reserved: 0 });
+    });
+
+    it('lets reservations that were never committed expire, and keeps them expired', async () => {
+      reservations.get(reservation._id).expiresAt = new Date(0);
+
+      expect(await inventory.expireReservations()).toBe(1);
+      expect(await inventory.expireReservations()).toBe(0);
+      expect((await inventory.release(reservation._id)).status).toBe('expired');
+      await expect(inventory.commit(reservation._id)).rejects.toMatchObject({ status: 409 });
+
+      expect(products.variant(mug)).toMatchObject({ stock: 5, reserved: 0 });
+    });
+
+    it('does not expire committed reservations', async () => {
+      await inventory.commit(reservation._id);
+      reservations.get(reservation._id).expiresAt = new Date(0);
+
+      expect(await inventory.expireReservations()).toBe(0);
+      expect(products.variant(mug)).toMatchObject({ stock: 3, reserved: 0 });
+    });
+  });
+});
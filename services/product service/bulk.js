@@ -0,0 +1,507 @@
+// Bulk catalog import and export for product-service.
+//
+// Both directions stream: imports are parsed and applied one product at a
+// time as the body arrives, exports are written from a cursor. Formats:
+//
+//   ndjson  one product per line, shaped like the API's products:
+//           { externalId, name, description, category, tags, isActive,
+//             variants: [{ sku, attributes, prices, stock, isActive }] }
+//   csv     one variant per row, columns as in CSV_COLUMNS. Consecutive rows
+//           with the same externalId make up one product. Lists (tags,
+//           images) are separated by "|", attributes are "name=value" pairs
+//           separated by "|", prices go in price_<CURRENCY> columns.
+//
+// Imports upsert: a product is matched by externalId, else by any of its
+// SKUs. Each product is validated against the product schema on its own; a
+// bad one is reported by line number and the import carries on. With
+// dryRun nothing is written and the report says what would have happened.
+// The `id` and `images` columns/fields are exported for reference (images
+// as the URLs of their originals) and ignored on import; images are
+// uploaded through /products/:id/images.
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { CURRENCIES, DEFAULT_CURRENCY } = require('../../shared/money');
+const { VariantError, catalogPrice, variantsForNewProduct } = require('./variants');
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+const MAX_PRODUCTS = Number(process.env.PRODUCT_IMPORT_MAX_ROWS || 10000);
+const MAX_RECORD_LENGTH = 64 * 1024;
+const MAX_REPORTED_ERRORS = 1000;
+const SEPARATOR = '|';
+
+const PRICE_COLUMNS = Object.keys(CURRENCIES).map((currency) => `price_${currency}`);
+const CSV_COLUMNS = [
+  'id', 'externalId', 'name', 'description', 'category', 'tags', 'images', 'isActive',
+  'sku', 'attributes', 'stock', 'variantIsActive', ...PRICE_COLUMNS
+];
+const REQUIRED_CSV_COLUMNS = ['name', 'description', 'category', 'sku', `price_${DEFAULT_CURRENCY}`];
+
+class BulkError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'BulkError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Maps a Content-Type or ?format= value to a format name
+const formatOf = (value) => {
+  const type = String(value || '').split(';')[0].trim().toLowerCase();
+  if (type === 'csv' || type === 'text/csv') return 'csv';
+  if (['ndjson', 'application/x-ndjson', 'application/ndjson'].includes(type)) return 'ndjson';
+  return null;
+};
+
+// Parsing
+
+async function* readLines(stream) {
+  let buffer = '';
+  let line = 0;
+  for await (const chunk of stream) {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      line++;
+      yield { line, text: buffer.slice(0, index).replace(/\r$/, '') };
+      buffer = buffer.slice(index + 1);
+    }
+    if (buffer.length > MAX_RECORD_LENGTH) {
+      throw new BulkError(`Line ${line + 1} is longer than ${MAX_RECORD_LENGTH} characters`);
+    }
+  }
+  if (buffer.length > 0) {
+    yield { line: line + 1, text: buffer.replace(/\r$/, '') };
+  }
+}
+
+// RFC 4180 records: quoted fields may hold commas, quotes ("") and line
+// breaks. Yields { line, fields } with the line the record starts on.
+async function* readCsvRecords(stream) {
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let closedQuote = false;
+  let line = 1;
+  let start = 1;
+  let length = 0;
+  let first = true;
+
+  const finish = () => {
+    record.push(field);
+    const done = { line: start, fields: record };
+    record = [];
+    field = '';
+    length = 0;
+    return done;
+  };
+
+  for await (let chunk of stream) {
+    if (first) {
+      chunk = chunk.replace(/^\uFEFF/, '');
+      first = false;
+    }
+    for (const char of chunk) {
+      if (++length > MAX_RECORD_LENGTH) {
+        throw new BulkError(`Row at line ${start} is longer than ${MAX_RECORD_LENGTH} characters`);
+      }
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+          closedQuote = true;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+        continue;
+      }
+      if (closedQuote && char === '"') {
+        // An escaped quote inside a quoted field
+        field += '"';
+        quoted = true;
+        closedQuote = false;
+        continue;
+      }
+      closedQuote = false;
+
+      if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n') {
+        line++;
+        const done = finish();
+        start = line;
+        if (done.fields.length > 1 || done.fields[0] !== '') {
+          yield done;
+        }
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  }
+
+  if (quoted) {
+    throw new BulkError(`Unterminated quoted field in row at line ${start}`);
+  }
+  if (field !== '' || record.length > 0) {
+    yield finish();
+  }
+}
+
+const parseInteger = (value, column) => {
+  if (!/^\d+$/.test(value)) {
+    throw new BulkError(`${column} must be a whole number`);
+  }
+  return Number(value);
+};
+
+const parseBoolean = (value, column) => {
+  if (value === '') return undefined;
+  if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+  if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+  throw new BulkError(`${column} must be true or false`);
+};
+
+const parseList = (value) => value.split(SEPARATOR).map((item) => item.trim()).filter(Boolean);
+
+const parseAttributes = (value) => Object.fromEntries(parseList(value).map((pair) => {
+  const index = pair.indexOf('=');
+  if (index < 1) {
+    throw new BulkError(`attributes must be name=value pairs separated by "${SEPARATOR}"`);
+  }
+  return [pair.slice(0, index).trim(), pair.slice(index + 1).trim()];
+}));
+
+const variantFromCsv = (row) => ({
+  sku: row.sku,
+  attributes: parseAttributes(row.attributes || ''),
+  prices: PRICE_COLUMNS
+    .filter((column) => row[column])
+    .map((column) => ({ currency: column.slice('price_'.length), amount: parseInteger(row[column], column) })),
+  stock: row.stock ? parseInteger(row.stock, 'stock') : 0,
+  isActive: parseBoolean(row.variantIsActive || '', 'variantIsActive')
+});
+
+const productFromCsv = ({ line, rows }) => {
+  const [first] = rows;
+  try {
+    return {
+      line,
+      input: {
+        externalId: first.externalId || undefined,
+        name: first.name,
+        description: first.description,
+        category: first.category,
+        tags: parseList(first.tags || ''),
+        isActive: parseBoolean(first.isActive || '', 'isActive'),
+        variants: rows.map(variantFromCsv)
+      }
+    };
+  } catch (error) {
+    return { line, error };
+  }
+};
+
+// Yields { line, input } per product, or { line, error } for one that
+// could not be read.
+async function* csvProducts(stream) {
+  const records = readCsvRecords(stream);
+  const head = await records.next();
+  if (head.done) return;
+
+  const header = head.value.fields.map((name) => name.trim());
+  const unknown = header.filter((name) => !CSV_COLUMNS.includes(name));
+  const missing = REQUIRED_CSV_COLUMNS.filter((name) => !header.includes(name));
+  if (unknown.length > 0 || missing.length > 0) {
+    throw new BulkError('Invalid CSV header', 400, { unknownColumns: unknown, missingColumns: missing });
+  }
+
+  let group = null;
+  for await (const { line, fields } of records) {
+    if (fields.length !== header.length) {
+      if (group) yield productFromCsv(group);
+      group = null;
+      yield { line, error: new BulkError(`Expected ${header.length} fields, got ${fields.length}`) };
+      continue;
+    }
+
+    const row = Object.fromEntries(header.map((name, index) => [name, fields[index].trim()]));
+    if (group && row.externalId && row.externalId === group.externalId) {
+      group.rows.push(row);
+      continue;
+    }
+    if (group) yield productFromCsv(group);
+    group = { line, externalId: row.externalId, rows: [row] };
+  }
+  if (group) yield productFromCsv(group);
+}
+
+async function* ndjsonProducts(stream) {
+  for await (const { line, text } of readLines(stream)) {
+    if (!text.trim()) continue;
+    let input;
+    try {
+      input = JSON.parse(text);
+    } catch (error) {
+      yield { line, error: new BulkError('Invalid JSON') };
+      continue;
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      yield { line, error: new BulkError('Each line must be a JSON object') };
+      continue;
+    }
+    yield { line, input };
+  }
+}
+
+// Exporting
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (cells) => `${cells.map(csvCell).join(',')}\n`;
+
+const exportedProduct = (product) => ({
+  id: String(product._id),
+  externalId: product.externalId,
+  name: product.name,
+  description: product.description,
+  category: product.category,
+  tags: product.tags || [],
+  images: (product.images || []).map((image) => image.url),
+  isActive: product.isActive,
+  variants: (product.variants || []).map(({ sku, attributes, prices, stock, isActive }) => ({
+    sku,
+    attributes: attributes || {},
+    prices,
+    stock,
+    isActive
+  }))
+});
+
+const csvRowsFor = (product) => {
+  const data = exportedProduct(product);
+  return data.variants.map((variant) => csvRow([
+    data.id,
+    data.externalId,
+    data.name,
+    data.description,
+    data.category,
+    data.tags.join(SEPARATOR),
+    data.images.join(SEPARATOR),
+    data.isActive,
+    variant.sku,
+    Object.entries(variant.attributes).map(([name, value]) => `${name}=${value}`).join(SEPARATOR),
+    variant.stock,
+    variant.isActive,
+    ...Object.keys(CURRENCIES).map((currency) => {
+      const price = variant.prices.find((entry) => entry.currency === currency);
+      return price ? price.amount : '';
+    })
+  ])).join('');
+};
+
+// Errors a single product can fail with without stopping the import
+const asRowError = (error) => {
+  if (error instanceof BulkError || error instanceof VariantError) return error;
+  if (error.name === 'ValidationError' || error.name === 'CastError') return new BulkError(error.message);
+  if (error.code === 11000) return new BulkError('SKU or externalId already belongs to another product', 409);
+  return null;
+};
+
+// `onChange(productId)` runs after each product written, e.g. to drop
+// cached copies.
+const createBulk = ({ Product, variants, onChange = async () => {} }) => {
+  // Normalizes an input product and validates it against the schema
+  const prepare = (input) => {
+    const { name, description, category, tags = [], isActive = true } = input;
+    const externalId = input.externalId === '' || input.externalId === null ? undefined : input.externalId;
+    if (externalId !== undefined && (typeof externalId !== 'string' || externalId.length > 100)) {
+      throw new BulkError('externalId must be a string of at most 100 characters');
+    }
+
+    const normalized = variantsForNewProduct(null, { variants: input.variants === undefined ? [] : input.variants });
+    const candidate = new Product({
+      externalId,
+      name,
+      description,
+      category,
+      tags,
+      isActive,
+      variants: normalized,
+      price: catalogPrice(normalized)
+    });
+
+    const invalid = candidate.validateSync();
+    if (invalid) {
+      throw new BulkError('Validation failed', 400, {
+        fields: Object.values(invalid.errors).map(({ path, message }) => ({ path, message }))
+      });
+    }
+
+    return {
+      externalId,
+      fields: {
+        name: candidate.name,
+        description: candidate.description,
+        category: candidate.category,
+        tags: [...candidate.tags],
+        isActive: candidate.isActive
+      },
+      variants: normalized
+    };
+  };
+
+  // The product an input updates, or null for a new one
+  const findTarget = async ({ externalId, variants: list }) => {
+    const [bySku, byExternalId] = await Promise.all([
+      Product.find({ 'variants.sku': { $in: list.map((variant) => variant.sku) } }).select('externalId variants.sku'),
+      externalId ? Product.findOne({ externalId }).select('externalId variants.sku') : null
+    ]);
+
+    const matches = new Map([...bySku, byExternalId].filter(Boolean).map((product) => [String(product._id), product]));
+    if (matches.size > 1) {
+      throw new BulkError('SKUs and externalId match more than one product', 409, { productIds: [...matches.keys()] });
+    }
+
+    const [target = null] = matches.values();
+    if (target && externalId && target.externalId && target.externalId !== externalId) {
+      throw new BulkError(`SKUs belong to the product with externalId ${target.externalId}`, 409, {
+        productId: String(target._id)
+      });
+    }
+    return target;
+  };
+
+  // Variants already on the product are updated in place (price changes
+  // publish events as usual), new ones are added, others are left alone.
+  const upsert = async (input, { dryRun }) => {
+    const target = await findTarget(input);
+    if (dryRun) {
+      return { action: target ? 'updated' : 'created' };
+    }
+
+    if (!target) {
+      const product = await new Product({ ...input.fields, externalId: input.externalId, variants: input.variants }).save();
+      await onChange(product._id);
+      return { action: 'created' };
+    }
+
+    // Steps that succeeded stay applied when a later one fails
+    try {
+      await Product.updateOne(
+        { _id: target._id },
+        { $set: { ...input.fields, externalId: input.externalId || target.externalId, updatedAt: new Date() } },
+        { runValidators: true }
+      );
+
+      const existing = new Set(target.variants.map((variant) => variant.sku));
+      for (const variant of input.variants) {
+        if (existing.has(variant.sku)) {
+          const { sku, ...changes } = variant;
+          await variants.update(target._id, sku, changes);
+        } else {
+          await variants.add(target._id, variant);
+        }
+      }
+    } finally {
+      await onChange(target._id);
+    }
+    return { action: 'updated' };
+  };
+
+  // Reads products from `stream` and applies them one at a time. Returns
+  // the report; throws BulkError only if the body is unreadable from the
+  // start (e.g. a bad CSV header).
+  const importProducts = async (stream, { format, dryRun = false }) => {
+    const report = { format, dryRun, processed: 0, created: 0, updated: 0, failed: 0, complete: true, errors: [] };
+
+    const fail = (line, input, error) => {
+      report.failed++;
+      if (report.errors.length >= MAX_REPORTED_ERRORS) {
+        report.errorsTruncated = true;
+        return;
+      }
+      report.errors.push({
+        line,
+        externalId: input ? input.externalId : undefined,
+        skus: input && Array.isArray(input.variants) ? input.variants.map((variant) => variant && variant.sku) : undefined,
+        error: error.message,
+        ...error.details
+      });
+    };
+
+    const products = format === 'csv' ? csvProducts(stream) : ndjsonProducts(stream);
+    try {
+      for await (const { line, input, error } of products) {
+        if (report.processed >= MAX_PRODUCTS) {
+          report.complete = false;
+          report.stoppedReason = `Stopped after ${MAX_PRODUCTS} products`;
+          break;
+        }
+        report.processed++;
+
+        if (error) {
+          fail(line, null, error);
+          continue;
+        }
+        try {
+          const { action } = await upsert(prepare(input), { dryRun });
+          report[action]++;
+        } catch (rowError) {
+          const reported = asRowError(rowError);
+          if (!reported) throw rowError;
+          fail(line, input, reported);
+        }
+      }
+    } catch (error) {
+      if (!(error instanceof BulkError) || report.processed === 0) throw error;
+      // The rest of the body cannot be read, e.g. an unterminated quote
+      report.complete = false;
+      report.stoppedReason = error.message;
+    }
+    return report;
+  };
+
+  async function* exportChunks(filter, format) {
+    const cursor = Product.find(filter).sort({ _id: 1 }).lean().cursor();
+    try {
+      if (format === 'csv') {
+        yield csvRow(CSV_COLUMNS);
+      }
+      for await (const product of cursor) {
+        yield format === 'csv' ? csvRowsFor(product) : `${JSON.stringify(exportedProduct(product))}\n`;
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  // Streams matching products to `res`, with backpressure; resolves once
+  // the export is written or the client went away.
+  const exportProducts = async (res, { filter, format }) => {
+    res.set('Content-Type', FORMATS[format]);
+    res.set('Content-Disposition', `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.${format}"`);
+    await pipeline(Readable.from(exportChunks(filter, format)), res);
+  };
+
+  return {
+    importProducts,
+    exportProducts
+  };
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  BulkError,
+  formatOf,
+  createBulk
+};
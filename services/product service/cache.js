@@ -0,0 +1,125 @@
+// Read-through response cache for product-service.
+//
+// Product reads are stored in Redis as the serialized response body with
+// its ETag. Every key carries a version number: a product's own for single
+// products, the catalog's for listings and categories, which depend on all
+// products. A write bumps the versions after it is applied, so entries
+// built from older data are never read again and expire on their own; a
+// read racing a write can only store under the old version. Stock changes
+// from reservations only bump the products involved, so listings may show
+// stock up to PRODUCT_CACHE_TTL_SECONDS old.
+//
+// Redis trouble never fails a read or a write: reads fall back to Mongo.
+
+const crypto = require('crypto');
+const { logger } = require('../../shared/logger');
+const { getRedisClient } = require('../../shared/redis');
+
+const hash = (value) => crypto.createHash('sha1').update(value).digest('base64url');
+
+const createProductCache = ({
+  metrics,
+  url = process.env.REDIS_URL,
+  prefix = 'product-cache:',
+  enabled = process.env.PRODUCT_CACHE !== 'off',
+  ttlSeconds = Number(process.env.PRODUCT_CACHE_TTL_SECONDS || 300),
+  // How long clients and proxies may reuse a response without revalidating
+  maxAgeSeconds = Number(process.env.PRODUCT_CACHE_MAX_AGE_SECONDS || 30)
+} = {}) => {
+  const lookups = metrics.counter('cache_lookups_total', 'Product read cache lookups', {
+    labelNames: ['cache', 'result']
+  });
+
+  const catalogVersionKey = `${prefix}version:catalog`;
+  const productVersionKey = (id) => `${prefix}version:product:${id}`;
+
+  // Serialized body and ETag, as stored
+  const entryFor = (data) => {
+    const body = JSON.stringify(data);
+    return { etag: `"${hash(body)}"`, body };
+  };
+
+  // Returns the entry for `key` under the version in `versionKey`, running
+  // `load` on a miss. `load` returning null (e.g. not found) is passed
+  // through and not cached.
+  const readThrough = async (cache, versionKey, key, load) => {
+    let client = null;
+    let entryKey;
+    if (enabled) {
+      try {
+        client = await getRedisClient(url);
+        const version = (await client.get(versionKey)) || '0';
+        entryKey = `${prefix}${cache}:${key}:${version}`;
+        const stored = await client.get(entryKey);
+        if (stored) {
+          lookups.inc({ cache, result: 'hit' });
+          return JSON.parse(stored);
+        }
+      } catch (error) {
+        logger.error('Product cache error', { error });
+        client = null;
+      }
+    }
+    lookups.inc({ cache, result: client ? 'miss' : 'error' });
+
+    const data = await load();
+    if (data === null) {
+      return null;
+    }
+    const entry = entryFor(data);
+    if (client) {
+      client.set(entryKey, JSON.stringify(entry), { EX: ttlSeconds })
+        .catch((error) => logger.error('Product cache error', { error }));
+    }
+    return entry;
+  };
+
+  const listing = (canonicalQuery, load) => readThrough('list', catalogVersionKey, hash(canonicalQuery), load);
+
+  const categories = (load) => readThrough('categories', catalogVersionKey, 'all', load);
+
+  const product = (id, load) => readThrough('product', productVersionKey(id), String(id), load);
+
+  // Version counters outlive the entries made under them, so a counter
+  // that expires and restarts cannot meet an old entry again.
+  const bump = async (keys) => {
+    if (!enabled || keys.length === 0) return;
+    try {
+      const client = await getRedisClient(url);
+      const transaction = client.multi();
+      keys.forEach((key) => transaction.incr(key).expire(key, ttlSeconds * 2));
+      await transaction.exec();
+    } catch (error) {
+      logger.error('Product cache invalidation error', { error });
+    }
+  };
+
+  // After a catalog write: the given products and every listing
+  const invalidate = (productIds = []) => bump([catalogVersionKey, ...productIds.map((id) => productVersionKey(id))]);
+
+  // After a stock change: the given products only
+  const invalidateProducts = (productIds) => bump([...new Set(productIds.map(String))].map(productVersionKey));
+
+  // Sends an entry, or 304 when the client's If-None-Match matches it
+  const send = (req, res, { etag, body }) => {
+    res.set('ETag', etag);
+    res.set('Cache-Control', `public, max-age=${maxAgeSeconds}`);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.type('json').send(body);
+  };
+
+  return {
+    listing,
+    categories,
+    product,
+    invalidate,
+    invalidateProducts,
+    send
+  };
+};
+
+module.exports = {
+  createProductCache
+};
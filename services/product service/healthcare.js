@@ -3,7 +3,7 @@ const http = require('http');
 const options = {
   hostname: 'localhost',
   port: 3002,
-  path: '/health',
+  path: '/health/ready',
   method: 'GET',
   timeout: 2000
 };
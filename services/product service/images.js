@@ -0,0 +1,274 @@
+// Product images for product-service.
+//
+// Images are uploaded as multipart files, checked by decoding them (the
+// declared content type is not trusted), re-encoded without metadata and
+// resized into SIZES, then written to storage (see storage.js). The product
+// keeps one document per image with its storage keys, dimensions and alt
+// text. Removing an image from a product deletes its files.
+
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { logger } = require('../../shared/logger');
+
+// Decodable formats accepted for upload
+const IMAGE_TYPES = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' }
+};
+
+// Generated renditions; never larger than the original
+const SIZES = {
+  thumbnail: 160,
+  small: 320,
+  medium: 640,
+  large: 1280
+};
+
+const MAX_IMAGE_BYTES = Number(process.env.PRODUCT_IMAGE_MAX_BYTES || 10 * 1024 * 1024);
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+const MAX_IMAGES = 20;
+const MAX_FILES_PER_UPLOAD = 10;
+const MAX_ALT_LENGTH = 250;
+
+class ImageError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'ImageError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const renditionSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  key: { type: String, required: true },
+  url: { type: String, required: true },
+  contentType: String,
+  width: Number,
+  height: Number,
+  bytes: Number
+}, { _id: false });
+
+const imageSchema = new mongoose.Schema({
+  // Storage key of the original. Images that were plain URLs before
+  // uploads existed have no key and no sizes.
+  key: String,
+  url: { type: String, required: true },
+  alt: { type: String, default: '', maxlength: MAX_ALT_LENGTH },
+  contentType: String,
+  width: Number,
+  height: Number,
+  bytes: Number,
+  sizes: [renditionSchema],
+  createdAt: { type: Date, default: Date.now }
+});
+
+const keysOf = (image) => [image.key, ...(image.sizes || []).map((size) => size.key)].filter(Boolean);
+
+const normalizeAlt = (alt) => {
+  if (alt === undefined || alt === null) return '';
+  if (typeof alt !== 'string' || alt.length > MAX_ALT_LENGTH) {
+    throw new ImageError(`alt must be a string of at most ${MAX_ALT_LENGTH} characters`, 400);
+  }
+  return alt.trim();
+};
+
+// Decodes an upload and returns the original, re-encoded without metadata
+// and with EXIF rotation applied, plus one rendition per size.
+const render = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).metadata();
+  } catch (error) {
+    throw new ImageError('File is not a readable image', 415);
+  }
+
+  const type = IMAGE_TYPES[metadata.format];
+  if (!type) {
+    throw new ImageError(`Unsupported image format: ${metadata.format}. Use ${Object.keys(IMAGE_TYPES).join(', ')}`, 415);
+  }
+
+  const source = () => sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).rotate();
+  try {
+    const original = await source().toFormat(metadata.format).toBuffer({ resolveWithObject: true });
+    const sizes = [];
+    // One at a time: each resize holds a decoded copy of the image
+    for (const [name, width] of Object.entries(SIZES)) {
+      const { data, info } = await source()
+        .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      sizes.push({ name, data, info });
+    }
+    return { type, original, sizes };
+  } catch (error) {
+    throw new ImageError('Image could not be processed', 422, { reason: error.message });
+  }
+};
+
+const createImages = ({ Product, storage }) => {
+  const requireProduct = async (productId) => {
+    if (!mongoose.isValidObjectId(productId)) {
+      throw new ImageError('Invalid product ID', 400);
+    }
+    const product = await Product.findById(productId).select('images');
+    if (!product) {
+      throw new ImageError('Product not found', 404);
+    }
+    return product;
+  };
+
+  // Best effort: files left behind only cost space
+  const discard = async (images) => {
+    try {
+      await storage.remove(images.flatMap(keysOf));
+    } catch (error) {
+      logger.error('Image cleanup error', { error });
+    }
+  };
+
+  // Stores one upload; returns the image document to add
+  const store = async (productId, { buffer }, alt) => {
+    const { type, original, sizes } = await render(buffer);
+    const _id = new mongoose.Types.ObjectId();
+    const prefix = `products/${productId}/${_id}`;
+
+    const image = {
+      _id,
+      key: `${prefix}/original.${type.extension}`,
+      alt,
+      contentType: type.contentType,
+      width: original.info.width,
+      height: original.info.height,
+      bytes: original.info.size,
+      sizes: sizes.map(({ name, info }) => ({
+        name,
+        key: `${prefix}/${name}.webp`,
+        contentType: 'image/webp',
+        width: info.width,
+        height: info.height,
+        bytes: info.size
+      })),
+      createdAt: new Date()
+    };
+    image.url = storage.url(image.key);
+    image.sizes.forEach((size) => { size.url = storage.url(size.key); });
+
+    try {
+      await storage.put(image.key, original.data, { contentType: type.contentType });
+      for (const [index, size] of image.sizes.entries()) {
+        await storage.put(size.key, sizes[index].data, { contentType: size.contentType });
+      }
+    } catch (error) {
+      await discard([image]);
+      throw error;
+    }
+    return image;
+  };
+
+  // Adds uploaded files to a product. `alt` holds the alt text for each
+  // file, in order.
+  const upload = async (productId, files, { alt = [] } = {}) => {
+    if (!files || files.length === 0) {
+      throw new ImageError('No image files uploaded; send them in the "images" field', 400);
+    }
+    const alts = [].concat(alt).map(normalizeAlt);
+    const product = await requireProduct(productId);
+    if (product.images.length + files.length > MAX_IMAGES) {
+      throw new ImageError(`A product has at most ${MAX_IMAGES} images`, 400, { current: product.images.length });
+    }
+
+    const images = [];
+    try {
+      for (const [index, file] of files.entries()) {
+        try {
+          images.push(await store(product._id, file, alts[index] || ''));
+        } catch (error) {
+          if (error instanceof ImageError) {
+            error.details = { ...error.details, file: file.originalname };
+          }
+          throw error;
+        }
+      }
+
+      const updated = await Product.findOneAndUpdate(
+        { _id: product._id, [`images.${MAX_IMAGES - images.length}`]: { $exists: false } },
+        { $push: { images: { $each: images } }, $set: { updatedAt: new Date() } },
+        { new: true, runValidators: true }
+      );
+      if (!updated) {
+        throw new ImageError(`A product has at most ${MAX_IMAGES} images`, 409);
+      }
+      return { product: updated, images: updated.images.filter((image) => images.some(({ _id }) => _id.equals(image._id))) };
+    } catch (error) {
+      await discard(images);
+      throw error;
+    }
+  };
+
+  const update = async (productId, imageId, { alt }) => {
+    if (!mongoose.isValidObjectId(productId) || !mongoose.isValidObjectId(imageId)) {
+      throw new ImageError('Invalid product or image ID', 400);
+    }
+    const product = await Product.findOneAndUpdate(
+      { _id: productId, 'images._id': imageId },
+      { $set: { 'images.$.alt': normalizeAlt(alt), updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+    if (!product) {
+      throw new ImageError('Image not found', 404);
+    }
+    return product;
+  };
+
+  // Removes the image from the product first, so it is never shown with
+  // its files gone, then deletes the files.
+  const remove = async (productId, imageId) => {
+    if (!mongoose.isValidObjectId(productId) || !mongoose.isValidObjectId(imageId)) {
+      throw new ImageError('Invalid product or image ID', 400);
+    }
+    const before = await Product.findOneAndUpdate(
+      { _id: productId, 'images._id': imageId },
+      { $pull: { images: { _id: imageId } }, $set: { updatedAt: new Date() } }
+    ).select('images');
+    if (!before) {
+      throw new ImageError('Image not found', 404);
+    }
+    await discard([before.images.id(imageId)]);
+  };
+
+  return {
+    upload,
+    update,
+    remove
+  };
+};
+
+// Products written before uploads existed hold plain URL strings. They
+// become images without storage keys, once; the native driver is used
+// because the strings no longer cast to the schema.
+const migrateLegacyImages = async (Product) => {
+  const cursor = Product.collection.find({ images: { $type: 'string' } }, { projection: { images: 1 } });
+  let count = 0;
+  for await (const { _id, images } of cursor) {
+    const converted = images.map((image) => (typeof image === 'string'
+      ? { _id: new mongoose.Types.ObjectId(), url: image, alt: '', sizes: [], createdAt: new Date() }
+      : image));
+    const result = await Product.collection.updateOne({ _id, images }, { $set: { images: converted } });
+    count += result.modifiedCount;
+  }
+  return count;
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  SIZES,
+  MAX_IMAGE_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  MAX_ALT_LENGTH,
+  ImageError,
+  imageSchema,
+  createImages,
+  migrateLegacyImages
+};
@@ -0,0 +1,330 @@
+// Stock reservations for product-service.
+//
+// A reservation holds stock for a set of order lines, each naming a variant
+// by SKU. Holding is tracked in the variant's `reserved` counter and every
+// change is a conditional update, so concurrent orders cannot take more than
+// `stock - reserved`. Committing
+// turns held stock into sold stock, releasing gives it back (including after
+// a commit, for cancelled orders), and reservations that are never committed
+// expire on their own.
+
+const mongoose = require('mongoose');
+const { logger } = require('../../shared/logger');
+const { defaultSku, available } = require('./variants');
+
+const DEFAULT_TTL_SECONDS = Number(process.env.RESERVATION_TTL_SECONDS || 900);
+const MAX_TTL_SECONDS = 3600;
+
+class InventoryError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'InventoryError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const reservationSchema = new mongoose.Schema({
+  reference: { type: String, unique: true, sparse: true },
+  items: [{
+    _id: false,
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    // Missing on reservations made before variants; see skuOf
+    sku: { type: String },
+    quantity: { type: Number, required: true, min: 1 },
+    // Set once the variant's `reserved` counter has been incremented, so
+    // a half-finished reservation can be undone precisely; cleared again
+    // when it is.
+    applied: { type: Boolean, default: false }
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'reserved', 'committed', 'released', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+const skuOf = (item) => item.sku || defaultSku(item.productId);
+
+// Matches products whose variant `sku` is on sale with `quantity` available
+const hasAvailable = (sku, quantity) => ({
+  $anyElementTrue: [{
+    $map: {
+      input: { $ifNull: ['$variants', []] },
+      as: 'v',
+      in: {
+        $and: [
+          { $eq: ['$$v.sku', sku] },
+          { $ne: ['$$v.isActive', false] },
+          { $gte: [{ $subtract: ['$$v.stock', { $ifNull: ['$$v.reserved', 0] }] }, quantity] }
+        ]
+      }
+    }
+  }]
+});
+
+// Applies `$inc` amounts to the item's variant
+const adjustVariant = (Product, item, filter, amounts) => Product.updateOne(
+  { _id: item.productId, ...filter },
+  {
+    $inc: Object.fromEntries(Object.entries(amounts).map(([field, amount]) => [`variants.$[v].${field}`, amount])),
+    $set: { updatedAt: new Date() }
+  },
+  { arrayFilters: [{ 'v.sku': skuOf(item) }] }
+);
+
+// Lines for the same variant are merged so each variant is touched once.
+const normalizeItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new InventoryError('Reservation items are required', 400);
+  }
+
+  const quantities = new Map();
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    if (!mongoose.isValidObjectId(item.productId) || typeof item.sku !== 'string' || !item.sku ||
+        !Number.isInteger(quantity) || quantity < 1) {
+      throw new InventoryError('Each item needs a valid productId, a sku and a positive integer quantity', 400, { item });
+    }
+    const key = JSON.stringify([String(item.productId), item.sku]);
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+  }
+
+  return [...quantities].map(([key, quantity]) => {
+    const [productId, sku] = JSON.parse(key);
+    return { productId, sku, quantity };
+  });
+};
+
+// `onStockChange(productIds)` runs after stock or reserved counts change,
+// e.g. to drop cached copies of those products.
+const createInventory = ({ Product, onStockChange = async () => {} }) => {
+  // Claims a status change; returns null when another caller got there
+  // first or the reservation is not in one of the `from` states.
+  const transition = (id, from, to) => Reservation.findOneAndUpdate(
+    { _id: id, status: { $in: from } },
+    { status: to, updatedAt: new Date() },
+    { new: true }
+  );
+
+  // Gives back the held stock of every applied item. Each item's `applied`
+  // flag is cleared before its counter is touched, so when `reserve` and
+  // the expiry sweeper both undo the same reservation, each item is undone
+  // exactly once.
+  const unreserve = (reservation) => Promise.all(reservation.items.map(async (item, index) => {
+    const claimed = await Reservation.updateOne(
+      { _id: reservation._id, [`items.${index}.applied`]: true },
+      { $set: { [`items.${index}.applied`]: false } }
+    );
+    if (claimed.modifiedCount > 0) {
+      await adjustVariant(Product, item, {}, { reserved: -item.quantity });
+    }
+  }));
+
+  const stockChanged = (reservation) => onStockChange(reservation.items.map((item) => item.productId));
+
+  const reserve = async ({ items, reference, ttlSeconds = DEFAULT_TTL_SECONDS }) => {
+    const lines = normalizeItems(items);
+    const ttl = Math.min(Math.max(Number(ttlSeconds) || DEFAULT_TTL_SECONDS, 1), MAX_TTL_SECONDS);
+
+    // A retried request with the same reference gets the original back.
+    if (reference) {
+      const existing = await Reservation.findOne({ reference });
+      if (existing) return existing;
+    }
+
+    let reservation;
+    try {
+      reservation = await Reservation.create({
+        reference,
+        items: lines,
+        expiresAt: new Date(Date.now() + ttl * 1000)
+      });
+    } catch (error) {
+      if (error.code === 11000 && reference) {
+        return Reservation.findOne({ reference });
+      }
+      throw error;
+    }
+
+    for (let index = 0; index < reservation.items.length; index++) {
+      const item = reservation.items[index];
+      const result = await adjustVariant(
+        Product,
+        item,
+        { isActive: true, $expr: hasAvailable(item.sku, item.quantity) },
+        { reserved: item.quantity }
+      );
+
+      if (result.modifiedCount === 0) {
+        const product = await Product.findById(item.productId).select('variants isActive');
+        const variant = product && product.isActive && product.variants.find((candidate) => candidate.sku === item.sku);
+        await unreserve(reservation);
+        await transition(reservation._id, ['pending'], 'released');
+
+        if (!variant || !variant.isActive) {
+          throw new InventoryError(`Product not found: ${item.sku}`, 404, {
+            productId: String(item.productId),
+            sku: item.sku
+          });
+        }
+        throw new InventoryError(`Insufficient stock for product: ${item.sku}`, 409, {
+          productId: String(item.productId),
+          sku: item.sku,
+          requested: item.quantity,
+          available: available(variant)
+        });
+      }
+
+      item.applied = true;
+      await Reservation.updateOne({ _id: reservation._id }, { $set: { [`items.${index}.applied`]: true } });
+    }
+
+    const reserved = await transition(reservation._id, ['pending'], 'reserved');
+    if (!reserved) {
+      // Expired by the sweeper while we were still working on it. It undid
+      // the items applied by then; the ones applied since are undone here.
+      await unreserve(reservation);
+      await stockChanged(reservation);
+      throw new InventoryError('Reservation expired', 409);
+    }
+    await stockChanged(reserved);
+    return reserved;
+  };
+
+  const findReservation = async (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new InventoryError('Invalid reservation ID', 400);
+    }
+    const reservation = await Reservation.findById(id);
+    if (!reservation) {
+      throw new InventoryError('Reservation not found', 404);
+    }
+    return reservation;
+  };
+
+  const findByReference = async (reference) => {
+    const reservation = await Reservation.findOne({ reference });
+    if (!reservation) {
+      throw new InventoryError('Reservation not found', 404);
+    }
+    return reservation;
+  };
+
+  const commit = async (id) => {
+    const current = await findReservation(id);
+    if (current.status === 'committed') {
+      return current;
+    }
+
+    const reservation = await transition(id, ['reserved'], 'committed');
+    if (!reservation) {
+      throw new InventoryError(`Reservation cannot be committed from status ${current.status}`, 409);
+    }
+
+    await Promise.all(reservation.items.map((item) => adjustVariant(Product, item, {}, {
+      stock: -item.quantity,
+      reserved: -item.quantity
+    })));
+    await stockChanged(reservation);
+    return reservation;
+  };
+
+  const release = async (id) => {
+    const current = await findReservation(id);
+    if (current.status === 'released' || current.status === 'expired') {
+      return current;
+    }
+
+    if (current.status === 'committed') {
+      const reservation = await transition(id, ['committed'], 'released');
+      if (reservation) {
+        await Promise.all(reservation.items.map((item) => adjustVariant(Product, item, {}, { stock: item.quantity })));
+        await stockChanged(reservation);
+        return reservation;
+      }
+    } else {
+      const reservation = await transition(id, ['pending', 'reserved'], 'released');
+      if (reservation) {
+        await unreserve(reservation);
+        await stockChanged(reservation);
+        return reservation;
+      }
+    }
+
+    // Lost a race with another transition; report where it ended up.
+    return findReservation(id);
+  };
+
+  const expireReservations = async (limit = 100) => {
+    const expired = await Reservation.find({
+      status: { $in: ['pending', 'reserved'] },
+      expiresAt: { $lte: new Date() }
+    }).limit(limit);
+
+    let count = 0;
+    for (const candidate of expired) {
+      const reservation = await transition(candidate._id, ['pending', 'reserved'], 'expired');
+      if (reservation) {
+        await unreserve(reservation);
+        await stockChanged(reservation);
+        count++;
+      }
+    }
+    return count;
+  };
+
+  // Returns { stop }, which waits for a sweep in progress
+  const startExpirySweeper = (interval = Number(process.env.RESERVATION_SWEEP_INTERVAL_MS || 30000)) => {
+    let running = null;
+
+    const sweep = async () => {
+      try {
+        const count = await expireReservations();
+        if (count > 0) {
+          logger.info('Expired stock reservations', { count });
+        }
+      } catch (error) {
+        logger.error('Reservation expiry error', { error });
+      } finally {
+        running = null;
+      }
+    };
+
+    const timer = setInterval(() => {
+      if (!running && mongoose.connection.readyState === 1) {
+        running = sweep();
+      }
+    }, interval);
+    timer.unref();
+    return {
+      stop: async () => {
+        clearInterval(timer);
+        await running;
+      }
+    };
+  };
+
+  return {
+    reserve,
+    commit,
+    release,
+    findReservation,
+    findByReference,
+    expireReservations,
+    startExpirySweeper
+  };
+};
+
+module.exports = {
+  InventoryError,
+  Reservation,
+  createInventory
+};
@@ -0,0 +1,81 @@
+// Outbox for product-service.
+//
+// A standalone MongoDB has no multi-document transactions, so pending events
+// are kept on the document they describe, in an `outbox` array that is
+// written by the same single-document update as the change itself. The relay
+// publishes them and pulls them off one by one; a crash in between means the
+// event is published again, which consumers dedup by event id.
+
+const mongoose = require('mongoose');
+const { createEvent } = require('../../shared/events');
+const { logger } = require('../../shared/logger');
+
+// Schema field for models that carry an outbox. Hidden from queries unless
+// explicitly selected.
+const outboxField = {
+  type: [mongoose.Schema.Types.Mixed],
+  select: false,
+  default: undefined
+};
+
+const createDocumentOutbox = ({ Model, broker, source }) => {
+  // Builds the event for the caller to `$push` onto the document's outbox.
+  const event = (type, data, { aggregateId } = {}) => createEvent(type, data, { source, aggregateId });
+
+  const relayBatch = async (batchSize = 100) => {
+    const documents = await Model.find({ 'outbox.id': { $exists: true } })
+      .select('+outbox')
+      .limit(batchSize)
+      .lean();
+
+    let published = 0;
+    for (const document of documents) {
+      for (const pending of document.outbox) {
+        await broker.publish(pending);
+        await Model.updateOne({ _id: document._id }, { $pull: { outbox: { id: pending.id } } });
+        published++;
+      }
+    }
+    return published;
+  };
+
+  // Returns { stop }, which waits for a batch being relayed
+  const startRelay = ({ interval = Number(process.env.OUTBOX_RELAY_INTERVAL_MS || 1000), isReady = () => true } = {}) => {
+    let running = null;
+
+    const tick = async () => {
+      try {
+        // Drain backlogs without waiting a full interval per batch
+        while (await relayBatch() > 0);
+      } catch (error) {
+        logger.error('Outbox relay error', { error });
+      } finally {
+        running = null;
+      }
+    };
+
+    const timer = setInterval(() => {
+      if (!running && isReady()) {
+        running = tick();
+      }
+    }, interval);
+    timer.unref();
+    return {
+      stop: async () => {
+        clearInterval(timer);
+        await running;
+      }
+    };
+  };
+
+  return {
+    event,
+    relayBatch,
+    startRelay
+  };
+};
+
+module.exports = {
+  outboxField,
+  createDocumentOutbox
+};
@@ -0,0 +1,253 @@
+// Request schemas for product-service routes; see shared/validation.js.
+// They check shapes and types; the rules that need the catalog (unique
+// SKUs, a price in the catalog currency, sort names, ...) stay with the
+// code that applies them.
+
+const { schemas: { objectId, positiveInteger, amount, currency, nonEmptyString } } = require('../../shared/validation');
+const { MAX_ALT_LENGTH } = require('./images');
+
+const sku = { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$' };
+const stock = { type: 'integer', minimum: 0 };
+const tags = { type: 'array', items: nonEmptyString(50), maxItems: 50 };
+const flag = { enum: ['true', 'false'] };
+// A query parameter given once, repeated, or comma separated
+const list = { type: 'array', items: { type: 'string', maxLength: 200 }, maxItems: 50 };
+
+const prices = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    properties: { currency, amount },
+    required: ['currency', 'amount'],
+    additionalProperties: false
+  }
+};
+
+const attributes = {
+  type: 'object',
+  propertyNames: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_-]{0,39}$' },
+  additionalProperties: { type: 'string', maxLength: 100 }
+};
+
+const variantFields = {
+  attributes,
+  prices,
+  stock,
+  isActive: { type: 'boolean' }
+};
+
+const variant = {
+  type: 'object',
+  properties: { sku, ...variantFields },
+  required: ['sku', 'prices'],
+  additionalProperties: false
+};
+
+// :id is a product's, or a reservation's on /inventory routes
+const idParams = {
+  type: 'object',
+  properties: { id: objectId },
+  required: ['id']
+};
+
+const variantParams = {
+  type: 'object',
+  properties: { id: objectId, sku },
+  required: ['id', 'sku']
+};
+
+const imageParams = {
+  type: 'object',
+  properties: { id: objectId, imageId: objectId },
+  required: ['id', 'imageId']
+};
+
+// Catalog filters shared by listing and export; see search.js
+const filters = {
+  q: { type: 'string', maxLength: 200 },
+  search: { type: 'string', maxLength: 200 },
+  category: list,
+  tags: list,
+  minPrice: amount,
+  maxPrice: amount,
+  inStock: { enum: ['true', 'false', '1', '0'] }
+};
+
+const listProducts = {
+  query: {
+    type: 'object',
+    properties: {
+      ...filters,
+      sort: { type: 'string', maxLength: 20 },
+      sortBy: { type: 'string', maxLength: 20 },
+      sortOrder: { enum: ['asc', 'desc'] },
+      limit: { type: 'integer', minimum: 1, maximum: 100 },
+      cursor: { type: 'string', maxLength: 500 }
+    }
+  }
+};
+
+const importProducts = {
+  query: {
+    type: 'object',
+    properties: { dryRun: flag }
+  }
+};
+
+const exportProducts = {
+  query: {
+    type: 'object',
+    properties: {
+      ...filters,
+      format: { enum: ['csv', 'ndjson'], default: 'ndjson' },
+      includeInactive: flag
+    }
+  }
+};
+
+const getProduct = { params: idParams };
+
+// Either `variants`, or the single-variant shorthand of `price` (catalog
+// currency), `stock` and optionally `sku`
+const createProduct = {
+  body: {
+    type: 'object',
+    properties: {
+      name: nonEmptyString(200),
+      description: nonEmptyString(5000),
+      category: nonEmptyString(100),
+      tags,
+      variants: { type: 'array', minItems: 1, maxItems: 100, items: variant },
+      sku,
+      price: amount,
+      stock
+    },
+    required: ['name', 'description', 'category'],
+    additionalProperties: false,
+    if: { not: { required: ['variants'] } },
+    then: { required: ['price'] }
+  }
+};
+
+// Only the fields sent are changed. Prices and stock belong to variants,
+// images to /products/:id/images.
+const updateProduct = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      name: nonEmptyString(200),
+      description: nonEmptyString(5000),
+      category: nonEmptyString(100),
+      tags,
+      isActive: { type: 'boolean' }
+    },
+    minProperties: 1,
+    additionalProperties: false
+  }
+};
+
+const deleteProduct = { params: idParams };
+
+const getSku = {
+  params: {
+    type: 'object',
+    properties: { sku },
+    required: ['sku']
+  }
+};
+
+const listVariants = { params: idParams };
+
+const createVariant = {
+  params: idParams,
+  body: variant
+};
+
+const updateVariant = {
+  params: variantParams,
+  body: {
+    type: 'object',
+    properties: variantFields,
+    minProperties: 1,
+    additionalProperties: false
+  }
+};
+
+const deleteVariant = { params: variantParams };
+
+// Multipart bodies are checked by the upload itself; see images.js
+const uploadImages = { params: idParams };
+
+const updateImage = {
+  params: imageParams,
+  body: {
+    type: 'object',
+    properties: {
+      alt: { type: 'string', maxLength: MAX_ALT_LENGTH }
+    },
+    required: ['alt'],
+    additionalProperties: false
+  }
+};
+
+const deleteImage = { params: imageParams };
+
+const reserveStock = {
+  body: {
+    type: 'object',
+    properties: {
+      reference: nonEmptyString(100),
+      ttlSeconds: { type: 'integer', minimum: 1 },
+      items: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 100,
+        items: {
+          type: 'object',
+          properties: {
+            productId: objectId,
+            sku: nonEmptyString(64),
+            quantity: positiveInteger
+          },
+          required: ['productId', 'sku', 'quantity'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['items'],
+    additionalProperties: false
+  }
+};
+
+const findReservation = {
+  query: {
+    type: 'object',
+    properties: { reference: nonEmptyString(100) },
+    required: ['reference']
+  }
+};
+
+const reservation = { params: idParams };
+
+module.exports = {
+  listProducts,
+  importProducts,
+  exportProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  getSku,
+  listVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+  uploadImages,
+  updateImage,
+  deleteImage,
+  reserveStock,
+  findReservation,
+  reservation
+};
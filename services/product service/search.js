@@ -0,0 +1,331 @@
+// Catalog search for product-service.
+//
+// Search runs on the `product_text_search` text index, never on regexes
+// built from user input. Results are paged with opaque keyset cursors on
+// (sort value, _id), so deep pages cost the same as the first. Cursors are
+// bound to the sort and filters they were issued for.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { CURRENCIES, DEFAULT_CURRENCY } = require('../../shared/money');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 200;
+// Price facet boundaries in major units of the catalog currency
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000].map((major) => major * 10 ** CURRENCIES[DEFAULT_CURRENCY]);
+const TOP_TAGS = 20;
+
+// Whitelisted sorts. `relevance` needs a search term.
+const SORTS = {
+  relevance: { field: 'score', direction: -1 },
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  price_asc: { field: 'price', direction: 1 },
+  price_desc: { field: 'price', direction: -1 },
+  name_asc: { field: 'name', direction: 1 },
+  name_desc: { field: 'name', direction: -1 }
+};
+
+// Older clients send sortBy/sortOrder
+const LEGACY_SORT_FIELDS = { createdAt: ['oldest', 'newest'], price: ['price_asc', 'price_desc'], name: ['name_asc', 'name_desc'] };
+
+class SearchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SearchError';
+    this.status = status;
+  }
+}
+
+// Some variant on sale has stock that is not reserved
+const hasStock = {
+  $anyElementTrue: [{
+    $map: {
+      input: { $ifNull: ['$variants', []] },
+      as: 'v',
+      in: {
+        $and: [
+          { $ne: ['$$v.isActive', false] },
+          { $gt: [{ $subtract: ['$$v.stock', { $ifNull: ['$$v.reserved', 0] }] }, 0] }
+        ]
+      }
+    }
+  }]
+};
+
+// Prices are filtered in minor units of the catalog currency
+const parseAmount = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isSafeInteger(number) || number < 0) {
+    throw new SearchError(`${name} must be a non-negative integer in minor units`);
+  }
+  return number;
+};
+
+const parseList = (value) => (value === undefined ? [] : [].concat(value)
+  .flatMap((item) => String(item).split(','))
+  .map((item) => item.trim())
+  .filter(Boolean));
+
+const resolveSort = ({ sort, sortBy, sortOrder }, hasQuery) => {
+  let key = sort;
+  if (!key && sortBy) {
+    const pair = LEGACY_SORT_FIELDS[sortBy];
+    if (!pair) {
+      throw new SearchError(`Unsupported sortBy: ${sortBy}`);
+    }
+    key = sortOrder === 'asc' ? pair[0] : pair[1];
+  }
+  key = key || (hasQuery ? 'relevance' : 'newest');
+
+  if (!SORTS[key]) {
+    throw new SearchError(`Unsupported sort: ${key}. Use one of ${Object.keys(SORTS).join(', ')}`);
+  }
+  if (key === 'relevance' && !hasQuery) {
+    throw new SearchError('Sorting by relevance requires a search query');
+  }
+  return { key, ...SORTS[key] };
+};
+
+const parseFilters = (query) => {
+  const text = String(query.q || query.search || '').trim();
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new SearchError(`Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const minPrice = parseAmount(query.minPrice, 'minPrice');
+  const maxPrice = parseAmount(query.maxPrice, 'maxPrice');
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw new SearchError('minPrice cannot be greater than maxPrice');
+  }
+
+  return {
+    text,
+    categories: parseList(query.category),
+    tags: parseList(query.tags),
+    minPrice,
+    maxPrice,
+    inStock: query.inStock === 'true' || query.inStock === '1'
+  };
+};
+
+// Normalizes query-string input into validated search parameters.
+const parseSearchParams = (query) => {
+  const filters = parseFilters(query);
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new SearchError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  return {
+    ...filters,
+    sort: resolveSort(query, filters.text.length > 0),
+    limit,
+    cursor: query.cursor
+  };
+};
+
+const sortedSet = (values) => [...new Set(values)].sort();
+
+// One string per distinct result page, however the query was spelled
+// (list order, legacy sort parameters). Used for cache keys; validates
+// like searchProducts.
+const canonicalQuery = (query) => {
+  const params = parseSearchParams(query);
+  return JSON.stringify([
+    params.text,
+    sortedSet(params.categories),
+    sortedSet(params.tags),
+    params.minPrice,
+    params.maxPrice,
+    params.inStock,
+    params.sort.key,
+    params.limit,
+    params.cursor
+  ]);
+};
+
+const buildFilter = ({ text, categories, tags, minPrice, maxPrice, inStock }) => {
+  // $text has to lead the first $match stage
+  const filter = text ? { $text: { $search: text } } : {};
+  filter.isActive = true;
+
+  if (categories.length > 0) {
+    filter.category = { $in: categories };
+  }
+  if (tags.length > 0) {
+    filter.tags = { $all: tags };
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) filter.price.$gte = minPrice;
+    if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+  }
+  if (inStock) {
+    filter.$expr = hasStock;
+  }
+  return filter;
+};
+
+// Identifies the result set a cursor belongs to
+const filterDigest = (params) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([
+    params.text,
+    sortedSet(params.categories),
+    sortedSet(params.tags),
+    params.minPrice,
+    params.maxPrice,
+    params.inStock
+  ]))
+  .digest('base64url')
+  .slice(0, 12);
+
+const encodeCursor = (params, document) => Buffer.from(JSON.stringify({
+  s: params.sort.key,
+  f: filterDigest(params),
+  v: document[params.sort.field] instanceof Date ? document[params.sort.field].toISOString() : document[params.sort.field],
+  id: String(document._id)
+})).toString('base64url');
+
+const decodeCursor = (params) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(params.cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new SearchError('Invalid cursor');
+  }
+
+  if (!cursor || !mongoose.isValidObjectId(cursor.id) || cursor.v === undefined) {
+    throw new SearchError('Invalid cursor');
+  }
+  if (cursor.s !== params.sort.key || cursor.f !== filterDigest(params)) {
+    throw new SearchError('Cursor does not match this query; start again without a cursor');
+  }
+
+  return {
+    value: params.sort.field === 'createdAt' ? new Date(cursor.v) : cursor.v,
+    id: new mongoose.Types.ObjectId(cursor.id)
+  };
+};
+
+// Everything strictly after the cursor in sort order, _id breaking ties
+const afterCursor = ({ field, direction }, { value, id }) => {
+  const operator = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [operator]: value } },
+      { [field]: value, _id: { [operator]: id } }
+    ]
+  };
+};
+
+const facetStages = () => ({
+  categories: [
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+  ],
+  tags: [
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: TOP_TAGS },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+  ],
+  priceRanges: [
+    { $bucket: { groupBy: '$price', boundaries: PRICE_BUCKETS, default: 'above', output: { count: { $sum: 1 } } } }
+  ],
+  total: [{ $count: 'count' }]
+});
+
+const formatFacets = ({ categories, tags, priceRanges, total }) => ({
+  total: total.length > 0 ? total[0].count : 0,
+  facets: {
+    categories,
+    tags,
+    priceRanges: priceRanges.map((bucket) => {
+      if (bucket._id === 'above') {
+        return { min: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], max: null, count: bucket.count };
+      }
+      const index = PRICE_BUCKETS.indexOf(bucket._id);
+      return { min: bucket._id, max: PRICE_BUCKETS[index + 1], count: bucket.count };
+    })
+  }
+});
+
+// The search filters alone, as a query document, e.g. for exports.
+// `includeInactive` also matches products withdrawn from sale.
+const catalogFilter = (query, { includeInactive = false } = {}) => {
+  const filter = buildFilter(parseFilters(query));
+  if (includeInactive) {
+    delete filter.isActive;
+  }
+  return filter;
+};
+
+// Returns { products, currency, pagination, total, facets }. Prices are
+// in minor units of `currency`, the catalog currency. Facets and the total
+// count describe the whole filtered result set and are only computed for
+// the first page.
+const searchProducts = async (Product, query) => {
+  const params = parseSearchParams(query);
+  const filter = buildFilter(params);
+  const { sort } = params;
+
+  const pipeline = [];
+  const after = params.cursor ? afterCursor(sort, decodeCursor(params)) : null;
+
+  // The cursor condition joins the leading $match so it can use an index,
+  // except for relevance, whose score only exists after $addFields.
+  if (after && sort.field !== 'score') {
+    pipeline.push({ $match: { ...filter, $and: [after] } });
+  } else {
+    pipeline.push({ $match: filter });
+  }
+  if (params.text) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+  if (after && sort.field === 'score') {
+    pipeline.push({ $match: after });
+  }
+
+  const page = [
+    { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+    // One extra row tells us whether there is a next page
+    { $limit: params.limit + 1 },
+    { $project: { outbox: 0 } }
+  ];
+
+  // Later pages skip the facets and page straight off the index
+  const result = params.cursor
+    ? { page: await Product.aggregate([...pipeline, ...page]) }
+    : (await Product.aggregate([...pipeline, { $facet: { page, ...facetStages() } }]))[0];
+
+  const hasMore = result.page.length > params.limit;
+  const products = result.page.slice(0, params.limit);
+
+  return {
+    products,
+    currency: DEFAULT_CURRENCY,
+    pagination: {
+      limit: params.limit,
+      sort: sort.key,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(params, products[products.length - 1]) : null
+    },
+    ...(params.cursor ? {} : formatFacets(result))
+  };
+};
+
+module.exports = {
+  SORTS,
+  SearchError,
+  parseSearchParams,
+  canonicalQuery,
+  catalogFilter,
+  searchProducts
+};
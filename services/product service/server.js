@@ -1,192 +1,350 @@
 const express = require('express');
 const mongoose = require('mongoose');
+const multer = require('multer');
+const { createMetrics } = require('../../shared/metrics');
+const { initTracing } = require('../../shared/tracing');
+const { logger, initLogging } = require('../../shared/logger');
+const { createLifecycle } = require('../../shared/lifecycle');
+const { closeRedisClients } = require('../../shared/redis');
+const { createAuthenticateToken } = require('../../shared/auth');
+const { createServiceAuth } = require('../../shared/serviceAuth');
+const { createDenylist } = require('../../shared/tokenDenylist');
+const { createJwksClient } = require('../../shared/jwks');
+const { requirePermission } = require('../../shared/authorize');
+const { createIdempotency } = require('../../shared/idempotency');
+const { createHealth, mongoCheck, redisCheck } = require('../../shared/health');
+const { sendProblem, problemHandler, notFound } = require('../../shared/problem');
+const { validate } = require('../../shared/validation');
+const schemas = require('./schemas');
+const { InventoryError, createInventory } = require('./inventory');
+const { outboxField, createDocumentOutbox } = require('./outbox');
+const { SearchError, canonicalQuery, catalogFilter, searchProducts } = require('./search');
+const { createProductCache } = require('./cache');
+const {
+  VariantError,
+  variantSchema,
+  catalogPrice,
+  variantsForNewProduct,
+  isDuplicateSku,
+  migrateLegacyProducts,
+  createVariants
+} = require('./variants');
+const { DEFAULT_CURRENCY } = require('../../shared/money');
+const { BulkError, formatOf, createBulk } = require('./bulk');
+const {
+  IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  ImageError,
+  imageSchema,
+  createImages,
+  migrateLegacyImages
+} = require('./images');
+const { createStorage } = require('./storage');
+const { createBroker } = require('../../shared/events');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3002;
+const metrics = createMetrics('product_service');
+const tracing = initTracing({ serviceName: 'product-service' });
+const logging = initLogging({ service: 'product-service' });
 
+// On SIGTERM/SIGINT: drain requests, stop workers, close what is registered
+const lifecycle = createLifecycle();
+lifecycle.resource('redis', closeRedisClients);
+lifecycle.resource('tracing', tracing.shutdown);
+
+app.use(tracing.middleware);
+app.use(logging.middleware);
+app.use(metrics.middleware);
 app.use(express.json());
 
+tracing.traceMongoose(mongoose);
+
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URL || 'mongodb://localhost:27017/productdb', {
   useNewUrlParser: true,
   useUnifiedTopology: true
 });
+lifecycle.resource('mongo', () => mongoose.connection.close());
 
 // Product Schema
 const productSchema = new mongoose.Schema({
+  // Identifier in the system the product was imported from
+  externalId: { type: String },
   name: { type: String, required: true },
   description: { type: String, required: true },
+  // Lowest variant price, in minor units of the catalog currency; derived
+  // from `variants` for listing and search
   price: { type: Number, required: true },
+  currency: { type: String, default: DEFAULT_CURRENCY },
   category: { type: String, required: true },
-  stock: { type: Number, default: 0 },
-  images: [String],
+  // What is actually sold, each with its own SKU, prices and stock
+  variants: [variantSchema],
+  // Uploaded through /products/:id/images; see images.js
+  images: [imageSchema],
   tags: [String],
   isActive: { type: Boolean, default: true },
+  // Domain events not yet published; see outbox.js
+  outbox: outboxField,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
-const Product = mongoose.model('Product', productSchema);
+productSchema.index({ 'outbox.id': 1 }, { sparse: true });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } });
+productSchema.index({ externalId: 1 }, { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } });
+// Full-text search with relevance weighting; one text index per collection
+productSchema.index(
+  { name: 'text', tags: 'text', description: 'text' },
+  { name: 'product_text_search', weights: { name: 10, tags: 5, description: 1 } }
+);
+// Keyset pagination for the browse sorts, with _id breaking ties
+productSchema.index({ isActive: 1, category: 1, createdAt: -1, _id: -1 });
+productSchema.index({ isActive: 1, createdAt: -1, _id: -1 });
+productSchema.index({ isActive: 1, price: 1, _id: 1 });
+productSchema.index({ isActive: 1, name: 1, _id: 1 });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    service: 'product-service',
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'
-  });
+productSchema.pre('validate', function setCatalogPrice(next) {
+  if (this.variants.length > 0) {
+    this.price = catalogPrice(this.variants);
+    this.currency = DEFAULT_CURRENCY;
+  }
+  next();
 });
 
-// Metrics
-app.get('/metrics', (req, res) => {
-  res.set('Content-Type', 'text/plain');
-  res.send(`
-# HELP product_service_requests_total Total requests to product service
-# TYPE product_service_requests_total counter
-product_service_requests_total ${Math.floor(Math.random() * 800)}
-
-# HELP product_service_products_total Total products in catalog
-# TYPE product_service_products_total gauge
-product_service_products_total ${Math.floor(Math.random() * 1000)}
-  `);
+const Product = mongoose.model('Product', productSchema);
+
+// Read-through cache for product reads; every catalog write below
+// invalidates it before answering
+const productCache = createProductCache({ metrics });
+
+const inventory = createInventory({
+  Product,
+  onStockChange: (productIds) => productCache.invalidateProducts(productIds)
 });
+lifecycle.worker('reservation expiry', inventory.startExpirySweeper().stop);
 
-// Get all products
-app.get('/products', async (req, res) => {
+const outbox = createDocumentOutbox({ Model: Product, broker: createBroker(), source: 'product-service' });
+lifecycle.worker('outbox relay', outbox.startRelay({ isReady: () => mongoose.connection.readyState === 1 }).stop);
+
+const variants = createVariants({ Product, outbox });
+const bulk = createBulk({ Product, variants, onChange: (productId) => productCache.invalidate([productId]) });
+const storage = createStorage();
+const images = createImages({ Product, storage });
+
+mongoose.connection.once('open', async () => {
   try {
-    const { page = 1, limit = 10, category, search, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
-    
-    const query = { isActive: true };
-    
-    if (category) {
-      query.category = category;
+    const count = await migrateLegacyProducts(Product);
+    if (count > 0) {
+      logger.info('Moved products to variants', { count });
     }
-    
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+    const imageCount = await migrateLegacyImages(Product);
+    if (imageCount > 0) {
+      logger.info('Converted product image URLs', { count: imageCount });
     }
+  } catch (error) {
+    logger.error('Product migration error', { error });
+  }
+});
 
-    const sort = {};
-    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+// JWT Middleware
+const jwks = createJwksClient();
+const authenticateToken = createAuthenticateToken({ getKey: jwks.getKey, denylist: createDenylist() });
 
-    const products = await Product.find(query)
-      .sort(sort)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+// Honours Idempotency-Key on mutating routes; mounted after authentication
+const idempotent = createIdempotency();
 
-    const total = await Product.countDocuments(query);
+const importedProductsTotal = metrics.counter('imported_products_total', 'Products processed by bulk imports', {
+  labelNames: ['result']
+});
 
-    res.json({
-      products,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
+metrics.trackMongoConnection(mongoose.connection);
+metrics.gauge('products_total', 'Active products in catalog', {
+  collect: async (gauge) => {
+    if (mongoose.connection.readyState === 1) {
+      gauge.set(await Product.countDocuments({ isActive: true }));
+    }
+  }
+});
+
+const health = createHealth({
+  service: 'product-service',
+  isShuttingDown: lifecycle.isShuttingDown,
+  checks: [
+    mongoCheck(mongoose.connection),
+    ...(process.env.REDIS_URL ? [redisCheck()] : [])
+  ]
+});
+
+// Health checks: liveness, and readiness with dependency checks.
+// /health is kept for older probes and reports readiness.
+app.get('/health/live', health.live);
+app.get('/health/ready', health.ready);
+app.get('/health', health.ready);
+
+// Metrics
+app.get('/metrics', metrics.handler);
+
+// Image files, when storage serves them itself
+if (storage.handler) {
+  app.use('/products/media', storage.handler, (req, res) => {
+    sendProblem(res, 404, 'Image not found');
+  });
+}
+
+// Search and list products. See search.js for parameters.
+app.get('/products', validate(schemas.listProducts), async (req, res) => {
+  try {
+    const entry = await productCache.listing(canonicalQuery(req.query), () => searchProducts(Product, req.query));
+    productCache.send(req, res, entry);
   } catch (error) {
-    console.error('Get products error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    if (error instanceof SearchError) {
+      return sendProblem(res, error.status, error.message);
+    }
+    logger.error('Get products error', { error });
+    sendProblem(res, 500, 'Internal server error');
   }
 });
 
-// Get product by ID
-app.get('/products/:id', async (req, res) => {
+// Bulk import from CSV or NDJSON (see bulk.js); ?dryRun=true only
+// validates. The body is streamed, so this route takes no Idempotency-Key;
+// imports are upserts and safe to repeat.
+app.post('/products/import', authenticateToken, requirePermission('products:write'), validate(schemas.importProducts), async (req, res) => {
+  const format = formatOf(req.get('Content-Type'));
+  if (!format) {
+    return sendProblem(res, 415, 'Send text/csv or application/x-ndjson');
+  }
+
   try {
-    const product = await Product.findById(req.params.id);
-    
-    if (!product || !product.isActive) {
-      return res.status(404).json({ error: 'Product not found' });
+    req.setEncoding('utf8');
+    const dryRun = req.query.dryRun === 'true';
+    const report = await bulk.importProducts(req, { format, dryRun });
+
+    if (!dryRun) {
+      importedProductsTotal.inc({ result: 'created' }, report.created);
+      importedProductsTotal.inc({ result: 'updated' }, report.updated);
+      importedProductsTotal.inc({ result: 'failed' }, report.failed);
     }
+    res.json(report);
+  } catch (error) {
+    if (error instanceof BulkError) {
+      return sendProblem(res, error.status, error.message, error.details);
+    }
+    logger.error('Import products error', { error });
+    sendProblem(res, 500, 'Internal server error');
+  }
+});
 
-    res.json(product);
+// Bulk export as CSV or NDJSON (?format=, default ndjson), filtered like
+// GET /products; ?includeInactive=true adds withdrawn products.
+app.get('/products/export', authenticateToken, requirePermission('products:write'), validate(schemas.exportProducts), async (req, res) => {
+  try {
+    const { format } = req.query;
+    const filter = catalogFilter(req.query, { includeInactive: req.query.includeInactive === 'true' });
+    await bulk.exportProducts(res, { filter, format });
   } catch (error) {
-    console.error('Get product error:', error);
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid product ID' });
+    if (error instanceof SearchError) {
+      return sendProblem(res, error.status, error.message);
+    }
+    // The client went away mid-export
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    logger.error('Export products error', { error });
+    if (!res.headersSent) {
+      sendProblem(res, 500, 'Internal server error');
+    } else {
+      res.destroy(error);
     }
-    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create product
-app.post('/products', async (req, res) => {
+// Get product by ID
+app.get('/products/:id', validate(schemas.getProduct), async (req, res) => {
   try {
-    const { name, description, price, category, stock, images, tags } = req.body;
+    const entry = await productCache.product(req.params.id, async () => {
+      const product = await Product.findById(req.params.id);
+      return product && product.isActive ? product : null;
+    });
 
-    if (!name || !description || !price || !category) {
-      return res.status(400).json({ error: 'Name, description, price, and category are required' });
+    if (!entry) {
+      return sendProblem(res, 404, 'Product not found');
     }
 
+    productCache.send(req, res, entry);
+  } catch (error) {
+    logger.error('Get product error', { error });
+    sendProblem(res, 500, 'Internal server error');
+  }
+});
+
+const handleVariantError = (res, error, label) => {
+  if (error instanceof VariantError) {
+    return sendProblem(res, error.status, error.message, error.details);
+  }
+  if (isDuplicateSku(error)) {
+    return sendProblem(res, 409, 'SKU already exists');
+  }
+  logger.error(`${label} error`, { error });
+  sendProblem(res, 500, 'Internal server error');
+};
+
+// Create product. Takes `variants`, or `price` (minor units of the catalog
+// currency), `stock` and optionally `sku` for a single-variant product.
+app.post('/products', authenticateToken, requirePermission('products:write'), validate(schemas.createProduct), idempotent, async (req, res) => {
+  try {
+    const { name, description, category, tags } = req.body;
+
+    const _id = new mongoose.Types.ObjectId();
     const product = new Product({
+      _id,
       name,
       description,
-      price,
       category,
-      stock: stock || 0,
-      images: images || [],
+      variants: variantsForNewProduct(_id, req.body),
       tags: tags || []
     });
 
     await product.save();
+    await productCache.invalidate([product._id]);
 
     res.status(201).json({
       message: 'Product created successfully',
       product
     });
   } catch (error) {
-    console.error('Create product error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleVariantError(res, error, 'Create product');
   }
 });
 
-// Update product
-app.put('/products/:id', async (req, res) => {
+// Update product. Prices and stock belong to variants and are changed
+// through /products/:id/variants/:sku.
+app.put('/products/:id', authenticateToken, requirePermission('products:write'), validate(schemas.updateProduct), idempotent, async (req, res) => {
   try {
-    const { name, description, price, category, stock, images, tags, isActive } = req.body;
-
+    // Only the fields sent; the schema admits nothing else
     const product = await Product.findByIdAndUpdate(
       req.params.id,
-      {
-        name,
-        description,
-        price,
-        category,
-        stock,
-        images,
-        tags,
-        isActive,
-        updatedAt: new Date()
-      },
+      { $set: { ...req.body, updatedAt: new Date() } },
       { new: true, runValidators: true }
     );
 
     if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+      return sendProblem(res, 404, 'Product not found');
     }
+    await productCache.invalidate([product._id]);
 
     res.json({
       message: 'Product updated successfully',
       product
     });
   } catch (error) {
-    console.error('Update product error:', error);
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid product ID' });
-    }
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error('Update product error', { error });
+    sendProblem(res, 500, 'Internal server error');
   }
 });
 
 // Delete product (soft delete)
-app.delete('/products/:id', async (req, res) => {
+app.delete('/products/:id', authenticateToken, requirePermission('products:write'), validate(schemas.deleteProduct), idempotent, async (req, res) => {
   try {
     const product = await Product.findByIdAndUpdate(
       req.params.id,
@@ -195,68 +353,288 @@ app.delete('/products/:id', async (req, res) => {
     );
 
     if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+      return sendProblem(res, 404, 'Product not found');
     }
+    await productCache.invalidate([product._id]);
 
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
-    console.error('Delete product error:', error);
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid product ID' });
+    logger.error('Delete product error', { error });
+    sendProblem(res, 500, 'Internal server error');
+  }
+});
+
+// Find the variant with a SKU, with its product. Used by carts and orders.
+app.get('/products/skus/:sku', validate(schemas.getSku), async (req, res) => {
+  try {
+    res.json(await variants.findBySku(req.params.sku));
+  } catch (error) {
+    handleVariantError(res, error, 'Get variant by SKU');
+  }
+});
+
+// List a product's variants
+app.get('/products/:id/variants', validate(schemas.listVariants), async (req, res) => {
+  try {
+    res.json({ variants: await variants.list(req.params.id) });
+  } catch (error) {
+    handleVariantError(res, error, 'Get variants');
+  }
+});
+
+// Add a variant
+app.post('/products/:id/variants', authenticateToken, requirePermission('products:write'), validate(schemas.createVariant), idempotent, async (req, res) => {
+  try {
+    const product = await variants.add(req.params.id, req.body);
+    await productCache.invalidate([product._id]);
+    res.status(201).json({
+      message: 'Variant created successfully',
+      product
+    });
+  } catch (error) {
+    handleVariantError(res, error, 'Create variant');
+  }
+});
+
+// Update a variant's attributes, prices, stock or availability
+app.put('/products/:id/variants/:sku', authenticateToken, requirePermission('products:write'), validate(schemas.updateVariant), idempotent, async (req, res) => {
+  try {
+    const product = await variants.update(req.params.id, req.params.sku, req.body);
+    await productCache.invalidate([product._id]);
+    res.json({
+      message: 'Variant updated successfully',
+      product
+    });
+  } catch (error) {
+    handleVariantError(res, error, 'Update variant');
+  }
+});
+
+// Withdraw a variant from sale (soft delete)
+app.delete('/products/:id/variants/:sku', authenticateToken, requirePermission('products:write'), validate(schemas.deleteVariant), idempotent, async (req, res) => {
+  try {
+    await variants.remove(req.params.id, req.params.sku);
+    await productCache.invalidate([req.params.id]);
+    res.json({ message: 'Variant deleted successfully' });
+  } catch (error) {
+    handleVariantError(res, error, 'Delete variant');
+  }
+});
+
+// Product images. Uploads are multipart/form-data with the files in
+// `images` and, optionally, one `alt` field per file in the same order.
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_FILES_PER_UPLOAD, fields: MAX_FILES_PER_UPLOAD },
+  fileFilter: (req, file, callback) => {
+    if (!Object.values(IMAGE_TYPES).some((type) => type.contentType === file.mimetype)) {
+      return callback(new ImageError(`Unsupported image type: ${file.mimetype}`, 415, { file: file.originalname }));
+    }
+    callback(null, true);
+  }
+});
+
+const handleImageError = (res, error, label) => {
+  if (error instanceof ImageError) {
+    return sendProblem(res, error.status, error.message, error.details);
+  }
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return sendProblem(res, 413, 'Image is too large', { maxBytes: MAX_IMAGE_BYTES });
+    }
+    return sendProblem(res, 400, error.message, { field: error.field });
+  }
+  logger.error(`${label} error`, { error });
+  sendProblem(res, 500, 'Internal server error');
+};
+
+app.post('/products/:id/images', authenticateToken, requirePermission('products:write'), validate(schemas.uploadImages), (req, res) => {
+  imageUpload.array('images', MAX_FILES_PER_UPLOAD)(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        throw uploadError;
+      }
+      const { product, images: added } = await images.upload(req.params.id, req.files, { alt: req.body.alt });
+      await productCache.invalidate([product._id]);
+      res.status(201).json({ message: 'Images uploaded successfully', images: added, product });
+    } catch (error) {
+      handleImageError(res, error, 'Upload images');
     }
-    res.status(500).json({ error: 'Internal server error' });
+  });
+});
+
+// Change an image's alt text
+app.put('/products/:id/images/:imageId', authenticateToken, requirePermission('products:write'), validate(schemas.updateImage), idempotent, async (req, res) => {
+  try {
+    const product = await images.update(req.params.id, req.params.imageId, { alt: req.body.alt });
+    await productCache.invalidate([product._id]);
+    res.json({ message: 'Image updated successfully', product });
+  } catch (error) {
+    handleImageError(res, error, 'Update image');
+  }
+});
+
+// Remove an image from the product and delete its files
+app.delete('/products/:id/images/:imageId', authenticateToken, requirePermission('products:write'), validate(schemas.deleteImage), idempotent, async (req, res) => {
+  try {
+    await images.remove(req.params.id, req.params.imageId);
+    await productCache.invalidate([req.params.id]);
+    res.json({ message: 'Image deleted successfully' });
+  } catch (error) {
+    handleImageError(res, error, 'Delete image');
   }
 });
 
 // Get categories
 app.get('/products/categories/list', async (req, res) => {
   try {
-    const categories = await Product.distinct('category', { isActive: true });
-    res.json({ categories });
+    const entry = await productCache.categories(async () => ({
+      categories: await Product.distinct('category', { isActive: true })
+    }));
+    productCache.send(req, res, entry);
   } catch (error) {
-    console.error('Get categories error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error('Get categories error', { error });
+    sendProblem(res, 500, 'Internal server error');
   }
 });
 
 // Seed sample data
-app.post('/products/seed', async (req, res) => {
+app.post('/products/seed', authenticateToken, requirePermission('products:seed'), idempotent, async (req, res) => {
   try {
+    // Prices in minor units
     const sampleProducts = [
       {
         name: 'Wireless Headphones',
         description: 'High-quality wireless headphones with noise cancellation',
-        price: 199.99,
         category: 'Electronics',
-        stock: 50,
-        tags: ['wireless', 'audio', 'headphones']
+        tags: ['wireless', 'audio', 'headphones'],
+        variants: [
+          {
+            sku: 'WH-1000-BLK',
+            attributes: { color: 'black' },
+            prices: [{ currency: 'USD', amount: 19999 }, { currency: 'EUR', amount: 18999 }],
+            stock: 30
+          },
+          {
+            sku: 'WH-1000-SLV',
+            attributes: { color: 'silver' },
+            prices: [{ currency: 'USD', amount: 20999 }, { currency: 'EUR', amount: 19999 }],
+            stock: 20
+          }
+        ]
       },
       {
         name: 'Smart Watch',
         description: 'Feature-rich smartwatch with health monitoring',
-        price: 299.99,
         category: 'Electronics',
-        stock: 30,
-        tags: ['smartwatch', 'fitness', 'health']
+        tags: ['smartwatch', 'fitness', 'health'],
+        variants: [
+          {
+            sku: 'SW-42-S',
+            attributes: { size: '42mm' },
+            prices: [{ currency: 'USD', amount: 29999 }, { currency: 'EUR', amount: 27999 }],
+            stock: 15
+          },
+          {
+            sku: 'SW-46-L',
+            attributes: { size: '46mm' },
+            prices: [{ currency: 'USD', amount: 32999 }, { currency: 'EUR', amount: 30999 }],
+            stock: 15
+          }
+        ]
       },
       {
         name: 'Coffee Maker',
         description: 'Automatic coffee maker with programmable settings',
-        price: 89.99,
         category: 'Home & Kitchen',
-        stock: 25,
-        tags: ['coffee', 'kitchen', 'appliance']
+        tags: ['coffee', 'kitchen', 'appliance'],
+        variants: [
+          {
+            sku: 'CM-200',
+            prices: [{ currency: 'USD', amount: 8999 }, { currency: 'GBP', amount: 7499 }],
+            stock: 25
+          }
+        ]
       }
     ];
 
-    await Product.insertMany(sampleProducts);
+    await Product.insertMany(sampleProducts.map((product) => ({
+      ...product,
+      variants: variantsForNewProduct(null, product)
+    })));
+    await productCache.invalidate();
     res.json({ message: 'Sample products created successfully' });
   } catch (error) {
-    console.error('Seed error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    if (isDuplicateSku(error)) {
+      return sendProblem(res, 409, 'Sample products already exist');
+    }
+    handleVariantError(res, error, 'Seed');
+  }
+});
+
+// Stock reservations. Internal API for order-service; not routed by the
+// gateway, and only open to callers holding SERVICE_TOKEN.
+const authenticateService = createServiceAuth();
+
+const handleInventoryError = (res, error, label) => {
+  if (error instanceof InventoryError) {
+    return sendProblem(res, error.status, error.message, error.details);
+  }
+  logger.error(`${label} error`, { error });
+  sendProblem(res, 500, 'Internal server error');
+};
+
+app.post('/inventory/reservations', authenticateService, validate(schemas.reserveStock), async (req, res) => {
+  try {
+    const { items, reference, ttlSeconds } = req.body;
+    const reservation = await inventory.reserve({ items, reference, ttlSeconds });
+
+    res.status(201).json({
+      message: 'Stock reserved successfully',
+      reservation
+    });
+  } catch (error) {
+    handleInventoryError(res, error, 'Reserve stock');
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`🛍️ Product Service running on port ${PORT}`);
+app.get('/inventory/reservations', authenticateService, validate(schemas.findReservation), async (req, res) => {
+  try {
+    res.json(await inventory.findByReference(req.query.reference));
+  } catch (error) {
+    handleInventoryError(res, error, 'Find reservation');
+  }
+});
+
+app.get('/inventory/reservations/:id', authenticateService, validate(schemas.reservation), async (req, res) => {
+  try {
+    res.json(await inventory.findReservation(req.params.id));
+  } catch (error) {
+    handleInventoryError(res, error, 'Get reservation');
+  }
+});
+
+app.post('/inventory/reservations/:id/commit', authenticateService, validate(schemas.reservation), async (req, res) => {
+  try {
+    const reservation = await inventory.commit(req.params.id);
+    res.json({ message: 'Reservation committed successfully', reservation });
+  } catch (error) {
+    handleInventoryError(res, error, 'Commit reservation');
+  }
+});
+
+app.post('/inventory/reservations/:id/release', authenticateService, validate(schemas.reservation), async (req, res) => {
+  try {
+    const reservation = await inventory.release(req.params.id);
+    res.json({ message: 'Reservation released successfully', reservation });
+  } catch (error) {
+    handleInventoryError(res, error, 'Release reservation');
+  }
+});
+
+app.use(notFound);
+app.use(problemHandler);
+
+lifecycle.listen(app, PORT, () => {
+  logger.info('Product Service running', { port: Number(PORT) });
 });
\ No newline at end of file
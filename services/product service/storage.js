@@ -0,0 +1,117 @@
+// Image storage for product-service.
+//
+// An adapter implements:
+//   put(key, body, { contentType }) -> stores a buffer under `key`
+//   remove(keys) -> deletes the objects; missing ones are not an error
+//   url(key) -> public URL of the object
+// and may expose `handler`, an Express handler serving the objects itself
+// (mounted at /products/media). Keys are generated by images.js and look
+// like products/<productId>/<imageId>/<size>.<ext>; stored objects never
+// change, so they can be cached forever.
+
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+const trimSlash = (value) => value.replace(/\/+$/, '');
+
+// Files under `directory`, served by the service through the gateway
+const createLocalStorage = ({
+  directory = process.env.IMAGE_STORAGE_DIR || path.join(__dirname, 'uploads'),
+  publicUrl = process.env.IMAGE_PUBLIC_URL || '/api/products/media'
+} = {}) => {
+  const root = path.resolve(directory);
+
+  const fileFor = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+    put: async (key, body) => {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+    },
+    remove: async (keys) => {
+      const files = keys.map(fileFor);
+      await Promise.all(files.map((file) => fs.rm(file, { force: true })));
+      // Drop the image's directory once it is empty
+      await Promise.all([...new Set(files.map((file) => path.dirname(file)))].map((dir) => fs.rmdir(dir).catch(() => {})));
+    },
+    url: (key) => `${trimSlash(publicUrl)}/${key}`,
+    handler: express.static(root, { immutable: true, maxAge: '365d', index: false, dotfiles: 'deny' })
+  };
+};
+
+// Any S3-compatible object store (AWS S3, MinIO, R2, ...). Objects are
+// expected to be publicly readable, directly or through a CDN at
+// IMAGE_PUBLIC_URL.
+const createS3Storage = ({
+  bucket = process.env.IMAGE_S3_BUCKET,
+  region = process.env.IMAGE_S3_REGION || process.env.AWS_REGION || 'us-east-1',
+  endpoint = process.env.IMAGE_S3_ENDPOINT,
+  forcePathStyle = process.env.IMAGE_S3_FORCE_PATH_STYLE === 'true',
+  publicUrl = process.env.IMAGE_PUBLIC_URL
+} = {}) => {
+  if (!bucket) {
+    throw new Error('IMAGE_S3_BUCKET is required for S3 image storage');
+  }
+
+  // Only needed when S3 storage is enabled
+  const { S3Client, PutObjectCommand, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+  const client = new S3Client({ region, endpoint, forcePathStyle });
+
+  let baseUrl = publicUrl;
+  if (!baseUrl) {
+    baseUrl = endpoint
+      ? `${trimSlash(endpoint)}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`;
+  }
+
+  return {
+    name: 's3',
+    put: (key, body, { contentType }) => client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      CacheControl: 'public, max-age=31536000, immutable'
+    })),
+    remove: async (keys) => {
+      if (keys.length === 0) return;
+      const result = await client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: keys.map((key) => ({ Key: key })), Quiet: true }
+      }));
+      if (result.Errors && result.Errors.length > 0) {
+        throw new Error(`Could not delete ${result.Errors.map((error) => error.Key).join(', ')}: ${result.Errors[0].Message}`);
+      }
+    },
+    url: (key) => `${trimSlash(baseUrl)}/${key}`
+  };
+};
+
+const STORAGE_FACTORIES = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+// The adapter named by IMAGE_STORAGE, local by default
+const createStorage = (name = process.env.IMAGE_STORAGE || 'local') => {
+  const factory = STORAGE_FACTORIES[name.trim()];
+  if (!factory) {
+    throw new Error(`Unknown image storage: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  createStorage
+};
@@ -0,0 +1,359 @@
+// Product variants for product-service.
+//
+// Everything that is sold is a variant: it has its own SKU, attributes
+// (size, colour, ...), stock and a price list with one integer minor-unit
+// amount per currency. Every variant is priced in the catalog currency
+// (DEFAULT_CURRENCY); the product's own `price`/`currency` are the lowest
+// such price, kept up to date here for listing, sorting and search.
+
+const mongoose = require('mongoose');
+const { CURRENCIES, DEFAULT_CURRENCY, MoneyError, normalizeCurrency, parseAmount } = require('../../shared/money');
+
+const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,39}$/;
+const MAX_VARIANTS = 100;
+
+class VariantError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'VariantError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const priceSchema = new mongoose.Schema({
+  currency: { type: String, required: true, enum: Object.keys(CURRENCIES) },
+  amount: { type: Number, required: true, min: 0, validate: Number.isInteger }
+}, { _id: false });
+
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true },
+  attributes: { type: Map, of: String, default: {} },
+  prices: { type: [priceSchema], required: true },
+  stock: { type: Number, default: 0, min: 0 },
+  // Units held by open reservations; available stock is stock - reserved
+  reserved: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true }
+}, { _id: false });
+
+// SKU given to the single variant of products created without variants
+const defaultSku = (productId) => `${productId}-default`;
+
+const priceIn = (variant, currency) => {
+  const entry = (variant.prices || []).find((price) => price.currency === currency);
+  return entry ? entry.amount : undefined;
+};
+
+const available = (variant) => Math.max(0, variant.stock - (variant.reserved || 0));
+
+// Lowest catalog-currency price, preferring variants still on sale
+const catalogPrice = (variants) => {
+  const active = variants.filter((variant) => variant.isActive !== false);
+  const amounts = (active.length > 0 ? active : variants).map((variant) => priceIn(variant, DEFAULT_CURRENCY));
+  return amounts.length > 0 ? Math.min(...amounts) : undefined;
+};
+
+// The same, as a pipeline update for changes made in place
+const catalogPriceOf = (variants) => ({
+  $min: {
+    $map: {
+      input: variants,
+      as: 'v',
+      in: {
+        $first: {
+          $map: {
+            input: { $filter: { input: '$$v.prices', as: 'p', cond: { $eq: ['$$p.currency', DEFAULT_CURRENCY] } } },
+            as: 'p',
+            in: '$$p.amount'
+          }
+        }
+      }
+    }
+  }
+});
+
+const refreshCatalogPrice = {
+  $set: {
+    currency: DEFAULT_CURRENCY,
+    price: {
+      $ifNull: [
+        catalogPriceOf({ $filter: { input: '$variants', as: 'v', cond: { $ne: ['$$v.isActive', false] } } }),
+        catalogPriceOf('$variants')
+      ]
+    }
+  }
+};
+
+const normalizePrices = (prices) => {
+  if (!Array.isArray(prices) || prices.length === 0) {
+    throw new VariantError('prices must be a non-empty list of { currency, amount }', 400);
+  }
+
+  const seen = new Set();
+  const normalized = prices.map((price) => {
+    let currency;
+    try {
+      currency = normalizeCurrency(price && price.currency);
+      parseAmount(price.amount, `Price in ${currency}`);
+    } catch (error) {
+      if (error instanceof MoneyError) throw new VariantError(error.message, 400);
+      throw error;
+    }
+    if (seen.has(currency)) {
+      throw new VariantError(`Duplicate price for ${currency}`, 400);
+    }
+    seen.add(currency);
+    return { currency, amount: price.amount };
+  });
+
+  if (!seen.has(DEFAULT_CURRENCY)) {
+    throw new VariantError(`Every variant needs a price in ${DEFAULT_CURRENCY}`, 400);
+  }
+  return normalized;
+};
+
+const normalizeAttributes = (attributes) => {
+  if (attributes === null || typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new VariantError('attributes must be an object of name/value strings', 400);
+  }
+  return Object.fromEntries(Object.entries(attributes).map(([name, value]) => {
+    if (!ATTRIBUTE_NAME_PATTERN.test(name) || typeof value !== 'string' || value.length > 100) {
+      throw new VariantError(`Invalid attribute: ${name}`, 400);
+    }
+    return [name, value];
+  }));
+};
+
+// Validates variant input. With `partial`, only the fields present are
+// returned and the SKU cannot be changed.
+const normalizeVariant = (input, { partial = false } = {}) => {
+  if (!input || typeof input !== 'object') {
+    throw new VariantError('Variant must be an object', 400);
+  }
+
+  const variant = {};
+  if (!partial) {
+    if (typeof input.sku !== 'string' || !SKU_PATTERN.test(input.sku)) {
+      throw new VariantError('sku must be 1-64 letters, digits, ".", "_" or "-"', 400);
+    }
+    variant.sku = input.sku;
+  } else if (input.sku !== undefined) {
+    throw new VariantError('sku cannot be changed', 400);
+  }
+
+  if (input.attributes !== undefined || !partial) {
+    variant.attributes = normalizeAttributes(input.attributes || {});
+  }
+  if (input.prices !== undefined || !partial) {
+    variant.prices = normalizePrices(input.prices);
+  }
+  if (input.stock !== undefined || !partial) {
+    const stock = input.stock === undefined ? 0 : input.stock;
+    if (!Number.isInteger(stock) || stock < 0) {
+      throw new VariantError('stock must be a non-negative integer', 400);
+    }
+    variant.stock = stock;
+  }
+  if (input.isActive !== undefined) {
+    variant.isActive = Boolean(input.isActive);
+  }
+  return variant;
+};
+
+// Variants for a new product. Without `variants`, the single-variant
+// shorthand { sku?, price, stock } is accepted, priced in the catalog
+// currency.
+const variantsForNewProduct = (productId, { variants, sku, price, stock }) => {
+  const list = variants !== undefined
+    ? variants
+    : [{ sku: sku || defaultSku(productId), prices: [{ currency: DEFAULT_CURRENCY, amount: price }], stock }];
+
+  if (!Array.isArray(list) || list.length === 0 || list.length > MAX_VARIANTS) {
+    throw new VariantError(`A product needs between 1 and ${MAX_VARIANTS} variants`, 400);
+  }
+
+  const normalized = list.map((variant) => normalizeVariant(variant));
+  const skus = new Set(normalized.map((variant) => variant.sku));
+  if (skus.size !== normalized.length) {
+    throw new VariantError('SKUs must be unique', 400);
+  }
+  return normalized;
+};
+
+const isDuplicateSku = (error) => error.code === 11000 && /variants\.sku/.test(error.message);
+
+// Products written before variants existed had a decimal `price` and
+// product-level stock. They are turned into a single default variant, in
+// place and only once.
+const migrateLegacyProducts = async (Product) => {
+  const result = await Product.updateMany({ variants: { $exists: false } }, [
+    {
+      $set: {
+        variants: [{
+          sku: { $concat: [{ $toString: '$_id' }, '-default'] },
+          attributes: {},
+          prices: [{
+            currency: DEFAULT_CURRENCY,
+            amount: { $round: [{ $multiply: [{ $ifNull: ['$price', 0] }, 10 ** CURRENCIES[DEFAULT_CURRENCY]] }, 0] }
+          }],
+          stock: { $ifNull: ['$stock', 0] },
+          reserved: { $ifNull: ['$reserved', 0] },
+          isActive: true
+        }]
+      }
+    },
+    refreshCatalogPrice,
+    { $unset: ['stock', 'reserved'] }
+  ]);
+  return result.modifiedCount;
+};
+
+const createVariants = ({ Product, outbox }) => {
+  // Recomputes the catalog price after a variant change
+  const refresh = (productId) => Product.findByIdAndUpdate(productId, [refreshCatalogPrice], { new: true });
+
+  const load = async (productId, sku) => {
+    if (!mongoose.isValidObjectId(productId)) {
+      throw new VariantError('Invalid product ID', 400);
+    }
+    const product = await Product.findOne({ _id: productId, 'variants.sku': sku }).lean();
+    if (!product) {
+      throw new VariantError('Variant not found', 404);
+    }
+    return { product, variant: product.variants.find((variant) => variant.sku === sku) };
+  };
+
+  const list = async (productId) => {
+    if (!mongoose.isValidObjectId(productId)) {
+      throw new VariantError('Invalid product ID', 400);
+    }
+    const product = await Product.findById(productId).select('variants isActive');
+    if (!product || !product.isActive) {
+      throw new VariantError('Product not found', 404);
+    }
+    return product.variants;
+  };
+
+  // Active variant of an active product, for carts and orders
+  const findBySku = async (sku) => {
+    const product = await Product.findOne({ 'variants.sku': sku, isActive: true });
+    const variant = product && product.variants.find((candidate) => candidate.sku === sku);
+    if (!variant || !variant.isActive) {
+      throw new VariantError('Variant not found', 404);
+    }
+    return { product, variant };
+  };
+
+  const add = async (productId, input) => {
+    const variant = normalizeVariant(input);
+    if (!mongoose.isValidObjectId(productId)) {
+      throw new VariantError('Invalid product ID', 400);
+    }
+
+    let updated;
+    try {
+      updated = await Product.findOneAndUpdate(
+        { _id: productId, 'variants.sku': { $ne: variant.sku }, [`variants.${MAX_VARIANTS - 1}`]: { $exists: false } },
+        { $push: { variants: variant }, $set: { updatedAt: new Date() } },
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      if (isDuplicateSku(error)) {
+        throw new VariantError(`SKU already exists: ${variant.sku}`, 409);
+      }
+      throw error;
+    }
+
+    if (!updated) {
+      const product = await Product.findById(productId).select('variants');
+      if (!product) {
+        throw new VariantError('Product not found', 404);
+      }
+      if (product.variants.some((existing) => existing.sku === variant.sku)) {
+        throw new VariantError(`SKU already exists: ${variant.sku}`, 409);
+      }
+      throw new VariantError(`A product has at most ${MAX_VARIANTS} variants`, 400);
+    }
+    return refresh(productId);
+  };
+
+  // Price changes publish ProductPriceChanged per currency, in the same
+  // write, and only apply if the price list is still the one read here.
+  const update = async (productId, sku, input) => {
+    const fields = normalizeVariant(input, { partial: true });
+    const { product, variant } = await load(productId, sku);
+
+    const match = { sku, prices: variant.prices };
+    if (fields.stock !== undefined) {
+      match.reserved = { $lte: fields.stock };
+    }
+
+    const changes = { $set: { updatedAt: new Date() } };
+    Object.entries(fields).forEach(([field, value]) => {
+      changes.$set[`variants.$[v].${field}`] = value;
+    });
+
+    if (fields.prices) {
+      const currencies = new Set([...variant.prices, ...fields.prices].map((price) => price.currency));
+      const events = [...currencies]
+        .map((currency) => ({
+          currency,
+          previousPrice: priceIn(variant, currency),
+          price: priceIn(fields, currency)
+        }))
+        .filter(({ previousPrice, price }) => previousPrice !== price)
+        .map(({ currency, previousPrice, price }) => outbox.event('ProductPriceChanged', {
+          productId: String(product._id),
+          sku,
+          currency,
+          previousPrice: previousPrice === undefined ? null : previousPrice,
+          price: price === undefined ? null : price
+        }, { aggregateId: product._id }));
+
+      if (events.length > 0) {
+        changes.$push = { outbox: { $each: events } };
+      }
+    }
+
+    const updated = await Product.findOneAndUpdate(
+      { _id: product._id, variants: { $elemMatch: match } },
+      changes,
+      { arrayFilters: [{ 'v.sku': sku }], new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      const { variant: latest } = await load(productId, sku);
+      if (fields.stock !== undefined && latest.reserved > fields.stock) {
+        throw new VariantError('Stock cannot be lower than the units currently reserved', 409, {
+          reserved: latest.reserved
+        });
+      }
+      throw new VariantError('Product was modified concurrently, please retry', 409);
+    }
+    return refresh(product._id);
+  };
+
+  // Variants stay on the product, inactive, so past orders still resolve
+  const remove = (productId, sku) => update(productId, sku, { isActive: false });
+
+  return {
+    list,
+    findBySku,
+    add,
+    update,
+    remove
+  };
+};
+
+module.exports = {
+  VariantError,
+  variantSchema,
+  defaultSku,
+  available,
+  catalogPrice,
+  variantsForNewProduct,
+  isDuplicateSku,
+  migrateLegacyProducts,
+  createVariants
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { createAuthenticateToken } = require('../../../shared/auth');
+const { MemoryDenylist } = require('../../../shared/tokenDenylist');
+const { createFakePool } = require('../../../shared/testing/fakePg');
+const { loadSigningKeys } = require('../keys');
+const { RefreshTokenError, createTokenService } = require('../tokens');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// The refresh_tokens table in memory, joined to a single user
+const createTokensPool = (user) => {
+  const refreshTokens = [];
+  const now = () => Math.floor(Date.now() / 1000);
+  const live = (row) => row.revoked_at === null || row.access_token_exp > now();
+
+  const revoke = (matches) => {
+    const rows = refreshTokens.filter((row) => matches(row) && live(row));
+    rows.forEach((row) => { row.revoked_at = row.revoked_at || new Date(); });
+    return { rows: rows.map(({ access_jti, access_token_exp }) => ({ access_jti, access_token_exp })), rowCount: rows.length };
+  };
+
+  return createFakePool({
+    tables: { refreshTokens },
+    routes: [
+      ['INSERT INTO refresh_tokens', ([userId, familyId, tokenHash, accessJti, accessTokenExp]) => {
+        const row = {
+          id: refreshTokens.length + 1,
+          user_id: userId,
+          family_id: familyId,
+          token_hash: tokenHash,
+          access_jti: accessJti,
+          access_token_exp: accessTokenExp,
+          expired: false,
+          revoked_at: null,
+          replaced_by: null
+        };
+        refreshTokens.push(row);
+        return [{ id: row.id }];
+      }],
+      ['SELECT rt.*', ([tokenHash]) => refreshTokens
+        .filter((row) => row.token_hash === tokenHash)
+        .map((row) => ({ ...row, email: user.email, role: user.role }))],
+      ['SELECT family_id FROM refresh_tokens', ([tokenHash, userId]) => refreshTokens
+        .filter((row) => row.token_hash === tokenHash && row.user_id === userId)],
+      ['UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1', ([replacedBy, id]) => {
+        Object.assign(refreshTokens.find((row) => row.id === id), { revoked_at: new Date(), replaced_by: replacedBy });
+        return [];
+      }],
+      [/^UPDATE refresh_tokens SET revoked_at = COALESCE.* WHERE family_id = \$1/, ([familyId]) => revoke((row) => row.family_id === familyId)],
+      [/^UPDATE refresh_tokens SET revoked_at = COALESCE.* WHERE user_id = \$1/, ([userId]) => revoke((row) => row.user_id === userId)]
+    ]
+  });
+};
+
+describe('token service', () => {
+  const user = { id: 7, email: 'ada@example.com', role: 'customer' };
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const keystore = loadSigningKeys({ dir: '', pem: privateKey.export({ type: 'pkcs8', format: 'pem' }), keyId: 'test' });
+
+  let pool;
+  let denylist;
+  let tokenService;
+  let verifyToken;
+
+  beforeEach(() => {
+    pool = createTokensPool(user);
+    denylist = new MemoryDenylist();
+    tokenService = createTokenService({ pool, denylist, keystore });
+    ({ verifyToken } = createAuthenticateToken({ getKey: keystore.getPublicKey, denylist }));
+  });
+
+  const login = async () => (await tokenService.issueTokens(user)).tokens;
+
+  const isValid = (token) => verifyToken(token).then(() => true, (error) => {
+    if (error.name !== 'TokenRevokedError') throw error;
+    return false;
+  });
+
+  it('stores only the hash of the refresh token', async () => {
+    const tokens = await login();
+
+    expect(pool.refreshTokens).toHaveLength(1);
+    expect(pool.refreshTokens[0].token_hash).toBe(hashToken(tokens.refreshToken));
+    expect(JSON.stringify(pool.refreshTokens)).not.toContain(tokens.refreshToken);
+  });
+
+  it('rotates the refresh token within its family', async () => {
+    const first = await login();
+    const second = await tokenService.rotateRefreshToken(first.refreshToken);
+
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    const [old, current] = pool.refreshTokens;
+    expect(current.family_id).toBe(old.family_id);
+    expect(old).toMatchObject({ revoked_at: expect.any(Date), replaced_by: current.id });
+    expect(current.revoked_at).toBeNull();
+    expect(await isValid(second.token)).toBe(true);
+  });
+
+  it('revokes the whole family when a rotated refresh token comes back', async () => {
+    const first = await login();
+    const second = await tokenService.rotateRefreshToken(first.refreshToken);
+    const other = await login();
+
+    await expect(tokenService.rotateRefreshToken(first.refreshToken))
+      .rejects.toMatchObject({ name: 'RefreshTokenError', reason: 'reuse' });
+
+    await expect(tokenService.rotateRefreshToken(second.refreshToken)).rejects.toMatchObject({ reason: 'reuse' });
+    expect(await isValid(first.token)).toBe(false);
+    expect(await isValid(second.token)).toBe(false);
+
+    // Other logins of the same user are left alone
+    expect(await isValid(other.token)).toBe(true);
+    await expect(tokenService.rotateRefreshToken(other.refreshToken)).resolves.toHaveProperty('refreshToken');
+  });
+
+  it('rejects unknown and expired refresh tokens', async () => {
+    await expect(tokenService.rotateRefreshToken('not-a-token')).rejects.toThrow(RefreshTokenError);
+
+    const tokens = await login();
+    pool.refreshTokens[0].expired = true;
+    await expect(tokenService.rotateRefreshToken(tokens.refreshToken)).rejects.toMatchObject({ reason: 'expired' });
+    expect(pool.refreshTokens[0].revoked_at).toBeNull();
+  });
+
+  describe('logout', () => {
+    it('denylists the access token by its jti', async () => {
+      const tokens = await login();
+      const other = await login();
+
+      await tokenService.revokeAccessToken(await verifyToken(tokens.token));
+
+      expect(await isValid(tokens.token)).toBe(false);
+      expect(await isValid(other.token)).toBe(true);
+    });
+
+    it('ends the session of the refresh token', async () => {
+      const tokens = await login();
+      const other = await login();
+
+      expect(await tokenService.revokeSession(tokens.refreshToken, user.id)).toBe(1);
+
+      await expect(tokenService.rotateRefreshToken(tokens.refreshToken)).rejects.toMatchObject({ reason: 'reuse' });
+      expect(await isValid(tokens.token)).toBe(false);
+      expect(await isValid(other.token)).toBe(true);
+    });
+
+    it('ignores refresh tokens of other users', async () => {
+      const tokens = await login();
+
+      expect(await tokenService.revokeSession(tokens.refreshToken, user.id + 1)).toBe(0);
+      expect(pool.refreshTokens[0].revoked_at).toBeNull();
+    });
+
+    it('ends every session when logging out everywhere, but not later logins', async () => {
+      const first = await login();
+      const second = await login();
+
+      expect(await tokenService.revokeAllSessions(user.id)).toBe(2);
+      const later = await login();
+
+      expect(await isValid(first.token)).toBe(false);
+      expect(await isValid(second.token)).toBe(false);
+      expect(await isValid(later.token)).toBe(true);
+      await expect(tokenService.rotateRefreshToken(second.refreshToken)).rejects.toMatchObject({ reason: 'reuse' });
+    });
+  });
+});
@@ -0,0 +1,27 @@
+// Generates a signing key for access tokens.
+//
+//   node generate-key.js [keys-dir] [--rsa]
+//
+// Writes <kid>.pem into the keys directory (default ./keys) and prints the
+// key id to use as JWT_ACTIVE_KEY_ID.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const dir = args.find((arg) => !arg.startsWith('--')) || path.join(__dirname, 'keys');
+const rsa = args.includes('--rsa');
+
+const { privateKey } = rsa
+  ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  : crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+const kid = `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString('hex')}`;
+const file = path.join(dir, `${kid}.pem`);
+
+fs.mkdirSync(dir, { recursive: true });
+fs.writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+console.log(`🔑 Wrote ${rsa ? 'RS256' : 'ES256'} key ${file}`);
+console.log(`JWT_ACTIVE_KEY_ID=${kid}`);
@@ -0,0 +1,101 @@
+// Signing keys for access tokens.
+//
+// Keys are PEM private keys, either every `*.pem` file in
+// JWT_PRIVATE_KEYS_DIR (the file name is the key id) or a single key in
+// JWT_PRIVATE_KEY. All loaded keys are published in the JWKS; only the one
+// named by JWT_ACTIVE_KEY_ID signs. To rotate, add the new key, wait for
+// verifier caches to pick it up, switch JWT_ACTIVE_KEY_ID, and remove the old
+// key once the last token it signed has expired.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const algorithmFor = (privateKey) => {
+  if (privateKey.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+  if (privateKey.asymmetricKeyType === 'ec' && privateKey.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+  throw new Error(`Unsupported JWT signing key type: ${privateKey.asymmetricKeyType}`);
+};
+
+// RFC 7638 JWK thumbprint, used as the key id when none is given.
+const thumbprint = (jwk) => {
+  const members = jwk.kty === 'RSA'
+    ? { e: jwk.e, kty: jwk.kty, n: jwk.n }
+    : { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y };
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+};
+
+const loadKey = (pem, kid) => {
+  const privateKey = crypto.createPrivateKey(pem);
+  const publicKey = crypto.createPublicKey(privateKey);
+  const alg = algorithmFor(privateKey);
+  const jwk = publicKey.export({ format: 'jwk' });
+  const keyId = kid || thumbprint(jwk);
+
+  return {
+    kid: keyId,
+    alg,
+    privateKey,
+    publicKey,
+    jwk: { ...jwk, kid: keyId, alg, use: 'sig' }
+  };
+};
+
+const loadSigningKeys = ({
+  dir = process.env.JWT_PRIVATE_KEYS_DIR,
+  pem = process.env.JWT_PRIVATE_KEY,
+  keyId = process.env.JWT_KEY_ID,
+  activeKeyId = process.env.JWT_ACTIVE_KEY_ID
+} = {}) => {
+  const keys = new Map();
+
+  if (dir) {
+    fs.readdirSync(dir)
+      .filter((file) => file.endsWith('.pem'))
+      .sort()
+      .forEach((file) => {
+        const key = loadKey(fs.readFileSync(path.join(dir, file)), path.basename(file, '.pem'));
+        keys.set(key.kid, key);
+      });
+  }
+
+  if (pem) {
+    const key = loadKey(pem.replace(/\\n/g, '\n'), keyId);
+    keys.set(key.kid, key);
+  }
+
+  if (keys.size === 0) {
+    throw new Error('No JWT signing key configured: set JWT_PRIVATE_KEYS_DIR or JWT_PRIVATE_KEY');
+  }
+
+  if (!activeKeyId && keys.size > 1) {
+    throw new Error('JWT_ACTIVE_KEY_ID is required when more than one signing key is configured');
+  }
+
+  const active = activeKeyId ? keys.get(activeKeyId) : keys.values().next().value;
+  if (!active) {
+    throw new Error(`Active JWT signing key ${activeKeyId} not found`);
+  }
+
+  return {
+    active,
+    getPublicKey: async (kid) => {
+      const key = keys.get(kid);
+      if (!key) {
+        const error = new Error(`Unknown signing key: ${kid}`);
+        error.name = 'JsonWebTokenError';
+        throw error;
+      }
+      return key.publicKey;
+    },
+    jwks: () => ({ keys: [...keys.values()].map((key) => key.jwk) })
+  };
+};
+
+module.exports = {
+  loadSigningKeys
+};
@@ -0,0 +1,15 @@
+// Applies and inspects database schema migrations (see migrations/).
+//
+//   npm run migrate -- up [--to <version>] | down [<steps>] | status | create <name>
+
+require('dotenv').config();
+const path = require('path');
+const { Pool } = require('pg');
+const { runMigrationCli } = require('../../shared/migrations');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || 'postgresql://localhost:5432/userdb',
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+runMigrationCli({ pool, directory: path.join(__dirname, 'migrations'), argv: process.argv.slice(2) });
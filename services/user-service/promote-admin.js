@@ -0,0 +1,57 @@
+// Makes an existing account an administrator.
+//
+//   npm run admin:promote -- <email>
+//
+// For the first administrator, or when no admin is left to use
+// PATCH /users/:id/role. Registering never grants more than the customer
+// role; the operator registers as usual, then runs this with the account's
+// password to show the account is theirs. Sign in again afterwards: tokens
+// issued before carry the old role.
+
+require('dotenv').config();
+const readline = require('readline');
+const bcrypt = require('bcryptjs');
+const { Pool } = require('pg');
+
+const email = process.argv[2];
+if (!email) {
+  console.error('Usage: npm run admin:promote -- <email>');
+  process.exit(1);
+}
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || 'postgresql://localhost:5432/userdb',
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const ask = (question) => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.question(question, (answer) => {
+    rl.close();
+    resolve(answer);
+  });
+});
+
+const promote = async () => {
+  const result = await pool.query('SELECT id, password, role FROM users WHERE email = $1', [email]);
+  const user = result.rows[0];
+  if (!user) {
+    throw new Error(`No account for ${email}; register it first`);
+  }
+  if (!await bcrypt.compare(await ask(`Password for ${email}: `), user.password)) {
+    throw new Error('Wrong password');
+  }
+  if (user.role === 'admin') {
+    return console.log(`${email} is already an admin`);
+  }
+
+  await pool.query("UPDATE users SET role = 'admin', updated_at = CURRENT_TIMESTAMP WHERE id = $1", [user.id]);
+  console.log(`✅ ${email} is now an admin`);
+};
+
+promote()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,80 @@
+// Request schemas for user-service routes; see shared/validation.js
+
+const { ROLES } = require('../../shared/authorize');
+const { schemas: { id, nonEmptyString } } = require('../../shared/validation');
+
+const email = { type: 'string', format: 'email', maxLength: 255 };
+// bcrypt only looks at the first 72 bytes
+const newPassword = { type: 'string', minLength: 8, maxLength: 72 };
+const name = { type: 'string', maxLength: 100 };
+
+const register = {
+  body: {
+    type: 'object',
+    properties: {
+      email,
+      password: newPassword,
+      firstName: name,
+      lastName: name
+    },
+    required: ['email', 'password'],
+    additionalProperties: false
+  }
+};
+
+const login = {
+  body: {
+    type: 'object',
+    properties: {
+      email,
+      password: nonEmptyString(1024)
+    },
+    required: ['email', 'password'],
+    additionalProperties: false
+  }
+};
+
+const refresh = {
+  body: {
+    type: 'object',
+    properties: {
+      refreshToken: nonEmptyString(1024)
+    },
+    required: ['refreshToken'],
+    additionalProperties: false
+  }
+};
+
+const logout = {
+  body: {
+    type: 'object',
+    properties: {
+      refreshToken: nonEmptyString(1024)
+    },
+    additionalProperties: false
+  }
+};
+
+const updateRole = {
+  params: {
+    type: 'object',
+    properties: { id },
+    required: ['id']
+  },
+  body: {
+    type: 'object',
+    properties: {
+      role: { enum: ROLES }
+    },
+    required: ['role'],
+    additionalProperties: false
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  updateRole
+};
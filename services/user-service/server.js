@@ -1,12 +1,40 @@
+const path = require('path');
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
+const { createMetrics } = require('../../shared/metrics');
+const { initTracing } = require('../../shared/tracing');
+const { logger, initLogging } = require('../../shared/logger');
+const { createLifecycle } = require('../../shared/lifecycle');
+const { closeRedisClients } = require('../../shared/redis');
+const { createAuthenticateToken } = require('../../shared/auth');
+const { createDenylist } = require('../../shared/tokenDenylist');
+const { requirePermission } = require('../../shared/authorize');
+const { RefreshTokenError, createTokenService } = require('./tokens');
+const { loadSigningKeys } = require('./keys');
+const { createBroker } = require('../../shared/events');
+const { createPgOutbox } = require('../../shared/outbox');
+const { createMigrator } = require('../../shared/migrations');
+const { createHealth, postgresCheck, redisCheck } = require('../../shared/health');
+const { sendProblem, problemHandler, notFound } = require('../../shared/problem');
+const { validate } = require('../../shared/validation');
+const schemas = require('./schemas');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const metrics = createMetrics('user_service');
+const tracing = initTracing({ serviceName: 'user-service' });
+const logging = initLogging({ service: 'user-service' });
 
+// On SIGTERM/SIGINT: drain requests, stop workers, close what is registered
+const lifecycle = createLifecycle();
+lifecycle.resource('redis', closeRedisClients);
+lifecycle.resource('tracing', tracing.shutdown);
+
+app.use(tracing.middleware);
+app.use(logging.middleware);
+app.use(metrics.middleware);
 app.use(express.json());
 
 // PostgreSQL connection
@@ -15,81 +43,103 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-// Initialize database
-const initDB = async () => {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password VARCHAR(255) NOT NULL,
-        first_name VARCHAR(100),
-        last_name VARCHAR(100),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('✅ User database initialized');
-  } catch (error) {
-    console.error('❌ Database initialization error:', error);
+metrics.trackPgPool(pool);
+tracing.tracePgPool(pool);
+lifecycle.resource('postgres', () => pool.end());
+
+// Fails startup when no signing key is configured
+const keystore = loadSigningKeys();
+const denylist = createDenylist();
+const authenticateToken = createAuthenticateToken({ getKey: keystore.getPublicKey, denylist });
+const tokenService = createTokenService({ pool, denylist, keystore });
+const outbox = createPgOutbox({ pool, broker: createBroker(), source: 'user-service' });
+
+const registrationsTotal = metrics.counter('registrations_total', 'Total number of users registered');
+const loginsTotal = metrics.counter('logins_total', 'Login attempts by result', {
+  labelNames: ['result']
+});
+metrics.gauge('users_total', 'Registered users', {
+  collect: async (gauge) => {
+    const result = await pool.query('SELECT COUNT(*)::int AS count FROM users');
+    gauge.set(result.rows[0].count);
   }
-};
+});
 
-initDB();
+// Schema migrations live in migrations/; see shared/migrations.js
+const migrator = createMigrator({ pool, directory: path.join(__dirname, 'migrations') });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    service: 'user-service',
-    status: 'healthy',
-    timestamp: new Date().toISOString()
-  });
+const health = createHealth({
+  service: 'user-service',
+  isShuttingDown: lifecycle.isShuttingDown,
+  checks: [
+    postgresCheck(pool),
+    ...(process.env.REDIS_URL ? [redisCheck()] : [])
+  ]
 });
 
+// Health checks: liveness, and readiness with dependency checks.
+// /health is kept for older probes and reports readiness.
+app.get('/health/live', health.live);
+app.get('/health/ready', health.ready);
+app.get('/health', health.ready);
+
 // Metrics
-app.get('/metrics', (req, res) => {
-  res.set('Content-Type', 'text/plain');
-  res.send(`
-# HELP user_service_requests_total Total requests to user service
-# TYPE user_service_requests_total counter
-user_service_requests_total ${Math.floor(Math.random() * 500)}
-
-# HELP user_service_active_users Active users count
-# TYPE user_service_active_users gauge
-user_service_active_users ${Math.floor(Math.random() * 100)}
-  `);
+app.get('/metrics', metrics.handler);
+
+// Public keys for verifying access tokens
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(keystore.jwks());
 });
 
 // Register user
-app.post('/auth/register', async (req, res) => {
+app.post('/auth/register', validate(schemas.register), async (req, res) => {
   try {
     const { email, password, firstName, lastName } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password required' });
-    }
-
     // Check if user exists
     const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
     if (existingUser.rows.length > 0) {
-      return res.status(409).json({ error: 'User already exists' });
+      return sendProblem(res, 409, 'User already exists');
     }
 
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    // Create user
-    const result = await pool.query(
-      'INSERT INTO users (email, password, first_name, last_name) VALUES ($1, $2, $3, $4) RETURNING id, email, first_name, last_name, created_at',
-      [email, hashedPassword, firstName, lastName]
-    );
+    // Create user and its UserRegistered event atomically. Everyone starts
+    // as a customer; see promote-admin.js for the first administrator.
+    const client = await pool.connect();
+    let user;
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'INSERT INTO users (email, password, first_name, last_name) VALUES ($1, $2, $3, $4) RETURNING id, email, first_name, last_name, role, created_at',
+        [email, hashedPassword, firstName, lastName]
+      );
+      user = result.rows[0];
 
-    const user = result.rows[0];
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '24h' }
-    );
+      await outbox.add(client, 'UserRegistered', {
+        userId: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        role: user.role
+      }, { aggregateId: user.id });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // Lost a race with a concurrent registration for the same email
+      if (error.code === '23505') {
+        return sendProblem(res, 409, 'User already exists');
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    registrationsTotal.inc();
+    const { tokens } = await tokenService.issueTokens(user);
 
     res.status(201).json({
       message: 'User created successfully',
@@ -98,29 +148,27 @@ app.post('/auth/register', async (req, res) => {
         email: user.email,
         firstName: user.first_name,
         lastName: user.last_name,
+        role: user.role,
         createdAt: user.created_at
       },
-      token
+      ...tokens
     });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error('Registration error', { error });
+    sendProblem(res, 500, 'Internal server error');
   }
 });
 
 // Login user
-app.post('/auth/login', async (req, res) => {
+app.post('/auth/login', validate(schemas.login), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password required' });
-    }
-
     // Find user
     const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
     if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      loginsTotal.inc({ result: 'failure' });
+      return sendProblem(res, 401, 'Invalid credentials');
     }
 
     const user = result.rows[0];
@@ -128,15 +176,14 @@ app.post('/auth/login', async (req, res) => {
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      loginsTotal.inc({ result: 'failure' });
+      return sendProblem(res, 401, 'Invalid credentials');
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '24h' }
-    );
+    loginsTotal.inc({ result: 'success' });
+
+    // Generate tokens
+    const { tokens } = await tokenService.issueTokens(user);
 
     res.json({
       message: 'Login successful',
@@ -144,34 +191,71 @@ app.post('/auth/login', async (req, res) => {
         id: user.id,
         email: user.email,
         firstName: user.first_name,
-        lastName: user.last_name
+        lastName: user.last_name,
+        role: user.role
       },
-      token
+      ...tokens
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error('Login error', { error });
+    sendProblem(res, 500, 'Internal server error');
   }
 });
 
-// Get user profile
-app.get('/users/profile', async (req, res) => {
+// Exchange a refresh token for a new token pair
+app.post('/auth/refresh', validate(schemas.refresh), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1];
+    const { refreshToken } = req.body;
+    const tokens = await tokenService.rotateRefreshToken(refreshToken);
+    res.json(tokens);
+  } catch (error) {
+    if (error instanceof RefreshTokenError) {
+      return sendProblem(res, 401, error.message);
+    }
+    logger.error('Refresh error', { error });
+    sendProblem(res, 500, 'Internal server error');
+  }
+});
 
-    if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
+// Logout current session
+app.post('/auth/logout', authenticateToken, validate(schemas.logout), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await tokenService.revokeAccessToken(req.user);
+    if (refreshToken) {
+      await tokenService.revokeSession(refreshToken, req.user.userId);
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    logger.error('Logout error', { error });
+    sendProblem(res, 500, 'Internal server error');
+  }
+});
+
+// Logout all sessions
+app.post('/auth/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedSessions = await tokenService.revokeAllSessions(req.user.userId);
+
+    res.json({ message: 'All sessions logged out', revokedSessions });
+  } catch (error) {
+    logger.error('Logout all error', { error });
+    sendProblem(res, 500, 'Internal server error');
+  }
+});
+
+// Get user profile
+app.get('/users/profile', authenticateToken, async (req, res) => {
+  try {
     const result = await pool.query(
-      'SELECT id, email, first_name, last_name, created_at FROM users WHERE id = $1',
-      [decoded.userId]
+      'SELECT id, email, first_name, last_name, role, created_at FROM users WHERE id = $1',
+      [req.user.userId]
     );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+      return sendProblem(res, 404, 'User not found');
     }
 
     const user = result.rows[0];
@@ -180,22 +264,20 @@ app.get('/users/profile', async (req, res) => {
       email: user.email,
       firstName: user.first_name,
       lastName: user.last_name,
+      role: user.role,
       createdAt: user.created_at
     });
   } catch (error) {
-    console.error('Profile error:', error);
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(403).json({ error: 'Invalid token' });
-    }
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error('Profile error', { error });
+    sendProblem(res, 500, 'Internal server error');
   }
 });
 
 // Get all users (admin only)
-app.get('/users', async (req, res) => {
+app.get('/users', authenticateToken, requirePermission('users:read'), async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT id, email, first_name, last_name, created_at FROM users ORDER BY created_at DESC'
+      'SELECT id, email, first_name, last_name, role, created_at FROM users ORDER BY created_at DESC'
     );
 
     res.json({
@@ -204,16 +286,74 @@ app.get('/users', async (req, res) => {
         email: user.email,
         firstName: user.first_name,
         lastName: user.last_name,
+        role: user.role,
         createdAt: user.created_at
       })),
       total: result.rows.length
     });
   } catch (error) {
-    console.error('Get users error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error('Get users error', { error });
+    sendProblem(res, 500, 'Internal server error');
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`👤 User Service running on port ${PORT}`);
-});
\ No newline at end of file
+// Assign role (admin only)
+app.patch('/users/:id/role', authenticateToken, requirePermission('users:manage-roles'), validate(schemas.updateRole), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { role } = req.body;
+
+    // An admin demoting themselves could leave nobody able to assign roles
+    if (userId === req.user.userId) {
+      return sendProblem(res, 400, 'Cannot change your own role');
+    }
+
+    const result = await pool.query(
+      'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, email, first_name, last_name, role, created_at',
+      [role, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return sendProblem(res, 404, 'User not found');
+    }
+
+    // Outstanding access tokens still carry the old role
+    await tokenService.revokeAccessTokens(userId);
+
+    const user = result.rows[0];
+    res.json({
+      message: 'Role updated successfully',
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        role: user.role,
+        createdAt: user.created_at
+      }
+    });
+  } catch (error) {
+    logger.error('Update role error', { error });
+    sendProblem(res, 500, 'Internal server error');
+  }
+});
+
+app.use(notFound);
+app.use(problemHandler);
+
+// Refuses to start on a database schema that is behind. MIGRATE_ON_START
+// applies pending migrations first; otherwise run "npm run migrate -- up".
+migrator.ensureCurrent({
+  migrate: process.env.MIGRATE_ON_START === 'true',
+  log: (message) => logger.info(message)
+})
+  .then(() => {
+    lifecycle.worker('outbox relay', outbox.startRelay().stop);
+    lifecycle.listen(app, PORT, () => {
+      logger.info('User Service running', { port: Number(PORT) });
+    });
+  })
+  .catch((error) => {
+    logger.error('Database migration error', { error });
+    process.exit(1);
+  });
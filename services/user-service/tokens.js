@@ -0,0 +1,183 @@
+// Access and refresh token issuing for user-service.
+//
+// Access tokens are short-lived JWTs with a `jti` so they can be denylisted.
+// Refresh tokens are opaque random strings stored as SHA-256 hashes. Every
+// refresh rotates the token within its family (one family per login); if a
+// rotated-out token is presented again the whole family is revoked.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ISSUER } = require('../../shared/auth');
+
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 900);
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+class RefreshTokenError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.reason = reason;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// `keystore.active` is the key that signs; see keys.js.
+const createTokenService = ({ pool, denylist, keystore }) => {
+  const signAccessToken = (user) => {
+    const jti = crypto.randomUUID();
+    const { privateKey, alg, kid } = keystore.active;
+    // iat_ms: see shared/tokenDenylist.js
+    const token = jwt.sign(
+      { userId: user.id, email: user.email, role: user.role, iat_ms: Date.now() },
+      privateKey,
+      { algorithm: alg, keyid: kid, issuer: ISSUER, expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: jti }
+    );
+    return { token, jti, exp: jwt.decode(token).exp };
+  };
+
+  // Issues an access token plus a refresh token in `familyId` (a new family
+  // when omitted). `db` may be a pool client inside a transaction.
+  const issueTokens = async (user, { familyId = crypto.randomUUID(), db = pool } = {}) => {
+    const access = signAccessToken(user);
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    const result = await db.query(
+      `INSERT INTO refresh_tokens (user_id, family_id, token_hash, access_jti, access_token_exp, expires_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6))
+       RETURNING id`,
+      [user.id, familyId, hashToken(refreshToken), access.jti, access.exp, REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    return {
+      id: result.rows[0].id,
+      tokens: {
+        token: access.token,
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+      }
+    };
+  };
+
+  // Revokes the refresh tokens matched by `where` and denylists the access
+  // tokens issued alongside them that have not expired yet. Already rotated
+  // tokens are matched too while their access token is still live.
+  const revokeWhere = async (db, where, params) => {
+    const result = await db.query(
+      `UPDATE refresh_tokens SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+       WHERE ${where}
+       RETURNING access_jti, access_token_exp`,
+      params
+    );
+
+    const now = Date.now() / 1000;
+    await Promise.all(result.rows
+      .filter((row) => row.access_jti && row.access_token_exp > now)
+      .map((row) => denylist.revokeToken(row.access_jti, row.access_token_exp)));
+    return result.rowCount;
+  };
+
+  const LIVE = '(revoked_at IS NULL OR access_token_exp > EXTRACT(EPOCH FROM CURRENT_TIMESTAMP))';
+
+  const revokeFamily = (familyId, db = pool) =>
+    revokeWhere(db, `family_id = $1 AND ${LIVE}`, [familyId]);
+
+  const rotateRefreshToken = async (refreshToken) => {
+    const client = await pool.connect();
+    let finished = false;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT rt.*, (rt.expires_at <= CURRENT_TIMESTAMP) AS expired, u.email, u.role
+         FROM refresh_tokens rt JOIN users u ON u.id = rt.user_id
+         WHERE rt.token_hash = $1
+         FOR UPDATE OF rt`,
+        [hashToken(refreshToken)]
+      );
+
+      if (result.rows.length === 0) {
+        throw new RefreshTokenError('Invalid refresh token', 'invalid');
+      }
+
+      const stored = result.rows[0];
+
+      if (stored.revoked_at) {
+        // A revoked token coming back means it leaked, or the client lost a
+        // race with itself. Either way nothing in the family can be trusted.
+        await revokeFamily(stored.family_id, client);
+        await client.query('COMMIT');
+        finished = true;
+        throw new RefreshTokenError('Refresh token reuse detected', 'reuse');
+      }
+
+      if (stored.expired) {
+        throw new RefreshTokenError('Refresh token expired', 'expired');
+      }
+
+      const user = { id: stored.user_id, email: stored.email, role: stored.role };
+      const issued = await issueTokens(user, { familyId: stored.family_id, db: client });
+
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1 WHERE id = $2',
+        [issued.id, stored.id]
+      );
+
+      await client.query('COMMIT');
+      return issued.tokens;
+    } catch (error) {
+      if (!finished) {
+        await client.query('ROLLBACK');
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  // Ends the session a refresh token belongs to. Tokens of other users are
+  // ignored rather than reported, so the call cannot be used as an oracle.
+  const revokeSession = async (refreshToken, userId) => {
+    const result = await pool.query(
+      'SELECT family_id FROM refresh_tokens WHERE token_hash = $1 AND user_id = $2',
+      [hashToken(refreshToken), userId]
+    );
+    if (result.rows.length === 0) {
+      return 0;
+    }
+    return revokeFamily(result.rows[0].family_id);
+  };
+
+  const revokeAllSessions = async (userId) => {
+    const revoked = await revokeWhere(pool, `user_id = $1 AND ${LIVE}`, [userId]);
+    await denylist.revokeUserTokens(userId, ACCESS_TOKEN_TTL_SECONDS);
+    return revoked;
+  };
+
+  // Forces clients to refresh, which picks up changed claims such as the
+  // role, without ending their sessions.
+  const revokeAccessTokens = (userId) => denylist.revokeUserTokens(userId, ACCESS_TOKEN_TTL_SECONDS);
+
+  const revokeAccessToken = async (payload) => {
+    if (payload.jti) {
+      await denylist.revokeToken(payload.jti, payload.exp);
+    }
+  };
+
+  return {
+    issueTokens,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    revokeAccessToken,
+    revokeAccessTokens
+  };
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  RefreshTokenError,
+  createTokenService
+};
@@ -0,0 +1,112 @@
+const { logger } = require('../logger');
+const { InProcessBroker, MemoryDedupStore, createEvent, subscribe } = require('../events');
+
+const waitFor = async (check, timeoutMs = 1000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+describe('in-process broker', () => {
+  let broker;
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    broker = new InProcessBroker({ maxAttempts: 3, retryDelay: 1, deadLetterRetryMs: 30 });
+  });
+
+  afterEach(async () => {
+    await broker.close();
+    jest.restoreAllMocks();
+  });
+
+  // A handler that fails its first `failures` calls
+  const flaky = (failures) => {
+    const handler = jest.fn(async () => {
+      if (handler.mock.calls.length <= failures) throw new Error('Inventory unavailable');
+    });
+    return handler;
+  };
+
+  it('retries a failed handler until it succeeds', async () => {
+    const handler = flaky(2);
+    broker.subscribe({ group: 'orders', types: ['PaymentCaptured'], handler });
+
+    await broker.publish(createEvent('PaymentCaptured', { orderId: 1 }));
+    await waitFor(() => handler.mock.calls.length === 3);
+
+    expect(broker.deadLetters()).toEqual([]);
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+
+  it('dead-letters an event after maxAttempts and delivers it again later', async () => {
+    const handler = flaky(4);
+    broker.subscribe({ group: 'orders', types: ['PaymentCaptured'], handler });
+    const event = createEvent('PaymentCaptured', { orderId: 1 });
+
+    await broker.publish(event);
+    await waitFor(() => broker.deadLetters().length === 1);
+
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(broker.deadLetters()).toEqual([
+      expect.objectContaining({ event, group: 'orders', attempts: 3, error: 'Inventory unavailable' })
+    ]);
+    expect(logger.error).toHaveBeenCalledWith('Event dead-lettered', expect.objectContaining({ eventId: event.id, group: 'orders' }));
+
+    await waitFor(() => handler.mock.calls.length === 5);
+    await waitFor(() => broker.deadLetters().length === 0);
+    expect(logger.error).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps an event that keeps failing instead of dropping it', async () => {
+    const handler = flaky(Infinity);
+    broker.subscribe({ group: 'orders', types: ['PaymentCaptured'], handler });
+
+    await broker.publish(createEvent('PaymentCaptured', { orderId: 1 }));
+    await waitFor(() => broker.deadLetters().some(({ attempts }) => attempts === 5));
+
+    expect(handler).toHaveBeenCalledTimes(5);
+    expect(logger.error).toHaveBeenCalledTimes(1);
+  });
+
+  it('only dead-letters the event for the group whose handler failed', async () => {
+    const failing = flaky(Infinity);
+    const working = jest.fn().mockResolvedValue();
+    broker.subscribe({ group: 'orders', types: ['PaymentCaptured'], handler: failing });
+    broker.subscribe({ group: 'notifications', types: ['PaymentCaptured'], handler: working });
+
+    await broker.publish(createEvent('PaymentCaptured', { orderId: 1 }));
+    await waitFor(() => broker.deadLetters().length === 1);
+
+    expect(working).toHaveBeenCalledTimes(1);
+    expect(broker.deadLetters().map(({ group }) => group)).toEqual(['orders']);
+  });
+
+  it('stops redelivering once the subscription stops', async () => {
+    const handler = flaky(Infinity);
+    const subscription = broker.subscribe({ group: 'orders', types: ['PaymentCaptured'], handler });
+
+    await broker.publish(createEvent('PaymentCaptured', { orderId: 1 }));
+    await waitFor(() => handler.mock.calls.length === 3);
+    await subscription.stop();
+    await new Promise((resolve) => setTimeout(resolve, 80));
+
+    expect(handler).toHaveBeenCalledTimes(3);
+  });
+
+  it('processes a redelivered event once through subscribe', async () => {
+    const handler = flaky(3);
+    subscribe(broker, { group: 'orders', handlers: { PaymentCaptured: handler }, dedup: new MemoryDedupStore() });
+    const event = createEvent('PaymentCaptured', { orderId: 1 });
+
+    await broker.publish(event);
+    await waitFor(() => handler.mock.calls.length === 4);
+    await waitFor(() => broker.deadLetters().length === 0);
+
+    await broker.publish(event);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(handler).toHaveBeenCalledTimes(4);
+  });
+});
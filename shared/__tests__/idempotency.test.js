@@ -0,0 +1,180 @@
+const express = require('express');
+const request = require('supertest');
+const { MemoryStore, createIdempotency } = require('../idempotency');
+
+// Handlers that can be held open to look at the in-progress state
+const createApp = (store, options = {}) => {
+  const app = express();
+  const calls = [];
+  const gates = [];
+
+  app.use(express.json());
+  app.post('/orders', createIdempotency({ store, ...options }), async (req, res) => {
+    calls.push(req.body);
+    if (req.body.hold) {
+      await new Promise((resolve) => gates.push(resolve));
+    }
+    if (req.body.fail) {
+      return res.status(503).json({ detail: 'Try again' });
+    }
+    if (req.body.empty) {
+      return res.status(202).end();
+    }
+    res.status(201).set('Location', `/orders/${calls.length}`).json({ id: calls.length, ...req.body });
+  });
+
+  return { app, calls, release: () => gates.splice(0).forEach((resolve) => resolve()) };
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+describe('idempotency', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+  });
+
+  afterEach(() => {
+    clearInterval(store.timer);
+  });
+
+  const post = (app, key, body) => {
+    const req = request(app).post('/orders');
+    return (key ? req.set('Idempotency-Key', key) : req).send(body);
+  };
+
+  it('runs requests without a key every time', async () => {
+    const { app, calls } = createApp(store);
+
+    await post(app, null, { sku: 'A' });
+    await post(app, null, { sku: 'A' });
+    expect(calls).toHaveLength(2);
+  });
+
+  it('replays the stored response for a repeated request', async () => {
+    const { app, calls } = createApp(store);
+
+    const first = await post(app, 'key-1', { sku: 'A' });
+    const second = await post(app, 'key-1', { sku: 'A' });
+
+    expect(calls).toHaveLength(1);
+    expect(second.status).toBe(201);
+    expect(second.body).toEqual(first.body);
+    expect(second.headers.location).toBe('/orders/1');
+    expect(second.headers['content-type']).toBe(first.headers['content-type']);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('rejects a key reused for a different request', async () => {
+    const { app, calls } = createApp(store);
+
+    await post(app, 'key-1', { sku: 'A' });
+    const reused = await post(app, 'key-1', { sku: 'B' });
+
+    expect(reused.status).toBe(422);
+    expect(reused.body.detail).toBe('Idempotency-Key was already used for a different request');
+    expect(calls).toHaveLength(1);
+  });
+
+  it('answers 409 to a duplicate while the first request is in progress', async () => {
+    const { app, calls, release } = createApp(store);
+
+    // then() sends the request without waiting for it
+    const first = post(app, 'key-1', { sku: 'A', hold: true }).then((res) => res);
+    await waitFor(() => calls.length === 1);
+
+    const duplicate = await post(app, 'key-1', { sku: 'A', hold: true });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.headers['retry-after']).toBe('1');
+
+    release();
+    expect((await first).status).toBe(201);
+    expect(calls).toHaveLength(1);
+  });
+
+  it('scopes keys per caller', async () => {
+    const { app, calls } = createApp(store, { scope: (req) => req.get('X-Caller') });
+
+    await post(app, 'key-1', { sku: 'A' }).set('X-Caller', 'a');
+    await post(app, 'key-1', { sku: 'A' }).set('X-Caller', 'b');
+    expect(calls).toHaveLength(2);
+  });
+
+  it('does not store server errors, so they can be retried', async () => {
+    const { app, calls } = createApp(store);
+
+    expect((await post(app, 'key-1', { sku: 'A', fail: true })).status).toBe(503);
+    expect((await post(app, 'key-1', { sku: 'A', fail: true })).status).toBe(503);
+    expect(calls).toHaveLength(2);
+  });
+
+  it('keeps the claim when the client disconnects, and replays the result', async () => {
+    const { app, calls, release } = createApp(store, { scope: () => 'caller' });
+    const server = app.listen(0);
+    const agent = request(server);
+
+    try {
+      const dropped = agent.post('/orders').set('Idempotency-Key', 'key-1').timeout(50).send({ sku: 'A', hold: true });
+      await expect(dropped).rejects.toThrow();
+      await waitFor(() => calls.length === 1);
+
+      const retried = await agent.post('/orders').set('Idempotency-Key', 'key-1').timeout(1000).send({ sku: 'A', hold: true });
+      expect(retried.status).toBe(409);
+
+      release();
+      await waitFor(() => store.entries.get('caller:key-1').record.state === 'completed');
+
+      const replayed = await agent.post('/orders').set('Idempotency-Key', 'key-1').send({ sku: 'A', hold: true });
+      expect(replayed.status).toBe(201);
+      expect(replayed.headers['idempotent-replayed']).toBe('true');
+      expect(calls).toHaveLength(1);
+    } finally {
+      release();
+      server.close();
+    }
+  });
+
+  it('keeps the claim of a handler that runs longer than the lock', async () => {
+    const { app, calls, release } = createApp(store, { lockSeconds: 0.15 });
+
+    try {
+      const first = post(app, 'key-1', { sku: 'A', hold: true }).then((res) => res);
+      await waitFor(() => calls.length === 1);
+      await sleep(400);
+
+      // A second run would hold too; the timeout turns that into a failure
+      const duplicate = await post(app, 'key-1', { sku: 'A', hold: true }).timeout(1000);
+      expect(duplicate.status).toBe(409);
+
+      release();
+      expect((await first).status).toBe(201);
+      expect((await post(app, 'key-1', { sku: 'A', hold: true })).headers['idempotent-replayed']).toBe('true');
+      expect(calls).toHaveLength(1);
+    } finally {
+      release();
+    }
+  });
+
+  it('lets the claim expire once a handler ends without res.json', async () => {
+    const { app, calls } = createApp(store, { lockSeconds: 0.15 });
+
+    expect((await post(app, 'key-1', { sku: 'A', empty: true })).status).toBe(202);
+    await sleep(400);
+
+    expect((await post(app, 'key-1', { sku: 'A', empty: true })).status).toBe(202);
+    expect(calls).toHaveLength(2);
+  });
+
+  it('rejects keys that are empty or too long', async () => {
+    const { app } = createApp(store);
+
+    expect((await post(app, 'x'.repeat(256), { sku: 'A' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MigrationError, createMigrator } = require('../migrations');
+const { createFakePool } = require('../testing/fakePg');
+
+// schema_migrations plus an advisory lock; migration files run as plain
+// statements, and fail when they contain FAIL
+const createMigrationsPool = () => {
+  const schemaMigrations = [];
+  const executed = [];
+  let tableExists = false;
+  let locked = false;
+  const waiters = [];
+
+  return createFakePool({
+    tables: { schemaMigrations, executed },
+    routes: [
+      ['SELECT pg_advisory_lock(hashtext($1))', async () => {
+        while (locked) {
+          await new Promise((resolve) => waiters.push(resolve));
+        }
+        locked = true;
+        return [];
+      }],
+      ['SELECT pg_advisory_unlock(hashtext($1))', () => {
+        locked = false;
+        const next = waiters.shift();
+        if (next) next();
+        return [];
+      }],
+      ['CREATE TABLE IF NOT EXISTS schema_migrations', () => {
+        tableExists = true;
+        return [];
+      }],
+      ['SELECT to_regclass($1)', () => [{ name: tableExists ? 'schema_migrations' : null }]],
+      ['SELECT version, name, checksum, applied_at FROM schema_migrations', () => [...schemaMigrations]
+        .sort((a, b) => a.version - b.version)
+        .map((row) => ({ ...row, version: String(row.version) }))],
+      ['INSERT INTO schema_migrations', ([version, name, checksum]) => {
+        if (schemaMigrations.some((row) => row.version === version)) {
+          throw new Error('duplicate key value violates unique constraint "schema_migrations_pkey"');
+        }
+        schemaMigrations.push({ version, name, checksum, applied_at: new Date() });
+        return [];
+      }],
+      ['DELETE FROM schema_migrations WHERE version = $1', ([version]) => {
+        schemaMigrations.splice(schemaMigrations.findIndex((row) => row.version === version), 1);
+        return [];
+      }],
+      [/^--/, (params, text) => {
+        if (text.includes('FAIL')) {
+          throw new Error('syntax error at or near "FAIL"');
+        }
+        executed.push(text);
+        return [];
+      }]
+    ]
+  });
+};
+
+describe('migrator', () => {
+  let directory;
+  let pool;
+  let migrator;
+
+  const write = (file, sql) => fs.writeFileSync(path.join(directory, file), sql);
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    write('0001_create_users.up.sql', '-- up 1\nCREATE TABLE users ();\n');
+    write('0001_create_users.down.sql', '-- down 1\nDROP TABLE users;\n');
+    write('0002_create_orders.up.sql', '-- up 2\nCREATE TABLE orders ();\n');
+    write('0002_create_orders.down.sql', '-- down 2\nDROP TABLE orders;\n');
+    write('0003_add_index.up.sql', '-- up 3\nCREATE INDEX users_email ON users(email);\n');
+    write('0003_add_index.down.sql', '-- down 3\nDROP INDEX users_email;\n');
+
+    pool = createMigrationsPool();
+    migrator = createMigrator({ pool, directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const states = async () => (await migrator.status()).map(({ name, state }) => [name, state]);
+
+  describe('up', () => {
+    it('applies pending migrations in version order, once', async () => {
+      expect(await migrator.up()).toEqual(['0001_create_users', '0002_create_orders', '0003_add_index']);
+      expect(pool.executed.map((sql) => sql.split(' ').slice(0, 3).join(' '))).toEqual(['-- up 1', '-- up 2', '-- up 3']);
+      expect(pool.schemaMigrations.map(({ checksum }) => checksum)).toEqual([
+        expect.stringMatching(/^[0-9a-f]{64}$/),
+        expect.stringMatching(/^[0-9a-f]{64}$/),
+        expect.stringMatching(/^[0-9a-f]{64}$/)
+      ]);
+
+      expect(await migrator.up()).toEqual([]);
+      expect(pool.executed).toHaveLength(3);
+    });
+
+    it('stops at --to', async () => {
+      expect(await migrator.up({ to: 2 })).toEqual(['0001_create_users', '0002_create_orders']);
+      expect(await states()).toEqual([
+        ['0001_create_users', 'applied'],
+        ['0002_create_orders', 'applied'],
+        ['0003_add_index', 'pending']
+      ]);
+    });
+
+    it('records nothing for a migration that fails, and applies nothing after it', async () => {
+      write('0002_create_orders.up.sql', '-- up 2\nFAIL;\n');
+
+      await expect(migrator.up()).rejects.toMatchObject({
+        name: 'MigrationError',
+        details: { migration: '0002_create_orders' }
+      });
+      expect(pool.schemaMigrations.map(({ name }) => name)).toEqual(['0001_create_users']);
+      expect(pool.queries.map(({ text }) => text)).toContain('ROLLBACK');
+      expect(pool.executed).toHaveLength(1);
+    });
+  });
+
+  describe('checksums', () => {
+    beforeEach(async () => {
+      await migrator.up();
+      write('0002_create_orders.up.sql', '-- up 2\nCREATE TABLE orders (id SERIAL);\n');
+    });
+
+    it('reports an applied migration whose file changed', async () => {
+      expect(await states()).toContainEqual(['0002_create_orders', 'modified']);
+    });
+
+    it('refuses to migrate in either direction', async () => {
+      const refusal = { name: 'MigrationError', details: { modified: ['0002_create_orders'] } };
+      await expect(migrator.up()).rejects.toMatchObject(refusal);
+      await expect(migrator.down()).rejects.toMatchObject(refusal);
+      await expect(migrator.ensureCurrent({ log: () => {} })).rejects.toMatchObject(refusal);
+      expect(pool.schemaMigrations).toHaveLength(3);
+    });
+
+    it('ignores line ending changes', async () => {
+      write('0002_create_orders.up.sql', '-- up 2\r\nCREATE TABLE orders ();\r\n');
+      expect(await states()).toContainEqual(['0002_create_orders', 'applied']);
+    });
+  });
+
+  describe('down', () => {
+    beforeEach(async () => {
+      await migrator.up();
+    });
+
+    it('reverts the newest migrations first', async () => {
+      expect(await migrator.down({ steps: 2 })).toEqual(['0003_add_index', '0002_create_orders']);
+      expect(pool.executed.slice(3).map((sql) => sql.split(' ').slice(0, 3).join(' '))).toEqual(['-- down 3', '-- down 2']);
+      expect(await states()).toEqual([
+        ['0001_create_users', 'applied'],
+        ['0002_create_orders', 'pending'],
+        ['0003_add_index', 'pending']
+      ]);
+    });
+
+    it('reverts one step by default', async () => {
+      expect(await migrator.down()).toEqual(['0003_add_index']);
+    });
+
+    it('refuses to revert a migration without a down file', async () => {
+      fs.unlinkSync(path.join(directory, '0003_add_index.down.sql'));
+      await expect(migrator.down()).rejects.toThrow(new MigrationError('Migration 0003_add_index has no down file and cannot be reverted'));
+      expect(pool.schemaMigrations).toHaveLength(3);
+    });
+  });
+
+  describe('ensureCurrent', () => {
+    it('refuses to start with pending migrations', async () => {
+      await migrator.up({ to: 1 });
+      await expect(migrator.ensureCurrent({ log: () => {} })).rejects.toMatchObject({
+        details: { pending: ['0002_create_orders', '0003_add_index'] }
+      });
+    });
+
+    it('tolerates migrations applied by newer code', async () => {
+      await migrator.up();
+      fs.unlinkSync(path.join(directory, '0003_add_index.up.sql'));
+      fs.unlinkSync(path.join(directory, '0003_add_index.down.sql'));
+
+      await expect(migrator.ensureCurrent({ log: () => {} })).resolves.toBeUndefined();
+      expect(await states()).toContainEqual(['0003_add_index', 'unknown']);
+    });
+
+    it('migrates while holding the advisory lock', async () => {
+      await migrator.ensureCurrent({ migrate: true, log: () => {} });
+
+      const texts = pool.queries.map(({ text }) => text);
+      const lock = texts.indexOf('SELECT pg_advisory_lock(hashtext($1))');
+      const unlock = texts.indexOf('SELECT pg_advisory_unlock(hashtext($1))');
+      const migrations = texts.flatMap((text, index) => (text.startsWith('--') ? [index] : []));
+
+      expect(migrations).toHaveLength(3);
+      expect(lock).toBeLessThan(migrations[0]);
+      expect(unlock).toBeGreaterThan(migrations[2]);
+    });
+
+    it('lets replicas starting together apply each migration once', async () => {
+      const replicas = [1, 2, 3].map(() => createMigrator({ pool, directory }));
+
+      await Promise.all(replicas.map((replica) => replica.ensureCurrent({ migrate: true, log: () => {} })));
+
+      expect(pool.executed).toHaveLength(3);
+      expect(pool.schemaMigrations).toHaveLength(3);
+    });
+
+    it('releases the lock when a migration fails', async () => {
+      write('0003_add_index.up.sql', '-- up 3\nFAIL;\n');
+
+      await expect(migrator.ensureCurrent({ migrate: true, log: () => {} })).rejects.toThrow(MigrationError);
+      const texts = pool.queries.map(({ text }) => text);
+      expect(texts[texts.length - 1]).toBe('SELECT pg_advisory_unlock(hashtext($1))');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const {
+  MoneyError,
+  isCurrency,
+  normalizeCurrency,
+  isAmount,
+  parseAmount,
+  toMinorUnits,
+  toMajorUnits,
+  multiply,
+  sum
+} = require('../money');
+
+describe('money', () => {
+  describe('currencies', () => {
+    it('knows the supported codes', () => {
+      expect(isCurrency('USD')).toBe(true);
+      expect(isCurrency('usd')).toBe(false);
+      expect(isCurrency('XYZ')).toBe(false);
+      expect(isCurrency('constructor')).toBe(false);
+    });
+
+    it('normalizes codes and defaults to the catalog currency', () => {
+      expect(normalizeCurrency(' eur ')).toBe('EUR');
+      expect(normalizeCurrency()).toBe('USD');
+      expect(() => normalizeCurrency('XYZ')).toThrow(MoneyError);
+    });
+  });
+
+  describe('amounts', () => {
+    it('accepts non-negative safe integers only', () => {
+      expect(isAmount(0)).toBe(true);
+      expect(isAmount(1999)).toBe(true);
+      expect(isAmount(-1)).toBe(false);
+      expect(isAmount(19.99)).toBe(false);
+      expect(isAmount('1999')).toBe(false);
+      expect(isAmount(Number.MAX_SAFE_INTEGER + 1)).toBe(false);
+    });
+
+    it('names the field in parse errors', () => {
+      expect(parseAmount(5)).toBe(5);
+      expect(() => parseAmount(1.5, 'price')).toThrow('price must be a non-negative integer in minor units');
+      expect(() => parseAmount(-1)).toThrow(expect.objectContaining({ name: 'MoneyError', status: 400 }));
+    });
+  });
+
+  describe('conversion', () => {
+    it('converts major units exactly', () => {
+      expect(toMinorUnits('19.99', 'USD')).toBe(1999);
+      expect(toMinorUnits(0.29, 'USD')).toBe(29);
+      expect(toMinorUnits('1.1', 'EUR')).toBe(110);
+      expect(toMinorUnits('5', 'USD')).toBe(500);
+      expect(toMinorUnits('1500', 'JPY')).toBe(1500);
+    });
+
+    it('rounds half up past the currency precision', () => {
+      expect(toMinorUnits('1.005', 'USD')).toBe(101);
+      expect(toMinorUnits('1.004', 'USD')).toBe(100);
+      expect(toMinorUnits('99.5', 'JPY')).toBe(100);
+    });
+
+    it('rejects malformed amounts', () => {
+      expect(() => toMinorUnits('-1', 'USD')).toThrow(MoneyError);
+      expect(() => toMinorUnits('abc', 'USD')).toThrow('Invalid amount: abc');
+      expect(() => toMinorUnits('1', 'XYZ')).toThrow('Unsupported currency');
+    });
+
+    it('formats minor units with the currency precision', () => {
+      expect(toMajorUnits(1999, 'USD')).toBe('19.99');
+      expect(toMajorUnits(5, 'EUR')).toBe('0.05');
+      expect(toMajorUnits(1500, 'JPY')).toBe('1500');
+    });
+  });
+
+  describe('arithmetic', () => {
+    it('multiplies and sums exactly', () => {
+      expect(multiply(1999, 3)).toBe(5997);
+      expect(sum([1999, 1, 10])).toBe(2010);
+      expect(sum([])).toBe(0);
+    });
+
+    it('refuses results beyond safe integers', () => {
+      expect(() => multiply(Number.MAX_SAFE_INTEGER, 2)).toThrow('Amount is out of range');
+      expect(() => sum([Number.MAX_SAFE_INTEGER, 1])).toThrow('Amount is out of range');
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const express = require('express');
+const request = require('supertest');
+const { logger } = require('../logger');
+const { ALGORITHMS, MemoryStore, createRateLimiter } = require('../rateLimit');
+
+const NOW = new Date('2024-01-01T00:00:00Z').getTime();
+
+const createApp = (rules, options = {}) => {
+  const store = new MemoryStore();
+  const app = express();
+  app.use(createRateLimiter({ rules, store, ...options }));
+  app.get('*', (req, res) => res.json({ ok: true }));
+  return { app, store };
+};
+
+describe('rate limiter', () => {
+  let stores;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    stores = [];
+  });
+
+  afterEach(() => {
+    stores.forEach((store) => store.close());
+    jest.useRealTimers();
+  });
+
+  const setup = (...args) => {
+    const { app, store } = createApp(...args);
+    stores.push(store);
+    return app;
+  };
+
+  describe('token bucket', () => {
+    const rules = [{ prefix: '/api', algorithm: ALGORITHMS.TOKEN_BUCKET, capacity: 3, refillPerSecond: 1 }];
+
+    it('allows a burst up to capacity, then answers 429 with Retry-After', async () => {
+      const app = setup(rules);
+
+      for (let i = 3; i > 0; i--) {
+        const res = await request(app).get('/api/things');
+        expect(res.status).toBe(200);
+        expect(res.headers['ratelimit-remaining']).toBe(String(i - 1));
+      }
+
+      const limited = await request(app).get('/api/things');
+      expect(limited.status).toBe(429);
+      expect(limited.headers['retry-after']).toBe('1');
+      expect(limited.headers['content-type']).toMatch(/^application\/problem\+json/);
+      expect(limited.body).toMatchObject({ status: 429, detail: 'Too many requests', retryAfter: 1 });
+    });
+
+    it('refills tokens over time', async () => {
+      const app = setup(rules);
+      for (let i = 0; i < 3; i++) {
+        await request(app).get('/api/things');
+      }
+      expect((await request(app).get('/api/things')).status).toBe(429);
+
+      jest.setSystemTime(NOW + 1000);
+      expect((await request(app).get('/api/things')).status).toBe(200);
+      expect((await request(app).get('/api/things')).status).toBe(429);
+    });
+
+    it('leaves paths outside every rule alone', async () => {
+      const app = setup(rules);
+      for (let i = 0; i < 5; i++) {
+        const res = await request(app).get('/health');
+        expect(res.status).toBe(200);
+        expect(res.headers['ratelimit-limit']).toBeUndefined();
+      }
+    });
+  });
+
+  describe('sliding window', () => {
+    const rules = [{ prefix: '/api', algorithm: ALGORITHMS.SLIDING_WINDOW, limit: 4, windowMs: 10000 }];
+
+    it('limits requests within a window', async () => {
+      const app = setup(rules);
+      for (let i = 0; i < 4; i++) {
+        expect((await request(app).get('/api/things')).status).toBe(200);
+      }
+      const limited = await request(app).get('/api/things');
+      expect(limited.status).toBe(429);
+      expect(limited.headers['retry-after']).toBe('10');
+    });
+
+    it('weights the previous window by how much of it still overlaps', async () => {
+      const app = setup(rules);
+      for (let i = 0; i < 4; i++) {
+        await request(app).get('/api/things');
+      }
+
+      // Halfway into the next window the previous one still counts for 2
+      jest.setSystemTime(NOW + 15000);
+      expect((await request(app).get('/api/things')).status).toBe(200);
+      expect((await request(app).get('/api/things')).status).toBe(200);
+      expect((await request(app).get('/api/things')).status).toBe(429);
+
+      // Two windows later the old requests no longer count
+      jest.setSystemTime(NOW + 30000);
+      expect((await request(app).get('/api/things')).status).toBe(200);
+    });
+  });
+
+  it('uses the longest matching prefix', async () => {
+    const app = setup([
+      { prefix: '/api', algorithm: ALGORITHMS.SLIDING_WINDOW, limit: 100, windowMs: 60000 },
+      { prefix: '/api/auth', algorithm: ALGORITHMS.SLIDING_WINDOW, limit: 1, windowMs: 60000 }
+    ]);
+
+    expect((await request(app).get('/api/auth/login')).status).toBe(200);
+    expect((await request(app).get('/api/auth/login')).status).toBe(429);
+    expect((await request(app).get('/api/products')).status).toBe(200);
+  });
+
+  it('keys user rules by user id when one is known', async () => {
+    const app = setup(
+      [{ prefix: '/api', algorithm: ALGORITHMS.SLIDING_WINDOW, limit: 1, windowMs: 60000, keyBy: 'user' }],
+      { identifyUser: async (req) => req.headers['x-test-user'] || null }
+    );
+
+    expect((await request(app).get('/api/orders').set('X-Test-User', '1')).status).toBe(200);
+    expect((await request(app).get('/api/orders').set('X-Test-User', '1')).status).toBe(429);
+    expect((await request(app).get('/api/orders').set('X-Test-User', '2')).status).toBe(200);
+  });
+
+  describe('keyed by API key', () => {
+    const rules = [{ prefix: '/api', algorithm: ALGORITHMS.SLIDING_WINDOW, limit: 1, windowMs: 60000, keyBy: 'apiKey' }];
+
+    it('counts each configured key separately', async () => {
+      const app = setup(rules, { apiKeys: ['key-a', 'key-b'] });
+
+      expect((await request(app).get('/api/things').set('X-Api-Key', 'key-a')).status).toBe(200);
+      expect((await request(app).get('/api/things').set('X-Api-Key', 'key-a')).status).toBe(429);
+      expect((await request(app).get('/api/things').set('X-Api-Key', 'key-b')).status).toBe(200);
+    });
+
+    it('counts unknown and missing keys by IP', async () => {
+      const app = setup(rules, { apiKeys: ['key-a'] });
+
+      expect((await request(app).get('/api/things').set('X-Api-Key', 'random-1')).status).toBe(200);
+      expect((await request(app).get('/api/things').set('X-Api-Key', 'random-2')).status).toBe(429);
+      expect((await request(app).get('/api/things')).status).toBe(429);
+    });
+  });
+
+  it('fails open when the store errors', async () => {
+    const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const store = { slidingWindow: jest.fn().mockRejectedValue(new Error('down')) };
+    const app = express();
+    app.use(createRateLimiter({
+      rules: [{ prefix: '/api', algorithm: ALGORITHMS.SLIDING_WINDOW, limit: 1, windowMs: 60000 }],
+      store
+    }));
+    app.get('*', (req, res) => res.json({ ok: true }));
+
+    expect((await request(app).get('/api/things')).status).toBe(200);
+    expect(logError).toHaveBeenCalledWith('Rate limit store error', expect.any(Object));
+    logError.mockRestore();
+  });
+
+  it('rejects invalid rules', () => {
+    expect(() => createRateLimiter({ rules: [{ prefix: '/api', algorithm: 'leaky' }], store: {} }))
+      .toThrow('Unknown rate limit algorithm');
+    expect(() => createRateLimiter({ rules: [{ prefix: '/api', algorithm: ALGORITHMS.TOKEN_BUCKET }], store: {} }))
+      .toThrow('needs capacity and refillPerSecond');
+  });
+});
@@ -0,0 +1,178 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const { STATES, CircuitBreaker, CircuitOpenError, backoffDelay, createUpstream } = require('../resilience');
+
+const upstreamError = (status) => Object.assign(new Error(`HTTP ${status}`), status ? { response: { status } } : { code: 'ECONNREFUSED' });
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const createBreaker = (options) => {
+    const changes = [];
+    const breaker = new CircuitBreaker('test', {
+      failureThreshold: 3,
+      resetTimeout: 1000,
+      onStateChange: (state, previous) => changes.push([previous, state]),
+      ...options
+    });
+    return { breaker, changes };
+  };
+
+  it('opens after the failure threshold and rejects calls', () => {
+    const { breaker, changes } = createBreaker();
+
+    breaker.recordFailure(new Error('1'));
+    breaker.recordFailure(new Error('2'));
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.tryAcquire()).toBe(true);
+
+    breaker.recordFailure(new Error('3'));
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.tryAcquire()).toBe(false);
+    expect(breaker.retryAfterMs()).toBe(1000);
+    expect(changes).toEqual([[STATES.CLOSED, STATES.OPEN]]);
+  });
+
+  it('resets the failure count on success', () => {
+    const { breaker } = createBreaker();
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(STATES.CLOSED);
+  });
+
+  it('goes half-open after the reset timeout and lets a limited number of probes through', () => {
+    const { breaker } = createBreaker({ halfOpenMaxCalls: 2 });
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+
+    jest.advanceTimersByTime(999);
+    expect(breaker.tryAcquire()).toBe(false);
+
+    jest.advanceTimersByTime(1);
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.tryAcquire()).toBe(false);
+  });
+
+  it('closes when a half-open probe succeeds', () => {
+    const { breaker, changes } = createBreaker();
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+
+    breaker.tryAcquire();
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.failures).toBe(0);
+    expect(changes).toEqual([
+      [STATES.CLOSED, STATES.OPEN],
+      [STATES.OPEN, STATES.HALF_OPEN],
+      [STATES.HALF_OPEN, STATES.CLOSED]
+    ]);
+  });
+
+  it('re-opens when a half-open probe fails', () => {
+    const { breaker } = createBreaker();
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+
+    breaker.tryAcquire();
+    breaker.recordFailure(new Error('still down'));
+
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.retryAfterMs()).toBe(1000);
+    expect(breaker.toJSON()).toMatchObject({
+      state: STATES.OPEN,
+      retryAfterSeconds: 1,
+      lastFailure: { message: 'still down' }
+    });
+  });
+});
+
+describe('backoffDelay', () => {
+  it('stays within the capped exponential range', () => {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const delay = backoffDelay(attempt, { baseDelay: 100, maxDelay: 2000 });
+      expect(delay).toBeGreaterThanOrEqual(0);
+      expect(delay).toBeLessThan(Math.min(2000, 100 * 2 ** attempt));
+    }
+  });
+});
+
+describe('createUpstream', () => {
+  beforeEach(() => {
+    axios.mockReset();
+  });
+
+  const create = (options) => createUpstream('product', 'http://product', { baseDelay: 0, maxDelay: 0, ...options });
+
+  it('retries idempotent requests on 5xx and transport errors', async () => {
+    axios
+      .mockRejectedValueOnce(upstreamError(503))
+      .mockRejectedValueOnce(upstreamError())
+      .mockResolvedValueOnce({ status: 200, data: 'ok' });
+
+    const response = await create().request({ method: 'get', url: '/products' });
+
+    expect(response.data).toBe('ok');
+    expect(axios).toHaveBeenCalledTimes(3);
+    expect(axios).toHaveBeenLastCalledWith(expect.objectContaining({ method: 'GET', baseURL: 'http://product', timeout: 5000 }));
+  });
+
+  it('does not retry a POST without an Idempotency-Key', async () => {
+    axios.mockRejectedValue(upstreamError(503));
+
+    await expect(create().request({ method: 'POST', url: '/products' })).rejects.toThrow('HTTP 503');
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries a POST that carries an Idempotency-Key', async () => {
+    axios.mockRejectedValueOnce(upstreamError(502)).mockResolvedValueOnce({ status: 201 });
+
+    await create().request({ method: 'POST', url: '/products', headers: { 'Idempotency-Key': 'abc' } });
+    expect(axios).toHaveBeenCalledTimes(2);
+  });
+
+  it('passes 4xx answers through without retrying or counting them as failures', async () => {
+    axios.mockRejectedValue(upstreamError(404));
+    const upstream = create({ failureThreshold: 1 });
+
+    await expect(upstream.request({ url: '/products/1' })).rejects.toThrow('HTTP 404');
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(upstream.breaker.state).toBe(STATES.CLOSED);
+  });
+
+  it('sends its own headers with every request', async () => {
+    axios.mockResolvedValue({ status: 200 });
+
+    await create({ headers: { 'X-Service-Token': 'secret' } })
+      .request({ url: '/', headers: { Authorization: 'Bearer abc' } });
+    expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+      headers: { 'X-Service-Token': 'secret', Authorization: 'Bearer abc' }
+    }));
+  });
+
+  it('fails fast once the circuit is open', async () => {
+    axios.mockRejectedValue(upstreamError(500));
+    const upstream = create({ retries: 0, failureThreshold: 2 });
+
+    await expect(upstream.request({ url: '/' })).rejects.toThrow('HTTP 500');
+    await expect(upstream.request({ url: '/' })).rejects.toThrow('HTTP 500');
+
+    const rejected = upstream.request({ url: '/' });
+    await expect(rejected).rejects.toBeInstanceOf(CircuitOpenError);
+    await expect(rejected).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(axios).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,42 @@
+const express = require('express');
+const request = require('supertest');
+const { logger } = require('../logger');
+const { createServiceAuth, serviceHeaders } = require('../serviceAuth');
+
+const createApp = (options) => {
+  const app = express();
+  app.get('/internal', createServiceAuth(options), (req, res) => res.json({ ok: true }));
+  return app;
+};
+
+describe('service authentication', () => {
+  it('lets callers with the service token through', async () => {
+    const res = await request(createApp({ token: 'secret' })).get('/internal').set(serviceHeaders('secret'));
+    expect(res.status).toBe(200);
+  });
+
+  it('refuses a missing or wrong token', async () => {
+    const app = createApp({ token: 'secret' });
+
+    const missing = await request(app).get('/internal');
+    expect(missing.status).toBe(401);
+    expect(missing.body).toMatchObject({ status: 401, detail: 'Service credentials required' });
+
+    expect((await request(app).get('/internal').set('X-Service-Token', 'secre')).status).toBe(401);
+    expect((await request(app).get('/internal').set('X-Service-Token', 'secret2')).status).toBe(401);
+  });
+
+  it('refuses every call when no token is configured', async () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const app = createApp({ token: '' });
+
+    expect((await request(app).get('/internal')).status).toBe(401);
+    expect((await request(app).get('/internal').set('X-Service-Token', '')).status).toBe(401);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('sends no header without a token', () => {
+    expect(serviceHeaders('')).toEqual({});
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock('../redis', () => ({ getRedisClient: jest.fn() }));
+
+const { getRedisClient } = require('../redis');
+const { MemoryDenylist, RedisDenylist } = require('../tokenDenylist');
+
+// Enough of a node-redis client for RedisDenylist
+const createFakeRedis = () => {
+  const values = new Map();
+  return {
+    set: async (key, value) => { values.set(key, value); },
+    mGet: async (keys) => keys.map((key) => (values.has(key) ? values.get(key) : null))
+  };
+};
+
+describe.each([
+  ['memory', () => new MemoryDenylist()],
+  ['redis', () => {
+    getRedisClient.mockResolvedValue(createFakeRedis());
+    return new RedisDenylist({ url: 'redis://test' });
+  }]
+])('%s token denylist', (name, createDenylist) => {
+  const NOW = Date.UTC(2024, 4, 1, 12, 0, 0, 400);
+  let denylist;
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    denylist = createDenylist();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const token = (issuedAtMs, fields = {}) => ({
+    jti: `jti-${issuedAtMs}`,
+    userId: 7,
+    iat: Math.floor(issuedAtMs / 1000),
+    iat_ms: issuedAtMs,
+    exp: Math.floor(issuedAtMs / 1000) + 900,
+    ...fields
+  });
+
+  it('revokes a single token by jti', async () => {
+    await denylist.revokeToken('jti-1', Math.floor(NOW / 1000) + 900);
+
+    expect(await denylist.isRevoked(token(NOW - 1000, { jti: 'jti-1' }))).toBe(true);
+    expect(await denylist.isRevoked(token(NOW - 1000, { jti: 'jti-2' }))).toBe(false);
+  });
+
+  it('revokes the tokens a user was issued before', async () => {
+    await denylist.revokeUserTokens(7, 900);
+
+    expect(await denylist.isRevoked(token(NOW - 60000))).toBe(true);
+    expect(await denylist.isRevoked(token(NOW - 1))).toBe(true);
+    expect(await denylist.isRevoked(token(NOW - 60000, { userId: 8 }))).toBe(false);
+  });
+
+  it('keeps a token issued later in the same second', async () => {
+    await denylist.revokeUserTokens(7, 900);
+
+    const fresh = token(NOW + 1);
+    expect(Math.floor(fresh.iat_ms / 1000)).toBe(Math.floor(NOW / 1000));
+    expect(await denylist.isRevoked(fresh)).toBe(false);
+    expect(await denylist.isRevoked(token(NOW))).toBe(false);
+  });
+
+  it('falls back to iat for tokens without iat_ms', async () => {
+    await denylist.revokeUserTokens(7, 900);
+
+    expect(await denylist.isRevoked(token(NOW - 1000, { iat_ms: undefined }))).toBe(true);
+    expect(await denylist.isRevoked(token(NOW + 1000, { iat_ms: undefined }))).toBe(false);
+  });
+});
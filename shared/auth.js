@@ -0,0 +1,84 @@
+// Access token verification shared by the gateway and the services. Tokens
+// are signed by user-service with asymmetric keys; `getKey(kid)` resolves the
+// public key, from the JWKS or from user-service's own keystore.
+
+const jwt = require('jsonwebtoken');
+const { logger } = require('./logger');
+const { sendProblem } = require('./problem');
+
+const ALGORITHMS = ['RS256', 'ES256'];
+const ISSUER = process.env.JWT_ISSUER || 'user-service';
+
+const bearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+// Malformed signatures can fail with a plain TypeError from the crypto
+// layer; those are invalid tokens too.
+const verifyJwt = (token, key, options) => new Promise((resolve, reject) => {
+  jwt.verify(token, key, options, (err, payload) => {
+    if (err) {
+      return reject(err instanceof jwt.JsonWebTokenError ? err : new jwt.JsonWebTokenError(err.message));
+    }
+    resolve(payload);
+  });
+});
+
+// Returns an Express middleware that verifies the bearer token, rejects
+// revoked tokens and exposes the claims as `req.user`.
+const createAuthenticateToken = ({ getKey, denylist, issuer = ISSUER }) => {
+  const verifyToken = async (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header.kid) {
+      throw new jwt.JsonWebTokenError('jwt malformed or missing key id');
+    }
+
+    // Resolved before jwt.verify so that a key lookup outage surfaces as
+    // such instead of as an invalid token.
+    const key = await getKey(decoded.header.kid);
+    const payload = await verifyJwt(token, key, { algorithms: ALGORITHMS, issuer });
+    if (denylist && await denylist.isRevoked(payload)) {
+      const error = new Error('Token revoked');
+      error.name = 'TokenRevokedError';
+      throw error;
+    }
+    return payload;
+  };
+
+  const authenticateToken = async (req, res, next) => {
+    const token = bearerToken(req);
+
+    if (!token) {
+      return sendProblem(res, 401, 'Access token required');
+    }
+
+    let payload;
+    try {
+      payload = await verifyToken(token);
+    } catch (error) {
+      if (error.name === 'TokenRevokedError') {
+        return sendProblem(res, 401, 'Token revoked');
+      }
+      if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError' || error.name === 'NotBeforeError') {
+        return sendProblem(res, 403, 'Invalid token');
+      }
+      logger.error('Token verification error', { error });
+      return sendProblem(res, 503, 'Token verification unavailable');
+    }
+
+    req.user = payload;
+    req.token = token;
+    next();
+  };
+
+  authenticateToken.verifyToken = verifyToken;
+  return authenticateToken;
+};
+
+module.exports = {
+  ALGORITHMS,
+  ISSUER,
+  bearerToken,
+  createAuthenticateToken
+};
@@ -0,0 +1,78 @@
+// Role-based authorization shared by the gateway and the services. Roles come
+// from the `role` claim of the access token; tokens issued before roles
+// existed are treated as customers.
+
+const { sendProblem } = require('./problem');
+
+const ROLES = ['customer', 'staff', 'admin'];
+const DEFAULT_ROLE = 'customer';
+
+const PERMISSIONS = {
+  'users:read': ['admin'],
+  'users:manage-roles': ['admin'],
+  'products:write': ['staff', 'admin'],
+  'products:seed': ['admin'],
+  'orders:read-any': ['staff', 'admin'],
+  'orders:update-status': ['staff', 'admin'],
+  'payments:read-any': ['staff', 'admin'],
+  'payments:capture': ['staff', 'admin'],
+  'payments:refund': ['staff', 'admin']
+};
+
+const roleOf = (user) => (user && ROLES.includes(user.role) ? user.role : DEFAULT_ROLE);
+
+const hasPermission = (user, permission) => {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return Boolean(user) && roles.includes(roleOf(user));
+};
+
+// Must run after authenticateToken.
+const requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendProblem(res, 401, 'Access token required');
+    }
+    if (!hasPermission(req.user, permission)) {
+      return sendProblem(res, 403, 'Insufficient permissions');
+    }
+    next();
+  };
+};
+
+// Gateway-side enforcement for proxied routes. Each rule is
+// { methods, path: RegExp, permission }; the first matching rule wins and
+// authenticates the request before checking the permission.
+const createRouteAuthorizer = ({ rules, authenticateToken }) => {
+  rules.forEach((rule) => {
+    if (!PERMISSIONS[rule.permission]) {
+      throw new Error(`Unknown permission: ${rule.permission}`);
+    }
+  });
+
+  return (req, res, next) => {
+    const rule = rules.find((candidate) =>
+      candidate.methods.includes(req.method) && candidate.path.test(req.path));
+    if (!rule) {
+      return next();
+    }
+
+    authenticateToken(req, res, () => requirePermission(rule.permission)(req, res, next));
+  };
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  roleOf,
+  hasPermission,
+  requirePermission,
+  createRouteAuthorizer
+};
@@ -0,0 +1,338 @@
+// Domain events and the brokers that carry them between services.
+//
+// Delivery is at-least-once: a message is only acknowledged after its handler
+// succeeded, so handlers may see the same event twice. `subscribe` dedups by
+// event id before calling the handler.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { getRedisClient } = require('./redis');
+const { SPAN_KINDS, activeSpan, parseTraceparent, withSpan } = require('./tracing');
+
+// Events created while a span is active carry its context, so their
+// handlers join the trace of the request that caused them.
+const createEvent = (type, data, { source, aggregateId } = {}) => {
+  const span = activeSpan();
+  return {
+    id: crypto.randomUUID(),
+    type,
+    source,
+    aggregateId: aggregateId !== undefined ? String(aggregateId) : undefined,
+    occurredAt: new Date().toISOString(),
+    version: 1,
+    traceparent: span ? span.traceparent : undefined,
+    data
+  };
+};
+
+// Delivers within the current process. Meant for tests and single-process
+// development; failed handlers are retried a few times with backoff. After
+// `maxAttempts` the event is dead-lettered rather than dropped: it stays in
+// `deadLetters()` and is delivered again every `deadLetterRetryMs`, the way
+// the Redis broker reclaims pending messages, until its handler succeeds.
+class InProcessBroker {
+  constructor({ maxAttempts = 5, retryDelay = 100, deadLetterRetryMs = 60000 } = {}) {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.deadLetterRetryMs = deadLetterRetryMs;
+    this.deadLettered = new Map();
+    this.subscriptions = new Set();
+  }
+
+  async publish(event) {
+    this.emitter.emit('event', event);
+  }
+
+  deadLetters() {
+    return [...this.deadLettered.values()].map((entry) => ({ ...entry }));
+  }
+
+  subscribe({ group, types, handler }) {
+    const subscription = { timers: new Set() };
+    this.subscriptions.add(subscription);
+
+    const retry = (fn, delay) => {
+      const timer = setTimeout(() => {
+        subscription.timers.delete(timer);
+        fn();
+      }, delay);
+      subscription.timers.add(timer);
+    };
+
+    const deliver = async (event, attempt = 1) => {
+      const key = `${group}:${event.id}`;
+      try {
+        await handler(event);
+        this.deadLettered.delete(key);
+      } catch (error) {
+        if (attempt < this.maxAttempts) {
+          retry(() => deliver(event, attempt + 1), this.retryDelay * 2 ** (attempt - 1));
+          return;
+        }
+        if (!this.deadLettered.has(key)) {
+          logger.error('Event dead-lettered', { eventId: event.id, eventType: event.type, group, attempts: attempt, error });
+        }
+        this.deadLettered.set(key, { event, group, attempts: attempt, error: error.message, failedAt: new Date().toISOString() });
+        retry(() => deliver(event, attempt + 1), this.deadLetterRetryMs);
+      }
+    };
+
+    const listener = (event) => {
+      if (types.includes(event.type)) {
+        setImmediate(() => deliver(event));
+      }
+    };
+
+    const stop = () => {
+      this.emitter.off('event', listener);
+      subscription.timers.forEach(clearTimeout);
+      this.subscriptions.delete(subscription);
+    };
+    subscription.stop = stop;
+
+    this.emitter.on('event', listener);
+    return { stop: async () => stop() };
+  }
+
+  async close() {
+    [...this.subscriptions].forEach((subscription) => subscription.stop());
+    this.emitter.removeAllListeners();
+  }
+}
+
+// Redis Streams with one stream per event type and one consumer group per
+// subscribing service. Messages left unacknowledged (handler failed or the
+// consumer died) are reclaimed after `claimIdleMs` and delivered again.
+class RedisStreamsBroker {
+  constructor({ url, prefix = 'events:', maxLength = 100000, blockMs = 5000, claimIdleMs = 30000 } = {}) {
+    this.url = url;
+    this.prefix = prefix;
+    this.maxLength = maxLength;
+    this.blockMs = blockMs;
+    this.claimIdleMs = claimIdleMs;
+    this.subscriptions = new Set();
+  }
+
+  stream(type) {
+    return `${this.prefix}${type}`;
+  }
+
+  async publish(event) {
+    const client = await getRedisClient(this.url);
+    await client.xAdd(
+      this.stream(event.type),
+      '*',
+      { id: event.id, type: event.type, event: JSON.stringify(event) },
+      { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.maxLength } }
+    );
+  }
+
+  subscribe({ group, types, handler, consumer = `${group}-${process.pid}-${crypto.randomBytes(3).toString('hex')}` }) {
+    const streams = types.map((type) => this.stream(type));
+    const subscription = { running: true, client: null };
+    this.subscriptions.add(subscription);
+
+    const handle = async (stream, message) => {
+      try {
+        await handler(JSON.parse(message.message.event));
+        await subscription.client.xAck(stream, group, message.id);
+      } catch (error) {
+        // Left pending; reclaimed and retried after claimIdleMs
+        logger.error('Event handler failed', { eventId: message.message.id, eventType: message.message.type, group, error });
+      }
+    };
+
+    const reclaim = async () => {
+      for (const stream of streams) {
+        const result = await subscription.client.xAutoClaim(stream, group, consumer, this.claimIdleMs, '0-0', { COUNT: 50 });
+        for (const message of result.messages.filter(Boolean)) {
+          await handle(stream, message);
+        }
+      }
+    };
+
+    const loop = async () => {
+      const shared = await getRedisClient(this.url);
+      // Blocking reads need a connection of their own
+      subscription.client = shared.duplicate();
+      subscription.client.on('error', (error) => logger.error('Redis subscriber error', { error }));
+      await subscription.client.connect();
+
+      for (const stream of streams) {
+        try {
+          await subscription.client.xGroupCreate(stream, group, '0', { MKSTREAM: true });
+        } catch (error) {
+          if (!String(error.message).includes('BUSYGROUP')) throw error;
+        }
+      }
+
+      let lastReclaim = 0;
+      while (subscription.running) {
+        try {
+          if (Date.now() - lastReclaim > this.claimIdleMs) {
+            lastReclaim = Date.now();
+            await reclaim();
+          }
+
+          const response = await subscription.client.xReadGroup(
+            group,
+            consumer,
+            streams.map((key) => ({ key, id: '>' })),
+            { COUNT: 20, BLOCK: this.blockMs }
+          );
+
+          for (const { name, messages } of response || []) {
+            for (const message of messages) {
+              await handle(name, message);
+            }
+          }
+        } catch (error) {
+          if (!subscription.running) break;
+          logger.error('Event consumer error', { group, error });
+          await new Promise((resolve) => setTimeout(resolve, 1000));
+        }
+      }
+    };
+
+    subscription.done = loop().catch((error) => {
+      logger.error('Event consumer stopped', { group, error });
+    });
+
+    return {
+      stop: async () => {
+        subscription.running = false;
+        this.subscriptions.delete(subscription);
+        if (subscription.client) {
+          await subscription.client.disconnect().catch(() => {});
+        }
+        await subscription.done;
+      }
+    };
+  }
+
+  async close() {
+    await Promise.all([...this.subscriptions].map(async (subscription) => {
+      subscription.running = false;
+      if (subscription.client) {
+        await subscription.client.disconnect().catch(() => {});
+      }
+    }));
+    this.subscriptions.clear();
+  }
+}
+
+const createBroker = (type = process.env.EVENT_BROKER || (process.env.REDIS_URL ? 'redis' : 'in-process')) => {
+  if (type === 'redis') {
+    return new RedisStreamsBroker({ url: process.env.REDIS_URL });
+  }
+  if (type === 'in-process') {
+    return new InProcessBroker();
+  }
+  throw new Error(`Unknown event broker: ${type}`);
+};
+
+// Processed-event markers. `claim` returns 'new' (go ahead), 'done' (already
+// handled, acknowledge and skip) or 'busy' (another consumer is on it, leave
+// it for redelivery).
+class MemoryDedupStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async claim(group, eventId, ttlMs) {
+    const key = `${group}:${eventId}`;
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.state === 'done' ? 'done' : 'busy';
+    }
+    this.entries.set(key, { state: 'processing', expiresAt: Date.now() + ttlMs });
+    return 'new';
+  }
+
+  async complete(group, eventId, ttlMs) {
+    this.entries.set(`${group}:${eventId}`, { state: 'done', expiresAt: Date.now() + ttlMs });
+  }
+
+  async release(group, eventId) {
+    this.entries.delete(`${group}:${eventId}`);
+  }
+}
+
+class RedisDedupStore {
+  constructor({ url, prefix = 'events:processed:' } = {}) {
+    this.url = url;
+    this.prefix = prefix;
+  }
+
+  async claim(group, eventId, ttlMs) {
+    const client = await getRedisClient(this.url);
+    const key = `${this.prefix}${group}:${eventId}`;
+    const claimed = await client.set(key, 'processing', { NX: true, PX: ttlMs });
+    if (claimed) return 'new';
+    return (await client.get(key)) === 'done' ? 'done' : 'busy';
+  }
+
+  async complete(group, eventId, ttlMs) {
+    const client = await getRedisClient(this.url);
+    await client.set(`${this.prefix}${group}:${eventId}`, 'done', { PX: ttlMs });
+  }
+
+  async release(group, eventId) {
+    const client = await getRedisClient(this.url);
+    await client.del(`${this.prefix}${group}:${eventId}`);
+  }
+}
+
+const createDedupStore = (type = process.env.EVENT_BROKER || (process.env.REDIS_URL ? 'redis' : 'in-process')) => (
+  type === 'redis' ? new RedisDedupStore({ url: process.env.REDIS_URL }) : new MemoryDedupStore()
+);
+
+// Subscribes `handlers` ({ [eventType]: async (event) => {} }) as consumer
+// group `group`, skipping events this group has already processed.
+const subscribe = (broker, {
+  group,
+  handlers,
+  dedup = createDedupStore(),
+  processingTtlMs = 5 * 60 * 1000,
+  doneTtlMs = 7 * 24 * 60 * 60 * 1000
+}) => broker.subscribe({
+  group,
+  types: Object.keys(handlers),
+  handler: (event) => withSpan(`${event.type} process`, {
+    kind: SPAN_KINDS.CONSUMER,
+    parent: parseTraceparent(event.traceparent),
+    attributes: {
+      'messaging.destination.name': event.type,
+      'messaging.message.id': event.id,
+      'messaging.consumer.group.name': group
+    }
+  }, async () => {
+    const state = await dedup.claim(group, event.id, processingTtlMs);
+    if (state === 'done') return;
+    if (state === 'busy') {
+      throw new Error(`Event ${event.id} is being processed by another consumer`);
+    }
+
+    try {
+      await handlers[event.type](event);
+    } catch (error) {
+      await dedup.release(group, event.id);
+      throw error;
+    }
+    await dedup.complete(group, event.id, doneTtlMs);
+  })
+});
+
+module.exports = {
+  createEvent,
+  InProcessBroker,
+  RedisStreamsBroker,
+  createBroker,
+  MemoryDedupStore,
+  RedisDedupStore,
+  createDedupStore,
+  subscribe
+};
@@ -0,0 +1,199 @@
+// Liveness and readiness for the gateway and all services.
+//
+//   GET /health/live   the process is up; nothing else is checked
+//   GET /health/ready  runs the service's checks: 200 while every critical
+//                      check passes, 503 otherwise
+//
+// A failing non-critical check (e.g. an upstream the service can partly do
+// without) leaves the service ready but reported as degraded. Each check
+// has a timeout and its result is cached for a few seconds, so frequent
+// probes from Docker, Kubernetes and the gateway share one round trip to
+// each dependency.
+
+const axios = require('axios');
+const { getRedisClient } = require('./redis');
+const { logger } = require('./logger');
+
+const STATUSES = {
+  UP: 'up',
+  DEGRADED: 'degraded',
+  DOWN: 'down'
+};
+
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+class HealthCheckError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'HealthCheckError';
+    this.details = details;
+  }
+}
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new HealthCheckError(`Timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// A check is { name, critical, run(timeoutMs) }. `run` throws when the
+// dependency is unusable and may return details to report.
+const postgresCheck = (pool, { name = 'postgres', critical = true } = {}) => ({
+  name,
+  critical,
+  run: async () => {
+    await pool.query('SELECT 1');
+  }
+});
+
+const mongoCheck = (connection, { name = 'mongo', critical = true } = {}) => ({
+  name,
+  critical,
+  run: async () => {
+    if (connection.readyState !== 1) {
+      throw new HealthCheckError(`Connection is ${MONGO_STATES[connection.readyState] || 'unknown'}`);
+    }
+    await connection.db.admin().ping();
+  }
+});
+
+const redisCheck = ({ name = 'redis', critical = true, url = process.env.REDIS_URL } = {}) => ({
+  name,
+  critical,
+  run: async () => {
+    const client = await getRedisClient(url);
+    await client.ping();
+  }
+});
+
+// Readiness of another service. With `details`, its whole report is
+// included, which the gateway uses for its aggregated view.
+const upstreamCheck = (name, baseURL, { critical = false, details = false } = {}) => ({
+  name,
+  critical,
+  run: async (timeoutMs) => {
+    const response = await axios.get(`${baseURL}/health/ready`, {
+      timeout: timeoutMs,
+      tracing: false,
+      validateStatus: () => true
+    });
+    const report = response.data && typeof response.data === 'object' ? response.data : {};
+    const reported = details ? report : { status: report.status };
+    if (response.status !== 200) {
+      throw new HealthCheckError(`Not ready (HTTP ${response.status})`, reported);
+    }
+    return reported;
+  }
+});
+
+const elapsedMs = (start) => Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+
+const createHealth = ({
+  service,
+  checks = [],
+  // Extra fields for the readiness report, e.g. the gateway's circuits
+  info = () => ({}),
+  // Fails readiness without running the checks, e.g. during shutdown
+  isShuttingDown = () => false,
+  timeoutMs = Number(process.env.HEALTH_CHECK_TIMEOUT_MS || 1500),
+  cacheMs = Number(process.env.HEALTH_CACHE_MS || 5000)
+}) => {
+  const results = new Map();
+
+  const runCheck = async (check) => {
+    const start = process.hrtime.bigint();
+    const result = { critical: check.critical };
+    try {
+      const details = await withTimeout(Promise.resolve().then(() => check.run(timeoutMs)), timeoutMs);
+      Object.assign(result, { status: STATUSES.UP, latencyMs: elapsedMs(start), details });
+    } catch (error) {
+      Object.assign(result, {
+        status: STATUSES.DOWN,
+        latencyMs: elapsedMs(start),
+        error: error.message,
+        details: error.details
+      });
+    }
+    result.checkedAt = new Date().toISOString();
+    return result;
+  };
+
+  // Concurrent probes share a running check as well as a recent result
+  const resultOf = (check) => {
+    const cached = results.get(check.name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.promise;
+    }
+    const entry = { promise: runCheck(check), expiresAt: Infinity };
+    results.set(check.name, entry);
+    entry.promise.then(() => {
+      entry.expiresAt = Date.now() + cacheMs;
+    });
+    return entry.promise;
+  };
+
+  const report = async () => {
+    const checked = await Promise.all(checks.map(resultOf));
+    const failed = checked.filter((result) => result.status === STATUSES.DOWN);
+    let status = STATUSES.UP;
+    if (failed.some((result) => result.critical)) {
+      status = STATUSES.DOWN;
+    } else if (failed.length > 0) {
+      status = STATUSES.DEGRADED;
+    }
+
+    return {
+      service,
+      status,
+      timestamp: new Date().toISOString(),
+      checks: Object.fromEntries(checks.map((check, index) => [check.name, checked[index]])),
+      ...info()
+    };
+  };
+
+  const live = (req, res) => {
+    res.json({
+      service,
+      status: STATUSES.UP,
+      timestamp: new Date().toISOString(),
+      uptimeSeconds: Math.round(process.uptime())
+    });
+  };
+
+  const ready = async (req, res) => {
+    if (isShuttingDown()) {
+      return res.status(503).json({
+        service,
+        status: STATUSES.DOWN,
+        shuttingDown: true,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const body = await report();
+      res.status(body.status === STATUSES.DOWN ? 503 : 200).json(body);
+    } catch (error) {
+      logger.error('Health check error', { error });
+      res.status(503).json({ service, status: STATUSES.DOWN, timestamp: new Date().toISOString() });
+    }
+  };
+
+  return {
+    report,
+    live,
+    ready
+  };
+};
+
+module.exports = {
+  STATUSES,
+  HealthCheckError,
+  postgresCheck,
+  mongoCheck,
+  redisCheck,
+  upstreamCheck,
+  createHealth
+};
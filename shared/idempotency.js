@@ -0,0 +1,226 @@
+// Idempotency-Key handling for mutating routes.
+//
+// The first request with a given key claims it and runs; its response is
+// stored and replayed to any later request with the same key and the same
+// fingerprint (method, URL and body). A different request reusing the key
+// gets 422, and a duplicate that arrives while the first is still running
+// gets 409 instead of running twice. Server errors are not stored, so the
+// client can retry them with the same key.
+//
+// A claim outlives the client's connection: a client that dropped before
+// its answer retries into a 409 until the handler finishes, then gets the
+// stored response instead of running the request a second time. While the
+// handler runs its claim is renewed every third of `lockSeconds`, so slow
+// handlers (a saga waiting out retries) keep it however long they take; it
+// expires `lockSeconds` after the handler ends the response without
+// res.json, or after the process running it dies.
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { getRedisClient } = require('./redis');
+const { sendProblem } = require('./problem');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// Response headers worth replaying alongside the body
+const REPLAYED_HEADERS = ['content-type', 'etag', 'location'];
+
+class MemoryStore {
+  constructor({ sweepInterval = 60000 } = {}) {
+    this.entries = new Map();
+    this.timer = setInterval(() => this.sweep(), sweepInterval);
+    this.timer.unref();
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  // Stores `record` unless the key is taken; returns the existing record
+  // in that case, null when the claim succeeded.
+  async claim(key, record, ttlMs) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.record;
+    }
+    this.entries.set(key, { record, expiresAt: Date.now() + ttlMs });
+    return null;
+  }
+
+  async save(key, record, ttlMs) {
+    this.entries.set(key, { record, expiresAt: Date.now() + ttlMs });
+  }
+
+  // Pushes back the expiry of `record`, if it is still the one stored
+  async extend(key, record, ttlMs) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now() && JSON.stringify(entry.record) === JSON.stringify(record)) {
+      entry.expiresAt = Date.now() + ttlMs;
+    }
+  }
+
+  async remove(key) {
+    this.entries.delete(key);
+  }
+}
+
+// Only the claim itself is extended, never the response that replaced it
+const EXTEND_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+class RedisStore {
+  constructor({ url, prefix = 'idempotency:' } = {}) {
+    this.url = url;
+    this.prefix = prefix;
+  }
+
+  async claim(key, record, ttlMs) {
+    const client = await getRedisClient(this.url);
+    // The existing record may expire between SET and GET; try again then
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const claimed = await client.set(this.prefix + key, JSON.stringify(record), { NX: true, PX: ttlMs });
+      if (claimed) return null;
+
+      const existing = await client.get(this.prefix + key);
+      if (existing) return JSON.parse(existing);
+    }
+    throw new Error(`Could not claim idempotency key ${key}`);
+  }
+
+  async save(key, record, ttlMs) {
+    const client = await getRedisClient(this.url);
+    await client.set(this.prefix + key, JSON.stringify(record), { PX: ttlMs });
+  }
+
+  async extend(key, record, ttlMs) {
+    const client = await getRedisClient(this.url);
+    await client.eval(EXTEND_SCRIPT, {
+      keys: [this.prefix + key],
+      arguments: [JSON.stringify(record), String(ttlMs)]
+    });
+  }
+
+  async remove(key) {
+    const client = await getRedisClient(this.url);
+    await client.del(this.prefix + key);
+  }
+}
+
+const createStore = (type = process.env.IDEMPOTENCY_STORE || (process.env.REDIS_URL ? 'redis' : 'memory')) => {
+  if (type === 'redis') {
+    return new RedisStore({ url: process.env.REDIS_URL });
+  }
+  if (type === 'memory') {
+    return new MemoryStore();
+  }
+  throw new Error(`Unknown idempotency store: ${type}`);
+};
+
+const fingerprint = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([req.method, req.originalUrl, req.body === undefined ? null : req.body]))
+  .digest('hex');
+
+// Keys are scoped per caller so two users cannot collide on (or read) each
+// other's responses. Mount after authentication for the user scope to apply.
+const defaultScope = (req) => (req.user ? `user:${req.user.userId}` : `ip:${req.ip}`);
+
+const createIdempotency = ({
+  store = createStore(),
+  ttlSeconds = Number(process.env.IDEMPOTENCY_TTL_SECONDS || 86400),
+  // How long an in-flight claim outlives its handler
+  lockSeconds = Number(process.env.IDEMPOTENCY_LOCK_SECONDS || 60),
+  scope = defaultScope
+} = {}) => async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (key === undefined) {
+    return next();
+  }
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return sendProblem(res, 400, `${HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters`);
+  }
+
+  const storeKey = `${scope(req)}:${key}`;
+  const requestFingerprint = fingerprint(req);
+  const claim = { state: 'in_progress', fingerprint: requestFingerprint };
+
+  let existing;
+  try {
+    existing = await store.claim(storeKey, claim, lockSeconds * 1000);
+  } catch (error) {
+    // Fail open: losing idempotency briefly beats rejecting every write
+    logger.error('Idempotency store error', { error });
+    return next();
+  }
+
+  if (existing) {
+    if (existing.fingerprint !== requestFingerprint) {
+      return sendProblem(res, 422, `${HEADER} was already used for a different request`);
+    }
+    if (existing.state === 'in_progress') {
+      res.set('Retry-After', '1');
+      return sendProblem(res, 409, `A request with this ${HEADER} is still being processed`);
+    }
+
+    res.set(existing.headers);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.status).json(existing.body);
+  }
+
+  const heartbeat = setInterval(() => {
+    if (res.writableEnded) {
+      clearInterval(heartbeat);
+      return;
+    }
+    store.extend(storeKey, claim, lockSeconds * 1000)
+      .catch((error) => logger.error('Idempotency store error', { error }));
+  }, (lockSeconds * 1000) / 3);
+  heartbeat.unref();
+
+  const originalJson = res.json;
+
+  // The response is stored before it is sent, so a replay can never see the
+  // key as still in progress once the client has its answer.
+  res.json = (body) => {
+    res.json = originalJson;
+    clearInterval(heartbeat);
+
+    const pending = res.statusCode >= 500
+      ? store.remove(storeKey)
+      : store.save(storeKey, {
+        state: 'completed',
+        fingerprint: requestFingerprint,
+        status: res.statusCode,
+        headers: REPLAYED_HEADERS.reduce((headers, name) => {
+          const value = res.get(name);
+          if (value !== undefined) headers[name] = value;
+          return headers;
+        }, {}),
+        body
+      }, ttlSeconds * 1000);
+
+    pending
+      .catch((error) => logger.error('Idempotency store error', { error }))
+      .finally(() => originalJson.call(res, body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  HEADER,
+  MemoryStore,
+  RedisStore,
+  createStore,
+  createIdempotency
+};
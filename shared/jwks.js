@@ -0,0 +1,68 @@
+// Cached JWKS lookups for services that verify tokens signed by user-service.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const createJwksClient = ({
+  url = process.env.JWKS_URL || 'http://localhost:3001/.well-known/jwks.json',
+  cacheTtl = 5 * 60 * 1000,
+  minRefreshInterval = 30 * 1000,
+  timeout = 5000
+} = {}) => {
+  let keys = new Map();
+  let fetchedAt = 0;
+  let pending = null;
+
+  const refresh = () => {
+    if (!pending) {
+      pending = axios.get(url, { timeout })
+        .then((response) => {
+          const next = new Map();
+          (response.data.keys || [])
+            .filter((jwk) => jwk.kid && (!jwk.use || jwk.use === 'sig'))
+            .forEach((jwk) => next.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })));
+          keys = next;
+          fetchedAt = Date.now();
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  };
+
+  // Unknown key ids trigger a refetch, throttled so that tokens with made-up
+  // ids cannot hammer user-service. A failed refresh keeps serving the keys
+  // already cached.
+  const getKey = async (kid) => {
+    const age = Date.now() - fetchedAt;
+    const stale = age > cacheTtl;
+    const unknown = !keys.has(kid) && age > minRefreshInterval;
+
+    if (stale || unknown) {
+      try {
+        await refresh();
+      } catch (error) {
+        if (keys.size === 0) {
+          throw error;
+        }
+        logger.error('JWKS refresh failed', { url, error });
+      }
+    }
+
+    const key = keys.get(kid);
+    if (!key) {
+      const error = new Error(`Unknown signing key: ${kid}`);
+      error.name = 'JsonWebTokenError';
+      throw error;
+    }
+    return key;
+  };
+
+  return { url, getKey, refresh };
+};
+
+module.exports = {
+  createJwksClient
+};
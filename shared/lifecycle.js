@@ -0,0 +1,140 @@
+// Graceful shutdown for the gateway and all services.
+//
+// On SIGTERM or SIGINT a service:
+//   1. fails readiness, so load balancers stop sending it traffic, and
+//      waits SHUTDOWN_DELAY_MS for them to notice
+//   2. stops accepting connections and lets in-flight requests finish,
+//      for up to SHUTDOWN_DRAIN_TIMEOUT_MS; keep-alive connections are
+//      closed as their responses complete
+//   3. stops its background workers (outbox relays, event consumers, ...)
+//   4. closes its resources (database pools, Redis clients, exporters)
+// and exits with 0, or with 1 when requests had to be cut off or a hook
+// failed or timed out. A second signal exits immediately.
+
+const { logger } = require('./logger');
+
+const PHASES = ['workers', 'resources'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const createLifecycle = ({
+  signals = ['SIGTERM', 'SIGINT'],
+  delayMs = Number(process.env.SHUTDOWN_DELAY_MS || 0),
+  drainTimeoutMs = Number(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS || 15000),
+  hookTimeoutMs = Number(process.env.SHUTDOWN_HOOK_TIMEOUT_MS || 5000),
+  exit = (code) => process.exit(code)
+} = {}) => {
+  const hooks = Object.fromEntries(PHASES.map((phase) => [phase, []]));
+  const responses = new Set();
+  let server = null;
+  let shuttingDown = null;
+
+  // Background work to stop once requests have drained
+  const worker = (name, stop) => {
+    hooks.workers.push({ name, run: stop });
+  };
+
+  // Connections and clients to close last
+  const resource = (name, close) => {
+    hooks.resources.push({ name, run: close });
+  };
+
+  // Starts the HTTP server and tracks its requests for draining
+  const listen = (app, port, callback) => {
+    if (shuttingDown) return null;
+    server = app.listen(port, callback);
+    server.on('request', (req, res) => {
+      if (shuttingDown) {
+        res.setHeader('Connection', 'close');
+      }
+      responses.add(res);
+      res.on('close', () => responses.delete(res));
+    });
+    return server;
+  };
+
+  // Resolves true once the server has closed with every request answered,
+  // false when the deadline cut some off
+  const drain = async () => {
+    if (!server) return true;
+
+    const closed = new Promise((resolve) => server.close(resolve));
+    responses.forEach((res) => {
+      if (!res.headersSent) {
+        res.setHeader('Connection', 'close');
+      }
+    });
+    server.closeIdleConnections();
+
+    try {
+      await withTimeout(closed, drainTimeoutMs, 'Drain timed out');
+      return true;
+    } catch (error) {
+      logger.warn('Closing connections with requests in flight', { inFlight: responses.size });
+      server.closeAllConnections();
+      return false;
+    }
+  };
+
+  const runPhase = async (phase) => {
+    const results = await Promise.all(hooks[phase].map(async ({ name, run }) => {
+      try {
+        await withTimeout(Promise.resolve().then(run), hookTimeoutMs, `Timed out after ${hookTimeoutMs} ms`);
+        return true;
+      } catch (error) {
+        logger.error('Shutdown hook error', { phase, hook: name, error });
+        return false;
+      }
+    }));
+    return results.every(Boolean);
+  };
+
+  const shutdown = (signal) => {
+    if (shuttingDown) return shuttingDown;
+
+    shuttingDown = (async () => {
+      logger.info('Shutting down', { signal, inFlight: responses.size });
+      await sleep(delayMs);
+
+      let clean = await drain();
+      for (const phase of PHASES) {
+        clean = await runPhase(phase) && clean;
+      }
+
+      logger.info('Shutdown complete', { clean });
+      return clean ? 0 : 1;
+    })();
+    return shuttingDown;
+  };
+
+  signals.forEach((signal) => {
+    process.on(signal, () => {
+      if (shuttingDown) {
+        logger.warn('Exiting without finishing shutdown', { signal });
+        exit(1);
+        return;
+      }
+      shutdown(signal).then(exit);
+    });
+  });
+
+  return {
+    listen,
+    worker,
+    resource,
+    shutdown,
+    isShuttingDown: () => shuttingDown !== null
+  };
+};
+
+module.exports = {
+  createLifecycle
+};
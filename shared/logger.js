@@ -0,0 +1,170 @@
+// Structured logging for the gateway and all services.
+//
+// Every entry is one JSON line on stdout with its timestamp, level, service
+// and message, plus the request ID, user ID and trace ID of the request
+// being handled, taken from the async context. Values under secret-looking
+// keys (passwords, tokens, Authorization, ...) and bearer tokens or JWTs
+// inside strings are redacted. Errors are logged as name, message and code;
+// stacks only outside production unless LOG_STACK_TRACES says otherwise.
+//
+// The middleware gives each request an ID, reusing a well-formed incoming
+// X-Request-Id (the gateway's) and returning it in X-Request-Id, and writes
+// one access log entry per request. Handlers can add fields to that entry
+// through `res.locals.accessLog`.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+
+// Loaded on use: tracing.js and metrics.js log through this module
+const activeSpan = () => require('./tracing').activeSpan();
+const routeLabel = (req) => require('./metrics').routeLabel(req);
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+const REQUEST_ID = /^[\w\-.:@]{1,128}$/;
+const SECRET_KEY = /pass(word|phrase)?$|password|secret|token|authorization|cookie|api[-_]?key|signature|credential/i;
+const SECRET_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[\w\-.~+/]+=*/gi, `$1 ${REDACTED}`],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, REDACTED],
+  // Credentials in connection URLs
+  [/(\/\/[^:/@\s]*):[^@/\s]+@/g, `$1:${REDACTED}@`],
+  [/([?&][^=&\s]*(?:token|secret|password|signature)[^=&\s]*=)[^&\s#]+/gi, `$1${REDACTED}`]
+];
+
+const includeStacks = process.env.LOG_STACK_TRACES
+  ? process.env.LOG_STACK_TRACES === 'true'
+  : process.env.NODE_ENV !== 'production';
+
+const storage = new AsyncLocalStorage();
+
+const redactString = (value) => SECRET_PATTERNS
+  .reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: redactString(String(error.message)),
+  code: error.code,
+  status: error.status || (error.response ? error.response.status : undefined),
+  stack: includeStacks && error.stack ? redactString(error.stack) : undefined
+});
+
+// A copy of `value` that is safe to log
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value === 'bigint') return String(value);
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (depth >= MAX_DEPTH) return '[Object]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => (
+    [key, SECRET_KEY.test(key) ? REDACTED : redact(item, depth + 1)]
+  )));
+};
+
+const userIdOf = (req) => (req && req.user ? req.user.userId : undefined);
+
+// Request and trace fields for the current async context
+const contextFields = winston.format((info) => {
+  const store = storage.getStore();
+  const span = activeSpan();
+  if (store) {
+    info.requestId = info.requestId || store.req.id;
+    info.userId = info.userId || userIdOf(store.req);
+  }
+  if (span) {
+    info.traceId = info.traceId || span.traceId;
+    info.spanId = info.spanId || span.spanId;
+  }
+  return info;
+});
+
+const redactFields = winston.format((info) => {
+  Object.keys(info).forEach((key) => {
+    if (key !== 'level') {
+      info[key] = SECRET_KEY.test(key) ? REDACTED : redact(info[key]);
+    }
+  });
+  return info;
+});
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    contextFields(),
+    redactFields(),
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, service, message, ...fields }) => JSON.stringify({
+      timestamp,
+      level,
+      service,
+      message,
+      ...fields
+    }))
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const milliseconds = (start) => Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+
+// Express middleware: request ID, logging context and the access log
+const middleware = (req, res, next) => {
+  const header = req.get('x-request-id');
+  req.id = header && REQUEST_ID.test(header) ? header : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const start = process.hrtime.bigint();
+  const span = activeSpan();
+  let done = false;
+  const finish = () => {
+    if (done) return;
+    done = true;
+
+    const status = res.statusCode;
+    let level = 'info';
+    if (status >= 500) {
+      level = 'error';
+    } else if (status >= 400) {
+      level = 'warn';
+    }
+    logger.log(level, 'HTTP request', {
+      requestId: req.id,
+      userId: userIdOf(req),
+      traceId: span ? span.traceId : undefined,
+      spanId: span ? span.spanId : undefined,
+      method: req.method,
+      url: req.originalUrl,
+      route: routeLabel(req),
+      status,
+      durationMs: milliseconds(start),
+      bytes: res.get('content-length') !== undefined ? Number(res.get('content-length')) : undefined,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      aborted: res.writableFinished ? undefined : true,
+      ...res.locals.accessLog
+    });
+  };
+  res.on('finish', finish);
+  res.on('close', finish);
+
+  storage.run({ req }, next);
+};
+
+// Names the process in every entry; call once at startup
+const initLogging = ({ service }) => {
+  logger.defaultMeta = { service };
+  return {
+    logger,
+    middleware
+  };
+};
+
+module.exports = {
+  logger,
+  redact,
+  serializeError,
+  initLogging
+};
@@ -0,0 +1,332 @@
+// Minimal Prometheus instrumentation shared by the gateway and all services.
+// Metrics live in a per-service registry and are rendered in the Prometheus
+// text exposition format (version 0.0.4) by the /metrics handler.
+
+const { logger } = require('./logger');
+const { sendProblem } = require('./problem');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const escapeHelp = (help) => help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+};
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+class Metric {
+  constructor(type, { name, help, labelNames = [], collect }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collectFn = collect;
+    this.series = new Map();
+  }
+
+  // Only declared label names are kept, in declaration order, so the same
+  // label set always maps to the same series.
+  pickLabels(labels = {}) {
+    const picked = {};
+    for (const labelName of this.labelNames) {
+      picked[labelName] = labels[labelName] === undefined ? '' : String(labels[labelName]);
+    }
+    return picked;
+  }
+
+  getSeries(labels, create) {
+    const picked = this.pickLabels(labels);
+    const key = JSON.stringify(picked);
+    let series = this.series.get(key);
+    if (!series) {
+      series = create(picked);
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  async collect() {
+    if (this.collectFn) {
+      await this.collectFn(this);
+    }
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${escapeHelp(this.help)}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels, value = 1) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot be decreased`);
+    }
+    this.getSeries(labels, (picked) => ({ labels: picked, value: 0 })).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    this.getSeries(labels, (picked) => ({ labels: picked, value: 0 })).value = value;
+  }
+
+  inc(labels, value = 1) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    this.getSeries(labels, (picked) => ({ labels: picked, value: 0 })).value += value;
+  }
+
+  dec(labels, value = 1) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    this.inc(labels, -value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    const series = this.getSeries(labels, (picked) => ({
+      labels: picked,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bound, index) =>
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+class Registry {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  qualify(name) {
+    return this.prefix ? `${this.prefix}_${name}` : name;
+  }
+
+  counter(name, help, options = {}) {
+    return this.register(new Counter({ name: this.qualify(name), help, ...options }));
+  }
+
+  gauge(name, help, options = {}) {
+    return this.register(new Gauge({ name: this.qualify(name), help, ...options }));
+  }
+
+  histogram(name, help, options = {}) {
+    return this.register(new Histogram({ name: this.qualify(name), help, ...options }));
+  }
+
+  async render() {
+    const metrics = [...this.metrics.values()];
+    await Promise.all(metrics.map(async (metric) => {
+      try {
+        await metric.collect();
+      } catch (error) {
+        // A failing collector must not take the whole scrape down; the
+        // metric keeps its last known values.
+        logger.error('Metrics collect error', { metric: metric.name, error });
+      }
+    }));
+    return `${metrics.map((metric) => metric.render()).join('\n\n')}\n`;
+  }
+}
+
+// Route label for a finished request. Uses the matched Express route pattern
+// rather than the raw URL so ids do not explode label cardinality.
+const routeLabel = (req) => {
+  if (req.route && req.route.path) {
+    return `${req.baseUrl || ''}${req.route.path}`;
+  }
+  return 'unmatched';
+};
+
+const createMetrics = (prefix) => {
+  const registry = new Registry(prefix);
+
+  const requestsTotal = registry.counter('requests_total', 'Total number of HTTP requests', {
+    labelNames: ['method', 'route', 'status']
+  });
+  const requestDuration = registry.histogram('request_duration_seconds', 'HTTP request duration in seconds', {
+    labelNames: ['method', 'route', 'status']
+  });
+  const requestsInFlight = registry.gauge('requests_in_flight', 'HTTP requests currently being served');
+
+  registry.gauge('process_uptime_seconds', 'Process uptime in seconds', {
+    collect: (gauge) => gauge.set(process.uptime())
+  });
+  registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', {
+    collect: (gauge) => gauge.set(process.memoryUsage().rss)
+  });
+
+  const middleware = (req, res, next) => {
+    const start = process.hrtime.bigint();
+    requestsInFlight.inc();
+
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      requestsInFlight.dec();
+
+      const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+      requestsTotal.inc(labels);
+      requestDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+
+    res.on('finish', finish);
+    res.on('close', finish);
+    next();
+  };
+
+  // pg Pool exposes its counters as plain properties, so they are sampled
+  // on every scrape rather than tracked through pool events.
+  const trackPgPool = (pool) => {
+    registry.gauge('pg_pool_connections', 'PostgreSQL pool connections by state', {
+      labelNames: ['state'],
+      collect: (gauge) => {
+        gauge.set({ state: 'total' }, pool.totalCount);
+        gauge.set({ state: 'idle' }, pool.idleCount);
+        gauge.set({ state: 'waiting' }, pool.waitingCount);
+      }
+    });
+  };
+
+  const trackMongoConnection = (connection) => {
+    const states = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+    registry.gauge('mongo_connection_state', 'MongoDB connection state (1 for the current state)', {
+      labelNames: ['state'],
+      collect: (gauge) => {
+        states.forEach((state, readyState) => {
+          gauge.set({ state }, connection.readyState === readyState ? 1 : 0);
+        });
+      }
+    });
+    registry.gauge('mongo_up', 'Whether the MongoDB connection is open', {
+      collect: (gauge) => gauge.set(connection.readyState === 1 ? 1 : 0)
+    });
+  };
+
+  const handler = async (req, res) => {
+    try {
+      const body = await registry.render();
+      res.set('Content-Type', CONTENT_TYPE);
+      res.send(body);
+    } catch (error) {
+      logger.error('Metrics error', { error });
+      sendProblem(res, 500, 'Internal server error');
+    }
+  };
+
+  return {
+    registry,
+    middleware,
+    handler,
+    trackPgPool,
+    trackMongoConnection,
+    counter: registry.counter.bind(registry),
+    gauge: registry.gauge.bind(registry),
+    histogram: registry.histogram.bind(registry)
+  };
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  routeLabel,
+  createMetrics
+};
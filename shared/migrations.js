@@ -0,0 +1,297 @@
+// Versioned schema migrations for the Postgres services.
+//
+// A service keeps its migrations in a directory as SQL files:
+//   0001_create_users.up.sql     applied by `up`
+//   0001_create_users.down.sql   reverts it for `down`; optional
+// They are applied in version order, each in its own transaction together
+// with its row in `schema_migrations`, which records a checksum of the up
+// file. A file starting with `-- migrate:no-transaction` runs outside a
+// transaction (e.g. for CREATE INDEX CONCURRENTLY).
+//
+// An applied migration whose file has since changed blocks further
+// migrations: restore the file and write a new migration instead. Migrators
+// hold a Postgres advisory lock while they work, so replicas starting
+// together do not race.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+const NO_TRANSACTION = /^\s*--\s*migrate:no-transaction/;
+
+class MigrationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    this.details = details;
+  }
+}
+
+const checksumOf = (sql) => crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+
+// Migrations found in `directory`, in version order
+const loadMigrations = (directory) => {
+  const migrations = new Map();
+  const files = fs.existsSync(directory) ? fs.readdirSync(directory) : [];
+
+  for (const file of files) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, digits, name, direction] = match;
+    const version = Number(digits);
+    const migration = migrations.get(version) || { version, id: `${digits}_${name}`, name };
+    if (migration.id !== `${digits}_${name}`) {
+      throw new MigrationError(`Two migrations share version ${version}: ${migration.id} and ${digits}_${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(directory, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()]
+    .map((migration) => {
+      if (migration.up === undefined) {
+        throw new MigrationError(`Migration ${migration.id} has no up file`);
+      }
+      return { ...migration, checksum: checksumOf(migration.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+};
+
+const createMigrator = ({ pool, directory, table = 'schema_migrations' }) => {
+  const ensureTable = (db) => db.query(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      version BIGINT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      execution_ms INTEGER NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const appliedRows = async (db) => {
+    const exists = await db.query('SELECT to_regclass($1) AS name', [table]);
+    if (!exists.rows[0].name) return [];
+    const result = await db.query(`SELECT version, name, checksum, applied_at FROM ${table} ORDER BY version`);
+    return result.rows.map((row) => ({ ...row, version: Number(row.version) }));
+  };
+
+  // Every known version with its state:
+  //   applied   in the database, file unchanged
+  //   pending   not applied yet
+  //   modified  applied, but the file has changed since
+  //   unknown   applied, but there is no file (applied by newer code)
+  const statusWith = async (db) => {
+    const migrations = loadMigrations(directory);
+    const applied = new Map((await appliedRows(db)).map((row) => [row.version, row]));
+
+    const entries = migrations.map((migration) => {
+      const row = applied.get(migration.version);
+      applied.delete(migration.version);
+      if (!row) {
+        return { version: migration.version, name: migration.id, state: 'pending', migration };
+      }
+      return {
+        version: migration.version,
+        name: migration.id,
+        state: row.checksum === migration.checksum ? 'applied' : 'modified',
+        appliedAt: row.applied_at,
+        migration
+      };
+    });
+    applied.forEach((row) => entries.push({ version: row.version, name: row.name, state: 'unknown', appliedAt: row.applied_at }));
+    return entries.sort((a, b) => a.version - b.version);
+  };
+
+  // Runs `fn` with a client holding the migration lock
+  const withLock = async (fn) => {
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock(hashtext($1))', [table]);
+      try {
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [table]);
+      }
+    } finally {
+      client.release();
+    }
+  };
+
+  const run = async (client, sql, record) => {
+    if (NO_TRANSACTION.test(sql)) {
+      await client.query(sql);
+      await record();
+      return;
+    }
+    await client.query('BEGIN');
+    try {
+      await client.query(sql);
+      await record();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  };
+
+  const assertUnmodified = (entries) => {
+    const modified = entries.filter((entry) => entry.state === 'modified');
+    if (modified.length > 0) {
+      throw new MigrationError(
+        `Applied migrations were changed: ${modified.map((entry) => entry.name).join(', ')}`,
+        { modified: modified.map((entry) => entry.name) }
+      );
+    }
+  };
+
+  const status = async () => (await statusWith(pool)).map(({ migration, ...entry }) => entry);
+
+  // Applies pending migrations, up to and including version `to`. Returns
+  // the names of those applied.
+  const up = ({ to = Infinity, log = () => {} } = {}) => withLock(async (client) => {
+    await ensureTable(client);
+    const entries = await statusWith(client);
+    assertUnmodified(entries);
+
+    const applied = [];
+    for (const { migration } of entries.filter((entry) => entry.state === 'pending' && entry.version <= to)) {
+      const started = Date.now();
+      try {
+        await run(client, migration.up, () => client.query(
+          `INSERT INTO ${table} (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)`,
+          [migration.version, migration.id, migration.checksum, Date.now() - started]
+        ));
+      } catch (error) {
+        throw new MigrationError(`Migration ${migration.id} failed: ${error.message}`, { migration: migration.id });
+      }
+      log(`Applied ${migration.id} (${Date.now() - started} ms)`);
+      applied.push(migration.id);
+    }
+    return applied;
+  });
+
+  // Reverts the last `steps` applied migrations, newest first. Returns the
+  // names of those reverted.
+  const down = ({ steps = 1, log = () => {} } = {}) => withLock(async (client) => {
+    await ensureTable(client);
+    const entries = await statusWith(client);
+    assertUnmodified(entries);
+
+    const targets = entries.filter((entry) => entry.state !== 'pending').reverse().slice(0, steps);
+    const reverted = [];
+    for (const entry of targets) {
+      if (!entry.migration) {
+        throw new MigrationError(`Migration ${entry.name} has no file here and cannot be reverted`);
+      }
+      if (entry.migration.down === undefined) {
+        throw new MigrationError(`Migration ${entry.name} has no down file and cannot be reverted`);
+      }
+      try {
+        await run(client, entry.migration.down, () => client.query(`DELETE FROM ${table} WHERE version = $1`, [entry.version]));
+      } catch (error) {
+        throw new MigrationError(`Reverting ${entry.name} failed: ${error.message}`, { migration: entry.name });
+      }
+      log(`Reverted ${entry.name}`);
+      reverted.push(entry.name);
+    }
+    return reverted;
+  });
+
+  // For service startup: throws unless every migration is applied
+  // unchanged. With `migrate`, pending migrations are applied first.
+  // Versions applied by newer code are tolerated, so older replicas keep
+  // running during a rolling deploy.
+  const ensureCurrent = async ({ migrate = false, log = console.log } = {}) => {
+    if (migrate) {
+      await up({ log });
+    }
+    const entries = await status();
+    assertUnmodified(entries);
+    const pending = entries.filter((entry) => entry.state === 'pending');
+    if (pending.length > 0) {
+      throw new MigrationError(
+        `Database schema is behind; pending migrations: ${pending.map((entry) => entry.name).join(', ')}. Run "npm run migrate -- up"`,
+        { pending: pending.map((entry) => entry.name) }
+      );
+    }
+  };
+
+  return {
+    status,
+    up,
+    down,
+    ensureCurrent
+  };
+};
+
+const USAGE = `Usage: npm run migrate -- <command>
+  up [--to <version>]   apply pending migrations
+  down [<steps>]        revert the last migration, or the last <steps>
+  status                list migrations and their state
+  create <name>         add an empty migration (name: lowercase, digits, _)`;
+
+// Writes an empty up/down pair numbered after the latest migration
+const createMigrationFiles = (directory, name) => {
+  if (!/^[a-z0-9_]+$/.test(name || '')) {
+    throw new MigrationError('Migration names may only contain lowercase letters, digits and "_"');
+  }
+  const latest = loadMigrations(directory).reduce((max, migration) => Math.max(max, migration.version), 0);
+  const id = `${String(latest + 1).padStart(4, '0')}_${name}`;
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(path.join(directory, `${id}.up.sql`), `-- ${name}\n`);
+  fs.writeFileSync(path.join(directory, `${id}.down.sql`), `-- Revert ${name}\n`);
+  return id;
+};
+
+// Command-line entry point for a service's migrate.js. Sets the exit code.
+const runMigrationCli = async ({ pool, directory, argv }) => {
+  const [command, ...args] = argv;
+  const migrator = createMigrator({ pool, directory });
+
+  try {
+    if (command === 'up') {
+      const toIndex = args.indexOf('--to');
+      const to = toIndex === -1 ? Infinity : Number(args[toIndex + 1]);
+      if (Number.isNaN(to)) {
+        throw new MigrationError('--to needs a version number');
+      }
+      const applied = await migrator.up({ to, log: console.log });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+    } else if (command === 'down') {
+      const steps = args[0] === undefined ? 1 : Number(args[0]);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new MigrationError('down takes a positive number of steps');
+      }
+      const reverted = await migrator.down({ steps, log: console.log });
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      const entries = await migrator.status();
+      entries.forEach((entry) => {
+        const appliedAt = entry.appliedAt ? new Date(entry.appliedAt).toISOString() : '';
+        console.log(`${entry.state.padEnd(9)} ${entry.name.padEnd(40)} ${appliedAt}`);
+      });
+      if (entries.some((entry) => entry.state === 'pending' || entry.state === 'modified')) {
+        process.exitCode = 1;
+      }
+    } else if (command === 'create') {
+      console.log(`Created ${createMigrationFiles(directory, args[0])}`);
+    } else {
+      console.error(USAGE);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+module.exports = {
+  MigrationError,
+  loadMigrations,
+  createMigrator,
+  runMigrationCli
+};
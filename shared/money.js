@@ -0,0 +1,96 @@
+// Money helpers shared by the services. Amounts are integers in the minor
+// unit of their ISO 4217 currency (cents for USD, yen for JPY), so sums and
+// line totals are exact; major units only appear at the edges, e.g. when
+// converting data written before amounts were stored this way.
+
+// Supported currencies and their number of minor-unit digits
+const CURRENCIES = {
+  AUD: 2,
+  CAD: 2,
+  CHF: 2,
+  EUR: 2,
+  GBP: 2,
+  INR: 2,
+  JPY: 0,
+  SEK: 2,
+  USD: 2
+};
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+class MoneyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MoneyError';
+    this.status = 400;
+  }
+}
+
+const isCurrency = (code) => typeof code === 'string' && Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+
+// Upper-cases and validates a currency code; undefined means the default
+const normalizeCurrency = (code = DEFAULT_CURRENCY) => {
+  const normalized = String(code).trim().toUpperCase();
+  if (!isCurrency(normalized)) {
+    throw new MoneyError(`Unsupported currency: ${code}. Use one of ${Object.keys(CURRENCIES).join(', ')}`);
+  }
+  return normalized;
+};
+
+const isAmount = (value) => Number.isSafeInteger(value) && value >= 0;
+
+const parseAmount = (value, name = 'amount') => {
+  if (!isAmount(value)) {
+    throw new MoneyError(`${name} must be a non-negative integer in minor units`);
+  }
+  return value;
+};
+
+// Converts a major-unit decimal ("19.99" or 19.99) exactly, rounding half
+// up past the currency's precision.
+const toMinorUnits = (major, currency = DEFAULT_CURRENCY) => {
+  const digits = CURRENCIES[normalizeCurrency(currency)];
+  const match = /^(\d+)(?:\.(\d*))?$/.exec(String(major).trim());
+  if (!match) {
+    throw new MoneyError(`Invalid amount: ${major}`);
+  }
+
+  const fraction = (match[2] || '').padEnd(digits + 1, '0');
+  const amount = Number(match[1]) * 10 ** digits + Number(fraction.slice(0, digits) || 0);
+  return Number(fraction[digits]) >= 5 ? amount + 1 : amount;
+};
+
+const toMajorUnits = (amount, currency = DEFAULT_CURRENCY) => {
+  const digits = CURRENCIES[normalizeCurrency(currency)];
+  return (amount / 10 ** digits).toFixed(digits);
+};
+
+const multiply = (amount, quantity) => {
+  const total = amount * quantity;
+  if (!Number.isSafeInteger(total)) {
+    throw new MoneyError('Amount is out of range');
+  }
+  return total;
+};
+
+const sum = (amounts) => amounts.reduce((total, amount) => {
+  const next = total + amount;
+  if (!Number.isSafeInteger(next)) {
+    throw new MoneyError('Amount is out of range');
+  }
+  return next;
+}, 0);
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  MoneyError,
+  isCurrency,
+  normalizeCurrency,
+  isAmount,
+  parseAmount,
+  toMinorUnits,
+  toMajorUnits,
+  multiply,
+  sum
+};
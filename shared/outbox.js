@@ -0,0 +1,115 @@
+// Transactional outbox for the PostgreSQL services.
+//
+// Events are inserted into the `outbox` table in the same transaction as the
+// change they describe, and a relay publishes them to the broker afterwards.
+// An event is therefore published if and only if its transaction committed,
+// possibly more than once if the relay dies between publishing and marking
+// the row.
+
+const { createEvent } = require('./events');
+const { logger } = require('./logger');
+
+const createPgOutbox = ({ pool, broker, source }) => {
+  // `db` should be the client holding the caller's transaction.
+  const add = async (db, type, data, { aggregateId } = {}) => {
+    const event = createEvent(type, data, { source, aggregateId });
+    await db.query(
+      'INSERT INTO outbox (event_id, event_type, aggregate_id, payload) VALUES ($1, $2, $3, $4)',
+      [event.id, event.type, event.aggregateId, event]
+    );
+    return event;
+  };
+
+  // Publishes one batch in id order. Rows are locked with SKIP LOCKED so
+  // several replicas can relay side by side; a failed publish stops the batch
+  // to keep per-service ordering.
+  const relayBatch = async (batchSize = 100) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT id, payload FROM outbox
+         WHERE published_at IS NULL
+         ORDER BY id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED`,
+        [batchSize]
+      );
+
+      const published = [];
+      for (const row of result.rows) {
+        try {
+          await broker.publish(row.payload);
+          published.push(row.id);
+        } catch (error) {
+          await client.query(
+            'UPDATE outbox SET attempts = attempts + 1, last_error = $2 WHERE id = $1',
+            [row.id, error.message]
+          );
+          logger.error('Outbox publish error', { eventId: row.payload.id, error });
+          break;
+        }
+      }
+
+      if (published.length > 0) {
+        await client.query('UPDATE outbox SET published_at = CURRENT_TIMESTAMP WHERE id = ANY($1)', [published]);
+      }
+
+      await client.query('COMMIT');
+      return published.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  const purgePublished = (retentionDays = 7) => pool.query(
+    'DELETE FROM outbox WHERE published_at < CURRENT_TIMESTAMP - make_interval(days => $1)',
+    [retentionDays]
+  );
+
+  // Returns { stop }, which waits for a batch being relayed
+  const startRelay = ({ interval = Number(process.env.OUTBOX_RELAY_INTERVAL_MS || 1000), purgeEvery = 3600 } = {}) => {
+    let running = null;
+    let ticks = 0;
+
+    const tick = async () => {
+      try {
+        // Drain backlogs without waiting a full interval per batch
+        while (await relayBatch() > 0);
+        if (++ticks % purgeEvery === 0) {
+          await purgePublished();
+        }
+      } catch (error) {
+        logger.error('Outbox relay error', { error });
+      } finally {
+        running = null;
+      }
+    };
+
+    const timer = setInterval(() => {
+      running = running || tick();
+    }, interval);
+    timer.unref();
+    return {
+      stop: async () => {
+        clearInterval(timer);
+        await running;
+      }
+    };
+  };
+
+  return {
+    add,
+    relayBatch,
+    startRelay
+  };
+};
+
+module.exports = {
+  createPgOutbox
+};
@@ -0,0 +1,77 @@
+// Error responses as RFC 7807 problem details.
+//
+// Every error the gateway and the services answer with is one
+// application/problem+json document:
+//   { "type": "about:blank", "title": "Not Found", "status": 404,
+//     "detail": "Order not found", "instance": "/orders/42" }
+// `title` is the HTTP reason phrase and `detail` explains this occurrence.
+// Anything machine-readable goes in extension members next to them, e.g.
+// `errors` for validation failures or `retryAfter` when rate limited.
+
+const http = require('http');
+const { logger } = require('./logger');
+
+const CONTENT_TYPE = 'application/problem+json';
+const MEMBERS = ['type', 'title', 'status', 'detail', 'instance'];
+
+const withoutMembers = (object = {}) => Object.fromEntries(
+  Object.entries(object).filter(([key]) => !MEMBERS.includes(key))
+);
+
+const problem = (status, detail, extensions, instance) => ({
+  type: 'about:blank',
+  title: http.STATUS_CODES[status] || 'Error',
+  status,
+  detail,
+  instance,
+  ...withoutMembers(extensions)
+});
+
+// Answers with a problem; extensions are merged into the document
+const sendProblem = (res, status, detail, extensions) => res
+  .status(status)
+  .type(CONTENT_TYPE)
+  .json(problem(status, detail, extensions, res.req.originalUrl));
+
+const isProblem = (contentType) => /^application\/problem\+json\b/i.test(contentType || '');
+
+// A problem from another service as { message, details }, where details
+// are its extension members
+const parseProblem = (body) => {
+  if (!body || typeof body !== 'object') {
+    return { message: undefined, details: {} };
+  }
+  return { message: body.detail || body.title, details: withoutMembers(body) };
+};
+
+// Error-handling middleware, mounted after every route. Errors with a 4xx
+// status (domain errors, body-parser's) are the client's; anything else is
+// logged and answered with a 500.
+const problemHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendProblem(res, 400, 'Request body is not valid JSON');
+  }
+  if (Number.isInteger(error.status) && error.status >= 400 && error.status < 500) {
+    return sendProblem(res, error.status, error.message, error.details);
+  }
+  logger.error('Unhandled error', { error });
+  sendProblem(res, 500, 'Internal server error');
+};
+
+// Catch-all for unknown routes, mounted after every route
+const notFound = (req, res) => {
+  sendProblem(res, 404, `No route for ${req.method} ${req.path}`);
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  problem,
+  sendProblem,
+  isProblem,
+  parseProblem,
+  problemHandler,
+  notFound
+};
@@ -0,0 +1,300 @@
+// Rate limiting with token-bucket and sliding-window algorithms behind a
+// pluggable store. Rules are matched by route prefix (longest prefix wins)
+// and responses carry the IETF RateLimit-* headers.
+
+const { logger } = require('./logger');
+const { getRedisClient } = require('./redis');
+const { sendProblem } = require('./problem');
+
+const ALGORITHMS = {
+  TOKEN_BUCKET: 'token-bucket',
+  SLIDING_WINDOW: 'sliding-window'
+};
+
+// In-process store. Entries carry an expiry and are swept periodically, so
+// idle clients do not accumulate forever.
+class MemoryStore {
+  constructor({ sweepInterval = 60000 } = {}) {
+    this.entries = new Map();
+    this.timer = setInterval(() => this.sweep(), sweepInterval);
+    this.timer.unref();
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  read(key, now) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= now) {
+      return null;
+    }
+    return entry.value;
+  }
+
+  async tokenBucket(key, { capacity, refillPerMs, cost }) {
+    const now = Date.now();
+    const state = this.read(key, now) || { tokens: capacity, updatedAt: now };
+
+    let tokens = Math.min(capacity, state.tokens + (now - state.updatedAt) * refillPerMs);
+    const allowed = tokens >= cost;
+    if (allowed) {
+      tokens -= cost;
+    }
+
+    this.entries.set(key, {
+      value: { tokens, updatedAt: now },
+      expiresAt: now + Math.ceil(capacity / refillPerMs)
+    });
+    return { allowed, tokens };
+  }
+
+  async slidingWindow(key, { limit, windowMs, now }) {
+    const windowIndex = Math.floor(now / windowMs);
+    const currentKey = `${key}:${windowIndex}`;
+    const previous = this.read(`${key}:${windowIndex - 1}`, now) || 0;
+    const current = this.read(currentKey, now) || 0;
+
+    const elapsed = now - windowIndex * windowMs;
+    const weighted = previous * ((windowMs - elapsed) / windowMs) + current;
+    if (weighted + 1 > limit) {
+      return { allowed: false, previous, current };
+    }
+
+    this.entries.set(currentKey, { value: current + 1, expiresAt: (windowIndex + 2) * windowMs });
+    return { allowed: true, previous, current: current + 1 };
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.entries.clear();
+  }
+}
+
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updated_at')
+local tokens = tonumber(state[1]) or capacity
+local updated = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updated) * refill)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated_at', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / refill))
+return { allowed, tostring(tokens) }
+`;
+
+const SLIDING_WINDOW_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local elapsed = tonumber(ARGV[3])
+local previous = tonumber(redis.call('GET', KEYS[1]) or '0')
+local current = tonumber(redis.call('GET', KEYS[2]) or '0')
+if previous * ((window - elapsed) / window) + current + 1 > limit then
+  return { 0, previous, current }
+end
+current = redis.call('INCR', KEYS[2])
+redis.call('PEXPIRE', KEYS[2], window * 2)
+return { 1, previous, current }
+`;
+
+// Redis store for sharing limits between gateway replicas. Each check is a
+// single Lua script, so concurrent requests cannot race past the limit.
+class RedisStore {
+  constructor({ url, prefix = 'ratelimit:' } = {}) {
+    this.url = url;
+    this.prefix = prefix;
+  }
+
+  async tokenBucket(key, { capacity, refillPerMs, cost }) {
+    const client = await getRedisClient(this.url);
+    const [allowed, tokens] = await client.eval(TOKEN_BUCKET_SCRIPT, {
+      keys: [`${this.prefix}${key}`],
+      arguments: [String(capacity), String(refillPerMs), String(cost)]
+    });
+    return { allowed: allowed === 1, tokens: Number(tokens) };
+  }
+
+  async slidingWindow(key, { limit, windowMs, now }) {
+    const client = await getRedisClient(this.url);
+    const windowIndex = Math.floor(now / windowMs);
+    const [allowed, previous, current] = await client.eval(SLIDING_WINDOW_SCRIPT, {
+      keys: [`${this.prefix}${key}:${windowIndex - 1}`, `${this.prefix}${key}:${windowIndex}`],
+      arguments: [String(limit), String(windowMs), String(now - windowIndex * windowMs)]
+    });
+    return { allowed: allowed === 1, previous: Number(previous), current: Number(current) };
+  }
+
+  close() {}
+}
+
+const createStore = (type = process.env.RATE_LIMIT_STORE || 'memory') => {
+  if (type === 'redis') {
+    return new RedisStore({ url: process.env.REDIS_URL });
+  }
+  if (type === 'memory') {
+    return new MemoryStore();
+  }
+  throw new Error(`Unknown rate limit store: ${type}`);
+};
+
+// Each algorithm returns { allowed, limit, remaining, resetMs, retryAfterMs }.
+const checkTokenBucket = async (store, key, rule) => {
+  const refillPerMs = rule.refillPerSecond / 1000;
+  const cost = rule.cost || 1;
+  const { allowed, tokens } = await store.tokenBucket(key, {
+    capacity: rule.capacity,
+    refillPerMs,
+    cost
+  });
+
+  return {
+    allowed,
+    limit: rule.capacity,
+    remaining: Math.floor(tokens),
+    resetMs: Math.ceil((rule.capacity - tokens) / refillPerMs),
+    retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / refillPerMs)
+  };
+};
+
+const checkSlidingWindow = async (store, key, rule) => {
+  const now = Date.now();
+  const { allowed, previous, current } = await store.slidingWindow(key, {
+    limit: rule.limit,
+    windowMs: rule.windowMs,
+    now
+  });
+
+  const elapsed = now % rule.windowMs;
+  const untilWindowEnd = rule.windowMs - elapsed;
+  const weighted = previous * (untilWindowEnd / rule.windowMs) + current;
+
+  let retryAfterMs = 0;
+  if (!allowed) {
+    // Wait until the previous window's weight has decayed enough to fit one
+    // more request, or until the window rolls over if the current window
+    // alone is already full.
+    retryAfterMs = current + 1 > rule.limit || previous === 0
+      ? untilWindowEnd
+      : Math.max(0, Math.ceil(untilWindowEnd - ((rule.limit - current - 1) * rule.windowMs) / previous));
+  }
+
+  return {
+    allowed,
+    limit: rule.limit,
+    remaining: Math.max(0, Math.floor(rule.limit - weighted)),
+    resetMs: untilWindowEnd,
+    retryAfterMs
+  };
+};
+
+const CHECKS = {
+  [ALGORITHMS.TOKEN_BUCKET]: checkTokenBucket,
+  [ALGORITHMS.SLIDING_WINDOW]: checkSlidingWindow
+};
+
+const policyHeader = (rule) => (rule.algorithm === ALGORITHMS.TOKEN_BUCKET
+  ? `${rule.capacity};w=${Math.ceil(rule.capacity / rule.refillPerSecond)};policy="token-bucket"`
+  : `${rule.limit};w=${Math.ceil(rule.windowMs / 1000)};policy="sliding-window"`);
+
+const validateRule = (rule) => {
+  if (!rule.prefix) {
+    throw new Error('Rate limit rule requires a prefix');
+  }
+  if (!CHECKS[rule.algorithm]) {
+    throw new Error(`Unknown rate limit algorithm for ${rule.prefix}: ${rule.algorithm}`);
+  }
+  if (rule.algorithm === ALGORITHMS.TOKEN_BUCKET && !(rule.capacity > 0 && rule.refillPerSecond > 0)) {
+    throw new Error(`Token bucket rule for ${rule.prefix} needs capacity and refillPerSecond`);
+  }
+  if (rule.algorithm === ALGORITHMS.SLIDING_WINDOW && !(rule.limit > 0 && rule.windowMs > 0)) {
+    throw new Error(`Sliding window rule for ${rule.prefix} needs limit and windowMs`);
+  }
+  return { keyBy: 'ip', ...rule };
+};
+
+const matchesPrefix = (path, prefix) =>
+  path === prefix || path.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`);
+
+const parseApiKeys = (value = '') => value.split(',').map((key) => key.trim()).filter(Boolean);
+
+// `identifyUser(req)` resolves the caller's user id (or null) for rules keyed
+// by user; unauthenticated callers fall back to their IP. Rules keyed by API
+// key only trust the keys in `apiKeys`: an unknown X-Api-Key is keyed by IP
+// too, or a client could send a fresh one per request to dodge the limit.
+const createRateLimiter = ({
+  rules,
+  store = createStore(),
+  identifyUser = async () => null,
+  apiKeys = parseApiKeys(process.env.RATE_LIMIT_API_KEYS),
+  onLimited
+} = {}) => {
+  const sortedRules = rules
+    .map(validateRule)
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+  const knownApiKeys = new Set(apiKeys);
+
+  const resolveKey = async (req, rule) => {
+    if (rule.keyBy === 'user') {
+      const userId = await identifyUser(req);
+      if (userId) return `user:${userId}`;
+    }
+    if (rule.keyBy === 'apiKey') {
+      const apiKey = req.headers['x-api-key'];
+      if (knownApiKeys.has(apiKey)) return `key:${apiKey}`;
+    }
+    return `ip:${req.ip || req.socket.remoteAddress}`;
+  };
+
+  return async (req, res, next) => {
+    const rule = sortedRules.find((candidate) => matchesPrefix(req.path, candidate.prefix));
+    if (!rule) {
+      return next();
+    }
+
+    let result;
+    try {
+      const key = `${rule.prefix}:${await resolveKey(req, rule)}`;
+      result = await CHECKS[rule.algorithm](store, key, rule);
+    } catch (error) {
+      // Fail open: a store outage should not take the whole API down.
+      logger.error('Rate limit store error', { error });
+      return next();
+    }
+
+    res.set('RateLimit-Policy', policyHeader(rule));
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+      res.set('Retry-After', String(retryAfter));
+      if (onLimited) {
+        onLimited(req, rule);
+      }
+      return sendProblem(res, 429, 'Too many requests', { retryAfter });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  ALGORITHMS,
+  MemoryStore,
+  RedisStore,
+  createStore,
+  createRateLimiter
+};
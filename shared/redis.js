@@ -0,0 +1,40 @@
+// Lazily connected, process-wide Redis clients keyed by URL.
+
+const { createClient } = require('redis');
+const { logger } = require('./logger');
+
+const clients = new Map();
+
+const getRedisClient = (url = process.env.REDIS_URL || 'redis://localhost:6379') => {
+  if (!clients.has(url)) {
+    const client = createClient({ url });
+    client.on('error', (error) => {
+      logger.error('Redis error', { url, error });
+    });
+
+    const ready = client.connect().then(() => client);
+    // Let the next caller retry after a failed initial connect instead of
+    // caching the rejection forever.
+    ready.catch(() => clients.delete(url));
+    clients.set(url, ready);
+  }
+  return clients.get(url);
+};
+
+const closeRedisClients = async () => {
+  const pending = [...clients.values()];
+  clients.clear();
+  await Promise.all(pending.map(async (ready) => {
+    try {
+      const client = await ready;
+      await client.quit();
+    } catch (error) {
+      // Already closed or never connected.
+    }
+  }));
+};
+
+module.exports = {
+  getRedisClient,
+  closeRedisClients
+};
@@ -0,0 +1,191 @@
+// Timeouts, retries and circuit breaking for calls to upstream services.
+
+const axios = require('axios');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+const hasIdempotencyKey = (headers = {}) => Object.keys(headers)
+  .some((name) => name.toLowerCase() === 'idempotency-key' && headers[name]);
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAfterMs) {
+    super(`Circuit for ${name} is open`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Consecutive-failure breaker. After `failureThreshold` failures the circuit
+// opens and rejects calls for `resetTimeout` ms, then lets up to
+// `halfOpenMaxCalls` probes through; one success closes it again, one
+// failure re-opens it.
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetTimeout = 30000, halfOpenMaxCalls = 1, onStateChange } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.halfOpenMaxCalls = halfOpenMaxCalls;
+    this.onStateChange = onStateChange;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+    this.lastFailure = null;
+  }
+
+  transition(state) {
+    if (this.state === state) return;
+    const previous = this.state;
+    this.state = state;
+    if (state === STATES.OPEN) {
+      this.openedAt = Date.now();
+    }
+    if (state === STATES.HALF_OPEN) {
+      this.halfOpenCalls = 0;
+    }
+    if (state === STATES.CLOSED) {
+      this.failures = 0;
+      this.openedAt = null;
+    }
+    if (this.onStateChange) {
+      this.onStateChange(state, previous);
+    }
+  }
+
+  // Reserves a slot for a call, or returns false when the call must be
+  // rejected without touching the upstream.
+  tryAcquire() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeout) {
+        return false;
+      }
+      this.transition(STATES.HALF_OPEN);
+    }
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+        return false;
+      }
+      this.halfOpenCalls++;
+    }
+    return true;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state !== STATES.CLOSED) {
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastFailure = {
+      message: error ? error.message : undefined,
+      at: new Date().toISOString()
+    };
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  retryAfterMs() {
+    if (this.state !== STATES.OPEN) return 0;
+    return Math.max(0, this.resetTimeout - (Date.now() - this.openedAt));
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterSeconds: Math.ceil(this.retryAfterMs() / 1000),
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+// "Full jitter" exponential backoff: a random delay in
+// [0, min(maxDelay, baseDelay * 2^attempt)].
+const backoffDelay = (attempt, { baseDelay = 100, maxDelay = 2000 } = {}) =>
+  Math.floor(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isTimeout = (error) => error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+
+// Only transport failures and 5xx answers count against the breaker; a 4xx
+// means the upstream is healthy and the caller got it wrong.
+const isUpstreamFailure = (error) => !error.response || error.response.status >= 500;
+
+const isRetryable = (error) =>
+  !error.response || RETRYABLE_STATUSES.includes(error.response.status);
+
+const createUpstream = (name, baseURL, {
+  timeout = 5000,
+  retries = 2,
+  baseDelay = 100,
+  maxDelay = 2000,
+  failureThreshold = 5,
+  resetTimeout = 30000,
+  halfOpenMaxCalls = 1,
+  onStateChange,
+  // Sent with every request, e.g. service credentials
+  headers = {}
+} = {}) => {
+  const breaker = new CircuitBreaker(name, {
+    failureThreshold,
+    resetTimeout,
+    halfOpenMaxCalls,
+    onStateChange
+  });
+
+  const request = async (config) => {
+    const method = (config.method || 'GET').toUpperCase();
+    // An Idempotency-Key makes any method safe to send again
+    const idempotent = IDEMPOTENT_METHODS.includes(method) || hasIdempotencyKey(config.headers);
+    const maxAttempts = idempotent ? retries + 1 : 1;
+
+    for (let attempt = 0; ; attempt++) {
+      if (!breaker.tryAcquire()) {
+        throw new CircuitOpenError(name, breaker.retryAfterMs());
+      }
+
+      try {
+        const response = await axios({ timeout, ...config, headers: { ...headers, ...config.headers }, method, baseURL });
+        breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        if (!isUpstreamFailure(error)) {
+          breaker.recordSuccess();
+          throw error;
+        }
+
+        breaker.recordFailure(error);
+        if (attempt + 1 >= maxAttempts || !isRetryable(error)) {
+          throw error;
+        }
+        await sleep(backoffDelay(attempt, { baseDelay, maxDelay }));
+      }
+    }
+  };
+
+  return { name, baseURL, breaker, request };
+};
+
+module.exports = {
+  STATES,
+  IDEMPOTENT_METHODS,
+  CircuitBreaker,
+  CircuitOpenError,
+  backoffDelay,
+  createUpstream,
+  isTimeout
+};
@@ -0,0 +1,39 @@
+// Service-to-service authentication for internal APIs, such as
+// product-service's stock reservations, which end users must not reach even
+// when the service's port is.
+//
+// Callers send the shared secret in SERVICE_TOKEN as X-Service-Token; see
+// `serviceHeaders`. Without SERVICE_TOKEN configured every internal call is
+// refused rather than let through.
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { sendProblem } = require('./problem');
+
+const HEADER = 'X-Service-Token';
+
+// Compared as digests so neither the length nor the content leaks by timing
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+const serviceHeaders = (token = process.env.SERVICE_TOKEN) => (token ? { [HEADER]: token } : {});
+
+const createServiceAuth = ({ token = process.env.SERVICE_TOKEN } = {}) => {
+  if (!token) {
+    logger.warn('SERVICE_TOKEN is not set; internal routes refuse every call');
+  }
+  const expected = token && digest(token);
+
+  return (req, res, next) => {
+    const presented = req.get(HEADER);
+    if (!expected || !presented || !crypto.timingSafeEqual(digest(presented), expected)) {
+      return sendProblem(res, 401, 'Service credentials required');
+    }
+    next();
+  };
+};
+
+module.exports = {
+  HEADER,
+  serviceHeaders,
+  createServiceAuth
+};
@@ -0,0 +1,74 @@
+// An in-memory stand-in for a pg Pool, for tests. Routes pair the start of a
+// statement (or a RegExp) with a handler that gets the params and returns the
+// rows; BEGIN takes a copy of the tables and ROLLBACK puts it back.
+
+const normalize = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+const copyTable = (table) => (table instanceof Map
+  ? new Map([...table].map(([key, row]) => [key, { ...row }]))
+  : table.map((row) => ({ ...row })));
+
+const restoreTable = (table, saved) => {
+  if (table instanceof Map) {
+    table.clear();
+    saved.forEach((row, key) => table.set(key, row));
+  } else {
+    table.splice(0, table.length, ...saved);
+  }
+};
+
+const matches = (pattern, text) => (pattern instanceof RegExp ? pattern.test(text) : text.startsWith(pattern));
+
+// The column = $n pairs of an UPDATE ... SET, as an object
+const assignments = (text, params) => {
+  const values = {};
+  for (const [, column, index] of text.matchAll(/(\w+) = \$(\d+)/g)) {
+    values[column] = params[Number(index) - 1];
+  }
+  return values;
+};
+
+const createFakePool = ({ tables = {}, routes = [] } = {}) => {
+  const queries = [];
+  let snapshot = null;
+
+  const query = async (sql, params = []) => {
+    const text = normalize(typeof sql === 'string' ? sql : sql.text);
+    queries.push({ text, params });
+
+    if (text === 'BEGIN') {
+      snapshot = Object.fromEntries(Object.entries(tables).map(([name, table]) => [name, copyTable(table)]));
+      return { rows: [], rowCount: 0 };
+    }
+    if (text === 'COMMIT') {
+      snapshot = null;
+      return { rows: [], rowCount: 0 };
+    }
+    if (text === 'ROLLBACK') {
+      if (snapshot) {
+        Object.entries(snapshot).forEach(([name, saved]) => restoreTable(tables[name], saved));
+      }
+      snapshot = null;
+      return { rows: [], rowCount: 0 };
+    }
+
+    const route = routes.find(([pattern]) => matches(pattern, text));
+    if (!route) {
+      throw new Error(`Unexpected query: ${text}`);
+    }
+    const result = await route[1](params, text);
+    if (Array.isArray(result)) {
+      return { rows: result.map((row) => ({ ...row })), rowCount: result.length };
+    }
+    return { rows: [], rowCount: 0, ...result };
+  };
+
+  return {
+    ...tables,
+    queries,
+    query,
+    connect: async () => ({ query, release: () => {} })
+  };
+};
+
+module.exports = { createFakePool, assignments, normalize };
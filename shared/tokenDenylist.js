@@ -0,0 +1,98 @@
+// Revoked access tokens. user-service writes entries on logout; every service
+// that verifies tokens checks them. Entries only need to live as long as the
+// token itself, so they expire on their own.
+//
+// Revoking all of a user's tokens records the time in milliseconds, and
+// tokens are compared by their `iat_ms` claim: `iat` only has whole seconds,
+// which would also revoke the token handed out right after. Tokens without
+// `iat_ms` fall back to `iat`.
+
+const { getRedisClient } = require('./redis');
+
+const secondsUntil = (epochSeconds) => Math.max(1, Math.ceil(epochSeconds - Date.now() / 1000));
+
+const issuedAtMs = ({ iat, iat_ms: iatMs }) => (iatMs !== undefined ? iatMs : iat * 1000);
+
+const issuedBefore = (payload, revokedBefore) => revokedBefore !== null && issuedAtMs(payload) < Number(revokedBefore);
+
+class MemoryDenylist {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  set(key, value, ttlSeconds) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async revokeToken(jti, exp) {
+    this.set(`jti:${jti}`, '1', secondsUntil(exp));
+  }
+
+  async revokeUserTokens(userId, ttlSeconds) {
+    this.set(`user:${userId}`, String(Date.now()), ttlSeconds);
+  }
+
+  async isRevoked(payload) {
+    const { jti, userId } = payload;
+    if (jti && this.get(`jti:${jti}`)) return true;
+    return issuedBefore(payload, userId !== undefined ? this.get(`user:${userId}`) : null);
+  }
+}
+
+class RedisDenylist {
+  constructor({ url, prefix = 'denylist:' } = {}) {
+    this.url = url;
+    this.prefix = prefix;
+  }
+
+  async revokeToken(jti, exp) {
+    const client = await getRedisClient(this.url);
+    await client.set(`${this.prefix}jti:${jti}`, '1', { EX: secondsUntil(exp) });
+  }
+
+  // Revokes every token issued to the user up to now. Newer tokens carry a
+  // later `iat_ms` and stay valid.
+  async revokeUserTokens(userId, ttlSeconds) {
+    const client = await getRedisClient(this.url);
+    await client.set(`${this.prefix}user:${userId}`, String(Date.now()), { EX: ttlSeconds });
+  }
+
+  async isRevoked(payload) {
+    const { jti, userId } = payload;
+    const client = await getRedisClient(this.url);
+    const [revokedJti, revokedBefore] = await client.mGet([
+      `${this.prefix}jti:${jti || ''}`,
+      `${this.prefix}user:${userId}`
+    ]);
+    if (jti && revokedJti) return true;
+    return issuedBefore(payload, revokedBefore);
+  }
+}
+
+// Redis is the default whenever REDIS_URL is set, since revocations have to
+// reach every service; the memory store only works inside one process.
+const createDenylist = (type = process.env.TOKEN_DENYLIST_STORE || (process.env.REDIS_URL ? 'redis' : 'memory')) => {
+  if (type === 'redis') {
+    return new RedisDenylist({ url: process.env.REDIS_URL });
+  }
+  if (type === 'memory') {
+    return new MemoryDenylist();
+  }
+  throw new Error(`Unknown token denylist store: ${type}`);
+};
+
+module.exports = {
+  MemoryDenylist,
+  RedisDenylist,
+  createDenylist
+};
@@ -0,0 +1,576 @@
+// Distributed tracing for the gateway and all services, modelled on
+// OpenTelemetry and W3C Trace Context.
+//
+// Each process calls initTracing once. An incoming request continues the
+// trace in its `traceparent` header, or starts a new one, and its span stays
+// active through the request's async work (AsyncLocalStorage). Outbound
+// axios calls send the active context on in `traceparent`, and events
+// created during a request carry it to their consumers. Express requests,
+// axios calls, pg queries, mongoose operations and event handlers each get a
+// span; database spans are only made inside a traced request or handler, so
+// pollers stay quiet.
+//
+// Finished spans are batched to the exporter named by OTEL_TRACES_EXPORTER:
+//   otlp    OTLP/HTTP JSON to OTEL_EXPORTER_OTLP_ENDPOINT; the default when
+//           that is set
+//   file    one JSON span per line in OTEL_TRACES_FILE, for local runs
+//   memory  kept in `exporter.spans`, for tests
+//   none    nothing is recorded; context is still propagated
+// New traces are sampled at OTEL_TRACES_SAMPLER_ARG (0 to 1, default 1);
+// continued traces follow the caller's sampled flag.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const axios = require('axios');
+const { logger } = require('./logger');
+const { routeLabel } = require('./metrics');
+
+const SPAN_KINDS = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+  PRODUCER: 4,
+  CONSUMER: 5
+};
+
+const STATUS_CODES = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const MAX_STATEMENT_LENGTH = 2000;
+const CLIENT_SPAN = Symbol('tracing.clientSpan');
+const TRACED = Symbol('tracing.traced');
+
+const storage = new AsyncLocalStorage();
+
+// Set by initTracing; until then spans propagate but are not recorded
+let processor = null;
+let sampleRatio = 1;
+
+const timeOriginNanos = BigInt(Math.round(performance.timeOrigin * 1000)) * 1000n;
+const nowNanos = () => timeOriginNanos + BigInt(Math.round(performance.now() * 1e6));
+
+const randomId = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+// New traces are kept when the low 32 bits of the trace ID fall under the
+// ratio, so every service makes the same decision for a trace.
+const sampleNewTrace = (traceId) => parseInt(traceId.slice(-8), 16) / 0xffffffff < sampleRatio;
+
+// Parent context in a traceparent header, or null when it is missing or
+// malformed (the request then starts a new trace).
+const parseTraceparent = (header, tracestate) => {
+  const value = String(header || '').trim();
+  const match = TRACEPARENT.exec(value);
+  if (!match) return null;
+
+  const [, version, traceId, spanId, flags, rest] = match;
+  if (version === 'ff' || (version === '00' && rest)) return null;
+  if (/^0+$/.test(traceId) || /^0+$/.test(spanId)) return null;
+
+  return {
+    traceId,
+    spanId,
+    sampled: (parseInt(flags, 16) & 1) === 1,
+    traceState: tracestate ? String(tracestate) : undefined
+  };
+};
+
+const formatTraceparent = (context) => `00-${context.traceId}-${context.spanId}-${context.sampled ? '01' : '00'}`;
+
+class Span {
+  constructor({ name, kind = SPAN_KINDS.INTERNAL, parent, attributes = {} }) {
+    this.name = name;
+    this.kind = kind;
+    this.traceId = parent ? parent.traceId : randomId(16);
+    this.spanId = randomId(8);
+    this.parentSpanId = parent ? parent.spanId : undefined;
+    this.traceState = parent ? parent.traceState : undefined;
+    this.sampled = parent ? parent.sampled : sampleNewTrace(this.traceId);
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: STATUS_CODES.UNSET };
+    this.startTime = nowNanos();
+    this.endTime = null;
+    this.setAttributes(attributes);
+  }
+
+  get traceparent() {
+    return formatTraceparent(this);
+  }
+
+  updateName(name) {
+    this.name = name;
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+  }
+
+  setAttributes(attributes) {
+    Object.entries(attributes).forEach(([key, value]) => this.setAttribute(key, value));
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, attributes, time: nowNanos() });
+  }
+
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+  }
+
+  recordException(error) {
+    this.addEvent('exception', {
+      'exception.type': error.name,
+      'exception.message': error.message,
+      'exception.stacktrace': error.stack
+    });
+    this.setStatus(STATUS_CODES.ERROR, error.message);
+  }
+
+  end() {
+    if (this.endTime !== null) return;
+    this.endTime = nowNanos();
+    if (this.sampled && processor) {
+      processor.onEnd(this);
+    }
+  }
+}
+
+const activeSpan = () => {
+  const store = storage.getStore();
+  return store ? store.span : undefined;
+};
+
+// `parent` defaults to the active span; pass null to start a new trace
+const startSpan = (name, { kind, attributes, parent = activeSpan() } = {}) => new Span({
+  name,
+  kind,
+  attributes,
+  parent: parent || undefined
+});
+
+// Runs `fn(span)` with a new span active, ending it when `fn` settles
+const withSpan = async (name, options, fn) => {
+  const span = startSpan(name, options);
+  try {
+    return await storage.run({ span }, () => fn(span));
+  } catch (error) {
+    span.recordException(error);
+    throw error;
+  } finally {
+    span.end();
+  }
+};
+
+// Adds traceparent (and tracestate) for the active span to `headers`
+const injectTraceContext = (headers, span = activeSpan()) => {
+  if (span) {
+    headers.traceparent = span.traceparent;
+    if (span.traceState) {
+      headers.tracestate = span.traceState;
+    }
+  }
+  return headers;
+};
+
+// Stream events fire in the context of the socket, not of the request, so
+// body parsers and uploads would call `next` without the request's span.
+// Listeners added to the request run in the async context they were added
+// in instead, which also keeps other AsyncLocalStorage stores (logger.js).
+const bindEmitter = (emitter) => {
+  const bound = new WeakMap();
+  const bind = (listener) => {
+    if (typeof listener !== 'function') return listener;
+    if (!bound.has(listener)) {
+      const resource = new AsyncResource('tracing.listener');
+      bound.set(listener, function boundListener(...args) {
+        return resource.runInAsyncScope(listener, this, ...args);
+      });
+    }
+    return bound.get(listener);
+  };
+
+  ['on', 'addListener', 'once', 'prependListener', 'prependOnceListener'].forEach((method) => {
+    const original = emitter[method];
+    emitter[method] = function addBound(event, listener) {
+      return original.call(this, event, bind(listener));
+    };
+  });
+  ['off', 'removeListener'].forEach((method) => {
+    const original = emitter[method];
+    emitter[method] = function removeBound(event, listener) {
+      return original.call(this, event, bound.get(listener) || listener);
+    };
+  });
+};
+
+// Express middleware: a server span per request, active for its handlers
+const middleware = (req, res, next) => {
+  const span = startSpan(req.method, {
+    kind: SPAN_KINDS.SERVER,
+    parent: parseTraceparent(req.headers.traceparent, req.headers.tracestate),
+    attributes: {
+      'http.method': req.method,
+      'http.target': req.originalUrl,
+      'http.user_agent': req.headers['user-agent'],
+      'net.peer.ip': req.ip
+    }
+  });
+
+  let done = false;
+  const finish = () => {
+    if (done) return;
+    done = true;
+
+    const route = routeLabel(req);
+    if (route !== 'unmatched') {
+      span.updateName(`${req.method} ${route}`);
+      span.setAttribute('http.route', route);
+    }
+    span.setAttribute('http.status_code', res.statusCode);
+    if (!res.writableFinished) {
+      span.setAttribute('http.aborted', true);
+    }
+    if (res.statusCode >= 500) {
+      span.setStatus(STATUS_CODES.ERROR, `HTTP ${res.statusCode}`);
+    }
+    span.end();
+  };
+  res.on('finish', finish);
+  res.on('close', finish);
+
+  storage.run({ span }, () => {
+    bindEmitter(req);
+    next();
+  });
+};
+
+const endClientSpan = (config, response, error) => {
+  const span = config && config[CLIENT_SPAN];
+  if (!span) return;
+
+  if (response) {
+    span.setAttribute('http.status_code', response.status);
+    if (response.status >= 400) {
+      span.setStatus(STATUS_CODES.ERROR, `HTTP ${response.status}`);
+    }
+  } else if (error) {
+    span.recordException(error);
+  }
+  span.end();
+};
+
+// Client spans for an axios instance, sending their context on. Requests
+// made with `tracing: false` in their config are left alone.
+const traceAxios = (instance) => {
+  if (instance[TRACED]) return;
+  instance[TRACED] = true;
+
+  instance.interceptors.request.use((config) => {
+    if (config.tracing === false) return config;
+
+    const method = (config.method || 'get').toUpperCase();
+    const span = startSpan(`HTTP ${method}`, {
+      kind: SPAN_KINDS.CLIENT,
+      attributes: {
+        'http.method': method,
+        'http.url': instance.getUri(config)
+      }
+    });
+    config[CLIENT_SPAN] = span;
+    config.headers.set(injectTraceContext({}, span));
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (response) => {
+      endClientSpan(response.config, response);
+      return response;
+    },
+    (error) => {
+      endClientSpan(error.config, error.response, error);
+      return Promise.reject(error);
+    }
+  );
+};
+
+const statementOperation = (text) => {
+  const match = /^\s*([a-z]+)/i.exec(text || '');
+  return match ? match[1].toUpperCase() : 'QUERY';
+};
+
+// Query spans for a pg Pool, covering both pool.query and checked-out
+// clients. Submittable queries (cursors, streams) are not traced.
+const tracePgPool = (pool) => {
+  pool.on('connect', (client) => {
+    const query = client.query;
+    client.query = function tracedQuery(...args) {
+      const [config] = args;
+      if (!activeSpan() || (config && typeof config.submit === 'function')) {
+        return query.apply(this, args);
+      }
+
+      const text = typeof config === 'string' ? config : config && config.text;
+      const operation = statementOperation(text);
+      const span = startSpan(`${operation} ${client.database}`, {
+        kind: SPAN_KINDS.CLIENT,
+        attributes: {
+          'db.system': 'postgresql',
+          'db.name': client.database,
+          'db.operation': operation,
+          'db.statement': text ? text.slice(0, MAX_STATEMENT_LENGTH) : undefined
+        }
+      });
+      const finish = (error) => {
+        if (error) span.recordException(error);
+        span.end();
+      };
+
+      const callback = args[args.length - 1];
+      if (typeof callback === 'function') {
+        args[args.length - 1] = (error, result) => {
+          finish(error);
+          callback(error, result);
+        };
+        return query.apply(this, args);
+      }
+      const result = query.apply(this, args);
+      result.then(() => finish(), finish);
+      return result;
+    };
+  });
+
+  // pg-pool runs pool.query from a connect callback, which loses the
+  // caller's context when it waits for a client; the promise API keeps it.
+  const poolQuery = pool.query;
+  pool.query = function tracedPoolQuery(...args) {
+    if (!activeSpan() || typeof args[args.length - 1] === 'function') {
+      return poolQuery.apply(this, args);
+    }
+    return (async () => {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(...args);
+        client.release();
+        return result;
+      } catch (error) {
+        client.release(error);
+        throw error;
+      }
+    })();
+  };
+};
+
+// Spans for mongoose queries, aggregations, saves and bulk writes. Calls
+// made through Model.collection bypass mongoose and are not traced.
+const traceMongoose = (mongoose) => {
+  const wrap = (target, method, describe) => {
+    const original = target[method];
+    target[method] = function traced(...args) {
+      if (!activeSpan()) {
+        return original.apply(this, args);
+      }
+      const { operation, model } = describe(this);
+      const collection = model && model.collection ? model.collection.collectionName : undefined;
+      return withSpan(`${operation} ${collection || 'mongodb'}`, {
+        kind: SPAN_KINDS.CLIENT,
+        attributes: {
+          'db.system': 'mongodb',
+          'db.name': model && model.db ? model.db.name : undefined,
+          'db.mongodb.collection': collection,
+          'db.operation': operation
+        }
+      }, () => original.apply(this, args));
+    };
+  };
+
+  wrap(mongoose.Query.prototype, 'exec', (query) => ({ operation: query.op, model: query.model }));
+  wrap(mongoose.Aggregate.prototype, 'exec', (aggregate) => ({ operation: 'aggregate', model: aggregate._model }));
+  wrap(mongoose.Model.prototype, 'save', (document) => ({ operation: 'save', model: document.constructor }));
+  wrap(mongoose.Model, 'insertMany', (Model) => ({ operation: 'insertMany', model: Model }));
+  wrap(mongoose.Model, 'bulkWrite', (Model) => ({ operation: 'bulkWrite', model: Model }));
+};
+
+const toOtlpValue = (value) => {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  return { stringValue: String(value) };
+};
+
+const toOtlpAttributes = (attributes) => Object.entries(attributes)
+  .map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+
+const toOtlpSpan = (span) => ({
+  traceId: span.traceId,
+  spanId: span.spanId,
+  parentSpanId: span.parentSpanId,
+  traceState: span.traceState,
+  name: span.name,
+  kind: span.kind,
+  startTimeUnixNano: String(span.startTime),
+  endTimeUnixNano: String(span.endTime),
+  attributes: toOtlpAttributes(span.attributes),
+  events: span.events.map((event) => ({
+    name: event.name,
+    timeUnixNano: String(event.time),
+    attributes: toOtlpAttributes(event.attributes)
+  })),
+  status: span.status
+});
+
+// "key=value,key2=value2", as in OTEL_EXPORTER_OTLP_HEADERS
+const parseHeaderList = (value) => String(value || '')
+  .split(',')
+  .map((pair) => pair.split('='))
+  .filter(([key, ...rest]) => key.trim() && rest.length > 0)
+  .reduce((headers, [key, ...rest]) => ({ ...headers, [key.trim()]: decodeURIComponent(rest.join('=').trim()) }), {});
+
+// An exporter implements export(spans, resource) and may implement
+// shutdown(). `resource` holds attributes of the process, e.g. service.name.
+const createOtlpExporter = ({
+  url = process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+    || `${(process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/+$/, '')}/v1/traces`,
+  headers = parseHeaderList(process.env.OTEL_EXPORTER_OTLP_HEADERS),
+  timeout = 10000
+} = {}) => ({
+  name: 'otlp',
+  export: (spans, resource) => axios.post(url, {
+    resourceSpans: [{
+      resource: { attributes: toOtlpAttributes(resource) },
+      scopeSpans: [{ scope: { name: 'shared/tracing' }, spans: spans.map(toOtlpSpan) }]
+    }]
+  }, { headers, timeout, tracing: false })
+});
+
+const createFileExporter = ({ file = process.env.OTEL_TRACES_FILE || 'traces.ndjson' } = {}) => ({
+  name: 'file',
+  export: (spans, resource) => fs.appendFile(file, spans.map((span) => `${JSON.stringify({
+    service: resource['service.name'],
+    traceId: span.traceId,
+    spanId: span.spanId,
+    parentSpanId: span.parentSpanId,
+    name: span.name,
+    kind: Object.keys(SPAN_KINDS).find((kind) => SPAN_KINDS[kind] === span.kind),
+    startTime: new Date(Number(span.startTime / 1000000n)).toISOString(),
+    durationMs: Number(span.endTime - span.startTime) / 1e6,
+    attributes: span.attributes,
+    events: span.events.map(({ name, attributes }) => ({ name, attributes })),
+    status: span.status
+  })}\n`).join(''))
+});
+
+const createMemoryExporter = () => {
+  const spans = [];
+  return {
+    name: 'memory',
+    spans,
+    export: async (batch) => {
+      spans.push(...batch);
+    },
+    reset: () => {
+      spans.length = 0;
+    }
+  };
+};
+
+const createNoopExporter = () => ({
+  name: 'none',
+  export: async () => {}
+});
+
+const EXPORTER_FACTORIES = {
+  otlp: createOtlpExporter,
+  file: createFileExporter,
+  memory: createMemoryExporter,
+  none: createNoopExporter
+};
+
+const createExporter = (name = process.env.OTEL_TRACES_EXPORTER
+  || (process.env.OTEL_EXPORTER_OTLP_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ? 'otlp' : 'none')) => {
+  const factory = EXPORTER_FACTORIES[name.trim()];
+  if (!factory) {
+    throw new Error(`Unknown trace exporter: ${name}`);
+  }
+  return factory();
+};
+
+// Starts recording spans for this process and instruments axios. Returns
+// the middleware and the database instrumentation to apply.
+const initTracing = ({
+  serviceName,
+  exporter = createExporter(),
+  ratio = Number(process.env.OTEL_TRACES_SAMPLER_ARG || 1),
+  batchSize = 512,
+  // Spans beyond this wait for no one: they are dropped
+  maxQueueSize = 2048,
+  scheduleDelayMs = Number(process.env.OTEL_BSP_SCHEDULE_DELAY || 5000)
+}) => {
+  const resource = { 'service.name': process.env.OTEL_SERVICE_NAME || serviceName };
+  const queue = [];
+
+  const flush = async () => {
+    while (queue.length > 0) {
+      const batch = queue.splice(0, batchSize);
+      try {
+        await exporter.export(batch, resource);
+      } catch (error) {
+        logger.error('Trace export error', { error });
+      }
+    }
+  };
+
+  sampleRatio = ratio;
+  processor = exporter.name === 'none' ? null : {
+    onEnd: (span) => {
+      if (queue.length >= maxQueueSize) return;
+      queue.push(span);
+      if (queue.length >= batchSize) {
+        flush();
+      }
+    }
+  };
+
+  const timer = setInterval(flush, scheduleDelayMs);
+  timer.unref();
+  traceAxios(axios);
+
+  const shutdown = async () => {
+    clearInterval(timer);
+    await flush();
+    if (exporter.shutdown) {
+      await exporter.shutdown();
+    }
+  };
+
+  return {
+    exporter,
+    middleware,
+    tracePgPool,
+    traceMongoose,
+    flush,
+    shutdown
+  };
+};
+
+module.exports = {
+  SPAN_KINDS,
+  STATUS_CODES,
+  Span,
+  parseTraceparent,
+  formatTraceparent,
+  activeSpan,
+  startSpan,
+  withSpan,
+  injectTraceContext,
+  traceAxios,
+  createExporter,
+  initTracing
+};
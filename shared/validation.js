@@ -0,0 +1,87 @@
+// Request validation with JSON Schema.
+//
+// validate({ params, query, body }) checks each part of the request against
+// its schema and answers 400 with a problem listing every failure:
+//   "errors": [{ "in": "body", "field": "items[0].quantity", "message": "must be >= 1" }]
+// Path parameters and query strings are coerced to the types in their
+// schemas (a single query value satisfies an array schema); bodies must
+// already carry the right JSON types. Defaults in the schemas are filled in,
+// so handlers see validated, typed input.
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { sendProblem } = require('./problem');
+
+const createAjv = (options) => {
+  const ajv = new Ajv({ allErrors: true, useDefaults: true, ...options });
+  addFormats(ajv, ['email', 'uuid']);
+  return ajv;
+};
+
+const ajvFor = {
+  params: createAjv({ coerceTypes: 'array' }),
+  query: createAjv({ coerceTypes: 'array' }),
+  body: createAjv()
+};
+
+// "/items/0/quantity" -> "items[0].quantity"
+const fieldOf = (pointer, property) => {
+  const segments = pointer.split('/').slice(1).map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (property !== undefined) segments.push(property);
+  return segments.reduce((field, segment) => {
+    if (/^\d+$/.test(segment)) return `${field}[${segment}]`;
+    return field ? `${field}.${segment}` : segment;
+  }, '');
+};
+
+const describe = (part) => (error) => {
+  if (error.keyword === 'required') {
+    return { in: part, field: fieldOf(error.instancePath, error.params.missingProperty), message: 'is required' };
+  }
+  if (error.keyword === 'additionalProperties') {
+    return { in: part, field: fieldOf(error.instancePath, error.params.additionalProperty), message: 'is not allowed' };
+  }
+  if (error.keyword === 'enum') {
+    return { in: part, field: fieldOf(error.instancePath), message: `must be one of: ${error.params.allowedValues.join(', ')}` };
+  }
+  return { in: part, field: fieldOf(error.instancePath), message: error.message };
+};
+
+// Express middleware validating the given parts of the request
+const validate = (schemas) => {
+  const validators = Object.entries(schemas).map(([part, schema]) => [part, ajvFor[part].compile(schema)]);
+
+  return (req, res, next) => {
+    const errors = validators.flatMap(([part, check]) => {
+      if (part === 'body' && req.body === undefined) {
+        req.body = {};
+      }
+      return check(req[part]) ? [] : check.errors.map(describe(part));
+    });
+
+    if (errors.length > 0) {
+      return sendProblem(res, 400, 'Request validation failed', { errors });
+    }
+    next();
+  };
+};
+
+// Schema fragments shared across services
+const id = { type: 'integer', minimum: 1, maximum: 2147483647 };
+const objectId = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+const positiveInteger = { type: 'integer', minimum: 1 };
+const amount = { type: 'integer', minimum: 0 };
+const currency = { type: 'string', pattern: '^[A-Za-z]{3}$' };
+const nonEmptyString = (maxLength = 255) => ({ type: 'string', minLength: 1, maxLength });
+
+module.exports = {
+  validate,
+  schemas: {
+    id,
+    objectId,
+    positiveInteger,
+    amount,
+    currency,
+    nonEmptyString
+  }
+};